@@ -0,0 +1,101 @@
+// controllers/analyticsController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Branch = require('../models/Branch');
+const Product = require('../models/Product');
+const { forecastDemand } = require('../utils/forecastUtils');
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+// إضافة أسماء الفروع والمنتجات والأقسام لنتيجة التوقع
+const localizeForecast = async (result, lang) => {
+  const productIds = [...new Set(result.forecasts.map(forecast => forecast.product.toString()))];
+  const branchIds = [...new Set(result.forecasts.map(forecast => forecast.branch.toString()))];
+  const [products, branches] = await Promise.all([
+    Product.find({ _id: { $in: productIds } })
+      .select('name nameEn code unit unitEn department')
+      .populate('department', 'name nameEn code')
+      .lean(),
+    Branch.find({ _id: { $in: branchIds } }).select('name nameEn').lean(),
+  ]);
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const branchMap = new Map(branches.map(branch => [branch._id.toString(), branch]));
+
+  const productInfo = (productId) => {
+    const product = productMap.get(productId.toString());
+    if (!product) return { _id: productId, displayName: lang === 'ar' ? 'منتج محذوف' : 'Deleted Product' };
+    return {
+      _id: product._id,
+      code: product.code,
+      displayName: translateField(product, 'name', lang),
+      displayUnit: translateField(product, 'unit', lang),
+      department: product.department
+        ? { _id: product.department._id, code: product.department.code, displayName: translateField(product.department, 'name', lang) }
+        : null,
+    };
+  };
+  const branchInfo = (branchId) => {
+    const branch = branchMap.get(branchId.toString());
+    return { _id: branchId, displayName: branch ? translateField(branch, 'name', lang) : (lang === 'ar' ? 'غير معروف' : 'Unknown') };
+  };
+
+  return {
+    ...result,
+    forecasts: result.forecasts
+      .filter(forecast => productMap.has(forecast.product.toString()))
+      .map(forecast => ({ ...forecast, branch: branchInfo(forecast.branch), product: productInfo(forecast.product) })),
+    plan: result.plan.map(day => ({
+      ...day,
+      items: day.items
+        .filter(item => productMap.has(item.product.toString()))
+        .map(item => ({
+          ...item,
+          product: productInfo(item.product),
+          branches: item.branches.map(entry => ({ ...entry, branch: branchInfo(entry.branch) })),
+        })),
+    })),
+  };
+};
+
+const getDemandForecast = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { product, department, startDate, days, lookbackDays, confidence } = req.query;
+    // الفرع يرى توقعاته فقط
+    const branch = req.user.role === 'branch' ? req.user.branchId : req.query.branch;
+    if (req.user.role === 'branch' && !branch) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفرع غير صالح' : 'Invalid branch ID' });
+    }
+
+    let products;
+    if (product) {
+      products = [product];
+    } else if (department) {
+      const departmentProducts = await Product.find({ department, isActive: true }).select('_id').lean();
+      products = departmentProducts.map(item => item._id);
+    }
+
+    const result = await forecastDemand({
+      branch,
+      products,
+      startDate,
+      days: parseInt(days) || undefined,
+      lookbackDays: parseInt(lookbackDays) || undefined,
+      confidence: confidence ? parseFloat(confidence) : undefined,
+    });
+
+    res.status(200).json({ success: true, data: await localizeForecast(result, lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error computing demand forecast:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+module.exports = { getDemandForecast, localizeForecast };
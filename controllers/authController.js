@@ -133,6 +133,8 @@ const getPermissions = (role) => {
       return ['create_orders', 'view_branch_orders', 'manage_inventory'];
     case 'chef':
       return ['update_order_items', 'view_assigned_orders'];
+    case 'driver':
+      return ['view_assigned_trips', 'deliver_trip_stops'];
     default:
       return [];
   }
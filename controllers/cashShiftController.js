@@ -0,0 +1,354 @@
+// controllers/cashShiftController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const CashShift = require('../models/CashShift');
+const Branch = require('../models/Branch');
+const { emitSocketEvent } = require('../utils/helpers');
+const { findOpenShift, buildShiftSummary } = require('../utils/shiftUtils');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// مستخدم الفرع يعمل على فرعه فقط
+const resolveBranchScope = (req, branch) => (req.user.role === 'branch' ? req.user.branchId?.toString() : branch);
+
+const populateShift = (query) => query
+  .populate('branch', 'name nameEn code')
+  .populate('openedBy', 'username name nameEn')
+  .populate('closedBy', 'username name nameEn');
+
+const formatShift = (shift, lang) => ({
+  ...shift,
+  branchName: shift.branch ? translateField(shift.branch, 'name', lang) : null,
+  openedByName: shift.openedBy ? translateField(shift.openedBy, 'name', lang) : null,
+  closedByName: shift.closedBy ? translateField(shift.closedBy, 'name', lang) : null,
+});
+
+const openShift = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const branch = resolveBranchScope(req, req.body.branch);
+    if (!branch || !isValidObjectId(branch)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفرع غير صالح' : 'Invalid branch ID' });
+    }
+    const branchDoc = await Branch.findById(branch).select('name nameEn').session(session);
+    if (!branchDoc) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
+    }
+    const existing = await findOpenShift({ branch, session });
+    if (existing) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: isRtl ? `توجد وردية مفتوحة بالفعل #${existing.shiftNumber}` : `Shift #${existing.shiftNumber} is already open`,
+        error: 'shift_already_open',
+      });
+    }
+    const shift = new CashShift({
+      shiftNumber: await nextDocumentNumber({ type: 'SHIFT', branch, session }),
+      branch,
+      openingFloat: roundAmount(Number(req.body.openingFloat)),
+      openedBy: req.user.id,
+      notes: req.body.notes?.trim(),
+    });
+    await shift.save({ session });
+    await session.commitTransaction();
+
+    if (req.io) {
+      await emitSocketEvent(req.io, ['admin', `branch-${branch}`], 'shiftOpened', {
+        shiftId: shift._id,
+        shiftNumber: shift.shiftNumber,
+        branchId: branch,
+        branchName: translateField(branchDoc, 'name', lang),
+        openingFloat: shift.openingFloat,
+        eventId: `shiftOpened-${shift._id}`,
+      });
+    }
+    const populated = await populateShift(CashShift.findById(shift._id)).lean();
+    res.status(201).json({
+      success: true,
+      data: formatShift(populated, lang),
+      message: isRtl ? 'تم فتح الوردية بنجاح' : 'Shift opened successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error opening cash shift:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const getCurrentShift = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const branch = resolveBranchScope(req, req.query.branch);
+    if (!branch || !isValidObjectId(branch)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفرع غير صالح' : 'Invalid branch ID' });
+    }
+    const shift = await populateShift(CashShift.findOne({ branch, status: 'open' })).lean();
+    if (!shift) {
+      return res.status(404).json({ success: false, message: isRtl ? 'لا توجد وردية مفتوحة' : 'No open shift', error: 'no_open_shift' });
+    }
+    const summary = await buildShiftSummary({ shift });
+    res.status(200).json({ success: true, data: { ...formatShift(shift, lang), summary } });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching current shift:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getShifts = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { branch, status, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const query = {};
+    const scopedBranch = resolveBranchScope(req, branch);
+    if (scopedBranch && isValidObjectId(scopedBranch)) query.branch = scopedBranch;
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.openedAt = {};
+      if (startDate) query.openedAt.$gte = new Date(startDate);
+      if (endDate) query.openedAt.$lte = new Date(endDate);
+    }
+    const [shifts, total] = await Promise.all([
+      populateShift(CashShift.find(query))
+        .select('-refunds')
+        .sort({ openedAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      CashShift.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: shifts.map(shift => formatShift(shift, lang)),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching cash shifts:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// تقرير X للوردية المفتوحة (لحظي) أو تقرير Z المحفوظ للوردية المغلقة
+const getShiftReport = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الوردية غير صالح' : 'Invalid shift ID' });
+    }
+    const shift = await populateShift(CashShift.findById(id))
+      .populate('refunds.createdBy', 'username name nameEn')
+      .lean();
+    if (!shift) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الوردية غير موجودة' : 'Shift not found' });
+    }
+    if (req.user.role === 'branch' && shift.branch?._id.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    const report = shift.status === 'open'
+      ? { type: 'X', ...(await buildShiftSummary({ shift })) }
+      : {
+        type: 'Z',
+        ...shift.zReport,
+        openingFloat: shift.openingFloat,
+        expectedCash: shift.expectedCash,
+        countedCash: shift.countedCash,
+        variance: shift.variance,
+      };
+    res.status(200).json({ success: true, data: { ...formatShift(shift, lang), report } });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error building shift report:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// إغلاق الوردية: مقارنة النقد المعدود بالمتوقع وحفظ تقرير Z
+const closeShift = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الوردية غير صالح' : 'Invalid shift ID' });
+    }
+    const shift = await CashShift.findById(id).session(session);
+    if (!shift) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الوردية غير موجودة' : 'Shift not found' });
+    }
+    if (req.user.role === 'branch' && shift.branch.toString() !== req.user.branchId?.toString()) {
+      await session.abortTransaction();
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    if (shift.status !== 'open') {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'الوردية مغلقة بالفعل' : 'Shift is already closed' });
+    }
+    const summary = await buildShiftSummary({ shift, session });
+    const countedCash = roundAmount(Number(req.body.countedCash));
+    const closedCount = await CashShift.countDocuments({ branch: shift.branch, status: 'closed' }).session(session);
+    shift.status = 'closed';
+    shift.closedBy = req.user.id;
+    shift.closedAt = new Date();
+    shift.countedCash = countedCash;
+    shift.expectedCash = summary.expectedCash;
+    shift.variance = roundAmount(countedCash - summary.expectedCash);
+    shift.closingNotes = req.body.closingNotes?.trim();
+    shift.zReport = {
+      reportNumber: closedCount + 1,
+      salesCount: summary.salesCount,
+      grossSales: summary.grossSales,
+      netSales: summary.netSales,
+      taxAmount: summary.taxAmount,
+      tenders: summary.tenders,
+      changeGiven: summary.changeGiven,
+      refundsCount: summary.refundsCount,
+      refunds: summary.refunds,
+      collectionsCount: summary.collectionsCount,
+      collections: summary.collections,
+    };
+    await shift.save({ session });
+    await session.commitTransaction();
+
+    if (req.io) {
+      await emitSocketEvent(req.io, ['admin', `branch-${shift.branch}`], 'shiftClosed', {
+        shiftId: shift._id,
+        shiftNumber: shift.shiftNumber,
+        branchId: shift.branch.toString(),
+        expectedCash: shift.expectedCash,
+        countedCash: shift.countedCash,
+        variance: shift.variance,
+        eventId: `shiftClosed-${shift._id}`,
+      });
+    }
+    const populated = await populateShift(CashShift.findById(shift._id)).lean();
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatShift(populated, lang),
+        report: { type: 'Z', ...populated.zReport, openingFloat: shift.openingFloat, expectedCash: shift.expectedCash, countedCash, variance: shift.variance },
+      },
+      message: isRtl ? 'تم إغلاق الوردية بنجاح' : 'Shift closed successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error closing cash shift:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+// فروقات الزيادة والعجز في الورديات المغلقة لكل فرع
+const getShiftVariances = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { branch, startDate, endDate } = req.query;
+    const match = { status: 'closed' };
+    if (branch && isValidObjectId(branch)) match.branch = new mongoose.Types.ObjectId(branch);
+    if (startDate || endDate) {
+      match.closedAt = {};
+      if (startDate) match.closedAt.$gte = new Date(startDate);
+      if (endDate) match.closedAt.$lte = new Date(endDate);
+    }
+    const branches = await CashShift.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$branch',
+          shiftsCount: { $sum: 1 },
+          totalVariance: { $sum: '$variance' },
+          overAmount: { $sum: { $cond: [{ $gt: ['$variance', 0] }, '$variance', 0] } },
+          shortAmount: { $sum: { $cond: [{ $lt: ['$variance', 0] }, { $abs: '$variance' }, 0] } },
+          overCount: { $sum: { $cond: [{ $gt: ['$variance', 0] }, 1, 0] } },
+          shortCount: { $sum: { $cond: [{ $lt: ['$variance', 0] }, 1, 0] } },
+          expectedCash: { $sum: '$expectedCash' },
+          countedCash: { $sum: '$countedCash' },
+        },
+      },
+      { $lookup: { from: 'branches', localField: '_id', foreignField: '_id', as: 'branch' } },
+      { $unwind: { path: '$branch', preserveNullAndEmptyArrays: true } },
+      { $sort: { shortAmount: -1 } },
+    ]);
+    const shifts = await populateShift(CashShift.find({ ...match, variance: { $ne: 0 } }))
+      .select('shiftNumber branch openedAt closedAt openedBy closedBy expectedCash countedCash variance closingNotes')
+      .sort({ closedAt: -1 })
+      .limit(50)
+      .lean();
+    const round = value => roundAmount(value || 0);
+    res.status(200).json({
+      success: true,
+      data: {
+        branches: branches.map(entry => ({
+          branchId: entry._id,
+          branchName: entry.branch ? translateField(entry.branch, 'name', lang) : null,
+          branchCode: entry.branch?.code,
+          shiftsCount: entry.shiftsCount,
+          totalVariance: round(entry.totalVariance),
+          overAmount: round(entry.overAmount),
+          shortAmount: round(entry.shortAmount),
+          overCount: entry.overCount,
+          shortCount: entry.shortCount,
+          expectedCash: round(entry.expectedCash),
+          countedCash: round(entry.countedCash),
+        })),
+        totals: {
+          shiftsCount: branches.reduce((sum, entry) => sum + entry.shiftsCount, 0),
+          totalVariance: round(branches.reduce((sum, entry) => sum + entry.totalVariance, 0)),
+          overAmount: round(branches.reduce((sum, entry) => sum + entry.overAmount, 0)),
+          shortAmount: round(branches.reduce((sum, entry) => sum + entry.shortAmount, 0)),
+        },
+        shifts: shifts.map(shift => formatShift(shift, lang)),
+      },
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching shift variances:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  openShift,
+  getCurrentShift,
+  getShifts,
+  getShiftReport,
+  closeShift,
+  getShiftVariances,
+};
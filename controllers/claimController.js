@@ -0,0 +1,611 @@
+// controllers/claimController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Claim = require('../models/Claim');
+const Order = require('../models/Order');
+const DeliveryDiscrepancy = require('../models/DeliveryDiscrepancy');
+const User = require('../models/User');
+const { announceNewOrder } = require('./orderController');
+const { emitSocketEvent } = require('../utils/helpers');
+const { createNotification } = require('../utils/notifications');
+const { postClaimCredit } = require('../utils/ledgerUtils');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
+const { toStoredFile, removeUploadedFiles } = require('../middleware/upload');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const getErrorStatus = (err) => {
+  if (err.message.includes('غير موجود') || err.message.includes('not found')) return 404;
+  if (err.message.includes('غير صالح') || err.message.includes('Invalid')) return 400;
+  return 500;
+};
+
+const CLOSED_STATUSES = ['credited', 'rejected'];
+
+const populateClaim = (query) => query
+  .populate('order', 'orderNumber status totalAmount adjustedTotal deliveredAt')
+  .populate('branch', 'name nameEn')
+  .populate('discrepancy', 'discrepancyNumber status')
+  .populate('items.product', 'name nameEn code unit unitEn')
+  .populate('settlement.reshipOrder', 'orderNumber status')
+  .populate('settlement.settledBy', 'username name nameEn')
+  .populate('evidence.uploadedBy', 'username name nameEn')
+  .populate('createdBy', 'username name nameEn')
+  .populate('statusHistory.changedBy', 'username name nameEn');
+
+const formatClaim = (claim, lang) => ({
+  ...claim,
+  branchName: claim.branch ? translateField(claim.branch, 'name', lang) : null,
+  createdByName: claim.createdBy ? translateField(claim.createdBy, 'name', lang) : null,
+  items: claim.items.map(item => ({
+    ...item,
+    productName: item.product ? translateField(item.product, 'name', lang) : null,
+    unit: item.product ? translateField(item.product, 'unit', lang) : null,
+  })),
+});
+
+const notifyClaimEvent = async (io, type, claim, message, extraData = {}) => {
+  const branchId = claim.branch?._id || claim.branch;
+  const users = await User.find({
+    $or: [
+      { role: { $in: ['admin', 'production'] } },
+      { role: 'branch', branch: branchId },
+    ],
+  }).select('_id').lean();
+  const data = {
+    claimId: claim._id,
+    claimNumber: claim.claimNumber,
+    orderId: claim.order?._id || claim.order,
+    branchId,
+    status: claim.status,
+    totalValue: claim.totalValue,
+    ...extraData,
+    eventId: `${claim._id}-${type}-${claim.status}`,
+  };
+  for (const user of users) {
+    try {
+      await createNotification(user._id, type, message, { ...data, eventId: `${data.eventId}-${user._id}` }, io, true);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Failed to notify user ${user._id} for ${type}:`, { error: err.message });
+    }
+  }
+  await emitSocketEvent(io, ['admin', 'production', `branch-${branchId}`], type, data);
+};
+
+// نتيجة المطالبة تسجل في سجل حالات الطلب دون تغيير حالته
+const recordOrderClaimHistory = async ({ claim, userId, notes, notesEn, isRtl, session }) => {
+  const order = await Order.findById(claim.order).session(session);
+  if (!order) {
+    throw new Error(isRtl ? 'الطلب غير موجود' : 'Order not found');
+  }
+  if (!order.claims.some(id => id.toString() === claim._id.toString())) {
+    order.claims.push(claim._id);
+  }
+  order.statusHistory.push({
+    status: order.status,
+    changedBy: userId,
+    notes,
+    notesEn,
+    changedAt: new Date(),
+  });
+  await order.save({ session, context: { isRtl } });
+  return order;
+};
+
+// الكميات المطالب بها سابقًا لكل عنصر في المطالبات غير المرفوضة
+const getClaimedQuantities = async (orderId, session) => {
+  const claims = await Claim.find({ order: orderId, status: { $ne: 'rejected' } }).select('items').session(session).lean();
+  const claimed = new Map();
+  for (const claim of claims) {
+    for (const item of claim.items) {
+      const key = item.itemId.toString();
+      claimed.set(key, (claimed.get(key) || 0) + item.quantity);
+    }
+  }
+  return claimed;
+};
+
+const itemsFromDiscrepancy = (discrepancy) => discrepancy.items.flatMap(item => [
+  ...(item.shortQuantity > 0 ? [{ itemId: item.itemId, quantity: item.shortQuantity, reason: 'short', notes: item.notes }] : []),
+  ...(item.damagedQuantity > 0 ? [{ itemId: item.itemId, quantity: item.damagedQuantity, reason: 'damaged', notes: item.notes }] : []),
+]);
+
+const resolveLinkedDiscrepancy = async ({ claim, userId, session }) => {
+  if (!claim.discrepancy) return;
+  await DeliveryDiscrepancy.updateOne(
+    { _id: claim.discrepancy, status: 'open' },
+    { $set: { status: 'resolved', resolvedBy: userId, resolvedAt: new Date() } },
+    { session }
+  );
+};
+
+const createClaim = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { order: orderId, discrepancy: discrepancyId, description = '' } = req.body;
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الطلب غير موجود' : 'Order not found' });
+    }
+    if (req.user.role === 'branch' && order.branch.toString() !== req.user.branchId?.toString()) {
+      await session.abortTransaction();
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    if (order.status !== 'delivered') {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'يمكن فتح مطالبة على الطلبات المسلمة فقط' : 'Claims can only be opened for delivered orders' });
+    }
+
+    let discrepancy = null;
+    if (discrepancyId) {
+      discrepancy = await DeliveryDiscrepancy.findById(discrepancyId).session(session);
+      if (!discrepancy || discrepancy.order.toString() !== order._id.toString()) {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: isRtl ? 'سجل الفرق غير صالح لهذا الطلب' : 'Invalid discrepancy for this order' });
+      }
+      if (discrepancy.status !== 'open') {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: isRtl ? 'سجل الفرق تمت تسويته مسبقًا' : 'Discrepancy is already resolved' });
+      }
+    }
+
+    const requestedItems = req.body.items?.length ? req.body.items : discrepancy ? itemsFromDiscrepancy(discrepancy) : [];
+    if (!requestedItems.length) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'يجب تحديد عنصر واحد على الأقل للمطالبة' : 'At least one item is required' });
+    }
+    const claimed = await getClaimedQuantities(order._id, session);
+    const items = [];
+    for (const entry of requestedItems) {
+      const orderItem = order.items.id(entry.itemId);
+      if (!orderItem) {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: isRtl ? `عنصر الطلب ${entry.itemId} غير صالح` : `Invalid order item ${entry.itemId}` });
+      }
+      const key = orderItem._id.toString();
+      const quantity = Number(entry.quantity);
+      const available = orderItem.quantity - (claimed.get(key) || 0);
+      if (quantity > available) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: isRtl
+            ? `الكمية المطالب بها للعنصر ${key} تتجاوز المتاح (${available})`
+            : `Claimed quantity for item ${key} exceeds available quantity (${available})`,
+        });
+      }
+      claimed.set(key, (claimed.get(key) || 0) + quantity);
+      items.push({
+        itemId: orderItem._id,
+        product: orderItem.product,
+        quantity,
+        price: orderItem.price,
+        reason: entry.reason,
+        notes: entry.notes?.trim(),
+      });
+    }
+
+    const claim = new Claim({
+      claimNumber: await nextDocumentNumber({ type: 'CLAIM', branch: order.branch, session }),
+      order: order._id,
+      branch: order.branch,
+      discrepancy: discrepancy?._id,
+      items,
+      description: description.trim(),
+      status: 'open',
+      createdBy: req.user.id,
+      statusHistory: [{
+        status: 'open',
+        changedBy: req.user.id,
+        notes: isRtl ? 'تم فتح المطالبة' : 'Claim opened',
+        changedAt: new Date(),
+      }],
+    });
+    await claim.save({ session });
+    await recordOrderClaimHistory({
+      claim,
+      userId: req.user.id,
+      notes: `تم فتح المطالبة ${claim.claimNumber}`,
+      notesEn: `Claim ${claim.claimNumber} opened`,
+      isRtl,
+      session,
+    });
+    await session.commitTransaction();
+
+    const populatedClaim = await populateClaim(Claim.findById(claim._id)).lean();
+    await notifyClaimEvent(
+      req.app.get('io'),
+      'claimCreated',
+      claim,
+      isRtl ? `تم فتح المطالبة ${claim.claimNumber} على الطلب ${order.orderNumber}` : `Claim ${claim.claimNumber} opened for order ${order.orderNumber}`,
+      { orderNumber: order.orderNumber }
+    );
+    res.status(201).json({
+      success: true,
+      data: formatClaim(populatedClaim, lang),
+      message: isRtl ? 'تم فتح المطالبة بنجاح' : 'Claim opened successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error creating claim:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const getClaims = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { status, branch, order, faultParty, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (faultParty) query.faultParty = faultParty;
+    if (branch && isValidObjectId(branch)) query.branch = branch;
+    if (order && isValidObjectId(order)) query.order = order;
+    if (req.user.role === 'branch') query.branch = req.user.branchId;
+    const [claims, total] = await Promise.all([
+      populateClaim(Claim.find(query))
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      Claim.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: claims.map(claim => formatClaim(claim, lang)),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching claims:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getClaimById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف المطالبة غير صالح' : 'Invalid claim ID' });
+    }
+    const claim = await populateClaim(Claim.findById(id)).lean();
+    if (!claim) {
+      return res.status(404).json({ success: false, message: isRtl ? 'المطالبة غير موجودة' : 'Claim not found' });
+    }
+    if (req.user.role === 'branch' && claim.branch?._id.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    res.status(200).json({ success: true, data: formatClaim(claim, lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching claim:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// بدء التحقيق في المطالبة من قبل الإنتاج
+const startInvestigation = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const claim = await Claim.findById(req.params.id);
+    if (!claim) {
+      return res.status(404).json({ success: false, message: isRtl ? 'المطالبة غير موجودة' : 'Claim not found' });
+    }
+    if (claim.status !== 'open') {
+      return res.status(400).json({ success: false, message: isRtl ? 'يمكن بدء التحقيق في المطالبات المفتوحة فقط' : 'Only open claims can be investigated' });
+    }
+    const { faultParty, notes = '' } = req.body;
+    claim.status = 'investigating';
+    if (faultParty) claim.faultParty = faultParty;
+    claim.statusHistory.push({
+      status: 'investigating',
+      changedBy: req.user.id,
+      notes: notes.trim() || (isRtl ? 'بدأ التحقيق في المطالبة' : 'Claim investigation started'),
+      changedAt: new Date(),
+    });
+    await claim.save();
+
+    const populatedClaim = await populateClaim(Claim.findById(claim._id)).lean();
+    await notifyClaimEvent(
+      req.app.get('io'),
+      'claimStatusUpdated',
+      claim,
+      isRtl ? `بدأ التحقيق في المطالبة ${claim.claimNumber}` : `Investigation started for claim ${claim.claimNumber}`
+    );
+    res.status(200).json({
+      success: true,
+      data: formatClaim(populatedClaim, lang),
+      message: isRtl ? 'تم بدء التحقيق في المطالبة' : 'Claim investigation started',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error starting claim investigation:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// إرفاق أدلة (صور) بالمطالبة قبل تسويتها
+const addClaimEvidence = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    if (!req.files?.length) {
+      return res.status(400).json({ success: false, message: isRtl ? 'يجب إرفاق ملف واحد على الأقل' : 'At least one file is required' });
+    }
+    const claim = await Claim.findById(req.params.id);
+    if (!claim) {
+      removeUploadedFiles(req.files);
+      return res.status(404).json({ success: false, message: isRtl ? 'المطالبة غير موجودة' : 'Claim not found' });
+    }
+    if (CLOSED_STATUSES.includes(claim.status)) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن إضافة أدلة لمطالبة مغلقة' : 'Cannot add evidence to a closed claim' });
+    }
+    const notes = req.body.notes?.trim();
+    for (const file of req.files) {
+      claim.evidence.push({ ...toStoredFile(file), notes, uploadedBy: req.user.id, uploadedAt: new Date() });
+    }
+    await claim.save();
+
+    const populatedClaim = await populateClaim(Claim.findById(claim._id)).lean();
+    res.status(200).json({
+      success: true,
+      data: formatClaim(populatedClaim, lang),
+      message: isRtl ? 'تم إرفاق الأدلة بالمطالبة' : 'Evidence attached to claim',
+    });
+  } catch (err) {
+    removeUploadedFiles(req.files);
+    console.error(`[${new Date().toISOString()}] Error adding claim evidence:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// إعادة شحن الكميات المطالب بها في طلب جديد بدون قيمة
+const createReshipOrder = async ({ claim, order, userId, isRtl, session }) => {
+  const items = [];
+  for (const item of claim.items) {
+    const existing = items.find(entry => entry.product.toString() === item.product.toString());
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      items.push({ product: item.product, quantity: item.quantity, price: 0, status: 'pending' });
+    }
+  }
+  const reshipOrder = new Order({
+    orderNumber: await nextDocumentNumber({ type: 'RESHIP_ORDER', branch: claim.branch, session }),
+    branch: claim.branch,
+    items,
+    status: 'pending',
+    source: 'claim',
+    notes: `إعادة شحن للمطالبة ${claim.claimNumber} على الطلب ${order.orderNumber}`,
+    notesEn: `Reshipment for claim ${claim.claimNumber} on order ${order.orderNumber}`,
+    priority: 'high',
+    createdBy: userId,
+    totalAmount: 0,
+    statusHistory: [{
+      status: 'pending',
+      changedBy: userId,
+      notes: `تم إنشاء الطلب لتسوية المطالبة ${claim.claimNumber}`,
+      notesEn: `Order created to settle claim ${claim.claimNumber}`,
+      changedAt: new Date(),
+    }],
+  });
+  await reshipOrder.save({ session, context: { isRtl } });
+  return reshipOrder;
+};
+
+const SETTLEMENT_LABELS = {
+  reship: { ar: 'إعادة الشحن', en: 'reshipment' },
+  credit: { ar: 'إشعار دائن', en: 'credit' },
+  write_off: { ar: 'شطب', en: 'write-off' },
+};
+
+// تسوية المطالبة بإعادة الشحن أو إشعار دائن على إجمالي الطلب أو الشطب
+const settleClaim = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const claim = await Claim.findById(req.params.id).session(session);
+    if (!claim) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'المطالبة غير موجودة' : 'Claim not found' });
+    }
+    if (CLOSED_STATUSES.includes(claim.status)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'المطالبة مغلقة مسبقًا' : 'Claim is already closed' });
+    }
+    const order = await Order.findById(claim.order).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الطلب غير موجود' : 'Order not found' });
+    }
+    const { method, faultParty, notes = '' } = req.body;
+    const amount = req.body.amount !== undefined ? Number(req.body.amount) : claim.totalValue;
+    if (method === 'credit' && amount > claim.totalValue) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: isRtl ? `قيمة الإشعار الدائن تتجاوز قيمة المطالبة (${claim.totalValue})` : `Credit amount exceeds claim value (${claim.totalValue})`,
+      });
+    }
+
+    let reshipOrder = null;
+    if (method === 'reship') {
+      reshipOrder = await createReshipOrder({ claim, order, userId: req.user.id, isRtl, session });
+    }
+    claim.status = 'credited';
+    if (faultParty) claim.faultParty = faultParty;
+    claim.settlement = {
+      method,
+      amount: method === 'credit' ? amount : claim.totalValue,
+      reshipOrder: reshipOrder?._id,
+      notes: notes.trim(),
+      settledBy: req.user.id,
+      settledAt: new Date(),
+    };
+    const label = SETTLEMENT_LABELS[method];
+    claim.statusHistory.push({
+      status: 'credited',
+      changedBy: req.user.id,
+      notes: notes.trim() || (isRtl ? `تمت تسوية المطالبة عبر ${label.ar}` : `Claim settled by ${label.en}`),
+      changedAt: new Date(),
+    });
+    await claim.save({ session });
+    await resolveLinkedDiscrepancy({ claim, userId: req.user.id, session });
+    await postClaimCredit({ claim, userId: req.user.id, session });
+
+    const settlementNote = method === 'reship'
+      ? { ar: `بالطلب ${reshipOrder.orderNumber}`, en: `with order ${reshipOrder.orderNumber}` }
+      : { ar: `بقيمة ${claim.settlement.amount}`, en: `for ${claim.settlement.amount}` };
+    await recordOrderClaimHistory({
+      claim,
+      userId: req.user.id,
+      notes: `تمت تسوية المطالبة ${claim.claimNumber} عبر ${label.ar} ${settlementNote.ar}`,
+      notesEn: `Claim ${claim.claimNumber} settled by ${label.en} ${settlementNote.en}`,
+      isRtl,
+      session,
+    });
+
+    const io = req.app.get('io');
+    if (reshipOrder) {
+      const populatedOrder = await Order.findById(reshipOrder._id)
+        .populate('branch', 'name nameEn')
+        .populate({ path: 'items.product', select: 'name nameEn price unit unitEn department', populate: { path: 'department', select: 'name nameEn code' } })
+        .populate('createdBy', 'username name nameEn')
+        .setOptions({ context: { isRtl } })
+        .session(session)
+        .lean();
+      await announceNewOrder(io, reshipOrder, populatedOrder, isRtl, session);
+    }
+    await session.commitTransaction();
+
+    const populatedClaim = await populateClaim(Claim.findById(claim._id)).lean();
+    await notifyClaimEvent(
+      io,
+      'claimStatusUpdated',
+      claim,
+      isRtl
+        ? `تمت تسوية المطالبة ${claim.claimNumber} عبر ${label.ar}`
+        : `Claim ${claim.claimNumber} settled by ${label.en}`,
+      { settlementMethod: method, reshipOrderId: reshipOrder?._id }
+    );
+    res.status(200).json({
+      success: true,
+      data: formatClaim(populatedClaim, lang),
+      message: isRtl ? 'تمت تسوية المطالبة بنجاح' : 'Claim settled successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error settling claim:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const rejectClaim = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const claim = await Claim.findById(req.params.id).session(session);
+    if (!claim) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'المطالبة غير موجودة' : 'Claim not found' });
+    }
+    if (CLOSED_STATUSES.includes(claim.status)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'المطالبة مغلقة مسبقًا' : 'Claim is already closed' });
+    }
+    const { reason, faultParty } = req.body;
+    claim.status = 'rejected';
+    claim.rejectionReason = reason.trim();
+    if (faultParty) claim.faultParty = faultParty;
+    claim.statusHistory.push({
+      status: 'rejected',
+      changedBy: req.user.id,
+      notes: reason.trim(),
+      changedAt: new Date(),
+    });
+    await claim.save({ session });
+    await resolveLinkedDiscrepancy({ claim, userId: req.user.id, session });
+    await recordOrderClaimHistory({
+      claim,
+      userId: req.user.id,
+      notes: `تم رفض المطالبة ${claim.claimNumber}: ${reason.trim()}`,
+      notesEn: `Claim ${claim.claimNumber} rejected: ${reason.trim()}`,
+      isRtl,
+      session,
+    });
+    await session.commitTransaction();
+
+    const populatedClaim = await populateClaim(Claim.findById(claim._id)).lean();
+    await notifyClaimEvent(
+      req.app.get('io'),
+      'claimStatusUpdated',
+      claim,
+      isRtl ? `تم رفض المطالبة ${claim.claimNumber}` : `Claim ${claim.claimNumber} rejected`
+    );
+    res.status(200).json({
+      success: true,
+      data: formatClaim(populatedClaim, lang),
+      message: isRtl ? 'تم رفض المطالبة' : 'Claim rejected',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error rejecting claim:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  createClaim,
+  getClaims,
+  getClaimById,
+  startInvestigation,
+  addClaimEvidence,
+  settleClaim,
+  rejectClaim,
+};
@@ -0,0 +1,411 @@
+// controllers/customerController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Customer = require('../models/Customer');
+const CustomerTransaction = require('../models/CustomerTransaction');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Branch = require('../models/Branch');
+const { findOpenShift, isShiftRequired } = require('../utils/shiftUtils');
+const {
+  normalizePhone,
+  isCustomerInScope,
+  findCustomerByPhone,
+  recordCustomerPayment,
+} = require('../utils/customerUtils');
+const { LOYALTY_POINT_VALUE } = require('../utils/loyaltyUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const TRANSACTION_TYPE_LABELS = {
+  sale: { ar: 'بيع آجل', en: 'Credit sale' },
+  sale_reversal: { ar: 'عكس بيع آجل', en: 'Credit sale reversal' },
+  refund: { ar: 'استرداد', en: 'Refund' },
+  payment: { ar: 'تحصيل', en: 'Payment' },
+};
+
+const LOYALTY_TYPE_LABELS = {
+  earn: { ar: 'اكتساب', en: 'Earned' },
+  redeem: { ar: 'استبدال', en: 'Redeemed' },
+  reversal: { ar: 'عكس', en: 'Reversal' },
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// مستخدم الفرع يعمل على فرعه فقط
+const resolveBranchScope = (req, branch) => (req.user.role === 'branch' ? req.user.branchId?.toString() : branch);
+
+const canAccessCustomer = (req, customer) => req.user.role !== 'branch' || isCustomerInScope(customer, req.user.branchId);
+
+const formatCustomer = (customer, lang) => ({
+  ...customer,
+  displayName: translateField(customer, 'name', lang),
+  branchName: customer.branch?.name ? translateField(customer.branch, 'name', lang) : null,
+  availableCredit: roundAmount((customer.creditLimit || 0) - (customer.balance || 0)),
+  loyaltyPointsValue: roundAmount((customer.loyaltyPoints || 0) * LOYALTY_POINT_VALUE),
+});
+
+const getCustomers = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { branch, search, hasBalance, page = 1, limit = 20 } = req.query;
+    const query = {};
+    const scopedBranch = resolveBranchScope(req, branch);
+    if (scopedBranch && isValidObjectId(scopedBranch)) query.branch = { $in: [scopedBranch, null] };
+    if (search) {
+      const pattern = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const or = [{ name: { $regex: pattern, $options: 'i' } }, { nameEn: { $regex: pattern, $options: 'i' } }];
+      if (normalizePhone(search)) or.push({ phone: { $regex: normalizePhone(search) } });
+      query.$or = or;
+    }
+    if (hasBalance === 'true') query.balance = { $gt: 0 };
+    const [customers, total] = await Promise.all([
+      Customer.find(query)
+        .populate('branch', 'name nameEn code')
+        .sort({ name: 1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      Customer.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: customers.map(customer => formatCustomer(customer, lang)),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching customers:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// البحث السريع برقم الهاتف من نقطة البيع
+const lookupCustomer = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const branch = resolveBranchScope(req, req.query.branch);
+    const customer = await findCustomerByPhone({ phone: req.query.phone, branch });
+    if (!customer) {
+      return res.status(404).json({ success: false, message: isRtl ? 'العميل غير موجود' : 'Customer not found' });
+    }
+    await customer.populate('branch', 'name nameEn code');
+    res.status(200).json({ success: true, data: formatCustomer(customer.toObject(), lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error looking up customer:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getCustomerById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف العميل غير صالح' : 'Invalid customer ID' });
+    }
+    const customer = await Customer.findById(id).populate('branch', 'name nameEn code').lean();
+    if (!customer) {
+      return res.status(404).json({ success: false, message: isRtl ? 'العميل غير موجود' : 'Customer not found' });
+    }
+    if (!canAccessCustomer(req, { ...customer, branch: customer.branch?._id })) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا العميل' : 'Unauthorized for this customer' });
+    }
+    res.status(200).json({ success: true, data: formatCustomer(customer, lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching customer:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const createCustomer = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { name, nameEn, phone, creditLimit, email, address, notes } = req.body;
+    const branch = resolveBranchScope(req, req.body.branch) || null;
+    if (branch && !(await Branch.exists({ _id: branch }))) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
+    }
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      return res.status(400).json({ success: false, message: isRtl ? 'رقم الهاتف غير صالح' : 'Invalid phone number' });
+    }
+    if (await Customer.exists({ phone: normalized, branch })) {
+      return res.status(400).json({ success: false, message: isRtl ? 'يوجد عميل مسجل بنفس رقم الهاتف' : 'A customer with this phone already exists', error: 'duplicate_phone' });
+    }
+    const customer = await new Customer({
+      name: name.trim(),
+      nameEn: nameEn?.trim(),
+      phone: normalized,
+      branch,
+      creditLimit: creditLimit !== undefined ? roundAmount(Number(creditLimit)) : 0,
+      email: email?.trim(),
+      address: address?.trim(),
+      notes: notes?.trim(),
+      createdBy: req.user.id,
+    }).save();
+    await customer.populate('branch', 'name nameEn code');
+    res.status(201).json({
+      success: true,
+      data: formatCustomer(customer.toObject(), lang),
+      message: isRtl ? 'تم إنشاء العميل بنجاح' : 'Customer created successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error creating customer:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const updateCustomer = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف العميل غير صالح' : 'Invalid customer ID' });
+    }
+    const customer = await Customer.findById(id);
+    if (!customer) {
+      return res.status(404).json({ success: false, message: isRtl ? 'العميل غير موجود' : 'Customer not found' });
+    }
+    // العملاء العامون يعدلهم المدير فقط
+    if (req.user.role === 'branch' && customer.branch?.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا العميل' : 'Unauthorized for this customer' });
+    }
+    const { name, nameEn, phone, creditLimit, email, address, notes, isActive } = req.body;
+    if (phone !== undefined) {
+      const normalized = normalizePhone(phone);
+      if (!normalized) {
+        return res.status(400).json({ success: false, message: isRtl ? 'رقم الهاتف غير صالح' : 'Invalid phone number' });
+      }
+      if (normalized !== customer.phone && await Customer.exists({ phone: normalized, branch: customer.branch, _id: { $ne: customer._id } })) {
+        return res.status(400).json({ success: false, message: isRtl ? 'يوجد عميل مسجل بنفس رقم الهاتف' : 'A customer with this phone already exists', error: 'duplicate_phone' });
+      }
+      customer.phone = normalized;
+    }
+    if (name !== undefined) customer.name = name.trim();
+    if (nameEn !== undefined) customer.nameEn = nameEn?.trim();
+    if (creditLimit !== undefined) customer.creditLimit = roundAmount(Number(creditLimit));
+    if (email !== undefined) customer.email = email?.trim();
+    if (address !== undefined) customer.address = address?.trim();
+    if (notes !== undefined) customer.notes = notes?.trim();
+    if (isActive !== undefined) customer.isActive = isActive;
+    await customer.save();
+    await customer.populate('branch', 'name nameEn code');
+    res.status(200).json({
+      success: true,
+      data: formatCustomer(customer.toObject(), lang),
+      message: isRtl ? 'تم تحديث العميل بنجاح' : 'Customer updated successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error updating customer:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// كشف حساب العميل: الحركات من الأحدث مع الرصيد بعد كل حركة
+const getCustomerTransactions = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف العميل غير صالح' : 'Invalid customer ID' });
+    }
+    const customer = await Customer.findById(id).lean();
+    if (!customer) {
+      return res.status(404).json({ success: false, message: isRtl ? 'العميل غير موجود' : 'Customer not found' });
+    }
+    if (!canAccessCustomer(req, customer)) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا العميل' : 'Unauthorized for this customer' });
+    }
+    const [transactions, total] = await Promise.all([
+      CustomerTransaction.find({ customer: id })
+        .populate('branch', 'name nameEn')
+        .populate('createdBy', 'username name nameEn')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      CustomerTransaction.countDocuments({ customer: id }),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: {
+        customer: formatCustomer(customer, lang),
+        transactions: transactions.map(transaction => ({
+          ...transaction,
+          transactionTypeLabel: TRANSACTION_TYPE_LABELS[transaction.transactionType]?.[isRtl ? 'ar' : 'en'],
+          displayDescription: isRtl ? transaction.description : transaction.descriptionEn || transaction.description,
+          branchName: transaction.branch ? translateField(transaction.branch, 'name', lang) : null,
+        })),
+      },
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching customer transactions:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// سجل نقاط الولاء للعميل مع قيمة الرصيد الحالي
+const getCustomerLoyalty = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف العميل غير صالح' : 'Invalid customer ID' });
+    }
+    const customer = await Customer.findById(id).lean();
+    if (!customer) {
+      return res.status(404).json({ success: false, message: isRtl ? 'العميل غير موجود' : 'Customer not found' });
+    }
+    if (!canAccessCustomer(req, customer)) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا العميل' : 'Unauthorized for this customer' });
+    }
+    const [transactions, total] = await Promise.all([
+      LoyaltyTransaction.find({ customer: id })
+        .populate('branch', 'name nameEn')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      LoyaltyTransaction.countDocuments({ customer: id }),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: {
+        loyaltyPoints: customer.loyaltyPoints || 0,
+        pointsValue: roundAmount((customer.loyaltyPoints || 0) * LOYALTY_POINT_VALUE),
+        transactions: transactions.map(transaction => ({
+          ...transaction,
+          transactionTypeLabel: LOYALTY_TYPE_LABELS[transaction.transactionType]?.[isRtl ? 'ar' : 'en'],
+          displayDescription: isRtl ? transaction.description : transaction.descriptionEn || transaction.description,
+          branchName: transaction.branch ? translateField(transaction.branch, 'name', lang) : null,
+        })),
+      },
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching customer loyalty:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// تحصيل دفعة من العميل؛ التحصيل في الفرع يُسجل على ورديته المفتوحة
+const createCustomerPayment = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف العميل غير صالح' : 'Invalid customer ID' });
+    }
+    const customer = await Customer.findById(id).session(session);
+    if (!customer) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'العميل غير موجود' : 'Customer not found' });
+    }
+    if (!canAccessCustomer(req, customer)) {
+      await session.abortTransaction();
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا العميل' : 'Unauthorized for this customer' });
+    }
+    const { amount, method, reference, notes } = req.body;
+    const branch = resolveBranchScope(req, req.body.branch) || customer.branch?.toString();
+    let shift = null;
+    if (branch) {
+      shift = await findOpenShift({ branch, session });
+      // النقد المحصل في الفرع يدخل صندوق الوردية
+      if (!shift && req.user.role === 'branch' && method === 'cash' && await isShiftRequired({ branch, session })) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: isRtl ? 'لا توجد وردية مفتوحة لاستلام النقد' : 'No open shift to receive the cash',
+          error: 'no_open_shift',
+        });
+      }
+    }
+    const result = await recordCustomerPayment({
+      customer: customer._id,
+      branch: branch || undefined,
+      amount: Number(amount),
+      method,
+      reference: reference?.trim(),
+      shift: shift?._id,
+      notes: notes?.trim(),
+      userId: req.user.id,
+      session,
+    });
+    if (!result) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: isRtl
+          ? `المبلغ يتجاوز الرصيد المستحق ${roundAmount(customer.balance)}`
+          : `Amount exceeds the outstanding balance ${roundAmount(customer.balance)}`,
+        error: 'amount_exceeds_balance',
+      });
+    }
+    await session.commitTransaction();
+    res.status(201).json({
+      success: true,
+      data: {
+        transaction: result.transaction.toObject(),
+        customer: formatCustomer(result.customer.toObject(), lang),
+      },
+      message: isRtl ? 'تم تسجيل التحصيل بنجاح' : 'Payment recorded successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error recording customer payment:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  getCustomers,
+  lookupCustomer,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  getCustomerTransactions,
+  getCustomerLoyalty,
+  createCustomerPayment,
+};
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const DeliveryDiscrepancy = require('../models/DeliveryDiscrepancy');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const populateDiscrepancy = (query) => query
+  .populate('order', 'orderNumber status deliveredAt deliveryProof')
+  .populate('branch', 'name nameEn')
+  .populate('trip', 'tripNumber')
+  .populate('items.product', 'name nameEn code unit unitEn')
+  .populate('reportedBy', 'username name nameEn')
+  .populate('resolvedBy', 'username name nameEn');
+
+const formatDiscrepancy = (discrepancy, lang) => ({
+  ...discrepancy,
+  branchName: discrepancy.branch ? translateField(discrepancy.branch, 'name', lang) : null,
+  reportedByName: discrepancy.reportedBy ? translateField(discrepancy.reportedBy, 'name', lang) : null,
+  items: discrepancy.items.map(item => ({
+    ...item,
+    productName: item.product ? translateField(item.product, 'name', lang) : null,
+    unit: item.product ? translateField(item.product, 'unit', lang) : null,
+  })),
+});
+
+const getDeliveryDiscrepancies = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { status, branch, order, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (branch && isValidObjectId(branch)) query.branch = branch;
+    if (order && isValidObjectId(order)) query.order = order;
+    if (req.user.role === 'branch') query.branch = req.user.branchId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    const [discrepancies, total] = await Promise.all([
+      populateDiscrepancy(DeliveryDiscrepancy.find(query))
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      DeliveryDiscrepancy.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: discrepancies.map(discrepancy => formatDiscrepancy(discrepancy, lang)),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching delivery discrepancies:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getDeliveryDiscrepancyById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف سجل الفرق غير صالح' : 'Invalid discrepancy ID' });
+    }
+    const discrepancy = await populateDiscrepancy(DeliveryDiscrepancy.findById(id)).lean();
+    if (!discrepancy) {
+      return res.status(404).json({ success: false, message: isRtl ? 'سجل الفرق غير موجود' : 'Discrepancy not found' });
+    }
+    if (req.user.role === 'branch' && discrepancy.branch?._id.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    res.status(200).json({ success: true, data: formatDiscrepancy(discrepancy, lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching delivery discrepancy:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+module.exports = { getDeliveryDiscrepancies, getDeliveryDiscrepancyById };
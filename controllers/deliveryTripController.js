@@ -0,0 +1,546 @@
+// controllers/deliveryTripController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const DeliveryTrip = require('../models/DeliveryTrip');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { dispatchOrder, announceOrderInTransit, deliverOrder, announceOrderDelivered } = require('../utils/orderDelivery');
+const { emitSocketEvent } = require('../utils/helpers');
+const { createNotification } = require('../utils/notifications');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+// أخطاء التحقق تحمل رمز حالة HTTP؛ أي خطأ آخر خطأ في السيرفر
+const tripError = (status, message) => Object.assign(new Error(message), { status });
+
+const getErrorStatus = (err) => err.status || (err.name === 'ValidationError' ? 400 : 500);
+
+const populateTrip = (query) => query
+  .populate('driver', 'username name nameEn phone')
+  .populate('stops.branch', 'name nameEn address')
+  .populate('stops.orders', 'orderNumber status items totalAmount')
+  .populate('stops.deliveredBy', 'username name nameEn')
+  .populate('createdBy', 'username name nameEn')
+  .populate('statusHistory.changedBy', 'username name nameEn');
+
+const formatTrip = (trip, lang) => ({
+  ...trip,
+  driverName: trip.driver ? translateField(trip.driver, 'name', lang) : null,
+  stops: trip.stops
+    .slice()
+    .sort((a, b) => a.sequence - b.sequence)
+    .map(stop => ({
+      ...stop,
+      branchName: stop.branch ? translateField(stop.branch, 'name', lang) : null,
+    })),
+  progress: {
+    delivered: trip.stops.filter(stop => stop.status === 'delivered').length,
+    total: trip.stops.length,
+  },
+});
+
+// السائق يتعامل مع رحلاته فقط
+const canOperateTrip = (user, trip) => user.role !== 'driver' || trip.driver.toString() === user.id.toString();
+
+// التحقق من أن الطلبات مكتملة وتخص فرع المحطة وغير مرتبطة برحلة أخرى
+const validateStops = async ({ stops, tripId, isRtl, session }) => {
+  const orderIds = stops.flatMap(stop => stop.orders);
+  if (new Set(orderIds.map(String)).size !== orderIds.length) {
+    throw tripError(400, isRtl ? 'الطلب مكرر في الرحلة' : 'An order appears more than once in the trip');
+  }
+  const orders = await Order.find({ _id: { $in: orderIds } }).select('orderNumber branch status trip').session(session).lean();
+  const orderMap = new Map(orders.map(order => [order._id.toString(), order]));
+  for (const stop of stops) {
+    for (const orderId of stop.orders) {
+      const order = orderMap.get(orderId.toString());
+      if (!order) {
+        throw tripError(404, isRtl ? `الطلب ${orderId} غير موجود` : `Order ${orderId} not found`);
+      }
+      if (order.status !== 'completed') {
+        throw tripError(400, isRtl ? `الطلب ${order.orderNumber} لم يكتمل إنتاجه بعد` : `Order ${order.orderNumber} is not ready to ship`);
+      }
+      if (order.branch.toString() !== stop.branch.toString()) {
+        throw tripError(400, isRtl ? `الطلب ${order.orderNumber} لا يخص فرع المحطة` : `Order ${order.orderNumber} does not belong to the stop branch`);
+      }
+      if (order.trip && order.trip.toString() !== tripId?.toString()) {
+        throw tripError(409, isRtl ? `الطلب ${order.orderNumber} مرتبط برحلة أخرى` : `Order ${order.orderNumber} is already on another trip`);
+      }
+    }
+  }
+  return orderIds;
+};
+
+const validateDriver = async ({ driver, isRtl, session }) => {
+  const driverDoc = await User.findOne({ _id: driver, role: 'driver', isActive: true }).select('_id name nameEn').session(session).lean();
+  if (!driverDoc) {
+    throw tripError(404, isRtl ? 'السائق غير موجود' : 'Driver not found');
+  }
+  return driverDoc;
+};
+
+// إشعار الإدمن والإنتاج والسائق وفروع الرحلة؛ معرف حدث لكل مستخدم حتى لا يمنع منع التكرار حفظ الإشعار لغيره
+const notifyTripEvent = async (io, type, trip, message, { branches, ...extraData } = {}) => {
+  const branchIds = branches || trip.stops.map(stop => stop.branch?._id || stop.branch);
+  const users = await User.find({
+    $or: [
+      { role: { $in: ['admin', 'production'] } },
+      { _id: trip.driver?._id || trip.driver },
+      ...(branchIds.length ? [{ role: 'branch', branch: { $in: branchIds } }] : []),
+    ],
+  }).select('_id').lean();
+  const data = {
+    tripId: trip._id,
+    tripNumber: trip.tripNumber,
+    driverId: trip.driver?._id || trip.driver,
+    status: trip.status,
+    ...extraData,
+    eventId: `${trip._id}-${type}-${extraData.stopId || trip.status}`,
+  };
+  for (const user of users) {
+    try {
+      await createNotification(user._id, type, message, { ...data, eventId: `${data.eventId}-${user._id}` }, io, true);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Failed to notify user ${user._id} for ${type}:`, { error: err.message });
+    }
+  }
+  await emitSocketEvent(io, ['admin', 'production', `driver-${data.driverId}`, ...branchIds.map(id => `branch-${id}`)], type, data);
+};
+
+const createTrip = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { driver, vehicle, scheduledAt, notes, stops } = req.body;
+    await validateDriver({ driver, isRtl, session });
+    const orderIds = await validateStops({ stops, isRtl, session });
+
+    const trip = new DeliveryTrip({
+      tripNumber: await nextDocumentNumber({ type: 'DELIVERY_TRIP', session }),
+      driver,
+      vehicle: { plateNumber: vehicle.plateNumber.trim(), description: vehicle.description?.trim() },
+      stops: stops.map((stop, index) => ({ sequence: index + 1, branch: stop.branch, orders: stop.orders, notes: stop.notes?.trim() })),
+      scheduledAt: scheduledAt ? new Date(scheduledAt) : undefined,
+      notes: notes?.trim(),
+      createdBy: req.user.id,
+      statusHistory: [{
+        status: 'planned',
+        changedBy: req.user.id,
+        notes: isRtl ? 'تم إنشاء الرحلة' : 'Trip created',
+        changedAt: new Date(),
+      }],
+    });
+    await trip.save({ session });
+    await Order.updateMany({ _id: { $in: orderIds } }, { $set: { trip: trip._id } }, { session });
+    await session.commitTransaction();
+
+    const populatedTrip = await populateTrip(DeliveryTrip.findById(trip._id)).lean();
+    await notifyTripEvent(
+      req.app.get('io'),
+      'tripAssigned',
+      trip,
+      isRtl ? `تم تعيين الرحلة ${trip.tripNumber} بعدد ${trip.stops.length} محطة` : `Trip ${trip.tripNumber} assigned with ${trip.stops.length} stops`,
+      { branches: [] }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: formatTrip(populatedTrip, lang),
+      message: isRtl ? 'تم إنشاء الرحلة بنجاح' : 'Trip created successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error creating delivery trip:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: err.status ? err.message : (isRtl ? 'خطأ في السيرفر' : 'Server error'), error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const getTrips = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { status, driver, branch, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (driver && isValidObjectId(driver)) query.driver = driver;
+    if (branch && isValidObjectId(branch)) query['stops.branch'] = branch;
+    if (req.user.role === 'driver') query.driver = req.user.id;
+    if (req.user.role === 'branch') query['stops.branch'] = req.user.branchId;
+    const [trips, total] = await Promise.all([
+      populateTrip(DeliveryTrip.find(query))
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      DeliveryTrip.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: trips.map(trip => formatTrip(trip, lang)),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching delivery trips:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getTripById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الرحلة غير صالح' : 'Invalid trip ID' });
+    }
+    const trip = await populateTrip(DeliveryTrip.findById(id)).lean();
+    if (!trip) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الرحلة غير موجودة' : 'Trip not found' });
+    }
+    if (req.user.role === 'driver' && trip.driver?._id.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذه الرحلة' : 'Not authorized for this trip' });
+    }
+    if (req.user.role === 'branch' && !trip.stops.some(stop => stop.branch?._id.toString() === req.user.branchId?.toString())) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذه الرحلة' : 'Not authorized for this trip' });
+    }
+    res.status(200).json({ success: true, data: formatTrip(trip, lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching delivery trip:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// تعديل الرحلة قبل بدئها: السائق والمركبة وترتيب المحطات والطلبات
+const updateTrip = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const trip = await DeliveryTrip.findById(req.params.id).session(session);
+    if (!trip) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الرحلة غير موجودة' : 'Trip not found' });
+    }
+    if (trip.status !== 'planned') {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن تعديل رحلة بدأت أو انتهت' : 'Only planned trips can be edited' });
+    }
+    const { driver, vehicle, scheduledAt, notes, stops } = req.body;
+    if (driver !== undefined) {
+      await validateDriver({ driver, isRtl, session });
+      trip.driver = driver;
+    }
+    if (vehicle !== undefined) {
+      trip.vehicle = { plateNumber: vehicle.plateNumber.trim(), description: vehicle.description?.trim() };
+    }
+    if (scheduledAt !== undefined) trip.scheduledAt = scheduledAt ? new Date(scheduledAt) : undefined;
+    if (notes !== undefined) trip.notes = notes?.trim();
+    if (stops !== undefined) {
+      const orderIds = await validateStops({ stops, tripId: trip._id, isRtl, session });
+      await Order.updateMany({ trip: trip._id, _id: { $nin: orderIds } }, { $unset: { trip: '' } }, { session });
+      await Order.updateMany({ _id: { $in: orderIds } }, { $set: { trip: trip._id } }, { session });
+      trip.stops = stops.map((stop, index) => ({ sequence: index + 1, branch: stop.branch, orders: stop.orders, notes: stop.notes?.trim() }));
+    }
+    await trip.save({ session });
+    await session.commitTransaction();
+
+    const populatedTrip = await populateTrip(DeliveryTrip.findById(trip._id)).lean();
+    await emitSocketEvent(req.app.get('io'), ['admin', 'production', `driver-${trip.driver}`], 'tripUpdated', {
+      tripId: trip._id,
+      tripNumber: trip.tripNumber,
+      driverId: trip.driver,
+      eventId: `${trip._id}-tripUpdated-${Date.now()}`,
+    });
+    res.status(200).json({
+      success: true,
+      data: formatTrip(populatedTrip, lang),
+      message: isRtl ? 'تم تحديث الرحلة بنجاح' : 'Trip updated successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error updating delivery trip:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: err.status ? err.message : (isRtl ? 'خطأ في السيرفر' : 'Server error'), error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+// بدء الرحلة ينقل كل طلباتها إلى "في الطريق"
+const startTrip = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const trip = await DeliveryTrip.findById(req.params.id).session(session);
+    if (!trip) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الرحلة غير موجودة' : 'Trip not found' });
+    }
+    if (!canOperateTrip(req.user, trip)) {
+      await session.abortTransaction();
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذه الرحلة' : 'Not authorized for this trip' });
+    }
+    if (trip.status !== 'planned') {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'الرحلة ليست في حالة التخطيط' : 'Trip is not planned' });
+    }
+
+    const dispatched = [];
+    for (const stop of trip.stops) {
+      for (const orderId of stop.orders) {
+        const order = await Order.findById(orderId).setOptions({ context: { isRtl } }).session(session);
+        if (!order || order.status !== 'completed') {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: isRtl ? `الطلب ${order?.orderNumber || orderId} ليس في حالة "مكتمل"` : `Order ${order?.orderNumber || orderId} is not completed`,
+          });
+        }
+        await dispatchOrder({
+          order,
+          userId: req.user.id,
+          notes: isRtl ? `تم شحن الطلب ضمن الرحلة ${trip.tripNumber}` : `Order shipped on trip ${trip.tripNumber}`,
+          notesEn: `Order shipped on trip ${trip.tripNumber}`,
+          isRtl,
+          session,
+        });
+        dispatched.push(order);
+      }
+    }
+    trip.status = 'in_progress';
+    trip.startedAt = new Date();
+    trip.statusHistory.push({
+      status: 'in_progress',
+      changedBy: req.user.id,
+      notes: isRtl ? 'بدأت الرحلة' : 'Trip started',
+      changedAt: new Date(),
+    });
+    await trip.save({ session });
+    await session.commitTransaction();
+
+    const io = req.app.get('io');
+    for (const order of dispatched) {
+      const populatedOrder = await Order.findById(order._id).populate('branch', 'name nameEn').setOptions({ context: { isRtl } }).lean();
+      await announceOrderInTransit({ io, order, populatedOrder, user: { id: req.user.id, username: req.user.username }, isRtl });
+    }
+    await notifyTripEvent(
+      io,
+      'tripStarted',
+      trip,
+      isRtl ? `بدأت الرحلة ${trip.tripNumber}` : `Trip ${trip.tripNumber} started`
+    );
+
+    const populatedTrip = await populateTrip(DeliveryTrip.findById(trip._id)).lean();
+    res.status(200).json({
+      success: true,
+      data: formatTrip(populatedTrip, lang),
+      message: isRtl ? 'تم بدء الرحلة' : 'Trip started',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error starting delivery trip:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(getErrorStatus(err)).json({ success: false, message: err.status ? err.message : (isRtl ? 'خطأ في السيرفر' : 'Server error'), error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+// تسليم محطة: تمر طلباتها بمسار التسليم المعتاد، وتكتمل الرحلة بتسليم آخر محطة
+const deliverStop = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id, stopId } = req.params;
+    const trip = await DeliveryTrip.findById(id).session(session);
+    if (!trip) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الرحلة غير موجودة' : 'Trip not found' });
+    }
+    if (!canOperateTrip(req.user, trip)) {
+      await session.abortTransaction();
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذه الرحلة' : 'Not authorized for this trip' });
+    }
+    if (trip.status !== 'in_progress') {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'الرحلة ليست قيد التنفيذ' : 'Trip is not in progress' });
+    }
+    const stop = trip.stops.id(stopId);
+    if (!stop) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'المحطة غير موجودة' : 'Stop not found' });
+    }
+    if (stop.status === 'delivered') {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'تم تسليم هذه المحطة مسبقًا' : 'Stop already delivered' });
+    }
+
+    const delivered = [];
+    for (const orderId of stop.orders) {
+      const order = await Order.findById(orderId).session(session);
+      // الطلب الذي أكد الفرع استلامه قبل وصول السائق لا يعاد تسليمه
+      if (order?.status === 'delivered') continue;
+      if (!order || order.status !== 'in_transit') {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: isRtl ? `الطلب ${order?.orderNumber || orderId} ليس في حالة "في الطريق"` : `Order ${order?.orderNumber || orderId} is not in transit`,
+        });
+      }
+      await deliverOrder({
+        order,
+        userId: req.user.id,
+        notes: isRtl ? `تم التسليم بواسطة السائق ضمن الرحلة ${trip.tripNumber}` : `Delivered by driver on trip ${trip.tripNumber}`,
+        notesEn: `Delivered by driver on trip ${trip.tripNumber}`,
+        session,
+      });
+      delivered.push(order);
+    }
+    stop.status = 'delivered';
+    stop.deliveredAt = new Date();
+    stop.deliveredBy = req.user.id;
+    if (req.body.notes) stop.notes = req.body.notes.trim();
+    const tripCompleted = trip.stops.every(entry => entry.status === 'delivered');
+    if (tripCompleted) {
+      trip.status = 'completed';
+      trip.completedAt = new Date();
+      trip.statusHistory.push({
+        status: 'completed',
+        changedBy: req.user.id,
+        notes: isRtl ? 'تم تسليم جميع المحطات' : 'All stops delivered',
+        changedAt: new Date(),
+      });
+    }
+    await trip.save({ session });
+    await session.commitTransaction();
+
+    const io = req.app.get('io');
+    for (const order of delivered) {
+      const populatedOrder = await Order.findById(order._id)
+        .populate('branch', 'name nameEn')
+        .populate({ path: 'items.product', select: 'name nameEn' })
+        .lean();
+      await announceOrderDelivered({ io, order, populatedOrder, isRtl });
+    }
+    await notifyTripEvent(
+      io,
+      'tripStopDelivered',
+      trip,
+      isRtl ? `تم تسليم المحطة ${stop.sequence} في الرحلة ${trip.tripNumber}` : `Stop ${stop.sequence} of trip ${trip.tripNumber} delivered`,
+      { branches: [stop.branch], stopId: stop._id, branchId: stop.branch }
+    );
+    if (tripCompleted) {
+      await notifyTripEvent(
+        io,
+        'tripCompleted',
+        trip,
+        isRtl ? `اكتملت الرحلة ${trip.tripNumber}` : `Trip ${trip.tripNumber} completed`,
+        { branches: [] }
+      );
+    }
+
+    const populatedTrip = await populateTrip(DeliveryTrip.findById(trip._id)).lean();
+    res.status(200).json({
+      success: true,
+      data: formatTrip(populatedTrip, lang),
+      message: isRtl ? 'تم تسليم المحطة' : 'Stop delivered',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error delivering trip stop:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(getErrorStatus(err)).json({ success: false, message: err.status ? err.message : (isRtl ? 'خطأ في السيرفر' : 'Server error'), error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+// إلغاء رحلة لم تبدأ وفك ارتباط طلباتها
+const cancelTrip = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const trip = await DeliveryTrip.findById(req.params.id).session(session);
+    if (!trip) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الرحلة غير موجودة' : 'Trip not found' });
+    }
+    if (trip.status !== 'planned') {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن إلغاء رحلة بدأت أو انتهت' : 'Only planned trips can be cancelled' });
+    }
+    await Order.updateMany({ trip: trip._id }, { $unset: { trip: '' } }, { session });
+    trip.status = 'cancelled';
+    trip.statusHistory.push({
+      status: 'cancelled',
+      changedBy: req.user.id,
+      notes: req.body.reason?.trim() || (isRtl ? 'تم إلغاء الرحلة' : 'Trip cancelled'),
+      changedAt: new Date(),
+    });
+    await trip.save({ session });
+    await session.commitTransaction();
+
+    await emitSocketEvent(req.app.get('io'), ['admin', 'production', `driver-${trip.driver}`], 'tripCancelled', {
+      tripId: trip._id,
+      tripNumber: trip.tripNumber,
+      driverId: trip.driver,
+      eventId: `${trip._id}-tripCancelled`,
+    });
+    res.status(200).json({ success: true, data: trip, message: isRtl ? 'تم إلغاء الرحلة' : 'Trip cancelled' });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error cancelling delivery trip:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  createTrip,
+  getTrips,
+  getTripById,
+  updateTrip,
+  startTrip,
+  deliverStop,
+  cancelTrip,
+};
@@ -3,8 +3,9 @@ const { validationResult } = require('express-validator');
 const FactoryOrder = require('../models/FactoryOrder');
 const Product = require('../models/Product');
 const User = require('../models/User');
-const FactoryInventory = require('../models/FactoryInventory');
-const FactoryInventoryHistory = require('../models/FactoryInventoryHistory');
+const { consumeRecipeMaterials, INSUFFICIENT_RAW_MATERIAL } = require('../utils/recipeUtils');
+const { updateFactoryStock } = require('../utils/factoryInventoryUtils');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
 
 const isValidObjectId = (id) => mongoose.isValidObjectId(id);
 
@@ -23,7 +24,7 @@ const createFactoryOrder = async (req, res) => {
       await session.abortTransaction();
       return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
     }
-    const { orderNumber, items, notes, priority } = req.body;
+    const { items, notes, priority } = req.body;
     if (!items.every(item => isValidObjectId(item.product) && item.quantity > 0)) {
       await session.abortTransaction();
       return res.status(400).json({ success: false, message: isRtl ? 'بيانات المنتج أو الكمية غير صالحة' : 'Invalid product or quantity data' });
@@ -61,7 +62,7 @@ const createFactoryOrder = async (req, res) => {
     });
     const allAssigned = orderItems.every(i => i.status === 'assigned');
     const order = new FactoryOrder({
-      orderNumber,
+      orderNumber: await nextDocumentNumber({ type: 'FACTORY_ORDER', session }),
       items: orderItems,
       status: req.user.role === 'chef' ? 'requested' : allAssigned ? 'in_production' : 'approved',
       notes: notes || '',
@@ -390,6 +391,18 @@ const updateItemStatus = async (req, res) => {
   }
 };
 
+// إضافة الكمية المنتجة لمخزون المصنع كدفعة إنتاج جديدة
+const stockProducedItem = (order, item, userId, session) => updateFactoryStock({
+  product: item.product,
+  quantity: item.quantity,
+  type: 'produced_stock',
+  reference: `إنتاج طلب المصنع #${order.orderNumber}`,
+  referenceType: 'factory_order',
+  referenceId: order._id,
+  createdBy: userId,
+  session,
+});
+
 const updateFactoryOrderStatus = async (req, res) => {
   const session = await mongoose.startSession();
   const lang = req.query.lang || 'ar';
@@ -430,31 +443,13 @@ const updateFactoryOrderStatus = async (req, res) => {
       return res.status(400).json({ success: false, message: isRtl ? 'انتقال الحالة غير صالح' : 'Invalid status transition' });
     }
     order.status = status;
-    await order.save({ session });
-    if (status === 'stocked') {
+    if (status === 'stocked' && !order.inventoryProcessed) {
       for (const item of order.items) {
-        const inventory = await FactoryInventory.findOne({ product: item.product }).session(session);
-        if (inventory) {
-          inventory.quantity += item.quantity;
-          await inventory.save({ session });
-        } else {
-          const newInventory = new FactoryInventory({
-            product: item.product,
-            quantity: item.quantity,
-            department: item.department,
-          });
-          await newInventory.save({ session });
-        }
-        const history = new FactoryInventoryHistory({
-          product: item.product,
-          quantity: item.quantity,
-          action: 'stocked',
-          order: order._id,
-          performedBy: req.user.id,
-        });
-        await history.save({ session });
+        await stockProducedItem(order, item, req.user.id, session);
       }
+      order.inventoryProcessed = true;
     }
+    await order.save({ session });
     const populatedOrder = await FactoryOrder.findById(id)
       .populate({
         path: 'items.product',
@@ -513,26 +508,16 @@ const confirmFactoryProduction = async (req, res) => {
       return res.status(400).json({ success: false, message: isRtl ? 'الطلب تم معالجته بالفعل' : 'Order already processed' });
     }
     for (const item of order.items) {
-      const inventory = await FactoryInventory.findOne({ product: item.product }).session(session);
-      if (inventory) {
-        inventory.quantity += item.quantity;
-        await inventory.save({ session });
-      } else {
-        const newInventory = new FactoryInventory({
-          product: item.product,
-          quantity: item.quantity,
-          department: item.department,
-        });
-        await newInventory.save({ session });
-      }
-      const history = new FactoryInventoryHistory({
+      await consumeRecipeMaterials({
         product: item.product,
         quantity: item.quantity,
-        action: 'stocked',
-        order: order._id,
-        performedBy: req.user.id,
+        reference: `إنتاج طلب المصنع #${order.orderNumber}`,
+        referenceType: 'factory_order',
+        referenceId: order._id,
+        createdBy: req.user.id,
+        session,
       });
-      await history.save({ session });
+      await stockProducedItem(order, item, req.user.id, session);
     }
     order.inventoryProcessed = true;
     await order.save({ session });
@@ -563,6 +548,9 @@ const confirmFactoryProduction = async (req, res) => {
   } catch (err) {
     await session.abortTransaction();
     console.error(`[${new Date().toISOString()}] Error confirming factory production:`, err.message);
+    if (err.code === INSUFFICIENT_RAW_MATERIAL) {
+      return res.status(err.status).json({ success: false, message: isRtl ? 'المواد الخام غير كافية لتأكيد الإنتاج' : 'Insufficient raw materials to confirm production', error: err.message, details: err.details });
+    }
     res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
   } finally {
     session.endSession();
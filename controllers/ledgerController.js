@@ -0,0 +1,259 @@
+// controllers/ledgerController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const BranchInvoice = require('../models/BranchInvoice');
+const Branch = require('../models/Branch');
+const {
+  recordBranchPayment,
+  buildBranchStatement,
+  buildAgingReport,
+  syncBranchLedger,
+} = require('../utils/ledgerUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const ENTRY_TYPE_LABELS = {
+  invoice: { ar: 'فاتورة', en: 'Invoice' },
+  return_credit: { ar: 'مرتجع', en: 'Return credit' },
+  claim_credit: { ar: 'إشعار دائن لمطالبة', en: 'Claim credit' },
+  discrepancy_credit: { ar: 'فرق استلام', en: 'Receipt discrepancy credit' },
+  payment: { ar: 'دفعة', en: 'Payment' },
+};
+
+// مستخدم الفرع يرى حساب فرعه فقط
+const resolveBranchScope = (req, branch) => (req.user.role === 'branch' ? req.user.branchId?.toString() : branch);
+
+const getInvoices = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { branch, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const query = {};
+    const scopedBranch = resolveBranchScope(req, branch);
+    if (scopedBranch && isValidObjectId(scopedBranch)) query.branch = scopedBranch;
+    if (startDate || endDate) {
+      query.issuedAt = {};
+      if (startDate) query.issuedAt.$gte = new Date(startDate);
+      if (endDate) query.issuedAt.$lte = new Date(endDate);
+    }
+    const [invoices, total] = await Promise.all([
+      BranchInvoice.find(query)
+        .populate('branch', 'name nameEn code')
+        .populate('order', 'orderNumber deliveredAt adjustedTotal')
+        .sort({ issuedAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      BranchInvoice.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: invoices.map(invoice => ({
+        ...invoice,
+        branchName: invoice.branch ? translateField(invoice.branch, 'name', lang) : null,
+      })),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching branch invoices:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getInvoiceById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفاتورة غير صالح' : 'Invalid invoice ID' });
+    }
+    const invoice = await BranchInvoice.findById(id)
+      .populate('branch', 'name nameEn code address addressEn city cityEn phone')
+      .populate('order', 'orderNumber deliveredAt adjustedTotal')
+      .populate('items.product', 'name nameEn code unit unitEn')
+      .populate('createdBy', 'username name nameEn')
+      .lean();
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الفاتورة غير موجودة' : 'Invoice not found' });
+    }
+    if (req.user.role === 'branch' && invoice.branch?._id.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    res.status(200).json({
+      success: true,
+      data: {
+        ...invoice,
+        branchName: invoice.branch ? translateField(invoice.branch, 'name', lang) : null,
+        items: invoice.items.map(item => ({
+          ...item,
+          productName: item.product ? translateField(item.product, 'name', lang) : null,
+          unit: item.product ? translateField(item.product, 'unit', lang) : null,
+        })),
+      },
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching branch invoice:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// تسجيل دفعة من الفرع للمصنع كقيد دائن
+const createPayment = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { branch, amount, method, reference, paidAt, notes } = req.body;
+    const branchDoc = await Branch.findById(branch).select('name nameEn').session(session);
+    if (!branchDoc) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
+    }
+    const entry = await recordBranchPayment({
+      branch,
+      amount: Number(amount),
+      method,
+      reference: reference?.trim(),
+      paidAt: paidAt ? new Date(paidAt) : undefined,
+      notes: notes?.trim(),
+      userId: req.user.id,
+      session,
+    });
+    await session.commitTransaction();
+    res.status(201).json({
+      success: true,
+      data: { ...entry.toObject(), branchName: translateField(branchDoc, 'name', lang) },
+      message: isRtl ? 'تم تسجيل الدفعة بنجاح' : 'Payment recorded successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error recording branch payment:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const getBranchStatement = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { branchId } = req.params;
+    if (req.user.role === 'branch' && branchId !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    const branch = await Branch.findById(branchId).select('name nameEn code').lean();
+    if (!branch) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
+    }
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getFullYear(), endDate.getMonth(), 1);
+    if (startDate > endDate) {
+      return res.status(400).json({ success: false, message: isRtl ? 'تاريخ البداية يجب أن يسبق تاريخ النهاية' : 'Start date must be before end date' });
+    }
+    const statement = await buildBranchStatement({ branch: branchId, startDate, endDate });
+    res.status(200).json({
+      success: true,
+      data: {
+        ...statement,
+        branchName: translateField(branch, 'name', lang),
+        entries: statement.entries.map(entry => ({
+          ...entry,
+          entryTypeLabel: ENTRY_TYPE_LABELS[entry.entryType]?.[isRtl ? 'ar' : 'en'],
+          displayDescription: isRtl ? entry.description : entry.descriptionEn || entry.description,
+        })),
+      },
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error building branch statement:`, { error: err.message, stack: err.stack, params: req.params, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getAgingReport = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const branch = resolveBranchScope(req, req.query.branch);
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    const report = await buildAgingReport({ branch, asOf });
+    const branches = await Branch.find({ _id: { $in: report.branches.map(entry => entry.branch) } }).select('name nameEn code').lean();
+    res.status(200).json({
+      success: true,
+      data: {
+        ...report,
+        branches: report.branches.map((entry) => {
+          const branchDoc = branches.find(doc => doc._id.toString() === entry.branch);
+          return {
+            ...entry,
+            branchName: branchDoc ? translateField(branchDoc, 'name', lang) : null,
+            branchCode: branchDoc?.code,
+          };
+        }),
+      },
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error building aging report:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// ترحيل المستندات التي سبقت تفعيل الحساب
+const syncLedger = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const result = await syncBranchLedger({ branch: req.body.branch, userId: req.user.id, session });
+    await session.commitTransaction();
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: isRtl ? 'تم ترحيل المستندات إلى حساب الفروع' : 'Documents posted to branch ledger',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error syncing branch ledger:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoiceById,
+  createPayment,
+  getBranchStatement,
+  getAgingReport,
+  syncLedger,
+};
@@ -3,9 +3,19 @@ const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const User = require('../models/User');
 const Product = require('../models/Product');
-const Inventory = require('../models/Inventory');
-const InventoryHistory = require('../models/InventoryHistory');
 const { createNotification } = require('../utils/notifications');
+const { validationResult } = require('express-validator');
+const {
+  buildReceipt,
+  buildDeliveryProof,
+  deliverOrder,
+  announceOrderDelivered,
+  recordReceipt,
+  announceDeliveryDiscrepancy,
+} = require('../utils/orderDelivery');
+const { removeUploadedFiles } = require('../middleware/upload');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
+const { runTransaction } = require('../utils/transactionUtils');
 const { syncOrderTasks } = require('./productionController');
 const { createReturn, approveReturn } = require('./returnController');
 const { assignChefs, approveOrder, startTransit, updateOrderStatus, confirmOrderReceipt } = require('./statusController');
@@ -58,17 +68,116 @@ const notifyUsers = async (io, users, type, messageKey, data, saveToDb = false)
   }
 };
 
+// إشعارات وأحداث إنشاء طلب جديد للفرع والإدمن والإنتاج
+const announceNewOrder = async (io, newOrder, populatedOrder, isRtl, session) => {
+  // إعداد إشعارات السوكت
+  const branch = newOrder.branch;
+  const adminUsers = await User.find({ role: 'admin' }).select('_id').lean().session(session);
+  const productionUsers = await User.find({ role: 'production' }).select('_id').lean().session(session);
+  const branchUsers = await User.find({ role: 'branch', branch }).select('_id').lean().session(session);
+
+  const eventId = `${newOrder._id}-orderCreated`;
+  const totalQuantity = newOrder.items.reduce((sum, item) => sum + item.quantity, 0);
+  const totalAmount = newOrder.items.reduce((sum, item) => sum + item.quantity * item.price, 0);
+
+  // إشعار الفرع (توستفاي فقط، بدون حفظ)
+  const branchNotificationData = {
+    orderId: newOrder._id,
+    orderNumber: newOrder.orderNumber,
+    branchId: branch,
+    branchName: isRtl ? populatedOrder.branch?.name : (populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown'),
+    eventId,
+    isRtl,
+    type: 'toast', // نوع الإشعار للفرونت لعرضه كتوستفاي
+  };
+
+  await notifyUsers(
+    io,
+    branchUsers,
+    'orderCreated',
+    isRtl ? `تم إنشاء طلبك رقم ${newOrder.orderNumber} بنجاح` : `Order ${newOrder.orderNumber} created successfully`,
+    branchNotificationData,
+    false // لا يتم الحفظ في قاعدة البيانات
+  );
+
+  // إشعار الإدمن والإنتاج (يحتوي على تفاصيل ويتم حفظه)
+  const adminProductionNotificationData = {
+    orderId: newOrder._id,
+    orderNumber: newOrder.orderNumber,
+    branchId: branch,
+    branchName: isRtl ? populatedOrder.branch?.name : (populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown'),
+    totalQuantity,
+    totalAmount,
+    items: populatedOrder.items.map(item => ({
+      productId: item.product?._id,
+      productName: isRtl ? item.product?.name : (item.product?.nameEn || item.product?.name || 'Unknown'),
+      quantity: item.quantity,
+      price: item.price,
+      unit: isRtl ? (item.product?.unit || 'غير محدد') : (item.product?.unitEn || item.product?.unit || 'N/A'),
+    })),
+    status: newOrder.status,
+    priority: newOrder.priority,
+    requestedDeliveryDate: newOrder.requestedDeliveryDate ? new Date(newOrder.requestedDeliveryDate).toISOString() : null,
+    eventId,
+    isRtl,
+    type: 'persistent', // نوع الإشعار للفرونت لعرضه في قائمة الإشعارات
+  };
+
+  await notifyUsers(
+    io,
+    [...adminUsers, ...productionUsers],
+    'orderCreated',
+    isRtl ? `تم إنشاء طلب رقم ${newOrder.orderNumber} بقيمة ${totalAmount} وكمية ${totalQuantity} من فرع ${populatedOrder.branch?.name || 'غير معروف'}` : 
+          `Order ${newOrder.orderNumber} created with value ${totalAmount} and quantity ${totalQuantity} from branch ${populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown'}`,
+    adminProductionNotificationData,
+    true // يتم الحفظ في قاعدة البيانات
+  );
+
+  // إعداد بيانات الطلب للإرسال عبر السوكت
+  const orderData = {
+    ...populatedOrder,
+    branchId: branch,
+    branchName: isRtl ? populatedOrder.branch?.name : (populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown'),
+    displayNotes: populatedOrder.displayNotes,
+    items: populatedOrder.items.map(item => ({
+      ...item,
+      productName: isRtl ? item.product?.name : (item.product?.nameEn || item.product?.name || 'Unknown'),
+      unit: isRtl ? (item.product?.unit || 'غير محدد') : (item.product?.unitEn || item.product?.unit || 'N/A'),
+      departmentName: isRtl ? item.product?.department?.name : (item.product?.department?.nameEn || item.product?.department?.name || 'Unknown'),
+      assignedToName: isRtl ? item.assignedTo?.name : (item.assignedTo?.nameEn || item.assignedTo?.name || 'غير معين'),
+      displayReturnReason: item.displayReturnReason,
+      startedAt: item.startedAt ? new Date(item.startedAt).toISOString() : null,
+      completedAt: item.completedAt ? new Date(item.completedAt).toISOString() : null,
+      isCompleted: item.status === 'completed',
+    })),
+    createdByName: isRtl ? populatedOrder.createdBy?.name : (populatedOrder.createdBy?.nameEn || populatedOrder.createdBy?.name || 'Unknown'),
+    statusHistory: populatedOrder.statusHistory.map(history => ({
+      ...history,
+      displayNotes: history.displayNotes,
+      changedByName: isRtl ? history.changedBy?.name : (history.changedBy?.nameEn || history.changedBy?.name || 'Unknown'),
+      changedAt: new Date(history.changedAt).toISOString(),
+    })),
+    adjustedTotal: populatedOrder.adjustedTotal,
+    createdAt: new Date(populatedOrder.createdAt).toISOString(),
+    requestedDeliveryDate: populatedOrder.requestedDeliveryDate ? new Date(populatedOrder.requestedDeliveryDate).toISOString() : null,
+    eventId,
+    isRtl,
+  };
+
+  // إرسال حدث السوكت للطلب الجديد
+  await emitSocketEvent(io, ['admin', 'production', `branch-${branch}`], 'orderCreated', orderData);
+  return orderData;
+};
+
 const createOrder = async (req, res) => {
   const session = await mongoose.startSession();
+  const isRtl = req.query.isRtl === 'true';
   try {
-    session.startTransaction();
-    const isRtl = req.query.isRtl === 'true';
-    const { orderNumber, items, status = 'pending', notes, notesEn, priority = 'medium', branchId, requestedDeliveryDate } = req.body;
+    const { items, status = 'pending', notes, notesEn, priority = 'medium', branchId, requestedDeliveryDate } = req.body;
 
     // التحقق من صحة البيانات
     const branch = req.user.role === 'branch' ? req.user.branchId : branchId;
     if (!branch || !isValidObjectId(branch)) {
-      await session.abortTransaction();
       console.error(`[${new Date().toISOString()}] Invalid branch ID:`, { branch, userId: req.user.id });
       return res.status(400).json({ 
         success: false, 
@@ -76,19 +185,17 @@ const createOrder = async (req, res) => {
       });
     }
 
-    if (!orderNumber || typeof orderNumber !== 'string' || !items?.length || !Array.isArray(items)) {
-      await session.abortTransaction();
-      console.error(`[${new Date().toISOString()}] Missing or invalid orderNumber or items:`, { orderNumber, items, userId: req.user.id });
+    if (!items?.length || !Array.isArray(items)) {
+      console.error(`[${new Date().toISOString()}] Missing or invalid items:`, { items, userId: req.user.id });
       return res.status(400).json({ 
         success: false, 
-        message: isRtl ? 'رقم الطلب ومصفوفة العناصر مطلوبة ويجب أن تكون صالحة' : 'Order number and items array are required and must be valid' 
+        message: isRtl ? 'مصفوفة العناصر مطلوبة ويجب أن تكون صالحة' : 'Items array is required and must be valid' 
       });
     }
 
     // التحقق من صحة العناصر
     for (const item of items) {
       if (!isValidObjectId(item.product) || typeof item.price !== 'number' || item.price < 0) {
-        await session.abortTransaction();
         console.error(`[${new Date().toISOString()}] Invalid item data:`, { item, userId: req.user.id });
         return res.status(400).json({ 
           success: false, 
@@ -117,9 +224,8 @@ const createOrder = async (req, res) => {
 
     // التحقق من وجود المنتجات
     const productIds = mergedItems.map(item => item.product);
-    const products = await Product.find({ _id: { $in: productIds } }).select('price name nameEn unit unitEn department').populate('department', 'name nameEn code').lean().session(session);
+    const products = await Product.find({ _id: { $in: productIds } }).select('price name nameEn unit unitEn department').populate('department', 'name nameEn code').lean();
     if (products.length !== productIds.length) {
-      await session.abortTransaction();
       console.error(`[${new Date().toISOString()}] Some products not found:`, { productIds, found: products.map(p => p._id), userId: req.user.id });
       return res.status(400).json({ 
         success: false, 
@@ -131,7 +237,6 @@ const createOrder = async (req, res) => {
     for (const item of mergedItems) {
       const product = products.find(p => p._id.toString() === item.product.toString());
       if (product.price !== item.price) {
-        await session.abortTransaction();
         console.error(`[${new Date().toISOString()}] Price mismatch for product:`, { productId: item.product, expected: product.price, provided: item.price, userId: req.user.id });
         return res.status(400).json({ 
           success: false, 
@@ -140,45 +245,186 @@ const createOrder = async (req, res) => {
       }
     }
 
-    // إنشاء الطلب الجديد
-    const newOrder = new Order({
-      orderNumber: orderNumber.trim(),
-      branch,
-      items: mergedItems,
-      status,
-      notes: notes?.trim() || '',
-      notesEn: notesEn?.trim() || notes?.trim() || '',
-      priority: priority?.trim() || 'medium',
-      createdBy: req.user.id,
-      totalAmount: mergedItems.reduce((sum, item) => sum + item.quantity * item.price, 0),
-      adjustedTotal: mergedItems.reduce((sum, item) => sum + item.quantity * item.price, 0),
-      requestedDeliveryDate: requestedDeliveryDate ? new Date(requestedDeliveryDate) : null,
-      statusHistory: [{
+    const io = req.app.get('io');
+    // إنشاء الطلب الجديد برقم يصدره الخادم؛ الطلبات المتزامنة تتعارض على عداد الترقيم فتُعاد المعاملة
+    const { newOrder, populatedOrder } = await runTransaction(session, async () => {
+      const newOrder = new Order({
+        orderNumber: await nextDocumentNumber({ type: 'ORDER', branch, session }),
+        branch,
+        items: mergedItems,
         status,
-        changedBy: req.user.id,
-        notes: notes?.trim() || (isRtl ? 'تم إنشاء الطلب' : 'Order created'),
-        notesEn: notesEn?.trim() || 'Order created',
-        changedAt: new Date(),
-      }],
+        notes: notes?.trim() || '',
+        notesEn: notesEn?.trim() || notes?.trim() || '',
+        priority: priority?.trim() || 'medium',
+        createdBy: req.user.id,
+        totalAmount: mergedItems.reduce((sum, item) => sum + item.quantity * item.price, 0),
+        adjustedTotal: mergedItems.reduce((sum, item) => sum + item.quantity * item.price, 0),
+        requestedDeliveryDate: requestedDeliveryDate ? new Date(requestedDeliveryDate) : null,
+        statusHistory: [{
+          status,
+          changedBy: req.user.id,
+          notes: notes?.trim() || (isRtl ? 'تم إنشاء الطلب' : 'Order created'),
+          notesEn: notesEn?.trim() || 'Order created',
+          changedAt: new Date(),
+        }],
+      });
+
+      // حفظ الطلب
+      await newOrder.save({ session, context: { isRtl } });
+      await syncOrderTasks(newOrder._id, io, session);
+
+      // جلب بيانات الطلب مع التفاصيل
+      const populatedOrder = await Order.findById(newOrder._id)
+        .populate('branch', 'name nameEn')
+        .populate({ path: 'items.product', select: 'name nameEn price unit unitEn department', populate: { path: 'department', select: 'name nameEn code' } })
+        .populate('items.assignedTo', 'username name nameEn')
+        .populate('createdBy', 'username name nameEn')
+        .populate('returns')
+        .setOptions({ context: { isRtl } })
+        .session(session)
+        .lean();
+
+      return { newOrder, populatedOrder };
+    });
+    const orderData = await announceNewOrder(io, newOrder, populatedOrder, isRtl, session);
+
+    res.status(201).json({
+      success: true,
+      data: orderData,
+      message: isRtl ? 'تم إنشاء الطلب بنجاح' : 'Order created successfully',
     });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error creating order:`, {
+      error: err.message,
+      userId: req.user.id,
+      stack: err.stack,
+    });
+    res.status(500).json({ 
+      success: false, 
+      message: isRtl ? 'خطأ في السيرفر' : 'Server error', 
+      error: err.message 
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// تعديل كميات المسودة؛ الكمية صفر تحذف العنصر. تُرجع معرف العنصر غير الصالح إن وجد
+const applyDraftItemEdits = (order, items) => {
+  for (const { itemId, quantity } of items) {
+    const item = order.items.id(itemId);
+    if (!item || typeof quantity !== 'number' || quantity < 0) return itemId;
+    if (quantity === 0) {
+      order.items.pull(item._id);
+    } else {
+      item.quantity = quantity;
+    }
+  }
+  return null;
+};
+
+// حفظ تعديلات الفرع على مسودة الطلب دون إرسالها؛ المسودة المعدلة تبقى عند إعادة التزويد الليلية
+const updateDraftOrder = async (req, res) => {
+  const isRtl = req.query.isRtl === 'true';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { items, notes, requestedDeliveryDate } = req.body;
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الطلب غير موجود' : 'Order not found' });
+    }
+    if (req.user.role === 'branch' && order.branch.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Not authorized for this branch' });
+    }
+    if (order.status !== 'draft') {
+      return res.status(400).json({ success: false, message: isRtl ? 'الطلب ليس مسودة' : 'Order is not a draft' });
+    }
+    const invalidItemId = Array.isArray(items) ? applyDraftItemEdits(order, items) : null;
+    if (invalidItemId) {
+      return res.status(400).json({ success: false, message: isRtl ? `بيانات العنصر ${invalidItemId} غير صالحة` : `Invalid item data for ${invalidItemId}` });
+    }
+    if (!order.items.length) {
+      return res.status(400).json({ success: false, message: isRtl ? 'يجب أن يحتوي الطلب على عنصر واحد على الأقل' : 'Order must contain at least one item' });
+    }
+    if (notes !== undefined) order.notes = notes?.trim() || '';
+    if (requestedDeliveryDate) order.requestedDeliveryDate = new Date(requestedDeliveryDate);
+    order.draftEditedAt = new Date();
+    await order.save({ context: { isRtl } });
+    res.status(200).json({
+      success: true,
+      data: order,
+      message: isRtl ? 'تم حفظ المسودة' : 'Draft saved',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error updating draft order:`, {
+      error: err.message,
+      userId: req.user.id,
+      stack: err.stack,
+    });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// إرسال مسودة طلب (مثل طلبات إعادة التزويد المقترحة) بعد مراجعة الفرع وتعديل الكميات
+const submitDraftOrder = async (req, res) => {
+  const session = await mongoose.startSession();
+  const isRtl = req.query.isRtl === 'true';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    const { items, notes, requestedDeliveryDate } = req.body;
+    if (!isValidObjectId(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الطلب غير صالح' : 'Invalid order ID' });
+    }
+    const order = await Order.findById(id).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الطلب غير موجود' : 'Order not found' });
+    }
+    if (req.user.role === 'branch' && order.branch.toString() !== req.user.branchId?.toString()) {
+      await session.abortTransaction();
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Not authorized for this branch' });
+    }
+    if (order.status !== 'draft') {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'الطلب ليس مسودة' : 'Order is not a draft' });
+    }
 
-    // التحقق من رقم الطلب الفريد
-    const existingOrder = await Order.findOne({ orderNumber: newOrder.orderNumber, branch }).session(session);
-    if (existingOrder) {
+    // تعديل الكميات قبل الإرسال
+    const invalidItemId = Array.isArray(items) ? applyDraftItemEdits(order, items) : null;
+    if (invalidItemId) {
       await session.abortTransaction();
-      console.error(`[${new Date().toISOString()}] Duplicate order number:`, { orderNumber, branch, userId: req.user.id });
-      return res.status(400).json({ 
-        success: false, 
-        message: isRtl ? 'رقم الطلب مستخدم بالفعل لهذا الفرع' : 'Order number already used for this branch' 
-      });
+      return res.status(400).json({ success: false, message: isRtl ? `بيانات العنصر ${invalidItemId} غير صالحة` : `Invalid item data for ${invalidItemId}` });
+    }
+    if (!order.items.length) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'يجب أن يحتوي الطلب على عنصر واحد على الأقل' : 'Order must contain at least one item' });
     }
 
-    // حفظ الطلب
-    await newOrder.save({ session, context: { isRtl } });
-    await syncOrderTasks(newOrder._id, req.app.get('io'), session);
+    order.status = 'pending';
+    if (notes !== undefined) order.notes = notes?.trim() || '';
+    if (requestedDeliveryDate) order.requestedDeliveryDate = new Date(requestedDeliveryDate);
+    order.createdBy = req.user.id;
+    order.statusHistory.push({
+      status: 'pending',
+      changedBy: req.user.id,
+      notes: isRtl ? 'تم إرسال مسودة الطلب' : 'Draft order submitted',
+      notesEn: 'Draft order submitted',
+      changedAt: new Date(),
+    });
+    await order.save({ session, context: { isRtl } });
+    await syncOrderTasks(order._id, req.app.get('io'), session);
 
-    // جلب بيانات الطلب مع التفاصيل
-    const populatedOrder = await Order.findById(newOrder._id)
+    const populatedOrder = await Order.findById(order._id)
       .populate('branch', 'name nameEn')
       .populate({ path: 'items.product', select: 'name nameEn price unit unitEn department', populate: { path: 'department', select: 'name nameEn code' } })
       .populate('items.assignedTo', 'username name nameEn')
@@ -188,121 +434,22 @@ const createOrder = async (req, res) => {
       .session(session)
       .lean();
 
-    // إعداد إشعارات السوكت
-    const io = req.app.get('io');
-    const adminUsers = await User.find({ role: 'admin' }).select('_id').lean().session(session);
-    const productionUsers = await User.find({ role: 'production' }).select('_id').lean().session(session);
-    const branchUsers = await User.find({ role: 'branch', branch }).select('_id').lean().session(session);
-
-    const eventId = `${newOrder._id}-orderCreated`;
-    const totalQuantity = mergedItems.reduce((sum, item) => sum + item.quantity, 0);
-    const totalAmount = mergedItems.reduce((sum, item) => sum + item.quantity * item.price, 0);
-
-    // إشعار الفرع (توستفاي فقط، بدون حفظ)
-    const branchNotificationData = {
-      orderId: newOrder._id,
-      orderNumber: newOrder.orderNumber,
-      branchId: branch,
-      branchName: isRtl ? populatedOrder.branch?.name : (populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown'),
-      eventId,
-      isRtl,
-      type: 'toast', // نوع الإشعار للفرونت لعرضه كتوستفاي
-    };
-
-    await notifyUsers(
-      io,
-      branchUsers,
-      'orderCreated',
-      isRtl ? `تم إنشاء طلبك رقم ${newOrder.orderNumber} بنجاح` : `Order ${newOrder.orderNumber} created successfully`,
-      branchNotificationData,
-      false // لا يتم الحفظ في قاعدة البيانات
-    );
-
-    // إشعار الإدمن والإنتاج (يحتوي على تفاصيل ويتم حفظه)
-    const adminProductionNotificationData = {
-      orderId: newOrder._id,
-      orderNumber: newOrder.orderNumber,
-      branchId: branch,
-      branchName: isRtl ? populatedOrder.branch?.name : (populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown'),
-      totalQuantity,
-      totalAmount,
-      items: populatedOrder.items.map(item => ({
-        productId: item.product?._id,
-        productName: isRtl ? item.product?.name : (item.product?.nameEn || item.product?.name || 'Unknown'),
-        quantity: item.quantity,
-        price: item.price,
-        unit: isRtl ? (item.product?.unit || 'غير محدد') : (item.product?.unitEn || item.product?.unit || 'N/A'),
-      })),
-      status: newOrder.status,
-      priority: newOrder.priority,
-      requestedDeliveryDate: newOrder.requestedDeliveryDate ? new Date(newOrder.requestedDeliveryDate).toISOString() : null,
-      eventId,
-      isRtl,
-      type: 'persistent', // نوع الإشعار للفرونت لعرضه في قائمة الإشعارات
-    };
-
-    await notifyUsers(
-      io,
-      [...adminUsers, ...productionUsers],
-      'orderCreated',
-      isRtl ? `تم إنشاء طلب رقم ${newOrder.orderNumber} بقيمة ${totalAmount} وكمية ${totalQuantity} من فرع ${populatedOrder.branch?.name || 'غير معروف'}` : 
-            `Order ${newOrder.orderNumber} created with value ${totalAmount} and quantity ${totalQuantity} from branch ${populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown'}`,
-      adminProductionNotificationData,
-      true // يتم الحفظ في قاعدة البيانات
-    );
-
-    // إعداد بيانات الطلب للإرسال عبر السوكت
-    const orderData = {
-      ...populatedOrder,
-      branchId: branch,
-      branchName: isRtl ? populatedOrder.branch?.name : (populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown'),
-      displayNotes: populatedOrder.displayNotes,
-      items: populatedOrder.items.map(item => ({
-        ...item,
-        productName: isRtl ? item.product?.name : (item.product?.nameEn || item.product?.name || 'Unknown'),
-        unit: isRtl ? (item.product?.unit || 'غير محدد') : (item.product?.unitEn || item.product?.unit || 'N/A'),
-        departmentName: isRtl ? item.product?.department?.name : (item.product?.department?.nameEn || item.product?.department?.name || 'Unknown'),
-        assignedToName: isRtl ? item.assignedTo?.name : (item.assignedTo?.nameEn || item.assignedTo?.name || 'غير معين'),
-        displayReturnReason: item.displayReturnReason,
-        startedAt: item.startedAt ? new Date(item.startedAt).toISOString() : null,
-        completedAt: item.completedAt ? new Date(item.completedAt).toISOString() : null,
-        isCompleted: item.status === 'completed',
-      })),
-      createdByName: isRtl ? populatedOrder.createdBy?.name : (populatedOrder.createdBy?.nameEn || populatedOrder.createdBy?.name || 'Unknown'),
-      statusHistory: populatedOrder.statusHistory.map(history => ({
-        ...history,
-        displayNotes: history.displayNotes,
-        changedByName: isRtl ? history.changedBy?.name : (history.changedBy?.nameEn || history.changedBy?.name || 'Unknown'),
-        changedAt: new Date(history.changedAt).toISOString(),
-      })),
-      adjustedTotal: populatedOrder.adjustedTotal,
-      createdAt: new Date(populatedOrder.createdAt).toISOString(),
-      requestedDeliveryDate: populatedOrder.requestedDeliveryDate ? new Date(populatedOrder.requestedDeliveryDate).toISOString() : null,
-      eventId,
-      isRtl,
-    };
-
-    // إرسال حدث السوكت للطلب الجديد
-    await emitSocketEvent(io, ['admin', 'production', `branch-${branch}`], 'orderCreated', orderData);
+    const orderData = await announceNewOrder(req.app.get('io'), order, populatedOrder, isRtl, session);
 
     await session.commitTransaction();
-    res.status(201).json({
+    res.status(200).json({
       success: true,
       data: orderData,
-      message: isRtl ? 'تم إنشاء الطلب بنجاح' : 'Order created successfully',
+      message: isRtl ? 'تم إرسال الطلب بنجاح' : 'Order submitted successfully',
     });
   } catch (err) {
     await session.abortTransaction();
-    console.error(`[${new Date().toISOString()}] Error creating order:`, {
+    console.error(`[${new Date().toISOString()}] Error submitting draft order:`, {
       error: err.message,
       userId: req.user.id,
       stack: err.stack,
     });
-    res.status(500).json({ 
-      success: false, 
-      message: isRtl ? 'خطأ في السيرفر' : 'Server error', 
-      error: err.message 
-    });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
   } finally {
     session.endSession();
   }
@@ -315,61 +462,51 @@ const confirmDelivery = async (req, res) => {
     const { id } = req.params;
     const { lang = 'ar' } = req.query;
     const isRtl = lang === 'ar';
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      removeUploadedFiles(req.files);
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
     if (!isValidObjectId(id)) {
       await session.abortTransaction();
+      removeUploadedFiles(req.files);
       return res.status(400).json({ success: false, message: isRtl ? 'معرف الطلب غير صالح' : 'Invalid order ID' });
     }
     const order = await Order.findById(id).populate('items.product').session(session);
     if (!order) {
       await session.abortTransaction();
+      removeUploadedFiles(req.files);
       return res.status(404).json({ success: false, message: isRtl ? 'الطلب غير موجود' : 'Order not found' });
     }
     if (req.user.role === 'branch' && order.branch.toString() !== req.user.branchId.toString()) {
       await session.abortTransaction();
+      removeUploadedFiles(req.files);
       return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
     }
     if (order.status !== 'in_transit') {
       await session.abortTransaction();
+      removeUploadedFiles(req.files);
       return res.status(400).json({ success: false, message: isRtl ? 'يجب أن يكون الطلب في حالة "في الطريق"' : 'Order must be in "in_transit" status' });
     }
-    // Update inventory
-    for (const item of order.items) {
-      const inventoryUpdate = await Inventory.findOneAndUpdate(
-        { branch: order.branch, product: item.product },
-        {
-          $inc: { currentStock: item.quantity },
-          $push: {
-            movements: {
-              type: 'in',
-              quantity: item.quantity,
-              reference: `تسليم طلب #${order.orderNumber}`,
-              createdBy: req.user.id,
-              createdAt: new Date(),
-            },
-          },
-        },
-        { new: true, upsert: true, session }
-      );
-      const historyEntry = new InventoryHistory({
-        product: item.product,
-        branch: order.branch,
-        action: 'delivery',
-        quantity: item.quantity,
-        reference: `تسليم طلب #${order.orderNumber}`,
-        createdBy: req.user.id,
-      });
-      await historyEntry.save({ session });
+    const proof = buildDeliveryProof({ files: req.files, recipientName: req.body.recipientName, notes: req.body.notes });
+    let receipt;
+    try {
+      receipt = buildReceipt(order, req.body.items, isRtl);
+    } catch (receiptErr) {
+      await session.abortTransaction();
+      removeUploadedFiles(req.files);
+      return res.status(400).json({ success: false, message: receiptErr.message });
     }
-    order.status = 'delivered';
-    order.deliveredAt = new Date();
-    order.statusHistory.push({
-      status: 'delivered',
-      changedBy: req.user.id,
+    await deliverOrder({
+      order,
+      userId: req.user.id,
       notes: isRtl ? 'تم تأكيد التسليم من قبل الفرع' : 'Delivery confirmed by branch',
       notesEn: 'Delivery confirmed by branch',
-      changedAt: new Date(),
+      receipt,
+      session,
     });
-    await order.save({ session });
+    const discrepancy = await recordReceipt({ order, receipt, proof, userId: req.user.id, isRtl, session });
     const populatedOrder = await Order.findById(id)
       .populate('branch', 'name nameEn')
       .populate({ path: 'items.product', select: 'name nameEn' })
@@ -377,35 +514,16 @@ const confirmDelivery = async (req, res) => {
       .session(session)
       .lean();
     const io = req.app.get('io');
-    const usersToNotify = await User.find({
-      $or: [
-        { role: { $in: ['admin', 'production'] } },
-        { role: 'branch', branch: order.branch },
-      ],
-    }).select('_id role').lean();
-    await notifyUsers(
-      io,
-      usersToNotify,
-      'order_status_updated',
-      'notifications.order_status_updated',
-      { orderId: id, orderNumber: order.orderNumber, branchId: order.branch, status: 'delivered', eventId: `${id}-order_status_updated`, isRtl }
-    );
-    const orderData = {
-      orderId: id,
-      orderNumber: order.orderNumber,
-      status: 'delivered',
-      branchId: order.branch,
-      branchName: isRtl ? populatedOrder.branch?.name : populatedOrder.branch?.nameEn || 'Unknown',
-      items: populatedOrder.items,
-      deliveredAt: new Date(order.deliveredAt).toISOString(),
-      eventId: `${id}-order_status_updated`,
-      isRtl,
-    };
-    await emitSocketEvent(io, ['admin', 'production', `branch-${order.branch}`], 'orderStatusUpdated', orderData);
+    await announceOrderDelivered({ io, order, populatedOrder, isRtl });
+    if (discrepancy) {
+      const branchName = isRtl ? populatedOrder.branch?.name || 'غير معروف' : populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown';
+      await announceDeliveryDiscrepancy({ io, order, discrepancy, branchName, isRtl });
+    }
     await session.commitTransaction();
     res.status(200).json(populatedOrder);
   } catch (err) {
     await session.abortTransaction();
+    removeUploadedFiles(req.files);
     console.error(`[${new Date().toISOString()}] Error confirming delivery:`, { error: err.message, userId: req.user.id });
     res.status(500).json({ success: false, message: 'خطأ في السيرفر', error: err.message });
   } finally {
@@ -455,6 +573,8 @@ const getOrders = async (req, res) => {
     if (branch && isValidObjectId(branch)) query.branch = branch;
     if (priority) query.priority = priority;
     if (req.user.role === 'branch') query.branch = req.user.branchId;
+    // المسودات تخص الفرع فقط حتى يتم إرسالها
+    if (req.user.role !== 'branch' && !status) query.status = { $ne: 'draft' };
     console.log(`[${new Date().toISOString()}] Fetching orders with query:`, { query, userId: req.user.id, role: req.user.role });
     const orders = await Order.find(query)
       .populate('branch', 'name nameEn')
@@ -577,8 +697,11 @@ const getOrderById = async (req, res) => {
 };
 
 module.exports = {
+  announceNewOrder,
   checkOrderExists,
   createOrder,
+  updateDraftOrder,
+  submitDraftOrder,
   getOrders,
   getOrderById,
   createReturn,
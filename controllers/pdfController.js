@@ -0,0 +1,318 @@
+// controllers/pdfController.js
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const Sale = require('../models/Sale');
+const BranchInvoice = require('../models/BranchInvoice');
+const { renderDocumentPdf, formatAmount, formatDate } = require('../utils/pdfUtils');
+const { getSaleTaxSummary } = require('../utils/taxUtils');
+const { TENDER_LABELS, getSalePayments } = require('../utils/paymentUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  if (!item) return lang === 'ar' ? 'غير معروف' : 'Unknown';
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const LABELS = {
+  order: { ar: 'أمر توريد للفرع', en: 'Branch Order' },
+  return: { ar: 'مرتجع', en: 'Return' },
+  sale: { ar: 'إيصال بيع', en: 'Sales Receipt' },
+  invoice: { ar: 'فاتورة', en: 'Invoice' },
+  branch: { ar: 'الفرع', en: 'Branch' },
+  status: { ar: 'الحالة', en: 'Status' },
+  createdBy: { ar: 'أنشئ بواسطة', en: 'Created by' },
+  reviewedBy: { ar: 'روجع بواسطة', en: 'Reviewed by' },
+  priority: { ar: 'الأولوية', en: 'Priority' },
+  deliveredAt: { ar: 'تاريخ التسليم', en: 'Delivered at' },
+  order_number: { ar: 'رقم الطلب', en: 'Order no.' },
+  payment: { ar: 'طريقة الدفع', en: 'Payment' },
+  customer: { ar: 'العميل', en: 'Customer' },
+  product: { ar: 'المنتج', en: 'Product' },
+  unit: { ar: 'الوحدة', en: 'Unit' },
+  quantity: { ar: 'الكمية', en: 'Qty' },
+  price: { ar: 'السعر', en: 'Price' },
+  total: { ar: 'الإجمالي', en: 'Total' },
+  reason: { ar: 'السبب', en: 'Reason' },
+  totalAmount: { ar: 'إجمالي المبلغ', en: 'Total amount' },
+  discount: { ar: 'خصم', en: 'Discount' },
+  subtotal: { ar: 'الإجمالي قبل الضريبة', en: 'Subtotal excl. VAT' },
+  vat: { ar: 'ضريبة القيمة المضافة', en: 'VAT' },
+  totalWithVat: { ar: 'الإجمالي شامل الضريبة', en: 'Total incl. VAT' },
+  change: { ar: 'الباقي', en: 'Change' },
+  adjustedTotal: { ar: 'الإجمالي بعد التعديل', en: 'Adjusted total' },
+  notes: { ar: 'ملاحظات', en: 'Notes' },
+};
+
+const STATUS_LABELS = {
+  draft: { ar: 'مسودة', en: 'Draft' },
+  pending: { ar: 'قيد الانتظار', en: 'Pending' },
+  approved: { ar: 'معتمد', en: 'Approved' },
+  in_production: { ar: 'قيد الإنتاج', en: 'In production' },
+  completed: { ar: 'مكتمل', en: 'Completed' },
+  in_transit: { ar: 'في الطريق', en: 'In transit' },
+  delivered: { ar: 'تم التسليم', en: 'Delivered' },
+  cancelled: { ar: 'ملغى', en: 'Cancelled' },
+  canceled: { ar: 'ملغى', en: 'Cancelled' },
+  pending_approval: { ar: 'بانتظار الموافقة', en: 'Pending approval' },
+  rejected: { ar: 'مرفوض', en: 'Rejected' },
+};
+
+const PRIORITY_LABELS = {
+  low: { ar: 'منخفضة', en: 'Low' },
+  medium: { ar: 'متوسطة', en: 'Medium' },
+  high: { ar: 'عالية', en: 'High' },
+  urgent: { ar: 'عاجلة', en: 'Urgent' },
+};
+
+const label = (key, lang) => LABELS[key][lang === 'ar' ? 'ar' : 'en'];
+const mapLabel = (map, key, lang) => map[key]?.[lang === 'ar' ? 'ar' : 'en'] || key || '-';
+
+const itemColumns = (lang, extra = []) => [
+  { key: 'index', label: '#', weight: 0.4, align: 'center' },
+  { key: 'product', label: label('product', lang), weight: 3 },
+  { key: 'unit', label: label('unit', lang), weight: 1, align: 'center' },
+  ...extra,
+  { key: 'quantity', label: label('quantity', lang), weight: 0.8, align: 'center' },
+  { key: 'price', label: label('price', lang), weight: 1, align: 'center' },
+  { key: 'total', label: label('total', lang), weight: 1.1, align: 'center' },
+];
+
+const sendPdfError = (res, err, context, isRtl) => {
+  console.error(`[${new Date().toISOString()}] Error generating ${context} PDF:`, { error: err.message, stack: err.stack });
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+};
+
+const denyBranch = (req, branchId) => req.user.role === 'branch' && branchId?.toString() !== req.user.branchId?.toString();
+
+const getOrderPdf = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الطلب غير صالح' : 'Invalid order ID' });
+    }
+    const order = await Order.findById(id)
+      .populate('branch', 'name nameEn code')
+      .populate('items.product', 'name nameEn unit unitEn')
+      .populate('createdBy', 'username name nameEn')
+      .lean();
+    if (!order) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الطلب غير موجود' : 'Order not found' });
+    }
+    if (denyBranch(req, order.branch?._id)) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    await renderDocumentPdf(res, {
+      filename: order.orderNumber,
+      lang,
+      title: label('order', lang),
+      number: order.orderNumber,
+      date: order.createdAt,
+      branch: order.branch,
+      meta: [
+        { label: label('branch', lang), value: translateField(order.branch, 'name', lang) },
+        { label: label('status', lang), value: mapLabel(STATUS_LABELS, order.status, lang) },
+        { label: label('createdBy', lang), value: translateField(order.createdBy, 'name', lang) },
+        { label: label('priority', lang), value: mapLabel(PRIORITY_LABELS, order.priority, lang) },
+        ...(order.deliveredAt ? [{ label: label('deliveredAt', lang), value: formatDate(order.deliveredAt) }] : []),
+      ],
+      columns: itemColumns(lang),
+      rows: order.items.map((item, index) => ({
+        index: index + 1,
+        product: translateField(item.product, 'name', lang),
+        unit: translateField(item.product, 'unit', lang),
+        quantity: item.quantity,
+        price: formatAmount(item.price),
+        total: formatAmount(item.quantity * item.price),
+      })),
+      totals: [
+        { label: label('totalAmount', lang), value: formatAmount(order.totalAmount) },
+        { label: label('adjustedTotal', lang), value: formatAmount(order.adjustedTotal), bold: true },
+      ],
+      notes: isRtl ? order.notes : order.notesEn || order.notes,
+      notesLabel: label('notes', lang),
+    });
+  } catch (err) {
+    sendPdfError(res, err, 'order', isRtl);
+  }
+};
+
+const getReturnPdf = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الإرجاع غير صالح' : 'Invalid return ID' });
+    }
+    const returnRequest = await Return.findById(id)
+      .populate('branch', 'name nameEn code')
+      .populate('items.product', 'name nameEn unit unitEn')
+      .populate('createdBy reviewedBy', 'username name nameEn')
+      .lean();
+    if (!returnRequest) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الإرجاع غير موجود' : 'Return not found' });
+    }
+    if (denyBranch(req, returnRequest.branch?._id)) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الإرجاع' : 'Not authorized for this return' });
+    }
+    const total = returnRequest.items.reduce((sum, item) => sum + item.quantity * (item.price || 0), 0);
+    await renderDocumentPdf(res, {
+      filename: returnRequest.returnNumber,
+      lang,
+      title: label('return', lang),
+      number: returnRequest.returnNumber,
+      date: returnRequest.createdAt,
+      branch: returnRequest.branch,
+      meta: [
+        { label: label('branch', lang), value: translateField(returnRequest.branch, 'name', lang) },
+        { label: label('status', lang), value: mapLabel(STATUS_LABELS, returnRequest.status, lang) },
+        { label: label('createdBy', lang), value: translateField(returnRequest.createdBy, 'name', lang) },
+        ...(returnRequest.reviewedBy ? [{ label: label('reviewedBy', lang), value: translateField(returnRequest.reviewedBy, 'name', lang) }] : []),
+      ],
+      columns: itemColumns(lang, [{ key: 'reason', label: label('reason', lang), weight: 1.2, align: 'center' }]),
+      rows: returnRequest.items.map((item, index) => ({
+        index: index + 1,
+        product: translateField(item.product, 'name', lang),
+        unit: translateField(item.product, 'unit', lang),
+        reason: isRtl ? item.reason : item.reasonEn || item.reason,
+        quantity: item.quantity,
+        price: formatAmount(item.price),
+        total: formatAmount(item.quantity * (item.price || 0)),
+      })),
+      totals: [{ label: label('totalAmount', lang), value: formatAmount(total), bold: true }],
+      notes: returnRequest.notes,
+      notesLabel: label('notes', lang),
+    });
+  } catch (err) {
+    sendPdfError(res, err, 'return', isRtl);
+  }
+};
+
+const getSalePdf = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف بيع غير صالح' : 'Invalid sale ID' });
+    }
+    const sale = await Sale.findById(id)
+      .populate('branch', 'name nameEn code')
+      .populate('items.product', 'name nameEn unit unitEn')
+      .populate('createdBy', 'username name nameEn')
+      .lean();
+    if (!sale) {
+      return res.status(404).json({ success: false, message: isRtl ? 'البيع غير موجود' : 'Sale not found' });
+    }
+    if (denyBranch(req, sale.branch?._id)) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    const tax = getSaleTaxSummary(sale);
+    const change = getSalePayments(sale).reduce((sum, payment) => sum + (payment.changeGiven || 0), 0);
+    await renderDocumentPdf(res, {
+      filename: sale.saleNumber,
+      lang,
+      title: label('sale', lang),
+      number: sale.saleNumber,
+      qrData: sale.zatcaQr,
+      date: sale.createdAt,
+      branch: sale.branch,
+      meta: [
+        { label: label('branch', lang), value: translateField(sale.branch, 'name', lang) },
+        { label: label('status', lang), value: mapLabel(STATUS_LABELS, sale.status, lang) },
+        { label: label('payment', lang), value: mapLabel(TENDER_LABELS, sale.paymentMethod, lang) },
+        { label: label('createdBy', lang), value: translateField(sale.createdBy, 'name', lang) },
+        ...(sale.customerName ? [{ label: label('customer', lang), value: [sale.customerName, sale.customerPhone].filter(Boolean).join(' - ') }] : []),
+      ],
+      columns: itemColumns(lang),
+      rows: sale.items.map((item, index) => ({
+        index: index + 1,
+        product: translateField(item.product, 'name', lang),
+        unit: translateField(item.product, 'unit', lang),
+        quantity: item.quantity,
+        price: formatAmount(item.unitPrice),
+        total: formatAmount(item.lineTotal ?? item.quantity * item.unitPrice),
+      })),
+      totals: [
+        ...(sale.discounts || []).map(discount => ({
+          label: `${label('discount', lang)}: ${translateField(discount, 'name', lang)}`,
+          value: `-${formatAmount(discount.amount)}`,
+        })),
+        { label: label('subtotal', lang), value: formatAmount(tax.subtotal) },
+        ...tax.breakdown.map(entry => ({ label: `${label('vat', lang)} ${entry.taxRate}%`, value: formatAmount(entry.taxAmount) })),
+        { label: label('totalWithVat', lang), value: formatAmount(tax.totalAmount), bold: true },
+        ...getSalePayments(sale).map(payment => ({
+          label: [mapLabel(TENDER_LABELS, payment.tender, lang), payment.reference].filter(Boolean).join(' - '),
+          value: formatAmount(payment.amount),
+        })),
+        ...(change > 0 ? [{ label: label('change', lang), value: formatAmount(change) }] : []),
+      ],
+      notes: sale.notes,
+      notesLabel: label('notes', lang),
+    });
+  } catch (err) {
+    sendPdfError(res, err, 'sale', isRtl);
+  }
+};
+
+const getInvoicePdf = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفاتورة غير صالح' : 'Invalid invoice ID' });
+    }
+    const invoice = await BranchInvoice.findById(id)
+      .populate('branch', 'name nameEn code')
+      .populate('order', 'orderNumber deliveredAt')
+      .populate('items.product', 'name nameEn unit unitEn')
+      .lean();
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الفاتورة غير موجودة' : 'Invoice not found' });
+    }
+    if (denyBranch(req, invoice.branch?._id)) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    await renderDocumentPdf(res, {
+      filename: invoice.invoiceNumber,
+      lang,
+      title: label('invoice', lang),
+      number: invoice.invoiceNumber,
+      date: invoice.issuedAt,
+      branch: invoice.branch,
+      meta: [
+        { label: label('branch', lang), value: translateField(invoice.branch, 'name', lang) },
+        { label: label('order_number', lang), value: invoice.order?.orderNumber },
+      ],
+      columns: itemColumns(lang),
+      rows: invoice.items.map((item, index) => ({
+        index: index + 1,
+        product: translateField(item.product, 'name', lang),
+        unit: translateField(item.product, 'unit', lang),
+        quantity: item.quantity,
+        price: formatAmount(item.price),
+        total: formatAmount(item.total),
+      })),
+      totals: invoice.taxAmount != null
+        ? [
+          { label: label('subtotal', lang), value: formatAmount(invoice.subtotal) },
+          { label: label('vat', lang), value: formatAmount(invoice.taxAmount) },
+          { label: label('totalWithVat', lang), value: formatAmount(invoice.totalAmount), bold: true },
+        ]
+        : [{ label: label('totalAmount', lang), value: formatAmount(invoice.totalAmount), bold: true }],
+    });
+  } catch (err) {
+    sendPdfError(res, err, 'invoice', isRtl);
+  }
+};
+
+module.exports = { getOrderPdf, getReturnPdf, getSalePdf, getInvoicePdf };
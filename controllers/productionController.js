@@ -4,6 +4,8 @@ const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const { createNotification } = require('../utils/notifications');
+const { consumeRecipeMaterials, INSUFFICIENT_RAW_MATERIAL } = require('../utils/recipeUtils');
+const { createOrderItemLot } = require('../utils/lotUtils');
 
 const emitSocketEvent = async (io, rooms, eventName, eventData, isRtl) => {
   const eventDataWithSound = {
@@ -284,6 +286,19 @@ const updateTaskStatus = async (req, res) => {
     task.status = status;
     if (status === 'in_progress') task.startedAt = new Date();
     if (status === 'completed') task.completedAt = new Date();
+    // خصم المواد الخام حسب وصفة المنتج مرة واحدة فقط لكل مهمة
+    if (status === 'completed' && !task.materialsConsumedAt) {
+      await consumeRecipeMaterials({
+        product: task.product,
+        quantity: task.quantity,
+        reference: `إنتاج الطلب #${task.order.orderNumber}`,
+        referenceType: 'production',
+        referenceId: task._id,
+        createdBy: req.user.id,
+        session,
+      });
+      task.materialsConsumedAt = new Date();
+    }
     await task.save({ session });
 
     const order = await Order.findById(orderId).session(session).setOptions({ context: { isRtl } });
@@ -302,6 +317,9 @@ const updateTaskStatus = async (req, res) => {
     orderItem.status = status;
     if (status === 'in_progress') orderItem.startedAt = new Date();
     if (status === 'completed') orderItem.completedAt = new Date();
+    if (status === 'completed' && !orderItem.lots?.length) {
+      await createOrderItemLot({ order, item: orderItem, createdBy: req.user.id, session });
+    }
     console.log(`[${new Date().toISOString()}] Updated order item ${task.itemId} status to ${status}`);
 
     if (status === 'in_progress' && order.status === 'approved') {
@@ -424,6 +442,9 @@ const updateTaskStatus = async (req, res) => {
   } catch (err) {
     await session.abortTransaction();
     console.error(`[${new Date().toISOString()}] Error updating task status:`, err);
+    if (err.code === INSUFFICIENT_RAW_MATERIAL) {
+      return res.status(err.status).json({ success: false, message: isRtl ? 'المواد الخام غير كافية لإكمال المهمة' : 'Insufficient raw materials to complete the task', error: err.message, details: err.details });
+    }
     res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
   } finally {
     session.endSession();
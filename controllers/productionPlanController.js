@@ -0,0 +1,203 @@
+// controllers/productionPlanController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const FactoryOrder = require('../models/FactoryOrder');
+const ProductionAssignment = require('../models/ProductionAssignment');
+const User = require('../models/User');
+const Chef = require('../models/Chef');
+const { buildProductionPlan, getAssignableSources } = require('../utils/productionPlanUtils');
+const { emitSocketEvent, notifyUsers } = require('../utils/helpers');
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const formatPlan = (plan, lang) => ({
+  ...plan,
+  departments: plan.departments.map(group => ({
+    department: group.department
+      ? { ...group.department, displayName: translateField(group.department, 'name', lang) }
+      : { _id: null, displayName: lang === 'ar' ? 'بدون قسم' : 'No department' },
+    totalNetQuantity: group.items.reduce((sum, item) => sum + item.netQuantity, 0),
+    items: group.items.map(item => ({
+      ...item,
+      product: {
+        _id: item.product._id,
+        code: item.product.code,
+        displayName: translateField(item.product, 'name', lang),
+        displayUnit: translateField(item.product, 'unit', lang),
+      },
+      sources: item.sources.map(source => ({
+        ...source,
+        branch: source.branch ? { _id: source.branch._id, displayName: translateField(source.branch, 'name', lang) } : undefined,
+      })),
+    })),
+  })),
+});
+
+const getProductionPlan = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const plan = await buildProductionPlan({ date: req.query.date, department: req.query.department });
+    res.status(200).json({ success: true, data: formatPlan(plan, lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error building production plan:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// إنشاء مهام الإنتاج لكل عناصر المنتج غير المعينة في خطة اليوم دفعة واحدة
+const createPlanAssignments = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { date, assignments } = req.body;
+    const plan = await buildProductionPlan({ date, session });
+    const planItems = new Map();
+    plan.departments.forEach(group => group.items.forEach(item => planItems.set(item.product._id.toString(), item)));
+
+    const chefUserIds = [...new Set(assignments.map(assignment => assignment.chef))];
+    const chefUsers = await User.find({ _id: { $in: chefUserIds }, role: 'chef' }).select('_id name nameEn').session(session).lean();
+    const chefProfiles = await Chef.find({ user: { $in: chefUserIds }, status: 'active' }).session(session).lean();
+    const chefUserMap = new Map(chefUsers.map(user => [user._id.toString(), user]));
+    const chefProfileMap = new Map(chefProfiles.map(profile => [profile.user.toString(), profile]));
+
+    const orderDocs = new Map();
+    const factoryOrderDocs = new Map();
+    const created = [];
+    for (const assignment of assignments) {
+      const planItem = planItems.get(assignment.product);
+      if (!planItem) {
+        await session.abortTransaction();
+        return res.status(404).json({ success: false, message: isRtl ? `المنتج ${assignment.product} غير موجود في خطة اليوم` : `Product ${assignment.product} is not in the day's plan` });
+      }
+      const chefUser = chefUserMap.get(assignment.chef);
+      const chefProfile = chefProfileMap.get(assignment.chef);
+      if (!chefUser || !chefProfile) {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: isRtl ? 'الشيف غير صالح' : 'Invalid chef' });
+      }
+      const departmentId = planItem.product.department?._id?.toString();
+      if (!departmentId || !chefProfile.department.some(id => id.toString() === departmentId)) {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: isRtl ? 'الشيف لا ينتمي إلى قسم المنتج' : 'Chef does not belong to product department' });
+      }
+
+      const sources = await getAssignableSources({ planItem, session });
+      for (const source of sources) {
+        const isOrder = source.type === 'order';
+        const docs = isOrder ? orderDocs : factoryOrderDocs;
+        const key = source.id.toString();
+        if (!docs.has(key)) {
+          docs.set(key, await (isOrder ? Order : FactoryOrder).findById(source.id).session(session).setOptions({ context: { isRtl } }));
+        }
+        const doc = docs.get(key);
+        const docItem = doc.items.id(source.itemId);
+        docItem.assignedTo = chefUser._id;
+        docItem.status = 'assigned';
+        if (!isOrder) docItem.department = departmentId;
+
+        const task = new ProductionAssignment({
+          [isOrder ? 'order' : 'factoryOrder']: source.id,
+          product: planItem.product._id,
+          itemId: source.itemId,
+          chef: chefProfile._id,
+          quantity: source.quantity,
+          status: 'pending',
+          notes: isRtl ? `من خطة إنتاج ${plan.date}` : `From production plan ${plan.date}`,
+        });
+        await task.save({ session });
+        created.push({ task, source, planItem, chefUser, doc });
+      }
+    }
+
+    for (const order of orderDocs.values()) {
+      order.markModified('items');
+      order.statusHistory.push({
+        status: order.status,
+        changedBy: req.user.id,
+        notes: `تعيين الشيفات من خطة إنتاج ${plan.date}`,
+        notesEn: `Chefs assigned from production plan ${plan.date}`,
+        changedAt: new Date(),
+      });
+      await order.save({ session, context: { isRtl } });
+    }
+    for (const factoryOrder of factoryOrderDocs.values()) {
+      if (factoryOrder.status === 'approved' && factoryOrder.items.every(item => item.status !== 'pending')) {
+        factoryOrder.status = 'in_production';
+        factoryOrder.statusHistory.push({
+          status: 'in_production',
+          changedBy: req.user.id,
+          notes: `تعيين الشيفات من خطة إنتاج ${plan.date}`,
+          changedAt: new Date(),
+        });
+      }
+      await factoryOrder.save({ session });
+    }
+    await session.commitTransaction();
+
+    const io = req.app.get('io');
+    for (const { task, source, planItem, chefUser, doc } of created) {
+      const productName = translateField(planItem.product, 'name', lang);
+      const data = {
+        taskId: task._id,
+        itemId: source.itemId,
+        productId: planItem.product._id,
+        productName,
+        quantity: source.quantity,
+        orderNumber: doc.orderNumber,
+        chefId: chefUser._id,
+        ...(source.type === 'order'
+          ? { orderId: source.id, branchId: doc.branch }
+          : { factoryOrderId: source.id }),
+        eventId: `${source.itemId}-task_assigned`,
+        isRtl,
+      };
+      await notifyUsers(
+        io,
+        [{ _id: chefUser._id }],
+        source.type === 'order' ? 'taskAssigned' : 'factoryTaskAssigned',
+        isRtl ? `تم تعيينك لإنتاج ${productName} في الطلب ${doc.orderNumber}` : `Assigned to produce ${productName} for order ${doc.orderNumber}`,
+        data,
+        false
+      );
+      const rooms = ['admin', 'production', `chef-${chefUser._id}`];
+      if (source.type === 'order') rooms.push(`branch-${doc.branch}`);
+      await emitSocketEvent(io, rooms, source.type === 'order' ? 'taskAssigned' : 'factoryTaskAssigned', data);
+    }
+
+    const populatedTasks = await ProductionAssignment.find({ _id: { $in: created.map(entry => entry.task._id) } })
+      .populate('order', 'orderNumber branch')
+      .populate('factoryOrder', 'orderNumber')
+      .populate('product', 'name nameEn unit unitEn')
+      .lean();
+    res.status(201).json({
+      success: true,
+      data: populatedTasks,
+      message: created.length
+        ? (isRtl ? `تم إنشاء ${created.length} مهمة إنتاج` : `${created.length} production tasks created`)
+        : (isRtl ? 'لا توجد عناصر معتمدة غير معينة لهذه المنتجات' : 'No approved unassigned items for these products'),
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error creating production plan assignments:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = { getProductionPlan, createPlanAssignments };
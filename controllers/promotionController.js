@@ -0,0 +1,247 @@
+// controllers/promotionController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const { findActivePromotions, applyPromotions, isPromotionActive } = require('../utils/promotionUtils');
+const { applyTax, PRICES_INCLUDE_TAX } = require('../utils/taxUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const TYPE_LABELS = {
+  percentage: { ar: 'خصم بنسبة', en: 'Percentage discount' },
+  fixed: { ar: 'خصم مبلغ ثابت', en: 'Fixed discount' },
+  bundle: { ar: 'حزمة بسعر ثابت', en: 'Bundle price' },
+  buy_x_get_y: { ar: 'اشترِ واحصل مجانًا', en: 'Buy X get Y' },
+};
+
+// مستخدم الفرع يعمل على فرعه فقط
+const resolveBranchScope = (req, branch) => (req.user.role === 'branch' ? req.user.branchId?.toString() : branch);
+
+const PROMOTION_FIELDS = [
+  'name', 'nameEn', 'type', 'value', 'branches', 'products', 'buyQuantity', 'getQuantity',
+  'bundleItems', 'bundlePrice', 'startDate', 'endDate', 'daysOfWeek', 'startTime', 'endTime', 'isActive', 'notes',
+];
+
+const populatePromotion = (query) => query
+  .populate('branches', 'name nameEn code')
+  .populate('products', 'name nameEn code price')
+  .populate('bundleItems.product', 'name nameEn code price');
+
+const formatPromotion = (promotion, lang) => ({
+  ...promotion,
+  displayName: translateField(promotion, 'name', lang),
+  typeLabel: TYPE_LABELS[promotion.type]?.[lang === 'ar' ? 'ar' : 'en'],
+  isCurrentlyActive: isPromotionActive(promotion),
+});
+
+const getPromotions = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { branch, type, includeInactive, page = 1, limit = 20 } = req.query;
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    const scopedBranch = resolveBranchScope(req, branch);
+    if (scopedBranch && isValidObjectId(scopedBranch)) query.$or = [{ branches: { $size: 0 } }, { branches: scopedBranch }];
+    if (type) query.type = type;
+    const [promotions, total] = await Promise.all([
+      populatePromotion(Promotion.find(query))
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      Promotion.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: promotions.map(promotion => formatPromotion(promotion, lang)),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching promotions:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// العروض السارية الآن لفرع معين
+const getActivePromotions = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const branch = resolveBranchScope(req, req.query.branch);
+    if (!branch || !isValidObjectId(branch)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفرع غير صالح' : 'Invalid branch ID' });
+    }
+    const promotions = await findActivePromotions({ branch });
+    res.status(200).json({ success: true, data: promotions.map(promotion => formatPromotion(promotion, lang)) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching active promotions:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// معاينة الخصومات والإجماليات لسلة نقطة البيع دون حفظ البيع
+const previewPromotions = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const branch = resolveBranchScope(req, req.body.branch);
+    if (!branch || !isValidObjectId(branch)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفرع غير صالح' : 'Invalid branch ID' });
+    }
+    const { items, pricesIncludeTax } = req.body;
+    const products = await Product.find({ _id: { $in: items.map(item => item.productId) } }).select('taxCategory').lean();
+    const priced = applyPromotions(
+      items.map(item => ({
+        product: item.productId,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        taxCategory: products.find(product => product._id.toString() === item.productId)?.taxCategory,
+      })),
+      await findActivePromotions({ branch })
+    );
+    const taxed = applyTax(priced.items, { pricesIncludeTax: pricesIncludeTax ?? PRICES_INCLUDE_TAX });
+    res.status(200).json({
+      success: true,
+      data: {
+        items: taxed.items,
+        discounts: priced.discounts.map(discount => ({ ...discount, displayName: translateField(discount, 'name', lang) })),
+        discountTotal: priced.discountTotal,
+        subtotal: taxed.subtotal,
+        taxAmount: taxed.taxAmount,
+        totalAmount: taxed.totalAmount,
+      },
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error previewing promotions:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getPromotionById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف العرض غير صالح' : 'Invalid promotion ID' });
+    }
+    const promotion = await populatePromotion(Promotion.findById(id)).lean();
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: isRtl ? 'العرض غير موجود' : 'Promotion not found' });
+    }
+    res.status(200).json({ success: true, data: formatPromotion(promotion, lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching promotion:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const createPromotion = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const promotion = new Promotion({ createdBy: req.user.id });
+    PROMOTION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+    try {
+      await promotion.validate();
+    } catch (validationError) {
+      return res.status(400).json({ success: false, message: validationError.message });
+    }
+    await promotion.save();
+    const populated = await populatePromotion(Promotion.findById(promotion._id)).lean();
+    res.status(201).json({
+      success: true,
+      data: formatPromotion(populated, lang),
+      message: isRtl ? 'تم إنشاء العرض بنجاح' : 'Promotion created successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error creating promotion:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const updatePromotion = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف العرض غير صالح' : 'Invalid promotion ID' });
+    }
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: isRtl ? 'العرض غير موجود' : 'Promotion not found' });
+    }
+    PROMOTION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    });
+    try {
+      await promotion.validate();
+    } catch (validationError) {
+      return res.status(400).json({ success: false, message: validationError.message });
+    }
+    await promotion.save();
+    const populated = await populatePromotion(Promotion.findById(promotion._id)).lean();
+    res.status(200).json({
+      success: true,
+      data: formatPromotion(populated, lang),
+      message: isRtl ? 'تم تحديث العرض بنجاح' : 'Promotion updated successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error updating promotion:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// إيقاف العرض بدلاً من حذفه لأن المبيعات السابقة تشير إليه
+const deletePromotion = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف العرض غير صالح' : 'Invalid promotion ID' });
+    }
+    const promotion = await Promotion.findById(id);
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: isRtl ? 'العرض غير موجود' : 'Promotion not found' });
+    }
+    promotion.isActive = false;
+    await promotion.save();
+    res.status(200).json({ success: true, message: isRtl ? 'تم إيقاف العرض بنجاح' : 'Promotion deactivated successfully' });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error deleting promotion:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getPromotions,
+  getActivePromotions,
+  previewPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+};
@@ -0,0 +1,438 @@
+// controllers/purchaseOrderController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceivedNote = require('../models/GoodsReceivedNote');
+const Supplier = require('../models/Supplier');
+const RawMaterial = require('../models/RawMaterial');
+const User = require('../models/User');
+const { updateRawMaterialStock } = require('../utils/rawMaterialUtils');
+const { emitSocketEvent, notifyUsers } = require('../utils/helpers');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+// الانتقالات اليدوية المسموحة؛ الاستلام الجزئي والكامل يتمان عبر أذونات الاستلام فقط
+const validTransitions = {
+  draft: ['sent', 'cancelled'],
+  sent: ['cancelled'],
+  partially_received: ['closed'],
+  received: ['closed'],
+  closed: [],
+  cancelled: [],
+};
+
+const getErrorStatus = (err) => {
+  if (err.message.includes('غير موجود') || err.message.includes('not found')) return 404;
+  if (err.message.includes('غير صالح') || err.message.includes('Invalid')) return 400;
+  return 500;
+};
+
+const populatePurchaseOrder = (query) => query
+  .populate('supplier', 'name nameEn code phone')
+  .populate('items.rawMaterial', 'name nameEn code unit unitEn')
+  .populate('createdBy', 'username name nameEn')
+  .populate('statusHistory.changedBy', 'username name nameEn');
+
+const formatPurchaseOrder = (order, lang) => ({
+  ...order,
+  supplierName: order.supplier ? translateField(order.supplier, 'name', lang) : null,
+  items: order.items.map(item => ({
+    ...item,
+    rawMaterialName: item.rawMaterial ? translateField(item.rawMaterial, 'name', lang) : null,
+    displayUnit: item.rawMaterial ? translateField(item.rawMaterial, 'unit', lang) : null,
+    remainingQuantity: Math.max(0, item.quantity - (item.receivedQuantity || 0)),
+  })),
+});
+
+const notifyPurchasingUsers = async (io, type, message, data) => {
+  const users = await User.find({ role: { $in: ['admin', 'production'] } }).select('_id').lean();
+  await notifyUsers(io, users, type, message, data, true);
+  await emitSocketEvent(io, ['admin', 'production'], type, data);
+};
+
+const createPurchaseOrder = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { supplier, items, expectedDeliveryDate, notes } = req.body;
+    const supplierDoc = await Supplier.findOne({ _id: supplier, isActive: true }).session(session);
+    if (!supplierDoc) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'المورد غير موجود' : 'Supplier not found' });
+    }
+    const materialIds = [...new Set(items.map(item => item.rawMaterial.toString()))];
+    if (materialIds.length !== items.length) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن تكرار المادة الخام في أمر الشراء' : 'Duplicate raw materials in purchase order' });
+    }
+    const materialsCount = await RawMaterial.countDocuments({ _id: { $in: materialIds }, isActive: true }).session(session);
+    if (materialsCount !== materialIds.length) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'بعض المواد الخام غير موجودة' : 'Some raw materials not found' });
+    }
+
+    const orderNumber = await nextDocumentNumber({ type: 'PURCHASE_ORDER', session });
+    const purchaseOrder = new PurchaseOrder({
+      orderNumber,
+      supplier,
+      items: items.map(item => ({
+        rawMaterial: item.rawMaterial,
+        quantity: Number(item.quantity),
+        unitPrice: Number(item.unitPrice || 0),
+      })),
+      expectedDeliveryDate: expectedDeliveryDate || undefined,
+      notes: notes?.trim(),
+      status: 'draft',
+      createdBy: req.user.id,
+      statusHistory: [{
+        status: 'draft',
+        changedBy: req.user.id,
+        notes: isRtl ? 'تم إنشاء أمر الشراء' : 'Purchase order created',
+        changedAt: new Date(),
+      }],
+    });
+    await purchaseOrder.save({ session });
+    await session.commitTransaction();
+
+    const populatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id)).lean();
+    await notifyPurchasingUsers(
+      req.app.get('io'),
+      'purchaseOrderCreated',
+      isRtl ? `تم إنشاء أمر الشراء ${orderNumber}` : `Purchase order ${orderNumber} created`,
+      {
+        purchaseOrderId: purchaseOrder._id,
+        orderNumber,
+        supplierName: translateField(supplierDoc, 'name', lang),
+        totalAmount: purchaseOrder.totalAmount,
+        status: 'draft',
+        eventId: `${purchaseOrder._id}-purchaseOrderCreated`,
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: formatPurchaseOrder(populatedOrder, lang),
+      message: isRtl ? 'تم إنشاء أمر الشراء بنجاح' : 'Purchase order created successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error creating purchase order:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const getPurchaseOrders = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { status, supplier, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (supplier && isValidObjectId(supplier)) query.supplier = supplier;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    const [orders, total] = await Promise.all([
+      populatePurchaseOrder(PurchaseOrder.find(query))
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      PurchaseOrder.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: orders.map(order => formatPurchaseOrder(order, lang)),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching purchase orders:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getPurchaseOrderById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف أمر الشراء غير صالح' : 'Invalid purchase order ID' });
+    }
+    const order = await populatePurchaseOrder(PurchaseOrder.findById(id)).lean();
+    if (!order) {
+      return res.status(404).json({ success: false, message: isRtl ? 'أمر الشراء غير موجود' : 'Purchase order not found' });
+    }
+    const receipts = await GoodsReceivedNote.find({ purchaseOrder: id })
+      .populate('items.rawMaterial', 'name nameEn unit unitEn')
+      .populate('receivedBy', 'username name nameEn')
+      .sort({ receivedAt: -1 })
+      .lean();
+    res.status(200).json({ success: true, data: { ...formatPurchaseOrder(order, lang), receipts } });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching purchase order:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const updatePurchaseOrder = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    const order = await PurchaseOrder.findById(id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: isRtl ? 'أمر الشراء غير موجود' : 'Purchase order not found' });
+    }
+    if (order.status !== 'draft') {
+      return res.status(400).json({ success: false, message: isRtl ? 'يمكن تعديل أوامر الشراء في حالة المسودة فقط' : 'Only draft purchase orders can be edited' });
+    }
+    const { supplier, items, expectedDeliveryDate, notes } = req.body;
+    if (supplier && supplier !== order.supplier.toString()) {
+      const supplierDoc = await Supplier.findOne({ _id: supplier, isActive: true });
+      if (!supplierDoc) {
+        return res.status(404).json({ success: false, message: isRtl ? 'المورد غير موجود' : 'Supplier not found' });
+      }
+      order.supplier = supplier;
+    }
+    if (items) {
+      const materialIds = [...new Set(items.map(item => item.rawMaterial.toString()))];
+      if (materialIds.length !== items.length) {
+        return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن تكرار المادة الخام في أمر الشراء' : 'Duplicate raw materials in purchase order' });
+      }
+      const materialsCount = await RawMaterial.countDocuments({ _id: { $in: materialIds }, isActive: true });
+      if (materialsCount !== materialIds.length) {
+        return res.status(404).json({ success: false, message: isRtl ? 'بعض المواد الخام غير موجودة' : 'Some raw materials not found' });
+      }
+      order.items = items.map(item => ({
+        rawMaterial: item.rawMaterial,
+        quantity: Number(item.quantity),
+        unitPrice: Number(item.unitPrice || 0),
+      }));
+    }
+    if (expectedDeliveryDate !== undefined) order.expectedDeliveryDate = expectedDeliveryDate || undefined;
+    if (notes !== undefined) order.notes = notes?.trim();
+    await order.save();
+
+    const populatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id)).lean();
+    res.status(200).json({
+      success: true,
+      data: formatPurchaseOrder(populatedOrder, lang),
+      message: isRtl ? 'تم تحديث أمر الشراء بنجاح' : 'Purchase order updated successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error updating purchase order:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const updatePurchaseOrderStatus = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    const { status, notes } = req.body;
+    const order = await PurchaseOrder.findById(id).populate('supplier', 'name nameEn');
+    if (!order) {
+      return res.status(404).json({ success: false, message: isRtl ? 'أمر الشراء غير موجود' : 'Purchase order not found' });
+    }
+    if (!validTransitions[order.status]?.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: isRtl ? `لا يمكن تغيير حالة أمر الشراء من ${order.status} إلى ${status}` : `Cannot change purchase order status from ${order.status} to ${status}`,
+      });
+    }
+    if (status === 'sent' && !order.items.length) {
+      return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن إرسال أمر شراء بدون عناصر' : 'Cannot send a purchase order without items' });
+    }
+
+    order.status = status;
+    if (status === 'sent') order.sentAt = new Date();
+    if (status === 'closed') order.closedAt = new Date();
+    order.statusHistory.push({
+      status,
+      changedBy: req.user.id,
+      notes: notes?.trim(),
+      changedAt: new Date(),
+    });
+    await order.save();
+
+    await notifyPurchasingUsers(
+      req.app.get('io'),
+      'purchaseOrderStatusUpdated',
+      isRtl ? `تم تحديث حالة أمر الشراء ${order.orderNumber} إلى ${status}` : `Purchase order ${order.orderNumber} status updated to ${status}`,
+      {
+        purchaseOrderId: order._id,
+        orderNumber: order.orderNumber,
+        supplierName: translateField(order.supplier, 'name', lang),
+        status,
+        eventId: `${order._id}-purchaseOrderStatusUpdated-${status}`,
+      }
+    );
+
+    const populatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id)).lean();
+    res.status(200).json({
+      success: true,
+      data: formatPurchaseOrder(populatedOrder, lang),
+      message: isRtl ? 'تم تحديث حالة أمر الشراء بنجاح' : 'Purchase order status updated successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error updating purchase order status:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const receiveGoods = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    const { items, notes } = req.body;
+    const order = await PurchaseOrder.findById(id).populate('supplier', 'name nameEn').session(session);
+    if (!order) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'أمر الشراء غير موجود' : 'Purchase order not found' });
+    }
+    if (!['sent', 'partially_received'].includes(order.status)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'يجب إرسال أمر الشراء قبل الاستلام' : 'Purchase order must be sent before receiving goods' });
+    }
+
+    const grnItems = [];
+    for (const receivedItem of items) {
+      const orderItem = order.items.id(receivedItem.itemId);
+      if (!orderItem) {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: isRtl ? `العنصر ${receivedItem.itemId} غير موجود في أمر الشراء` : `Item ${receivedItem.itemId} not found in purchase order` });
+      }
+      const quantity = Number(receivedItem.quantity);
+      const remaining = orderItem.quantity - orderItem.receivedQuantity;
+      if (quantity > remaining) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: isRtl ? `الكمية المستلمة تتجاوز المتبقي (${remaining}) للعنصر ${receivedItem.itemId}` : `Received quantity exceeds remaining (${remaining}) for item ${receivedItem.itemId}`,
+        });
+      }
+      orderItem.receivedQuantity += quantity;
+      grnItems.push({
+        itemId: orderItem._id,
+        rawMaterial: orderItem.rawMaterial,
+        quantity,
+        notes: receivedItem.notes?.trim(),
+      });
+    }
+
+    const grnNumber = await nextDocumentNumber({ type: 'GOODS_RECEIPT', session });
+    const grn = new GoodsReceivedNote({
+      grnNumber,
+      purchaseOrder: order._id,
+      supplier: order.supplier._id,
+      items: grnItems,
+      notes: notes?.trim(),
+      receivedBy: req.user.id,
+      receivedAt: new Date(),
+    });
+    await grn.save({ session });
+
+    // ترحيل الكميات المستلمة إلى مخزون المصنع من المواد الخام
+    for (const grnItem of grnItems) {
+      await updateRawMaterialStock({
+        rawMaterial: grnItem.rawMaterial,
+        quantity: grnItem.quantity,
+        action: 'received',
+        reference: `إذن استلام ${grnNumber} لأمر الشراء ${order.orderNumber}`,
+        referenceType: 'purchase_order',
+        referenceId: order._id,
+        createdBy: req.user.id,
+        session,
+        notes: grnItem.notes,
+      });
+    }
+
+    const fullyReceived = order.items.every(item => item.receivedQuantity >= item.quantity);
+    const newStatus = fullyReceived ? 'received' : 'partially_received';
+    if (order.status !== newStatus) {
+      order.status = newStatus;
+      order.statusHistory.push({
+        status: newStatus,
+        changedBy: req.user.id,
+        notes: isRtl ? `إذن استلام ${grnNumber}` : `Goods received note ${grnNumber}`,
+        changedAt: new Date(),
+      });
+    }
+    order.markModified('items');
+    await order.save({ session });
+    await session.commitTransaction();
+
+    await notifyPurchasingUsers(
+      req.app.get('io'),
+      'goodsReceived',
+      isRtl ? `تم استلام بضاعة لأمر الشراء ${order.orderNumber}` : `Goods received for purchase order ${order.orderNumber}`,
+      {
+        purchaseOrderId: order._id,
+        orderNumber: order.orderNumber,
+        grnId: grn._id,
+        grnNumber,
+        supplierName: translateField(order.supplier, 'name', lang),
+        status: order.status,
+        eventId: `${grn._id}-goodsReceived`,
+      }
+    );
+
+    const populatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id)).lean();
+    res.status(201).json({
+      success: true,
+      data: { purchaseOrder: formatPurchaseOrder(populatedOrder, lang), receipt: grn },
+      message: isRtl ? 'تم تسجيل الاستلام بنجاح' : 'Goods received successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error receiving goods:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receiveGoods,
+};
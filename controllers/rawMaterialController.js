@@ -0,0 +1,396 @@
+// controllers/rawMaterialController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const RawMaterial = require('../models/RawMaterial');
+const RawMaterialHistory = require('../models/RawMaterialHistory');
+const Product = require('../models/Product');
+const Supplier = require('../models/Supplier');
+const { updateRawMaterialStock } = require('../utils/rawMaterialUtils');
+const { emitSocketEvent } = require('../utils/helpers');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const formatRawMaterial = (material, lang) => ({
+  ...material,
+  displayName: translateField(material, 'name', lang),
+  displayUnit: translateField(material, 'unit', lang),
+  status:
+    material.currentStock <= material.minStockLevel
+      ? 'low'
+      : material.currentStock >= material.maxStockLevel
+      ? 'full'
+      : 'normal',
+});
+
+const getErrorStatus = (err) => {
+  if (err.message.includes('غير موجود') || err.message.includes('not found')) return 404;
+  if (err.message.includes('غير كافية') || err.message.includes('Insufficient')) return 422;
+  if (err.message.includes('غير صالح') || err.message.includes('Invalid')) return 400;
+  return 500;
+};
+
+const emitRawMaterialEvents = async (io, material, type, lang) => {
+  if (!io) return;
+  const eventData = {
+    rawMaterialId: material._id.toString(),
+    rawMaterialName: translateField(material, 'name', lang),
+    currentStock: material.currentStock,
+    minStockLevel: material.minStockLevel,
+    type,
+  };
+  await emitSocketEvent(io, ['admin', 'production'], 'rawMaterialUpdated', eventData);
+  if (material.currentStock <= material.minStockLevel) {
+    await emitSocketEvent(io, ['admin', 'production'], 'lowRawMaterialStockWarning', {
+      ...eventData,
+      eventId: `${material._id}-lowRawMaterialStockWarning-${Date.now()}`,
+    });
+  }
+};
+
+const getRawMaterials = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { category, search, lowStock, includeInactive } = req.query;
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    if (category) query.category = category;
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { nameEn: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } },
+      ];
+    }
+    if (lowStock === 'true') {
+      query.$expr = { $lte: ['$currentStock', '$minStockLevel'] };
+    }
+    const materials = await RawMaterial.find(query)
+      .select('-movements')
+      .populate('createdBy', 'username name nameEn')
+      .populate('updatedBy', 'username name nameEn')
+      .sort({ name: 1 })
+      .lean();
+    res.status(200).json({ success: true, data: materials.map(material => formatRawMaterial(material, lang)) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching raw materials:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getRawMaterialById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف المادة الخام غير صالح' : 'Invalid raw material ID' });
+    }
+    const material = await RawMaterial.findById(id)
+      .populate('preferredSupplier', 'name nameEn code phone')
+      .populate('createdBy', 'username name nameEn')
+      .populate('updatedBy', 'username name nameEn')
+      .populate('movements.createdBy', 'username name nameEn')
+      .lean();
+    if (!material) {
+      return res.status(404).json({ success: false, message: isRtl ? 'المادة الخام غير موجودة' : 'Raw material not found' });
+    }
+    const usedIn = await Product.find({ 'recipe.items.rawMaterial': id })
+      .select('name nameEn code')
+      .lean();
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatRawMaterial(material, lang),
+        usedIn: usedIn.map(product => ({ ...product, displayName: translateField(product, 'name', lang) })),
+      },
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching raw material:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const createRawMaterial = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const {
+      name, nameEn, code, unit, category, currentStock = 0,
+      minStockLevel = 0, maxStockLevel = 1000, supplierName, supplierPhone, preferredSupplier,
+    } = req.body;
+    if (preferredSupplier && !(await Supplier.exists({ _id: preferredSupplier }).session(session))) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'المورد غير موجود' : 'Supplier not found' });
+    }
+    if (maxStockLevel < minStockLevel) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'الحد الأقصى يجب أن يكون أكبر من الحد الأدنى' : 'Max stock level must be greater than min stock level' });
+    }
+    const existing = await RawMaterial.findOne({ code: code.trim() }).session(session);
+    if (existing) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'رمز المادة الخام موجود بالفعل' : 'Raw material code already exists' });
+    }
+    const material = new RawMaterial({
+      name: name.trim(),
+      nameEn: nameEn?.trim(),
+      code: code.trim(),
+      unit,
+      category,
+      minStockLevel,
+      maxStockLevel,
+      supplierName: supplierName?.trim(),
+      supplierPhone: supplierPhone?.trim(),
+      preferredSupplier: preferredSupplier || undefined,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+    await material.save({ session });
+
+    let savedMaterial = material;
+    if (currentStock > 0) {
+      savedMaterial = await updateRawMaterialStock({
+        rawMaterial: material._id,
+        quantity: Number(currentStock),
+        action: 'restock',
+        reference: `رصيد افتتاحي بواسطة ${req.user.username}`,
+        referenceType: 'adjustment',
+        createdBy: req.user.id,
+        session,
+      });
+    }
+    await session.commitTransaction();
+
+    await emitRawMaterialEvents(req.app.get('io'), savedMaterial, 'created', lang);
+    res.status(201).json({
+      success: true,
+      data: formatRawMaterial(savedMaterial.toObject(), lang),
+      message: isRtl ? 'تم إنشاء المادة الخام بنجاح' : 'Raw material created successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error creating raw material:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في إنشاء المادة الخام' : 'Error creating raw material', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const updateRawMaterial = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    const material = await RawMaterial.findById(id);
+    if (!material) {
+      return res.status(404).json({ success: false, message: isRtl ? 'المادة الخام غير موجودة' : 'Raw material not found' });
+    }
+    const { name, nameEn, code, unit, category, minStockLevel, maxStockLevel, supplierName, supplierPhone, preferredSupplier, isActive } = req.body;
+    if (preferredSupplier && !(await Supplier.exists({ _id: preferredSupplier }))) {
+      return res.status(404).json({ success: false, message: isRtl ? 'المورد غير موجود' : 'Supplier not found' });
+    }
+    if (code && code.trim() !== material.code) {
+      const existing = await RawMaterial.findOne({ code: code.trim(), _id: { $ne: id } });
+      if (existing) {
+        return res.status(400).json({ success: false, message: isRtl ? 'رمز المادة الخام موجود بالفعل' : 'Raw material code already exists' });
+      }
+    }
+    const newMin = minStockLevel !== undefined ? minStockLevel : material.minStockLevel;
+    const newMax = maxStockLevel !== undefined ? maxStockLevel : material.maxStockLevel;
+    if (newMax < newMin) {
+      return res.status(400).json({ success: false, message: isRtl ? 'الحد الأقصى يجب أن يكون أكبر من الحد الأدنى' : 'Max stock level must be greater than min stock level' });
+    }
+
+    if (name !== undefined) material.name = name.trim();
+    if (nameEn !== undefined) material.nameEn = nameEn?.trim();
+    if (code !== undefined) material.code = code.trim();
+    if (unit !== undefined) material.unit = unit;
+    if (category !== undefined) material.category = category;
+    if (minStockLevel !== undefined) material.minStockLevel = minStockLevel;
+    if (maxStockLevel !== undefined) material.maxStockLevel = maxStockLevel;
+    if (supplierName !== undefined) material.supplierName = supplierName?.trim();
+    if (supplierPhone !== undefined) material.supplierPhone = supplierPhone?.trim();
+    if (preferredSupplier !== undefined) material.preferredSupplier = preferredSupplier || undefined;
+    if (isActive !== undefined) material.isActive = isActive;
+    material.updatedBy = req.user.id;
+    await material.save();
+
+    await emitRawMaterialEvents(req.app.get('io'), material, 'updated', lang);
+    res.status(200).json({
+      success: true,
+      data: formatRawMaterial(material.toObject(), lang),
+      message: isRtl ? 'تم تحديث المادة الخام بنجاح' : 'Raw material updated successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error updating raw material:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في تحديث المادة الخام' : 'Error updating raw material', error: err.message });
+  }
+};
+
+const deleteRawMaterial = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف المادة الخام غير صالح' : 'Invalid raw material ID' });
+    }
+    const material = await RawMaterial.findById(id);
+    if (!material) {
+      return res.status(404).json({ success: false, message: isRtl ? 'المادة الخام غير موجودة' : 'Raw material not found' });
+    }
+    const usedInRecipes = await Product.countDocuments({ 'recipe.items.rawMaterial': id, isActive: true });
+    if (usedInRecipes > 0) {
+      return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن حذف مادة خام مستخدمة في وصفات منتجات نشطة' : 'Cannot delete a raw material used in active product recipes' });
+    }
+    // تعطيل بدلاً من الحذف للحفاظ على سجل الحركات
+    material.isActive = false;
+    material.updatedBy = req.user.id;
+    await material.save();
+    res.status(200).json({ success: true, message: isRtl ? 'تم حذف المادة الخام بنجاح' : 'Raw material deleted successfully' });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error deleting raw material:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const adjustRawMaterialStock = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    const { type, quantity, notes } = req.body;
+    const material = await RawMaterial.findById(id).session(session);
+    if (!material) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'المادة الخام غير موجودة' : 'Raw material not found' });
+    }
+    if (!material.isActive) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'المادة الخام غير نشطة' : 'Raw material is inactive' });
+    }
+    // restock يضيف، damaged يخصم إلى التالف، adjustment يقبل قيمة موجبة أو سالبة
+    const signedQuantity = type === 'restock' ? Math.abs(quantity) : type === 'damaged' ? -Math.abs(quantity) : Number(quantity);
+    const referenceLabels = {
+      restock: `توريد مخزون بواسطة ${req.user.username}`,
+      damaged: `تسجيل تالف بواسطة ${req.user.username}`,
+      adjustment: `تعديل المخزون بواسطة ${req.user.username}`,
+    };
+    const updatedMaterial = await updateRawMaterialStock({
+      rawMaterial: id,
+      quantity: signedQuantity,
+      action: type,
+      reference: referenceLabels[type],
+      referenceType: 'adjustment',
+      createdBy: req.user.id,
+      session,
+      notes: notes?.trim(),
+      isDamaged: type === 'damaged',
+    });
+    await session.commitTransaction();
+
+    await emitRawMaterialEvents(req.app.get('io'), updatedMaterial, type, lang);
+    res.status(200).json({
+      success: true,
+      data: formatRawMaterial(updatedMaterial.toObject(), lang),
+      message: isRtl ? 'تم تحديث مخزون المادة الخام بنجاح' : 'Raw material stock updated successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error adjusting raw material stock:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في تحديث المخزون' : 'Error updating stock', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const getRawMaterialHistory = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { rawMaterial, action, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const query = {};
+    if (rawMaterial) query.rawMaterial = rawMaterial;
+    if (action) query.action = action;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    const [history, total] = await Promise.all([
+      RawMaterialHistory.find(query)
+        .populate('rawMaterial', 'name nameEn code unit unitEn')
+        .populate('createdBy', 'username name nameEn')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      RawMaterialHistory.countDocuments(query),
+    ]);
+    const transformedHistory = history.map(entry => ({
+      _id: entry._id,
+      date: entry.createdAt,
+      type: entry.action,
+      quantity: entry.quantity,
+      balanceAfter: entry.balanceAfter,
+      description: entry.reference,
+      notes: entry.notes,
+      referenceType: entry.referenceType,
+      referenceId: entry.referenceId,
+      rawMaterialId: entry.rawMaterial?._id,
+      rawMaterialName: entry.rawMaterial ? translateField(entry.rawMaterial, 'name', lang) : (isRtl ? 'غير معروف' : 'Unknown'),
+      unit: entry.rawMaterial ? translateField(entry.rawMaterial, 'unit', lang) : null,
+      createdByName: isRtl ? entry.createdBy?.name : entry.createdBy?.nameEn || entry.createdBy?.name || 'غير معروف',
+    }));
+    res.status(200).json({
+      success: true,
+      history: transformedHistory,
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching raw material history:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getRawMaterials,
+  getRawMaterialById,
+  createRawMaterial,
+  updateRawMaterial,
+  deleteRawMaterial,
+  adjustRawMaterialStock,
+  getRawMaterialHistory,
+};
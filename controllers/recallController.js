@@ -0,0 +1,417 @@
+// controllers/recallController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Recall = require('../models/Recall');
+const ProductionLot = require('../models/ProductionLot');
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const InventoryHistory = require('../models/InventoryHistory');
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { emitSocketEvent, notifyUsers } = require('../utils/helpers');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
+const { splitLotAllocations } = require('../utils/lotUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+// الأخطاء المتوقعة تحمل رمز حالة HTTP؛ أي خطأ آخر خطأ في السيرفر
+const getErrorStatus = (err) => err.status || (err.name === 'ValidationError' ? 400 : 500);
+
+const populateRecall = (query) => query
+  .populate('product', 'name nameEn code unit unitEn')
+  .populate('affectedBranches.branch', 'name nameEn code')
+  .populate('affectedBranches.returnRequest', 'returnNumber status')
+  .populate('createdBy closedBy', 'username name nameEn')
+  .populate('statusHistory.changedBy', 'username name nameEn');
+
+const formatRecall = (recall, lang) => {
+  const resolved = recall.affectedBranches.filter(entry => entry.status !== 'pending').length;
+  const total = recall.affectedBranches.length;
+  return {
+    ...recall,
+    productName: recall.product ? translateField(recall.product, 'name', lang) : null,
+    affectedBranches: recall.affectedBranches.map(entry => ({
+      ...entry,
+      branchName: entry.branch ? translateField(entry.branch, 'name', lang) : null,
+    })),
+    progress: {
+      total,
+      resolved,
+      percentage: total ? Math.round((resolved / total) * 100) : 100,
+    },
+  };
+};
+
+// تحديد الدفعات المشمولة بالاسترجاع حسب النطاق
+const resolveRecallLots = async ({ product, scope, lots, productionDateFrom, productionDateTo, session }) => {
+  const query = { product };
+  if (scope === 'lots') {
+    query._id = { $in: lots };
+  } else if (scope === 'date_range') {
+    query.productionDate = {};
+    if (productionDateFrom) query.productionDate.$gte = new Date(productionDateFrom);
+    if (productionDateTo) query.productionDate.$lte = new Date(productionDateTo);
+  }
+  return ProductionLot.find(query).select('lotNumber productionDate').session(session).lean();
+};
+
+// تجميع الفروع المتأثرة من سجلات التسليم في تاريخ المخزون ومن الطلبات التي في الطريق إليها
+const findAffectedBranches = async ({ product, scope, lotIds, session }) => {
+  const query = { product, action: 'delivery' };
+  if (scope !== 'product') query['lots.lot'] = { $in: lotIds };
+  const deliveries = await InventoryHistory.find(query).select('branch quantity lots').session(session).lean();
+  const orderQuery = { status: 'in_transit', 'items.product': product };
+  if (scope !== 'product') orderQuery['items.lots.lot'] = { $in: lotIds };
+  const orders = await Order.find(orderQuery).select('branch items.product items.quantity items.lots').session(session).lean();
+
+  const lotIdSet = new Set(lotIds.map(id => id.toString()));
+  const recalledQuantity = (quantity, lots) => (scope === 'product'
+    ? quantity
+    : (lots || []).filter(lot => lotIdSet.has(lot.lot?.toString())).reduce((sum, lot) => sum + lot.quantity, 0));
+  const branches = new Map();
+  const getEntry = (branch) => {
+    const branchId = branch.toString();
+    if (!branches.has(branchId)) branches.set(branchId, { branch: branchId, deliveredQuantity: 0, inTransitQuantity: 0 });
+    return branches.get(branchId);
+  };
+  for (const delivery of deliveries) {
+    getEntry(delivery.branch).deliveredQuantity += recalledQuantity(delivery.quantity, delivery.lots);
+  }
+  for (const order of orders) {
+    const inTransitQuantity = order.items
+      .filter(item => item.product?.toString() === product.toString())
+      .reduce((sum, item) => sum + recalledQuantity(item.quantity, item.lots), 0);
+    if (inTransitQuantity > 0) getEntry(order.branch).inTransitQuantity += inTransitQuantity;
+  }
+  return [...branches.values()];
+};
+
+const createRecall = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { product, scope, lots = [], productionDateFrom, productionDateTo, reason, notes } = req.body;
+    const productDoc = await Product.findById(product).select('name nameEn price').session(session);
+    if (!productDoc) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'المنتج غير موجود' : 'Product not found' });
+    }
+    if (scope === 'date_range' && !productionDateFrom && !productionDateTo) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'يجب تحديد نطاق تاريخ الإنتاج' : 'Production date range is required' });
+    }
+
+    const recalledLots = await resolveRecallLots({ product, scope, lots, productionDateFrom, productionDateTo, session });
+    if (scope === 'lots' && recalledLots.length !== new Set(lots.map(String)).size) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'بعض الدفعات غير موجودة لهذا المنتج' : 'Some lots not found for this product' });
+    }
+    if (scope !== 'product' && !recalledLots.length) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'لا توجد دفعات مطابقة لنطاق الاسترجاع' : 'No lots match the recall scope' });
+    }
+    const lotIds = recalledLots.map(lot => lot._id);
+    const lotIdSet = new Set(lotIds.map(id => id.toString()));
+
+    // إيقاف الدفعات المسترجعة عن التخصيص للشحنات القادمة
+    await ProductionLot.updateMany({ _id: { $in: lotIds } }, { $set: { status: 'recalled' } }, { session });
+
+    const recallNumber = await nextDocumentNumber({ type: 'RECALL', session });
+    const recall = new Recall({
+      recallNumber,
+      product,
+      scope,
+      lots: recalledLots.map(lot => ({ lot: lot._id, lotNumber: lot.lotNumber })),
+      productionDateFrom: productionDateFrom || undefined,
+      productionDateTo: productionDateTo || undefined,
+      reason: reason.trim(),
+      notes: notes?.trim(),
+      status: 'open',
+      createdBy: req.user.id,
+      statusHistory: [{
+        status: 'open',
+        changedBy: req.user.id,
+        notes: isRtl ? 'تم فتح الاسترجاع' : 'Recall opened',
+        changedAt: new Date(),
+      }],
+    });
+
+    const affectedBranches = await findAffectedBranches({ product, scope, lotIds, session });
+    for (const { branch, deliveredQuantity, inTransitQuantity } of affectedBranches) {
+      const inventory = await Inventory.findOne({ branch, product }).session(session);
+      const heldLots = scope === 'product'
+        ? (inventory?.lots || [])
+        : (inventory?.lots || []).filter(lot => lotIdSet.has(lot.lot.toString()));
+      const heldQuantity = scope === 'product'
+        ? (inventory?.currentStock || 0)
+        : heldLots.reduce((sum, lot) => sum + lot.quantity, 0);
+      const frozenQuantity = Math.min(heldQuantity, inventory?.currentStock || 0);
+
+      // الشحنة التي في الطريق لا تُجمد الآن؛ يبقى الفرع معلقًا ويُمنع بيع دفعاتها عند وصولها
+      if (frozenQuantity <= 0) {
+        recall.affectedBranches.push(inTransitQuantity > 0
+          ? { branch, deliveredQuantity, inTransitQuantity, status: 'pending' }
+          : { branch, deliveredQuantity, status: 'no_stock', resolvedAt: new Date() });
+        continue;
+      }
+
+      // تجميد المخزون المسترجع بتحويله إلى مرتجع بانتظار الموافقة
+      const returnNumber = await nextDocumentNumber({ type: 'RETURN', branch, session });
+      const recallReturn = new Return({
+        returnNumber,
+        branch,
+        items: [{
+          product,
+          quantity: frozenQuantity,
+          price: productDoc.price || 0,
+          reason: 'أخرى',
+          reasonEn: 'Other',
+          lots: splitLotAllocations(
+            heldLots.map(lot => ({ lot: lot.lot, lotNumber: lot.lotNumber, quantity: lot.quantity })),
+            frozenQuantity
+          ).kept,
+        }],
+        status: 'pending_approval',
+        createdBy: req.user.id,
+        notes: `استرجاع المنتج #${recallNumber}: ${reason.trim()}`,
+        recall: recall._id,
+        statusHistory: [{
+          status: 'pending_approval',
+          changedBy: req.user.id,
+          notes: isRtl ? `تم إنشاء المرتجع تلقائيًا للاسترجاع ${recallNumber}` : `Return generated for recall ${recallNumber}`,
+          changedAt: new Date(),
+        }],
+      });
+      await recallReturn.save({ session });
+
+      const inventoryUpdate = {
+        $inc: { currentStock: -frozenQuantity, pendingReturnStock: frozenQuantity },
+        $push: {
+          movements: {
+            type: 'out',
+            quantity: frozenQuantity,
+            reference: `استرجاع #${recallNumber}`,
+            createdBy: req.user.id,
+            createdAt: new Date(),
+          },
+        },
+      };
+      if (scope === 'product') {
+        inventoryUpdate.$set = { lots: [] };
+      } else {
+        inventoryUpdate.$pull = { lots: { lot: { $in: lotIds } } };
+      }
+      await Inventory.updateOne({ _id: inventory._id }, inventoryUpdate, { session });
+
+      await new InventoryHistory({
+        product,
+        branch,
+        action: 'return_pending',
+        quantity: -frozenQuantity,
+        reference: `استرجاع #${recallNumber} - مرتجع #${returnNumber}`,
+        referenceType: 'return',
+        referenceId: recallReturn._id,
+        createdBy: req.user.id,
+        notes: reason.trim(),
+        lots: heldLots.map(lot => ({ lot: lot.lot, lotNumber: lot.lotNumber, quantity: lot.quantity })),
+      }).save({ session });
+
+      recall.affectedBranches.push({
+        branch,
+        deliveredQuantity,
+        inTransitQuantity,
+        frozenQuantity,
+        returnRequest: recallReturn._id,
+        status: 'pending',
+      });
+    }
+
+    await recall.save({ session });
+    await session.commitTransaction();
+
+    const populatedRecall = await populateRecall(Recall.findById(recall._id)).lean();
+    const io = req.app.get('io');
+    const branchIds = recall.affectedBranches.map(entry => entry.branch);
+    const usersToNotify = await User.find({
+      $or: [
+        { role: { $in: ['admin', 'production'] } },
+        { role: 'branch', branch: { $in: branchIds } },
+      ],
+    }).select('_id').lean();
+    const productName = translateField(productDoc, 'name', lang);
+    const eventData = {
+      recallId: recall._id,
+      recallNumber,
+      productId: product,
+      productName,
+      branchIds,
+      status: 'open',
+      eventId: `${recall._id}-recallCreated`,
+    };
+    await notifyUsers(
+      io,
+      usersToNotify,
+      'recallCreated',
+      isRtl ? `تم فتح استرجاع ${recallNumber} للمنتج ${productName}` : `Recall ${recallNumber} opened for ${productName}`,
+      eventData,
+      true
+    );
+    await emitSocketEvent(io, ['admin', 'production', ...branchIds.map(id => `branch-${id}`)], 'recallCreated', eventData);
+
+    res.status(201).json({
+      success: true,
+      data: formatRecall(populatedRecall, lang),
+      message: isRtl ? 'تم إنشاء الاسترجاع بنجاح' : 'Recall created successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error creating recall:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: err.status ? err.message : (isRtl ? 'خطأ في السيرفر' : 'Server error'), error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const getRecalls = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { status, product, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (product && isValidObjectId(product)) query.product = product;
+    if (req.user.role === 'branch') {
+      query['affectedBranches.branch'] = req.user.branchId;
+    }
+    const [recalls, total] = await Promise.all([
+      populateRecall(Recall.find(query))
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      Recall.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: recalls.map(recall => formatRecall(recall, lang)),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching recalls:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getRecallById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الاسترجاع غير صالح' : 'Invalid recall ID' });
+    }
+    const recall = await populateRecall(Recall.findById(id)).lean();
+    if (!recall) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الاسترجاع غير موجود' : 'Recall not found' });
+    }
+    if (req.user.role === 'branch' && !recall.affectedBranches.some(entry => entry.branch?._id?.toString() === req.user.branchId?.toString())) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لعرض هذا الاسترجاع' : 'Not authorized to view this recall' });
+    }
+    res.status(200).json({ success: true, data: formatRecall(recall, lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching recall:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const closeRecall = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الاسترجاع غير صالح' : 'Invalid recall ID' });
+    }
+    const recall = await Recall.findById(id);
+    if (!recall) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الاسترجاع غير موجود' : 'Recall not found' });
+    }
+    if (recall.status === 'closed') {
+      return res.status(400).json({ success: false, message: isRtl ? 'الاسترجاع مغلق بالفعل' : 'Recall is already closed' });
+    }
+    const pendingBranches = recall.affectedBranches.filter(entry => entry.status === 'pending').length;
+    if (pendingBranches > 0) {
+      return res.status(400).json({
+        success: false,
+        message: isRtl ? `لا يمكن إغلاق الاسترجاع، ${pendingBranches} فرع بانتظار مراجعة المرتجع` : `Cannot close recall, ${pendingBranches} branch returns are still pending`,
+      });
+    }
+    recall.status = 'closed';
+    recall.closedBy = req.user.id;
+    recall.closedAt = new Date();
+    recall.statusHistory.push({
+      status: 'closed',
+      changedBy: req.user.id,
+      notes: notes?.trim() || (isRtl ? 'تم إغلاق الاسترجاع' : 'Recall closed'),
+      changedAt: new Date(),
+    });
+    await recall.save();
+
+    const populatedRecall = await populateRecall(Recall.findById(id)).lean();
+    const io = req.app.get('io');
+    const branchIds = recall.affectedBranches.map(entry => entry.branch);
+    const usersToNotify = await User.find({
+      $or: [
+        { role: { $in: ['admin', 'production'] } },
+        { role: 'branch', branch: { $in: branchIds } },
+      ],
+    }).select('_id').lean();
+    const eventData = {
+      recallId: recall._id,
+      recallNumber: recall.recallNumber,
+      productId: recall.product,
+      status: 'closed',
+      eventId: `${recall._id}-recallClosed`,
+    };
+    await notifyUsers(
+      io,
+      usersToNotify,
+      'recallClosed',
+      isRtl ? `تم إغلاق الاسترجاع ${recall.recallNumber}` : `Recall ${recall.recallNumber} closed`,
+      eventData,
+      true
+    );
+    await emitSocketEvent(io, ['admin', 'production', ...branchIds.map(branchId => `branch-${branchId}`)], 'recallClosed', eventData);
+
+    res.status(200).json({
+      success: true,
+      data: formatRecall(populatedRecall, lang),
+      message: isRtl ? 'تم إغلاق الاسترجاع بنجاح' : 'Recall closed successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error closing recall:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(getErrorStatus(err)).json({ success: false, message: err.status ? err.message : (isRtl ? 'خطأ في السيرفر' : 'Server error'), error: err.message });
+  }
+};
+
+module.exports = {
+  createRecall,
+  getRecalls,
+  getRecallById,
+  closeRecall,
+};
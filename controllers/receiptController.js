@@ -0,0 +1,70 @@
+// controllers/receiptController.js
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const { buildSaleReceiptLines, renderPlainText, renderEscPos } = require('../utils/receiptUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const RECEIPT_FORMATS = ['text', 'escpos', 'json'];
+
+// طباعة إيصال البيع؛ كل طلب يُحسب طباعة، وما بعد الأولى يحمل علامة "نسخة مكررة"
+const printSaleReceipt = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'text';
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف بيع غير صالح' : 'Invalid sale ID' });
+    }
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'صيغة الإيصال غير صالحة' : 'Invalid receipt format' });
+    }
+    const existing = await Sale.findById(id).select('branch').lean();
+    if (!existing) {
+      return res.status(404).json({ success: false, message: isRtl ? 'البيع غير موجود' : 'Sale not found' });
+    }
+    if (req.user.role === 'branch' && existing.branch?.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    const printedAt = new Date();
+    const sale = await Sale.findByIdAndUpdate(
+      id,
+      { $inc: { printCount: 1 }, $set: { lastPrintedAt: printedAt, lastPrintedBy: req.user.id } },
+      { new: true }
+    )
+      .populate('branch', 'name nameEn address addressEn city cityEn phone receipt')
+      .populate('items.product', 'name nameEn')
+      .populate('createdBy', 'username name nameEn')
+      .lean();
+    const lines = buildSaleReceiptLines({ sale, lang, printCount: sale.printCount, printedAt });
+    const reprint = sale.printCount > 1;
+    res.setHeader('X-Receipt-Print-Count', sale.printCount);
+
+    if (format === 'escpos') {
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${sale.saleNumber}.bin"`);
+      return res.status(200).send(renderEscPos(lines, { rtl: isRtl }));
+    }
+    if (format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.status(200).send(renderPlainText(lines, { rtl: isRtl }));
+    }
+    res.status(200).json({
+      success: true,
+      data: {
+        saleId: sale._id,
+        saleNumber: sale.saleNumber,
+        printCount: sale.printCount,
+        reprint,
+        text: renderPlainText(lines, { rtl: isRtl }),
+        escpos: renderEscPos(lines, { rtl: isRtl }).toString('base64'),
+      },
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error printing sale receipt:`, { error: err.message, stack: err.stack, params: req.params, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+module.exports = { printSaleReceipt };
@@ -0,0 +1,232 @@
+// controllers/replenishmentController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Branch = require('../models/Branch');
+const Order = require('../models/Order');
+const RestockRequest = require('../models/RestockRequest');
+const { computeReplenishmentSuggestions, createReplenishmentDrafts } = require('../utils/replenishmentUtils');
+const { emitSocketEvent } = require('../utils/helpers');
+const { notifyRestockEvent } = require('./restockRequestController');
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+// الفرع يرى اقتراحاته فقط، والإدمن والإنتاج يحددون الفرع
+const resolveBranch = (req, branch) => (req.user.role === 'branch' ? req.user.branchId?.toString() : branch);
+
+const formatSuggestion = (suggestion, lang) => ({
+  ...suggestion,
+  productName: translateField(suggestion.product, 'name', lang),
+  displayUnit: translateField(suggestion.product, 'unit', lang),
+});
+
+const getReplenishmentSuggestions = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const branch = resolveBranch(req, req.query.branch);
+    if (!branch || !mongoose.isValidObjectId(branch)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفرع غير صالح' : 'Invalid branch ID' });
+    }
+    const branchDoc = await Branch.findById(branch).select('name nameEn').lean();
+    if (!branchDoc) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
+    }
+    const suggestions = await computeReplenishmentSuggestions({
+      branch,
+      lookbackDays: parseInt(req.query.lookbackDays) || undefined,
+      coverageDays: parseInt(req.query.coverageDays) || undefined,
+    });
+    res.status(200).json({
+      success: true,
+      data: {
+        branch: { _id: branch, displayName: translateField(branchDoc, 'name', lang) },
+        suggestions: suggestions.map(suggestion => formatSuggestion(suggestion, lang)),
+      },
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error computing replenishment suggestions:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const generateReplenishmentDrafts = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const branch = resolveBranch(req, req.body.branch);
+    if (!branch || !mongoose.isValidObjectId(branch)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفرع غير صالح' : 'Invalid branch ID' });
+    }
+    const branchDoc = await Branch.findById(branch).session(session);
+    if (!branchDoc) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
+    }
+    const { target = 'restock_request', lookbackDays, coverageDays } = req.body;
+    const suggestions = await computeReplenishmentSuggestions({
+      branch,
+      lookbackDays: parseInt(lookbackDays) || undefined,
+      coverageDays: parseInt(coverageDays) || undefined,
+      session,
+    });
+    const drafts = await createReplenishmentDrafts({ branch, suggestions, target, createdBy: req.user.id, session });
+    await session.commitTransaction();
+
+    await emitSocketEvent(req.app.get('io'), [`branch-${branch}`], 'replenishmentDraftsCreated', {
+      branchId: branch,
+      target,
+      itemsCount: suggestions.length,
+      draftIds: (drafts.orders || drafts.restockRequests).map(draft => draft._id),
+      eventId: `${branch}-replenishmentDraftsCreated-${Date.now()}`,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        target,
+        suggestions: suggestions.map(suggestion => formatSuggestion(suggestion, lang)),
+        drafts: drafts.orders || drafts.restockRequests,
+      },
+      message: suggestions.length
+        ? (isRtl ? 'تم إنشاء مسودات إعادة التزويد' : 'Replenishment drafts created')
+        : (isRtl ? 'لا توجد منتجات تحتاج لإعادة التزويد' : 'No products need replenishment'),
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error generating replenishment drafts:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const getReplenishmentDrafts = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const branch = resolveBranch(req, req.query.branch);
+    if (!branch || !mongoose.isValidObjectId(branch)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفرع غير صالح' : 'Invalid branch ID' });
+    }
+    const [restockRequests, orders] = await Promise.all([
+      RestockRequest.find({ branch, status: 'draft' })
+        .populate('product', 'name nameEn code price unit unitEn')
+        .sort({ requestedQuantity: -1 })
+        .lean(),
+      Order.find({ branch, status: 'draft' })
+        .populate('items.product', 'name nameEn code price unit unitEn')
+        .sort({ createdAt: -1 })
+        .lean(),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: {
+        restockRequests: restockRequests.map(request => ({
+          ...request,
+          productName: request.product ? translateField(request.product, 'name', lang) : null,
+        })),
+        orders,
+      },
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching replenishment drafts:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// إرسال مسودات طلبات التزويد بعد مراجعة الفرع؛ الكمية صفر تحذف المسودة
+const submitRestockDrafts = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { items } = req.body;
+    const drafts = await RestockRequest.find({ _id: { $in: items.map(item => item.id) }, status: 'draft' }).session(session);
+    if (drafts.length !== items.length) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'بعض المسودات غير موجودة أو تم إرسالها' : 'Some drafts not found or already submitted' });
+    }
+    if (req.user.role === 'branch' && drafts.some(draft => draft.branch.toString() !== req.user.branchId?.toString())) {
+      await session.abortTransaction();
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Not authorized for this branch' });
+    }
+
+    const submitted = [];
+    for (const draft of drafts) {
+      const item = items.find(entry => entry.id === draft._id.toString());
+      const quantity = item.quantity !== undefined ? Number(item.quantity) : draft.requestedQuantity;
+      if (quantity === 0) {
+        await draft.deleteOne({ session });
+        continue;
+      }
+      draft.requestedQuantity = quantity;
+      draft.status = 'pending';
+      draft.statusHistory.push({
+        status: 'pending',
+        changedBy: req.user.id,
+        notes: isRtl ? 'تم إرسال المسودة للمراجعة' : 'Draft submitted for review',
+        changedAt: new Date(),
+      });
+      await draft.save({ session });
+      submitted.push(draft);
+    }
+    await session.commitTransaction();
+
+    if (submitted.length) {
+      const io = req.app.get('io');
+      const branchId = submitted[0].branch;
+      for (const request of submitted) {
+        await notifyRestockEvent(
+          io,
+          'restockRequestCreated',
+          request,
+          isRtl ? `طلب تزويد جديد بكمية ${request.requestedQuantity} من اقتراحات إعادة التزويد` : `New restock request (${request.requestedQuantity}) from replenishment suggestions`
+        );
+      }
+      await emitSocketEvent(io, ['admin', 'production', `branch-${branchId}`], 'restockRequestsSubmitted', {
+        branchId,
+        requestIds: submitted.map(request => request._id),
+        eventId: `${branchId}-restockRequestsSubmitted-${Date.now()}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: submitted,
+      message: isRtl ? 'تم إرسال طلبات التزويد' : 'Restock requests submitted',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error submitting restock drafts:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  getReplenishmentSuggestions,
+  generateReplenishmentDrafts,
+  getReplenishmentDrafts,
+  submitRestockDrafts,
+};
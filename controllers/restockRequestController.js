@@ -0,0 +1,408 @@
+// controllers/restockRequestController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const RestockRequest = require('../models/RestockRequest');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const { announceNewOrder } = require('./orderController');
+const { syncOrderTasks } = require('./productionController');
+const { emitSocketEvent } = require('../utils/helpers');
+const { createNotification } = require('../utils/notifications');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const getErrorStatus = (err) => {
+  if (err.message.includes('غير موجود') || err.message.includes('not found')) return 404;
+  if (err.message.includes('غير صالح') || err.message.includes('Invalid')) return 400;
+  return 500;
+};
+
+const populateRestockRequest = (query) => query
+  .populate('product', 'name nameEn code price unit unitEn')
+  .populate('branch', 'name nameEn')
+  .populate('order', 'orderNumber status')
+  .populate('createdBy approvedBy', 'username name nameEn')
+  .populate('statusHistory.changedBy', 'username name nameEn');
+
+const formatRestockRequest = (request, lang) => ({
+  ...request,
+  productName: request.product ? translateField(request.product, 'name', lang) : null,
+  displayUnit: request.product ? translateField(request.product, 'unit', lang) : null,
+  branchName: request.branch ? translateField(request.branch, 'name', lang) : null,
+});
+
+// إشعار الإدمن والإنتاج والفرع بنفس أسلوب أحداث الطلبات
+const notifyRestockEvent = async (io, type, request, message, extraData = {}) => {
+  const branchId = request.branch?._id || request.branch;
+  const users = await User.find({
+    $or: [
+      { role: { $in: ['admin', 'production'] } },
+      { role: 'branch', branch: branchId },
+    ],
+  }).select('_id').lean();
+  const data = {
+    restockRequestId: request._id,
+    branchId,
+    productId: request.product?._id || request.product,
+    requestedQuantity: request.requestedQuantity,
+    status: request.status,
+    ...extraData,
+    eventId: `${request._id}-${type}-${request.status}`,
+  };
+  // معرف حدث لكل مستخدم حتى لا يمنع منع التكرار حفظ الإشعار لبقية المستخدمين
+  for (const user of users) {
+    try {
+      await createNotification(user._id, type, message, { ...data, eventId: `${data.eventId}-${user._id}` }, io, true);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Failed to notify user ${user._id} for ${type}:`, { error: err.message });
+    }
+  }
+  await emitSocketEvent(io, ['admin', 'production', `branch-${branchId}`], type, data);
+};
+
+const createRestockRequest = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { product, requestedQuantity, notes } = req.body;
+    const branch = req.user.role === 'branch' ? req.user.branchId : req.body.branch;
+    if (!branch || !isValidObjectId(branch)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الفرع غير صالح' : 'Invalid branch ID' });
+    }
+    const [branchDoc, productDoc] = await Promise.all([
+      Branch.findById(branch).select('name nameEn').lean(),
+      Product.findOne({ _id: product, isActive: true }).select('name nameEn').lean(),
+    ]);
+    if (!branchDoc) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
+    }
+    if (!productDoc) {
+      return res.status(404).json({ success: false, message: isRtl ? 'المنتج غير موجود' : 'Product not found' });
+    }
+
+    const request = new RestockRequest({
+      product,
+      branch,
+      requestedQuantity: Number(requestedQuantity),
+      status: 'pending',
+      source: 'manual',
+      notes: notes?.trim() || '',
+      createdBy: req.user.id,
+      statusHistory: [{
+        status: 'pending',
+        changedBy: req.user.id,
+        notes: isRtl ? 'تم إنشاء طلب التزويد' : 'Restock request created',
+        changedAt: new Date(),
+      }],
+    });
+    await request.save();
+
+    const populatedRequest = await populateRestockRequest(RestockRequest.findById(request._id)).lean();
+    await notifyRestockEvent(
+      req.app.get('io'),
+      'restockRequestCreated',
+      request,
+      isRtl
+        ? `طلب تزويد جديد للمنتج ${translateField(productDoc, 'name', lang)} بكمية ${request.requestedQuantity} من ${translateField(branchDoc, 'name', lang)}`
+        : `New restock request for ${translateField(productDoc, 'name', lang)} (${request.requestedQuantity}) from ${translateField(branchDoc, 'name', lang)}`
+    );
+
+    res.status(201).json({
+      success: true,
+      data: formatRestockRequest(populatedRequest, lang),
+      message: isRtl ? 'تم إنشاء طلب التزويد بنجاح' : 'Restock request created successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error creating restock request:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getRestockRequests = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { status, branch, product, source, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (branch && isValidObjectId(branch)) query.branch = branch;
+    if (product && isValidObjectId(product)) query.product = product;
+    if (source) query.source = source;
+    if (req.user.role === 'branch') {
+      query.branch = req.user.branchId;
+    } else if (!status) {
+      // المسودات تخص الفرع فقط حتى يتم إرسالها
+      query.status = { $ne: 'draft' };
+    }
+    const [requests, total] = await Promise.all([
+      populateRestockRequest(RestockRequest.find(query))
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      RestockRequest.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: requests.map(request => formatRestockRequest(request, lang)),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching restock requests:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getRestockRequestById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف طلب التزويد غير صالح' : 'Invalid restock request ID' });
+    }
+    const request = await populateRestockRequest(RestockRequest.findById(id)).lean();
+    if (!request) {
+      return res.status(404).json({ success: false, message: isRtl ? 'طلب التزويد غير موجود' : 'Restock request not found' });
+    }
+    if (req.user.role === 'branch' && request.branch?._id?.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Not authorized for this branch' });
+    }
+    res.status(200).json({ success: true, data: formatRestockRequest(request, lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching restock request:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const updateRestockRequest = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const request = await RestockRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, message: isRtl ? 'طلب التزويد غير موجود' : 'Restock request not found' });
+    }
+    if (req.user.role === 'branch' && request.branch.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Not authorized for this branch' });
+    }
+    if (!['draft', 'pending'].includes(request.status)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن تعديل طلب تمت مراجعته' : 'Reviewed requests cannot be edited' });
+    }
+    const { requestedQuantity, notes } = req.body;
+    if (requestedQuantity !== undefined) request.requestedQuantity = Number(requestedQuantity);
+    if (notes !== undefined) request.notes = notes?.trim() || '';
+    if (request.status === 'draft') request.draftEditedAt = new Date();
+    await request.save();
+    const populatedRequest = await populateRestockRequest(RestockRequest.findById(request._id)).lean();
+    res.status(200).json({
+      success: true,
+      data: formatRestockRequest(populatedRequest, lang),
+      message: isRtl ? 'تم تحديث طلب التزويد بنجاح' : 'Restock request updated successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error updating restock request:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+// إضافة الكمية المعتمدة إلى آخر طلب معلق للفرع أو إنشاء طلب جديد
+const appendToBranchOrder = async ({ request, product, userId, isRtl, session }) => {
+  const order = await Order.findOne({ branch: request.branch, status: 'pending' })
+    .sort({ createdAt: -1 })
+    .session(session);
+  if (order) {
+    const existingItem = order.items.find(item => item.product.toString() === request.product.toString());
+    if (existingItem) {
+      existingItem.quantity += request.requestedQuantity;
+    } else {
+      order.items.push({
+        product: request.product,
+        quantity: request.requestedQuantity,
+        price: product.price,
+        status: 'pending',
+      });
+    }
+    order.statusHistory.push({
+      status: order.status,
+      changedBy: userId,
+      notes: `إضافة طلب التزويد ${request._id} بكمية ${request.requestedQuantity}`,
+      notesEn: `Restock request ${request._id} added with quantity ${request.requestedQuantity}`,
+      changedAt: new Date(),
+    });
+    await order.save({ session, context: { isRtl } });
+    return { order, created: false };
+  }
+
+  const newOrder = new Order({
+    orderNumber: await nextDocumentNumber({ type: 'RESTOCK_ORDER', branch: request.branch, session }),
+    branch: request.branch,
+    items: [{
+      product: request.product,
+      quantity: request.requestedQuantity,
+      price: product.price,
+      status: 'pending',
+    }],
+    status: 'pending',
+    source: 'restock_request',
+    notes: request.notes || '',
+    createdBy: userId,
+    totalAmount: request.requestedQuantity * product.price,
+    statusHistory: [{
+      status: 'pending',
+      changedBy: userId,
+      notes: 'تم إنشاء الطلب من طلب تزويد معتمد',
+      notesEn: 'Order created from approved restock request',
+      changedAt: new Date(),
+    }],
+  });
+  await newOrder.save({ session, context: { isRtl } });
+  return { order: newOrder, created: true };
+};
+
+const updateRestockRequestStatus = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    const { status, reviewNotes = '' } = req.body;
+    const request = await RestockRequest.findById(id).session(session);
+    if (!request) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'طلب التزويد غير موجود' : 'Restock request not found' });
+    }
+    if (request.status !== 'pending') {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'طلب التزويد ليس في حالة الانتظار' : 'Restock request is not pending' });
+    }
+    const product = await Product.findById(request.product).select('name nameEn price').session(session);
+    if (!product) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'المنتج غير موجود' : 'Product not found' });
+    }
+
+    let orderResult = null;
+    if (status === 'approved') {
+      orderResult = await appendToBranchOrder({ request, product, userId: req.user.id, isRtl, session });
+      request.order = orderResult.order._id;
+      request.approvedBy = req.user.id;
+      request.approvedAt = new Date();
+    }
+    request.status = status;
+    request.reviewNotes = reviewNotes.trim();
+    request.statusHistory.push({
+      status,
+      changedBy: req.user.id,
+      notes: reviewNotes.trim() || (status === 'approved' ? (isRtl ? 'تمت الموافقة على طلب التزويد' : 'Restock request approved') : (isRtl ? 'تم رفض طلب التزويد' : 'Restock request rejected')),
+      changedAt: new Date(),
+    });
+    await request.save({ session });
+
+    const io = req.app.get('io');
+    if (orderResult) {
+      await syncOrderTasks(orderResult.order._id, io, session, isRtl);
+      const populatedOrder = await Order.findById(orderResult.order._id)
+        .populate('branch', 'name nameEn')
+        .populate({ path: 'items.product', select: 'name nameEn price unit unitEn department', populate: { path: 'department', select: 'name nameEn code' } })
+        .populate('items.assignedTo', 'username name nameEn')
+        .populate('createdBy', 'username name nameEn')
+        .populate('returns')
+        .setOptions({ context: { isRtl } })
+        .session(session)
+        .lean();
+      if (orderResult.created) {
+        await announceNewOrder(io, orderResult.order, populatedOrder, isRtl, session);
+      } else {
+        await emitSocketEvent(io, ['admin', 'production', `branch-${request.branch}`], 'orderUpdated', {
+          ...populatedOrder,
+          orderId: populatedOrder._id,
+          branchId: request.branch,
+          eventId: `${populatedOrder._id}-orderUpdated-${request._id}`,
+        });
+      }
+    }
+    await session.commitTransaction();
+
+    const populatedRequest = await populateRestockRequest(RestockRequest.findById(request._id)).lean();
+    const productName = translateField(product, 'name', lang);
+    await notifyRestockEvent(
+      io,
+      'restockRequestStatusUpdated',
+      request,
+      status === 'approved'
+        ? (isRtl ? `تمت الموافقة على طلب تزويد ${productName} وإضافته للطلب ${orderResult.order.orderNumber}` : `Restock request for ${productName} approved and added to order ${orderResult.order.orderNumber}`)
+        : (isRtl ? `تم رفض طلب تزويد ${productName}` : `Restock request for ${productName} rejected`),
+      { orderId: orderResult?.order._id, orderNumber: orderResult?.order.orderNumber }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: formatRestockRequest(populatedRequest, lang),
+      message: status === 'approved'
+        ? (isRtl ? 'تمت الموافقة على طلب التزويد' : 'Restock request approved')
+        : (isRtl ? 'تم رفض طلب التزويد' : 'Restock request rejected'),
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error updating restock request status:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(getErrorStatus(err)).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const deleteRestockRequest = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const request = await RestockRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, message: isRtl ? 'طلب التزويد غير موجود' : 'Restock request not found' });
+    }
+    if (req.user.role === 'branch' && request.branch.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Not authorized for this branch' });
+    }
+    if (!['draft', 'pending'].includes(request.status)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن حذف طلب تمت مراجعته' : 'Reviewed requests cannot be deleted' });
+    }
+    await request.deleteOne();
+    res.status(200).json({ success: true, message: isRtl ? 'تم حذف طلب التزويد بنجاح' : 'Restock request deleted successfully' });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error deleting restock request:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  createRestockRequest,
+  getRestockRequests,
+  getRestockRequestById,
+  updateRestockRequest,
+  updateRestockRequestStatus,
+  deleteRestockRequest,
+  notifyRestockEvent,
+};
@@ -1,17 +1,29 @@
 const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
 const Return = require('../models/Return');
 const Product = require('../models/Product');
 const Branch = require('../models/Branch');
 const Inventory = require('../models/Inventory');
 const InventoryHistory = require('../models/InventoryHistory');
 const User = require('../models/User');
+const FactoryInventoryHistory = require('../models/FactoryInventoryHistory');
 const { createNotification } = require('../utils/notifications');
+const { emitSocketEvent } = require('../utils/helpers');
+const { updateFactoryStock } = require('../utils/factoryInventoryUtils');
+const { consumeBranchLots, splitLotAllocations, restoreFactoryLots } = require('../utils/lotUtils');
+const { toStoredFile, removeUploadedFiles } = require('../middleware/upload');
+const { syncRecallFromReturn } = require('../utils/recallUtils');
+const { postReturnCredit } = require('../utils/ledgerUtils');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
 
 const isValidObjectId = (id) => mongoose.isValidObjectId(id);
 
-const generateReturnNumber = async (branchId, session) => {
-  const count = await Return.countDocuments({ branch: branchId }).session(session);
-  return `RET-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${(count + 1).toString().padStart(4, '0')}`;
+// حركة مخزون المصنع لكل طريقة تصرف؛ الإعادة للمخزون فقط تزيد الرصيد
+const DISPOSITION_ACTIONS = {
+  restock: 'return_restocked',
+  rework: 'return_reworked',
+  donate: 'return_donated',
+  destroy: 'return_destroyed',
 };
 
 const createReturn = async (req, res) => {
@@ -76,7 +88,7 @@ const createReturn = async (req, res) => {
         }
       }
 
-      const returnNumber = await generateReturnNumber(branchId, session);
+      const returnNumber = await nextDocumentNumber({ type: 'RETURN', branch: branchId, session });
       const newReturn = new Return({
         returnNumber,
         branch: branchId,
@@ -91,9 +103,8 @@ const createReturn = async (req, res) => {
           changedAt: new Date(),
         }],
       });
-      await newReturn.save({ session });
 
-      for (const item of returnItems) {
+      for (const [index, item] of returnItems.entries()) {
         const inventory = inventories.find(inv => inv.product.toString() === item.product);
         const updatedInventory = await Inventory.findOneAndUpdate(
           { branch: branchId, product: item.product, __v: inventory.__v },
@@ -119,9 +130,12 @@ const createReturn = async (req, res) => {
         if (!updatedInventory) {
           throw new Error(`Failed to update inventory for product ${item.product}`);
         }
+        // الدفعات تخرج مع المرتجع حتى تعود إليها الكمية السليمة بعد الفحص
+        newReturn.items[index].lots = await consumeBranchLots({ branch: branchId, product: item.product, quantity: item.quantity, session });
       }
+      await newReturn.save({ session });
 
-      const historyEntries = returnItems.map(item => ({
+      const historyEntries = newReturn.items.map(item => ({
         product: item.product,
         branch: branchId,
         action: 'return_pending',
@@ -131,6 +145,7 @@ const createReturn = async (req, res) => {
         referenceId: newReturn._id,
         createdBy: req.user.id,
         notes: `${item.reason} (${item.reasonEn})`,
+        lots: item.lots,
         createdAt: new Date(),
       }));
       await InventoryHistory.insertMany(historyEntries, { session });
@@ -348,6 +363,9 @@ const approveReturn = async (req, res) => {
       await InventoryHistory.insertMany(historyEntries, { session });
 
       returnRequest.status = status;
+      if (status === 'approved') {
+        returnRequest.inspectionStatus = 'pending';
+      }
       returnRequest.reviewNotes = reviewNotes.trim();
       returnRequest.reviewedBy = req.user.id;
       returnRequest.reviewedAt = new Date();
@@ -359,6 +377,10 @@ const approveReturn = async (req, res) => {
       });
 
       await returnRequest.save({ session });
+      await syncRecallFromReturn({ returnRequest, userId: req.user.id, session });
+      if (status === 'approved') {
+        await postReturnCredit({ returnRequest, userId: req.user.id, session });
+      }
 
       await session.commitTransaction();
 
@@ -476,14 +498,186 @@ const approveReturn = async (req, res) => {
   }
 };
 
+// فحص المرتجع الموافق عليه في المصنع: التصرف في كل صنف وسبب المشكلة، ثم ترحيل مخزون المصنع
+const inspectReturn = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      removeUploadedFiles(req.files);
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    const { items, notes = '' } = req.body;
+
+    const returnRequest = await Return.findById(id).session(session);
+    if (!returnRequest) {
+      await session.abortTransaction();
+      removeUploadedFiles(req.files);
+      return res.status(404).json({ success: false, message: isRtl ? 'الإرجاع غير موجود' : 'Return not found' });
+    }
+    if (returnRequest.status !== 'approved' || returnRequest.inspectionStatus === 'completed') {
+      await session.abortTransaction();
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: isRtl ? 'الفحص متاح فقط للمرتجعات الموافق عليها التي لم تُفحص' : 'Only approved returns that have not been inspected can be inspected',
+        error: 'return_not_inspectable',
+      });
+    }
+
+    // كل صنف يُفحص مرة واحدة وتوزع كميته كاملة على طرق التصرف
+    const entries = new Map(items.map(entry => [entry.itemId, entry]));
+    if (entries.size !== items.length || entries.size !== returnRequest.items.length) {
+      await session.abortTransaction();
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: isRtl ? 'يجب فحص كل أصناف المرتجع مرة واحدة' : 'Every return item must be inspected exactly once',
+        error: 'incomplete_inspection',
+      });
+    }
+    for (const item of returnRequest.items) {
+      const entry = entries.get(item._id.toString());
+      const dispositionTypes = entry?.dispositions.map(d => d.disposition) || [];
+      const inspectedQuantity = entry?.dispositions.reduce((sum, d) => sum + d.quantity, 0);
+      if (!entry || new Set(dispositionTypes).size !== dispositionTypes.length || inspectedQuantity !== item.quantity) {
+        await session.abortTransaction();
+        removeUploadedFiles(req.files);
+        return res.status(400).json({
+          success: false,
+          message: isRtl
+            ? `مجموع كميات التصرف للمنتج ${item.product} يجب أن يساوي الكمية المرتجعة ${item.quantity}`
+            : `Disposition quantities for product ${item.product} must add up to the returned quantity ${item.quantity}`,
+          error: 'disposition_quantity_mismatch',
+        });
+      }
+    }
+
+    const reference = `فحص مرتجع #${returnRequest.returnNumber}`;
+    const totals = { restock: 0, rework: 0, donate: 0, destroy: 0 };
+    for (const item of returnRequest.items) {
+      const entry = entries.get(item._id.toString());
+      const itemNotes = entry.notes?.trim() || '';
+      let unrestoredLots = item.lots || [];
+      for (const { disposition, quantity } of entry.dispositions) {
+        totals[disposition] += quantity;
+        if (disposition === 'restock') {
+          await updateFactoryStock({
+            product: item.product,
+            quantity,
+            type: DISPOSITION_ACTIONS.restock,
+            reference,
+            referenceType: 'return',
+            referenceId: returnRequest._id,
+            createdBy: req.user.id,
+            session,
+            notes: itemNotes,
+          });
+          // المعاد للمخزون يرجع لدفعاته الأصلية بصلاحيتها؛ المرتجع القديم غير المرتبط بدفعات يبقى دونها
+          const { kept, removed } = splitLotAllocations(unrestoredLots, quantity);
+          await restoreFactoryLots({ allocations: kept, session });
+          unrestoredLots = removed;
+        } else {
+          // ما لا يعود للمخزون يُسجل في سجل المصنع دون تغيير الرصيد
+          await new FactoryInventoryHistory({
+            product: item.product,
+            action: DISPOSITION_ACTIONS[disposition],
+            quantity,
+            reference,
+            referenceType: 'return',
+            referenceId: returnRequest._id,
+            createdBy: req.user.id,
+            notes: itemNotes,
+            isDamaged: disposition !== 'donate',
+            createdAt: new Date(),
+          }).save({ session });
+        }
+      }
+      item.inspection = {
+        rootCause: entry.rootCause,
+        dispositions: entry.dispositions.map(({ disposition, quantity }) => ({ disposition, quantity })),
+        notes: itemNotes,
+      };
+    }
+
+    returnRequest.inspectionStatus = 'completed';
+    returnRequest.inspection = {
+      inspectedBy: req.user.id,
+      inspectedAt: new Date(),
+      notes: notes.trim(),
+      photos: (req.files || []).map(toStoredFile),
+    };
+    await returnRequest.save({ session });
+
+    await session.commitTransaction();
+
+    const populatedReturn = await Return.findById(returnRequest._id)
+      .populate({
+        path: 'items.product',
+        select: 'name nameEn unit unitEn code',
+      })
+      .populate('branch', 'name nameEn')
+      .populate('inspection.inspectedBy', 'name nameEn username')
+      .lean();
+
+    const io = req.app.get('io');
+    if (io) {
+      await emitSocketEvent(io, ['admin', 'production', `branch-${returnRequest.branch}`], 'returnInspected', {
+        returnId: returnRequest._id,
+        returnNumber: returnRequest.returnNumber,
+        branchId: returnRequest.branch,
+        totals,
+        eventId: `${returnRequest._id}-returnInspected`,
+      });
+    }
+
+    console.log(`[${new Date().toISOString()}] فحص المرتجع - تم بنجاح:`, {
+      returnId: returnRequest._id,
+      userId: req.user.id,
+      totals,
+      photos: returnRequest.inspection.photos.length,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: populatedReturn,
+      totals,
+      message: isRtl ? 'تم تسجيل فحص المرتجع' : 'Return inspection recorded',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    removeUploadedFiles(req.files);
+    console.error(`[${new Date().toISOString()}] خطأ في فحص المرتجع:`, {
+      error: err.message,
+      stack: err.stack,
+      returnId: req.params.id,
+    });
+    let status = 500;
+    let message = isRtl ? 'خطأ في السيرفر' : 'Server error';
+    if (err.name === 'ValidationError') {
+      status = 400;
+      message = isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error';
+    }
+    res.status(status).json({ success: false, message, error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
 const getAll = async (req, res) => {
   const lang = req.query.lang || 'ar';
   const isRtl = lang === 'ar';
-  const { status, branch, search, sort = '-createdAt', page = 1, limit = 10, startDate, endDate, 'items.reasonEn': reasonEn, 'items.product': productId } = req.query;
+  const { status, inspectionStatus, branch, search, sort = '-createdAt', page = 1, limit = 10, startDate, endDate, 'items.reasonEn': reasonEn, 'items.product': productId } = req.query;
 
   try {
     const query = {};
     if (status) query.status = status;
+    if (inspectionStatus) query.inspectionStatus = inspectionStatus;
     if (branch && isValidObjectId(branch)) {
       query.branch = branch;
     } else if (branch) {
@@ -780,6 +974,7 @@ const getAvailableStock = async (req, res) => {
 module.exports = {
   createReturn,
   approveReturn,
+  inspectReturn,
   getAll,
   getById,
   updateReturnStatus,
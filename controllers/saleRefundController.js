@@ -0,0 +1,476 @@
+// controllers/saleRefundController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Sale = require('../models/Sale');
+const SaleRefund = require('../models/SaleRefund');
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const InventoryHistory = require('../models/InventoryHistory');
+const { applyTax } = require('../utils/taxUtils');
+const { ACCOUNT_TENDERS, normalizeSalePayments, getSalePayments } = require('../utils/paymentUtils');
+const { findOpenShift, isShiftRequired, recordShiftRefund } = require('../utils/shiftUtils');
+const { creditCustomerRefund } = require('../utils/customerUtils');
+const { consumeBranchLots, restoreBranchLots, findSaleLotsToRestore } = require('../utils/lotUtils');
+const { reverseRefundLoyalty } = require('../utils/loyaltyUtils');
+const { findBlockingRecall } = require('../utils/recallUtils');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// أسطر البيع مجمعة حسب المنتج بقيمها الضريبية؛ المبيعات السابقة لمحرك الضريبة تُحسب كأسعار شاملة
+const groupSaleLines = (sale) => {
+  const lines = sale.items.every(item => item.lineTotal != null)
+    ? sale.items
+    : applyTax(sale.items.map(item => ({ product: item.product, quantity: item.quantity, unitPrice: item.unitPrice, taxCategory: 'standard' })), { pricesIncludeTax: true }).items;
+  const byProduct = new Map();
+  lines.forEach((line) => {
+    const key = line.product.toString();
+    const entry = byProduct.get(key) || { quantity: 0, gross: 0, netAmount: 0, lineTotal: 0, taxCategory: line.taxCategory, taxRate: line.taxRate };
+    entry.quantity += line.quantity;
+    entry.gross += line.quantity * line.unitPrice;
+    entry.netAmount += line.netAmount;
+    entry.lineTotal += line.lineTotal;
+    byProduct.set(key, entry);
+  });
+  return byProduct;
+};
+
+// قيمة الجزء المسترد من السطر بنسبة الكمية؛ الفرق بين حصتين تراكميتين حتى لا يتراكم التقريب
+const proportionalShare = (total, sold, before, quantity) => roundAmount(
+  roundAmount((total * (before + quantity)) / sold) - roundAmount((total * before) / sold)
+);
+
+// توزيع المبلغ المردود على وسائل دفع البيع بنسبة كل وسيلة، تراكميًا مع ما رُد في استردادات سابقة
+const allocateRefundTenders = (sale, refundedBefore, amount) => {
+  const paid = new Map();
+  getSalePayments(sale).forEach((payment) => {
+    paid.set(payment.tender, roundAmount((paid.get(payment.tender) || 0) + payment.amount - (payment.changeGiven || 0)));
+  });
+  const tenders = [...paid].filter(([, paidAmount]) => paidAmount > 0);
+  let allocated = 0;
+  return tenders.map(([tender, paidAmount], index) => {
+    const remaining = roundAmount(amount - allocated);
+    const share = index === tenders.length - 1
+      ? remaining
+      : Math.min(proportionalShare(paidAmount, sale.totalAmount, refundedBefore, amount), remaining);
+    allocated = roundAmount(allocated + share);
+    return { tender, amount: share };
+  }).filter(entry => entry.amount > 0);
+};
+
+const populateRefund = (query) => query
+  .populate('branch', 'name nameEn')
+  .populate('items.product', 'name nameEn unit unitEn')
+  .populate('exchangeItems.product', 'name nameEn unit unitEn')
+  .populate('createdBy', 'username name nameEn');
+
+const formatRefund = (refund, lang) => ({
+  ...refund,
+  branchName: refund.branch ? translateField(refund.branch, 'name', lang) : null,
+  items: refund.items.map(item => ({ ...item, displayName: item.product ? translateField(item.product, 'name', lang) : null })),
+  exchangeItems: refund.exchangeItems.map(item => ({ ...item, displayName: item.product ? translateField(item.product, 'name', lang) : null })),
+});
+
+/**
+ * استرداد أو استبدال أصناف من بيع سابق بإشعار دائن مرتبط به.
+ * المرتجع السليم يعود للمخزون الحالي ولدفعاته الأصلية والتالف للمخزون التالف، والبديل يُخصم كبيع.
+ * الفرق لصالح العميل يُوزع على وسائل دفع البيع: الآجل لحساب العميل والنقاط لرصيده، والنقد والبطاقة
+ * من صندوق الوردية بوسيلتهما أو بـ refundMethod إن حُدد. والفرق على العميل يُحصّل بدفعات.
+ */
+const createSaleRefund = async (req, res) => {
+  const session = await mongoose.startSession();
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    session.startTransaction();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف بيع غير صالح' : 'Invalid sale ID' });
+    }
+    const sale = await Sale.findById(id).session(session).lean();
+    if (!sale) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: isRtl ? 'البيع غير موجود' : 'Sale not found' });
+    }
+    if (req.user.role === 'branch' && sale.branch.toString() !== req.user.branchId?.toString()) {
+      await session.abortTransaction();
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    if (sale.status !== 'completed') {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن استرداد بيع غير مكتمل' : 'Only completed sales can be refunded' });
+    }
+    const shift = await findOpenShift({ branch: sale.branch, session });
+    if (!shift && await isShiftRequired({ branch: sale.branch, session })) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: isRtl ? 'لا توجد وردية مفتوحة للفرع، يجب فتح وردية قبل الاسترداد' : 'No open shift for this branch; open a shift before refunding',
+        error: 'no_open_shift',
+      });
+    }
+
+    const { items, exchangeItems = [], refundMethod, payments, reason, notes } = req.body;
+    const soldLines = groupSaleLines(sale);
+    const previousRefunds = await SaleRefund.find({ sale: sale._id }).select('items netAmount').session(session).lean();
+    const refundedValueBefore = roundAmount(previousRefunds.reduce((sum, refund) => sum + Math.max(refund.netAmount, 0), 0));
+    const refundedBefore = new Map();
+    previousRefunds.forEach(refund => refund.items.forEach((item) => {
+      const key = item.product.toString();
+      refundedBefore.set(key, (refundedBefore.get(key) || 0) + item.quantity);
+    }));
+
+    const requested = new Map();
+    for (const item of items) {
+      const key = item.productId.toString();
+      const entry = requested.get(key) || { quantity: 0, resellable: 0, damaged: 0 };
+      entry.quantity += item.quantity;
+      entry[item.condition === 'damaged' ? 'damaged' : 'resellable'] += item.quantity;
+      requested.set(key, entry);
+    }
+
+    const refundItems = [];
+    for (const [productId, entry] of requested) {
+      const sold = soldLines.get(productId);
+      if (!sold) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: isRtl ? `المنتج ${productId} غير موجود في البيع` : `Product ${productId} is not part of the sale`,
+          error: 'product_not_in_sale',
+        });
+      }
+      const before = refundedBefore.get(productId) || 0;
+      if (before + entry.quantity > sold.quantity) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: isRtl
+            ? `الكمية المتاحة للاسترداد من المنتج ${productId} هي ${sold.quantity - before}`
+            : `Only ${sold.quantity - before} of product ${productId} can be refunded`,
+          error: 'refund_quantity_exceeded',
+        });
+      }
+      // تقسيم الكمية بين السليم والتالف مع حساب قيمة كل جزء من البيع الأصلي
+      let consumed = before;
+      for (const condition of ['resellable', 'damaged']) {
+        const quantity = entry[condition];
+        if (!quantity) continue;
+        const lineTotal = proportionalShare(sold.lineTotal, sold.quantity, consumed, quantity);
+        const netAmount = proportionalShare(sold.netAmount, sold.quantity, consumed, quantity);
+        refundItems.push({
+          product: productId,
+          quantity,
+          unitPrice: roundAmount(sold.gross / sold.quantity),
+          taxCategory: sold.taxCategory,
+          taxRate: sold.taxRate,
+          netAmount,
+          taxAmount: roundAmount(lineTotal - netAmount),
+          lineTotal,
+          condition,
+        });
+        consumed += quantity;
+      }
+    }
+
+    const taxCategories = {};
+    for (const item of exchangeItems) {
+      const product = await Product.findById(item.productId).select('taxCategory').session(session);
+      if (!product) {
+        await session.abortTransaction();
+        return res.status(404).json({ success: false, message: isRtl ? `المنتج ${item.productId} غير موجود` : `Product ${item.productId} not found` });
+      }
+      const blockingRecall = await findBlockingRecall({ branch: sale.branch, product: item.productId, quantity: item.quantity, session });
+      if (blockingRecall) {
+        await session.abortTransaction();
+        return res.status(422).json({
+          success: false,
+          message: isRtl ? `بيع المنتج ${item.productId} موقوف بسبب الاسترجاع ${blockingRecall.recallNumber}` : `Sales of product ${item.productId} are blocked by recall ${blockingRecall.recallNumber}`,
+          error: 'product_recalled',
+        });
+      }
+      taxCategories[item.productId] = product.taxCategory;
+    }
+    const exchange = applyTax(
+      exchangeItems.map(item => ({
+        product: item.productId,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        taxCategory: taxCategories[item.productId],
+      })),
+      { pricesIncludeTax: sale.pricesIncludeTax ?? true }
+    );
+
+    const refundTotal = roundAmount(refundItems.reduce((sum, item) => sum + item.lineTotal, 0));
+    const refundSubtotal = roundAmount(refundItems.reduce((sum, item) => sum + item.netAmount, 0));
+    const netAmount = roundAmount(refundTotal - exchange.totalAmount);
+    const refundNumber = await nextDocumentNumber({ type: 'CREDIT_NOTE', branch: sale.branch, session });
+
+    // الآجل والنقاط يعودان لحساب العميل دائمًا، والمدفوع نقدًا أو بالبطاقة بوسيلته ما لم تُحدد وسيلة الرد
+    const refundTenders = [];
+    if (netAmount > 0) {
+      allocateRefundTenders(sale, refundedValueBefore, netAmount).forEach((entry) => {
+        const tender = ACCOUNT_TENDERS.includes(entry.tender) ? entry.tender : refundMethod || entry.tender;
+        const existing = refundTenders.find(refundTender => refundTender.tender === tender);
+        if (existing) existing.amount = roundAmount(existing.amount + entry.amount);
+        else refundTenders.push({ tender, amount: entry.amount });
+      });
+    }
+    const creditRefund = refundTenders.find(entry => entry.tender === 'credit');
+    if (creditRefund && !sale.customer) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: isRtl ? 'الرد على الحساب يتطلب بيعًا مسجلًا على عميل' : 'Refunding to account requires a sale linked to a customer',
+        error: 'customer_required',
+      });
+    }
+
+    let paymentDetails = { payments: [] };
+    if (netAmount < 0) {
+      try {
+        paymentDetails = normalizeSalePayments({ payments, paymentMethod: 'cash', totalAmount: -netAmount, isRtl });
+      } catch (paymentError) {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: paymentError.message, error: 'invalid_payment' });
+      }
+    }
+
+    const refund = new SaleRefund({
+      refundNumber,
+      sale: sale._id,
+      saleNumber: sale.saleNumber,
+      branch: sale.branch,
+      shift: shift?._id,
+      customer: sale.customer,
+      type: exchange.items.length ? 'exchange' : 'refund',
+      items: refundItems,
+      exchangeItems: exchange.items,
+      refundSubtotal,
+      refundTax: roundAmount(refundTotal - refundSubtotal),
+      refundTotal,
+      exchangeSubtotal: exchange.subtotal,
+      exchangeTax: exchange.taxAmount,
+      exchangeTotal: exchange.totalAmount,
+      netAmount,
+      refundMethod: refundTenders.length > 1 ? 'mixed' : refundTenders[0]?.tender,
+      refundTenders,
+      payments: paymentDetails.payments,
+      reason: reason?.trim(),
+      notes: notes?.trim(),
+      createdBy: req.user.id,
+    });
+
+    if (creditRefund) {
+      await creditCustomerRefund({ customer: sale.customer, refund, amount: creditRefund.amount, userId: req.user.id, session });
+    }
+    const drawerRefunds = refundTenders.filter(entry => !ACCOUNT_TENDERS.includes(entry.tender));
+    if (drawerRefunds.length) {
+      await recordShiftRefund({
+        branch: sale.branch,
+        sale: sale._id,
+        reference: refundNumber,
+        refunds: drawerRefunds,
+        userId: req.user.id,
+        session,
+      });
+    }
+    // حصة المبلغ المردود من النقاط المكتسبة تُخصم، وحصة النقاط المستبدلة تعود لرصيد العميل
+    if (netAmount > 0) {
+      await reverseRefundLoyalty({ sale, refund, refundedBefore: refundedValueBefore, amount: netAmount, userId: req.user.id, session });
+    }
+
+    const reference = `استرداد #${refundNumber} للبيع #${sale.saleNumber}`;
+    const inventoryUpdates = [];
+    for (const item of refundItems) {
+      const isDamaged = item.condition === 'damaged';
+      const update = isDamaged
+        ? { $inc: { damagedStock: item.quantity } }
+        : {
+          $inc: { currentStock: item.quantity },
+          $push: { movements: { type: 'in', quantity: item.quantity, reference, createdBy: req.user.id, createdAt: new Date() } },
+        };
+      const inventory = await Inventory.findOneAndUpdate(
+        { branch: sale.branch, product: item.product },
+        { ...update, $setOnInsert: { createdBy: req.user.id } },
+        { new: true, upsert: true, setDefaultsOnInsert: true, session }
+      );
+      // السليم يعود لدفعاته الأصلية حتى يبقى ترتيب FEFO مطابقًا للمخزون
+      const restoredLots = isDamaged
+        ? []
+        : await findSaleLotsToRestore({ sale, product: item.product, quantity: item.quantity, session });
+      await restoreBranchLots({ branch: sale.branch, product: item.product, allocations: restoredLots, session });
+      await new InventoryHistory({
+        product: item.product,
+        branch: sale.branch,
+        action: 'sale_cancelled',
+        quantity: item.quantity,
+        reference,
+        referenceType: 'sale',
+        referenceId: sale._id,
+        createdBy: req.user.id,
+        notes: reason?.trim(),
+        isDamaged,
+        lots: restoredLots,
+      }).save({ session });
+      inventoryUpdates.push({ productId: item.product, quantity: inventory.currentStock, type: isDamaged ? 'sale_refund_damaged' : 'sale_refund' });
+    }
+
+    for (const item of exchange.items) {
+      const inventory = await Inventory.findOneAndUpdate(
+        { branch: sale.branch, product: item.product, currentStock: { $gte: item.quantity } },
+        {
+          $inc: { currentStock: -item.quantity },
+          $push: { movements: { type: 'out', quantity: item.quantity, reference: `استبدال #${refundNumber} للبيع #${sale.saleNumber}`, createdBy: req.user.id, createdAt: new Date() } },
+        },
+        { new: true, session }
+      );
+      if (!inventory) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: isRtl ? `الكمية غير كافية في المخزون للمنتج ${item.product}` : `Insufficient stock for product ${item.product}`,
+          error: 'insufficient_stock',
+        });
+      }
+      const consumedLots = await consumeBranchLots({ branch: sale.branch, product: item.product, quantity: item.quantity, session });
+      await new InventoryHistory({
+        product: item.product,
+        branch: sale.branch,
+        action: 'sale_exchange',
+        quantity: -item.quantity,
+        reference: `استبدال #${refundNumber} للبيع #${sale.saleNumber}`,
+        referenceType: 'sale',
+        referenceId: sale._id,
+        createdBy: req.user.id,
+        lots: consumedLots,
+      }).save({ session });
+      inventoryUpdates.push({ productId: item.product, quantity: inventory.currentStock, type: 'sale_exchange' });
+    }
+
+    await refund.save({ session });
+    await session.commitTransaction();
+
+    inventoryUpdates.forEach(update => req.io?.emit('inventoryUpdated', { branchId: sale.branch.toString(), ...update }));
+    req.io?.emit('saleRefunded', {
+      refundId: refund._id,
+      refundNumber,
+      saleId: sale._id,
+      branchId: sale.branch.toString(),
+      type: refund.type,
+      netAmount,
+    });
+
+    const populated = await populateRefund(SaleRefund.findById(refund._id)).lean();
+    res.status(201).json({
+      success: true,
+      data: formatRefund(populated, lang),
+      message: isRtl ? 'تم إصدار إشعار الاسترداد بنجاح' : 'Refund issued successfully',
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error(`[${new Date().toISOString()}] Error creating sale refund:`, { error: err.message, stack: err.stack, params: req.params, body: req.body });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  } finally {
+    session.endSession();
+  }
+};
+
+const getSaleRefunds = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف بيع غير صالح' : 'Invalid sale ID' });
+    }
+    const sale = await Sale.findById(id).select('branch').lean();
+    if (!sale) {
+      return res.status(404).json({ success: false, message: isRtl ? 'البيع غير موجود' : 'Sale not found' });
+    }
+    if (req.user.role === 'branch' && sale.branch.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    const refunds = await populateRefund(SaleRefund.find({ sale: id })).sort({ createdAt: 1 }).lean();
+    res.status(200).json({ success: true, data: refunds.map(refund => formatRefund(refund, lang)) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching sale refunds:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getRefunds = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { branch, type, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const query = {};
+    const scopedBranch = req.user.role === 'branch' ? req.user.branchId?.toString() : branch;
+    if (scopedBranch && isValidObjectId(scopedBranch)) query.branch = scopedBranch;
+    if (type) query.type = type;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    const [refunds, total] = await Promise.all([
+      populateRefund(SaleRefund.find(query))
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      SaleRefund.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: refunds.map(refund => formatRefund(refund, lang)),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching refunds:`, { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getRefundById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف الاسترداد غير صالح' : 'Invalid refund ID' });
+    }
+    const refund = await populateRefund(SaleRefund.findById(id)).lean();
+    if (!refund) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الاسترداد غير موجود' : 'Refund not found' });
+    }
+    if (req.user.role === 'branch' && refund.branch?._id.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لهذا الفرع' : 'Unauthorized for this branch' });
+    }
+    res.status(200).json({ success: true, data: formatRefund(refund, lang) });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching refund:`, { error: err.message, stack: err.stack, params: req.params });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  createSaleRefund,
+  getSaleRefunds,
+  getRefunds,
+  getRefundById,
+};
@@ -5,6 +5,7 @@ const Sale = require('../models/Sale');
 const Inventory = require('../models/Inventory');
 const InventoryHistory = require('../models/InventoryHistory');
 const Return = require('../models/Return');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
 
 const isValidObjectId = (id) => mongoose.isValidObjectId(id);
 
@@ -40,8 +41,7 @@ const createSale = async (req, res) => {
       }
     }
 
-    const saleCount = await Sale.countDocuments({}).session(session);
-    const saleNumber = `SALE-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${saleCount + 1}`;
+    const saleNumber = await nextDocumentNumber({ type: 'SALE', branch: branchId, session });
 
     const sale = new Sale({
       saleNumber,
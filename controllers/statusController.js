@@ -1,8 +1,21 @@
 const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const User = require('../models/User');
-const Branch = require('../models/Branch');
+const { validationResult } = require('express-validator');
 const { createNotification } = require('../utils/notifications');
+const { allocateOrderLots } = require('../utils/lotUtils');
+const {
+  dispatchOrder,
+  announceOrderInTransit,
+  buildReceipt,
+  buildDeliveryProof,
+  deliverOrder,
+  adjustDeliveredOrder,
+  recordReceipt,
+  announceDeliveryDiscrepancy,
+  INSUFFICIENT_BRANCH_STOCK,
+} = require('../utils/orderDelivery');
+const { removeUploadedFiles } = require('../middleware/upload');
 
 const isValidObjectId = (id) => mongoose.isValidObjectId(id);
 
@@ -374,16 +387,18 @@ const startTransit = async (req, res) => {
       await session.abortTransaction();
       return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لبدء التوصيل' : 'Unauthorized to start transit' });
     }
-    order.status = 'in_transit';
-    order.transitStartedAt = new Date();
-    order.statusHistory.push({
-      status: 'in_transit',
-      changedBy: req.user.id,
+    if (order.trip) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'الطلب مرتبط برحلة توصيل ويتم شحنه ببدء الرحلة' : 'Order belongs to a delivery trip and ships when the trip starts' });
+    }
+    await dispatchOrder({
+      order,
+      userId: req.user.id,
       notes: isRtl ? 'تم شحن الطلب بواسطة الإنتاج' : 'Order shipped by production',
       notesEn: 'Order shipped by production',
-      changedAt: new Date(),
+      isRtl,
+      session,
     });
-    await order.save({ session, context: { isRtl } });
     const populatedOrder = await Order.findById(id)
       .populate('branch', 'name nameEn')
       .populate({ path: 'items.product', select: 'name nameEn price unit unitEn department', populate: { path: 'department', select: 'name nameEn code' } })
@@ -393,47 +408,13 @@ const startTransit = async (req, res) => {
       .setOptions({ context: { isRtl } })
       .session(session)
       .lean();
-    const io = req.app.get('io');
-    const usersToNotify = await User.find({
-      $or: [
-        { role: { $in: ['admin', 'production'] } },
-        { role: 'branch', branch: order.branch },
-      ],
-    }).select('_id role').lean();
-    const eventId = `${id}-order_in_transit`;
-    const eventData = {
-      orderId: id,
-      orderNumber: order.orderNumber,
-      branchId: order.branch,
-      branchName: isRtl ? populatedOrder.branch?.name : (populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'غير معروف'),
-      status: 'in_transit',
-      eventId,
-      isRtl,
-    };
-    await notifyUsers(
-      io,
-      usersToNotify,
-      'orderInTransit',
-      isRtl ? `الطلب ${order.orderNumber} في طريقه إلى الفرع ${populatedOrder.branch?.name || 'غير معروف'}` : `Order ${order.orderNumber} is on its way to branch ${populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown'}`,
-      eventData,
-      true
-    );
-    const orderData = {
-      orderId: id,
-      status: 'in_transit',
+    await announceOrderInTransit({
+      io: req.app.get('io'),
+      order,
+      populatedOrder,
       user: { id: req.user.id, username: req.user.username },
-      orderNumber: order.orderNumber,
-      branchId: order.branch,
-      branchName: isRtl ? populatedOrder.branch?.name : (populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'غير معروف'),
-      displayNotes: populatedOrder.displayNotes,
-      adjustedTotal: populatedOrder.adjustedTotal,
-      createdAt: new Date(populatedOrder.createdAt).toISOString(),
-      eventId,
-      sound: 'https://eljoodia-client.vercel.app/sounds/notification.mp3',
-      vibrate: [200, 100, 200],
       isRtl,
-    };
-    await emitSocketEvent(io, ['admin', 'production', `branch-${order.branch}`], 'orderInTransit', orderData);
+    });
     await session.commitTransaction();
     res.status(200).json({
       ...populatedOrder,
@@ -617,18 +598,35 @@ const updateOrderStatus = async (req, res) => {
       await session.abortTransaction();
       return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لتحديث حالة الطلب' : 'Unauthorized to update order status' });
     }
-    order.status = status;
-    order.statusHistory.push({
-      status,
-      changedBy: req.user.id,
-      notes: notes?.trim() || `Status updated to ${status}`,
-      notesEn: notesEn?.trim() || `Status updated to ${status}`,
-      changedAt: new Date(),
-    });
-    if (status === 'delivered') order.deliveredAt = new Date();
-    if (status === 'in_transit') order.transitStartedAt = new Date();
-    if (status === 'approved') order.approvedAt = new Date();
-    await order.save({ session, context: { isRtl } });
+    if (status === 'in_transit' && order.trip) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: isRtl ? 'الطلب مرتبط برحلة توصيل ويتم شحنه ببدء الرحلة' : 'Order belongs to a delivery trip and ships when the trip starts' });
+    }
+    if (status === 'delivered') {
+      // التسليم يمر بنفس ترحيل المخزون والدفعات والفاتورة الذي تستخدمه نقطة تأكيد التسليم
+      await deliverOrder({
+        order,
+        userId: req.user.id,
+        notes: notes?.trim() || `Status updated to ${status}`,
+        notesEn: notesEn?.trim() || `Status updated to ${status}`,
+        session,
+      });
+    } else {
+      order.status = status;
+      order.statusHistory.push({
+        status,
+        changedBy: req.user.id,
+        notes: notes?.trim() || `Status updated to ${status}`,
+        notesEn: notesEn?.trim() || `Status updated to ${status}`,
+        changedAt: new Date(),
+      });
+      if (status === 'in_transit') {
+        order.transitStartedAt = new Date();
+        await allocateOrderLots(order, session);
+      }
+      if (status === 'approved') order.approvedAt = new Date();
+      await order.save({ session, context: { isRtl } });
+    }
     const populatedOrder = await Order.findById(id)
       .populate('branch', 'name nameEn')
       .populate({ path: 'items.product', select: 'name nameEn price unit unitEn department', populate: { path: 'department', select: 'name nameEn code' } })
@@ -711,49 +709,56 @@ const updateOrderStatus = async (req, res) => {
   }
 };
 
+// تأكيد الفرع لاستلام طلب سلّمه السائق: تسجيل الكميات المستلمة فعليًا وتصحيح المخزون بالفرق
 const confirmOrderReceipt = async (req, res) => {
   const session = await mongoose.startSession();
+  const isRtl = req.query.isRtl === 'true';
   try {
     session.startTransaction();
-    const isRtl = req.query.isRtl === 'true';
     const { id } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await session.abortTransaction();
+      removeUploadedFiles(req.files);
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
     if (!isValidObjectId(id)) {
       await session.abortTransaction();
+      removeUploadedFiles(req.files);
       return res.status(400).json({ success: false, message: isRtl ? 'معرف الطلب غير صالح' : 'Invalid order ID' });
     }
     const order = await Order.findById(id).populate('items.product').setOptions({ context: { isRtl } }).session(session);
     if (!order) {
       await session.abortTransaction();
+      removeUploadedFiles(req.files);
       return res.status(404).json({ success: false, message: isRtl ? 'الطلب غير موجود' : 'Order not found' });
     }
     if (order.status !== 'delivered') {
       await session.abortTransaction();
+      removeUploadedFiles(req.files);
       return res.status(400).json({ success: false, message: isRtl ? 'يجب أن يكون الطلب في حالة "تم التوصيل" لتأكيد الاستلام' : 'Order must be in "delivered" status to confirm receipt' });
     }
     if (req.user.role !== 'branch' || order.branch.toString() !== req.user.branchId.toString()) {
       await session.abortTransaction();
+      removeUploadedFiles(req.files);
       return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لتأكيد استلام الطلب' : 'Unauthorized to confirm order receipt' });
     }
-    const branch = await Branch.findById(order.branch).session(session);
-    if (!branch) {
+    if (order.confirmedAt) {
       await session.abortTransaction();
-      return res.status(404).json({ success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
-    }
-    for (const item of order.items) {
-      const existingProduct = branch.inventory.find(i => i.product.toString() === item.product._id.toString());
-      if (existingProduct) {
-        existingProduct.quantity += item.quantity;
-      } else {
-        branch.inventory.push({
-          product: item.product._id,
-          quantity: item.quantity,
-        });
-      }
+      removeUploadedFiles(req.files);
+      return res.status(400).json({ success: false, message: isRtl ? 'تم تأكيد استلام هذا الطلب مسبقًا' : 'Order receipt has already been confirmed' });
+    }
+    const proof = buildDeliveryProof({ files: req.files, recipientName: req.body.recipientName, notes: req.body.notes });
+    let receipt;
+    try {
+      receipt = buildReceipt(order, req.body.items, isRtl);
+    } catch (receiptErr) {
+      await session.abortTransaction();
+      removeUploadedFiles(req.files);
+      return res.status(400).json({ success: false, message: receiptErr.message });
     }
-    branch.markModified('inventory');
-    await branch.save({ session });
-    order.confirmedBy = req.user.id;
-    order.confirmedAt = new Date();
+    // الطلب رُحّل للمخزون بالكامل عند التسليم، فيخصم الفرق فقط
+    await adjustDeliveredOrder({ order, receipt, userId: req.user.id, isRtl, session });
     order.statusHistory.push({
       status: 'delivered',
       changedBy: req.user.id,
@@ -761,7 +766,7 @@ const confirmOrderReceipt = async (req, res) => {
       notesEn: 'Order receipt confirmed by branch',
       changedAt: new Date(),
     });
-    await order.save({ session, context: { isRtl } });
+    const discrepancy = await recordReceipt({ order, receipt, proof, userId: req.user.id, isRtl, session });
     const populatedOrder = await Order.findById(id)
       .populate('branch', 'name nameEn')
       .populate({ path: 'items.product', select: 'name nameEn price unit unitEn department', populate: { path: 'department', select: 'name nameEn code' } })
@@ -811,6 +816,9 @@ const confirmOrderReceipt = async (req, res) => {
       isRtl,
     };
     await emitSocketEvent(io, ['admin', 'production', `branch-${order.branch}`], 'branchConfirmed', orderData);
+    if (discrepancy) {
+      await announceDeliveryDiscrepancy({ io, order, discrepancy, branchName: orderData.branchName, isRtl });
+    }
     await session.commitTransaction();
     res.status(200).json({
       ...populatedOrder,
@@ -836,11 +844,15 @@ const confirmOrderReceipt = async (req, res) => {
     });
   } catch (err) {
     await session.abortTransaction();
+    removeUploadedFiles(req.files);
     console.error(`[${new Date().toISOString()}] Error confirming order receipt:`, {
       error: err.message,
       userId: req.user.id,
       stack: err.stack,
     });
+    if (err.code === INSUFFICIENT_BRANCH_STOCK) {
+      return res.status(err.status).json({ success: false, message: err.message, error: err.message });
+    }
     res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
   } finally {
     session.endSession();
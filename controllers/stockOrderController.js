@@ -5,6 +5,7 @@ const Product = require('../models/Product');
 const FactoryInventory = require('../models/FactoryInventory');
 const FactoryInventoryHistory = require('../models/FactoryInventoryHistory');
 const { createNotification } = require('../utils/notifications');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
 
 const isValidObjectId = (id) => mongoose.isValidObjectId(id);
 
@@ -89,7 +90,7 @@ const createStockOrder = async (req, res) => {
       }
     }
 
-    const orderNumber = `STOCK-${Date.now()}`;
+    const orderNumber = await nextDocumentNumber({ type: 'STOCK_ORDER', session });
     const newOrder = new Order({
       orderNumber,
       orderType: 'stock',
@@ -0,0 +1,178 @@
+// controllers/supplierController.js
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+const isValidObjectId = (id) => mongoose.isValidObjectId(id);
+
+const translateField = (item, field, lang) => {
+  return lang === 'ar' ? item[field] || item[`${field}En`] || 'غير معروف' : item[`${field}En`] || item[field] || 'Unknown';
+};
+
+const getSuppliers = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { search, includeInactive, page = 1, limit = 20 } = req.query;
+    const query = includeInactive === 'true' ? {} : { isActive: true };
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { nameEn: { $regex: search, $options: 'i' } },
+        { code: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } },
+      ];
+    }
+    const [suppliers, total] = await Promise.all([
+      Supplier.find(query)
+        .sort({ name: 1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      Supplier.countDocuments(query),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: suppliers.map(supplier => ({ ...supplier, displayName: translateField(supplier, 'name', lang) })),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      currentPage: parseInt(page),
+      totalItems: total,
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching suppliers:`, { error: err.message, stack: err.stack });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const getSupplierById = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف المورد غير صالح' : 'Invalid supplier ID' });
+    }
+    const supplier = await Supplier.findById(id).populate('createdBy', 'username name nameEn').lean();
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: isRtl ? 'المورد غير موجود' : 'Supplier not found' });
+    }
+    const openOrders = await PurchaseOrder.countDocuments({ supplier: id, status: { $in: ['draft', 'sent', 'partially_received'] } });
+    res.status(200).json({
+      success: true,
+      data: { ...supplier, displayName: translateField(supplier, 'name', lang), openOrders },
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error fetching supplier:`, { error: err.message, stack: err.stack });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+const createSupplier = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { name, nameEn, code, contactPerson, phone, email, address, vatNumber, paymentTermsDays, notes } = req.body;
+    const existing = await Supplier.findOne({ code: code.trim() });
+    if (existing) {
+      return res.status(400).json({ success: false, message: isRtl ? 'رمز المورد موجود بالفعل' : 'Supplier code already exists' });
+    }
+    const supplier = new Supplier({
+      name: name.trim(),
+      nameEn: nameEn?.trim(),
+      code: code.trim(),
+      contactPerson: contactPerson?.trim(),
+      phone: phone?.trim(),
+      email: email?.trim(),
+      address: address?.trim(),
+      vatNumber: vatNumber?.trim(),
+      paymentTermsDays,
+      notes: notes?.trim(),
+      createdBy: req.user.id,
+    });
+    await supplier.save();
+    res.status(201).json({
+      success: true,
+      data: supplier,
+      message: isRtl ? 'تم إنشاء المورد بنجاح' : 'Supplier created successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error creating supplier:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(400).json({ success: false, message: isRtl ? 'خطأ في إنشاء المورد' : 'Error creating supplier', error: err.message });
+  }
+};
+
+const updateSupplier = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
+    }
+    const { id } = req.params;
+    const supplier = await Supplier.findById(id);
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: isRtl ? 'المورد غير موجود' : 'Supplier not found' });
+    }
+    const { code } = req.body;
+    if (code && code.trim() !== supplier.code) {
+      const existing = await Supplier.findOne({ code: code.trim(), _id: { $ne: id } });
+      if (existing) {
+        return res.status(400).json({ success: false, message: isRtl ? 'رمز المورد موجود بالفعل' : 'Supplier code already exists' });
+      }
+    }
+    const fields = ['name', 'nameEn', 'code', 'contactPerson', 'phone', 'email', 'address', 'vatNumber', 'notes'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) supplier[field] = req.body[field]?.trim();
+    });
+    if (req.body.paymentTermsDays !== undefined) supplier.paymentTermsDays = req.body.paymentTermsDays;
+    if (req.body.isActive !== undefined) supplier.isActive = req.body.isActive;
+    await supplier.save();
+    res.status(200).json({
+      success: true,
+      data: supplier,
+      message: isRtl ? 'تم تحديث المورد بنجاح' : 'Supplier updated successfully',
+    });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error updating supplier:`, { error: err.message, stack: err.stack, body: req.body });
+    res.status(400).json({ success: false, message: isRtl ? 'خطأ في تحديث المورد' : 'Error updating supplier', error: err.message });
+  }
+};
+
+const deleteSupplier = async (req, res) => {
+  const lang = req.query.lang || 'ar';
+  const isRtl = lang === 'ar';
+  try {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: isRtl ? 'معرف المورد غير صالح' : 'Invalid supplier ID' });
+    }
+    const supplier = await Supplier.findById(id);
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: isRtl ? 'المورد غير موجود' : 'Supplier not found' });
+    }
+    const openOrders = await PurchaseOrder.countDocuments({ supplier: id, status: { $in: ['draft', 'sent', 'partially_received'] } });
+    if (openOrders > 0) {
+      return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن حذف مورد لديه أوامر شراء مفتوحة' : 'Cannot delete a supplier with open purchase orders' });
+    }
+    supplier.isActive = false;
+    await supplier.save();
+    res.status(200).json({ success: true, message: isRtl ? 'تم حذف المورد بنجاح' : 'Supplier deleted successfully' });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error deleting supplier:`, { error: err.message, stack: err.stack });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+  }
+};
+
+module.exports = {
+  getSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+};
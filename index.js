@@ -31,7 +31,26 @@ const factoryRoutes = require('./routes/factoryInventory');
 const factoryOrderRoutes = require('./routes/factoryOrders');
 const salesRoutes = require('./routes/sales');
 const notificationsRoutes = require('./routes/notifications');
+const rawMaterialRoutes = require('./routes/rawMaterials');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const recallRoutes = require('./routes/recalls');
+const replenishmentRoutes = require('./routes/replenishment');
+const restockRequestRoutes = require('./routes/restockRequests');
+const analyticsRoutes = require('./routes/analytics');
+const productionRoutes = require('./routes/production');
+const deliveryTripRoutes = require('./routes/deliveryTrips');
+const deliveryDiscrepancyRoutes = require('./routes/deliveryDiscrepancies');
+const claimRoutes = require('./routes/claims');
+const ledgerRoutes = require('./routes/ledger');
+const shiftRoutes = require('./routes/shifts');
+const customerRoutes = require('./routes/customers');
+const promotionRoutes = require('./routes/promotions');
+const saleRefundRoutes = require('./routes/saleRefunds');
+const uploadRoutes = require('./routes/uploads');
 const { setupNotifications } = require('./utils/notifications');
+const { startExpiryJob } = require('./utils/expiryUtils');
+const { startReplenishmentJob } = require('./utils/replenishmentUtils');
 
 const app = express();
 const server = http.createServer(app);
@@ -140,6 +159,7 @@ io.on('connection', (socket) => {
       rooms.push(`chef-${chefId}`);
     }
     if (role === 'production') rooms.push('production');
+    if (role === 'driver') rooms.push(`driver-${userId}`);
     rooms.forEach(room => {
       socket.join(room);
       console.log(`[${new Date().toISOString()}] User ${socket.user.username} (${socket.user.id}) joined room: ${room}`);
@@ -159,7 +179,10 @@ io.on('connection', (socket) => {
   });
 });
 
-connectDB().catch((err) => {
+connectDB().then(() => {
+  startExpiryJob(io);
+  startReplenishmentJob(io);
+}).catch((err) => {
   console.error(`[${new Date().toISOString()}] Failed to connect to MongoDB: ${err.message}`);
   process.exit(1);
 });
@@ -192,6 +215,24 @@ app.use('/api/factoryInventory', factoryRoutes);
 app.use('/api/factoryOrders', factoryOrderRoutes);
 app.use('/api/sales', salesRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/raw-materials', rawMaterialRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/recalls', recallRoutes);
+app.use('/api/replenishment', replenishmentRoutes);
+app.use('/api/restock-requests', restockRequestRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/production', productionRoutes);
+app.use('/api/delivery-trips', deliveryTripRoutes);
+app.use('/api/delivery-discrepancies', deliveryDiscrepancyRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/sale-refunds', saleRefundRoutes);
+// الملفات المرفوعة تُعرض للمستخدم المصرح له فقط ضمن نطاق فرعه
+app.use('/api/uploads', uploadRoutes);
 
 app.get('/api/health', (req, res) => {
   res.status(200).json({ status: 'ok', environment: process.env.NODE_ENV || 'production', time: new Date().toISOString() });
@@ -10,7 +10,7 @@ const auth = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
     const user = await User.findById(decoded.id).lean();
-    if (!user) {
+    if (!user || user.role === 'system') {
       return res.status(401).json({ success: false, message: 'المستخدم غير موجود' });
     }
 
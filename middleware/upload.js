@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const UPLOAD_ROOT = path.join(__dirname, '..', 'uploads');
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+// الامتداد يُشتق من نوع الصورة المسموح وليس من اسم الملف الذي يرسله العميل
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+};
+const IMAGE_TYPES = Object.keys(IMAGE_EXTENSIONS);
+
+// التوقيع الثنائي في بداية الملف لكل نوع صورة
+const IMAGE_SIGNATURES = {
+  'image/jpeg': (header) => header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff,
+  'image/png': (header) => header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': (header) => header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP',
+};
+
+const hasImageSignature = (file) => {
+  const header = Buffer.alloc(12);
+  const fd = fs.openSync(file.path, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return Boolean(IMAGE_SIGNATURES[file.mimetype]?.(header));
+};
+
+// تخزين الملفات على القرص داخل مجلد فرعي لكل نوع رفع بأسماء عشوائية
+const diskStorage = (folder) => {
+  const destination = path.join(UPLOAD_ROOT, folder);
+  fs.mkdirSync(destination, { recursive: true });
+  return multer.diskStorage({
+    destination,
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${IMAGE_EXTENSIONS[file.mimetype]}`);
+    },
+  });
+};
+
+const imageFilter = (req, file, cb) => {
+  if (!IMAGE_TYPES.includes(file.mimetype)) {
+    const err = new Error('نوع الملف غير مدعوم، يسمح فقط بصور JPEG وPNG وWebP');
+    err.code = 'INVALID_FILE_TYPE';
+    return cb(err);
+  }
+  cb(null, true);
+};
+
+// تحويل أخطاء multer إلى استجابة 400 بنفس شكل أخطاء التحقق، ورفض الملفات التي لا يطابق محتواها نوعها
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (err) => {
+    const isRtl = (req.query.lang || 'ar') === 'ar';
+    if (!err) {
+      const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+      if (files.every(hasImageSignature)) return next();
+      removeUploadedFiles(files);
+      console.error(`[${new Date().toISOString()}] Upload rejected, content does not match image type:`, { userId: req.user?.id });
+      return res.status(400).json({
+        success: false,
+        message: isRtl ? 'محتوى الملف ليس صورة صالحة' : 'File content is not a valid image',
+        error: 'invalid_file_content',
+      });
+    }
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? (isRtl ? 'حجم الملف يتجاوز 5 ميجابايت' : 'File exceeds 5MB')
+      : err.code === 'INVALID_FILE_TYPE'
+        ? (isRtl ? err.message : 'Unsupported file type, only JPEG, PNG and WebP images are allowed')
+        : (isRtl ? 'خطأ في رفع الملف' : 'File upload error');
+    console.error(`[${new Date().toISOString()}] Upload error:`, { error: err.message, code: err.code, userId: req.user?.id });
+    res.status(400).json({ success: false, message, error: err.message });
+  });
+};
+
+// الحقول النصية في طلبات multipart تصل كنصوص؛ يتم تحويل حقول JSON قبل التحقق
+const parseJsonFields = (...fields) => (req, res, next) => {
+  for (const field of fields) {
+    if (typeof req.body?.[field] === 'string' && req.body[field].trim()) {
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (err) {
+        const isRtl = (req.query.lang || 'ar') === 'ar';
+        return res.status(400).json({ success: false, message: isRtl ? `الحقل ${field} غير صالح` : `Invalid ${field} field` });
+      }
+    }
+  }
+  next();
+};
+
+// إثبات التسليم: توقيع واحد وحتى خمس صور
+const deliveryProofUpload = handleUpload(multer({
+  storage: diskStorage('delivery-proofs'),
+  fileFilter: imageFilter,
+  limits: { fileSize: MAX_FILE_SIZE, files: 6 },
+}).fields([
+  { name: 'signature', maxCount: 1 },
+  { name: 'photos', maxCount: 5 },
+]));
+
+// أدلة المطالبات: حتى خمس صور
+const claimEvidenceUpload = handleUpload(multer({
+  storage: diskStorage('claim-evidence'),
+  fileFilter: imageFilter,
+  limits: { fileSize: MAX_FILE_SIZE, files: 5 },
+}).array('files', 5));
+
+// صور فحص المرتجعات في المصنع: حتى عشر صور
+const returnInspectionUpload = handleUpload(multer({
+  storage: diskStorage('return-inspections'),
+  fileFilter: imageFilter,
+  limits: { fileSize: MAX_FILE_SIZE, files: 10 },
+}).array('photos', 10));
+
+// بيانات الملف كما تحفظ في المستندات
+const toStoredFile = (file) => ({
+  path: path.relative(UPLOAD_ROOT, file.path).split(path.sep).join('/'),
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size,
+});
+
+// حذف الملفات المرفوعة إذا فشلت العملية حتى لا تبقى ملفات يتيمة
+const removeUploadedFiles = (files) => {
+  const list = Array.isArray(files) ? files : Object.values(files || {}).flat();
+  for (const file of list) {
+    fs.unlink(file.path, (err) => {
+      if (err) console.warn(`[${new Date().toISOString()}] Failed to remove uploaded file ${file.path}:`, err.message);
+    });
+  }
+};
+
+module.exports = {
+  UPLOAD_ROOT,
+  IMAGE_EXTENSIONS,
+  deliveryProofUpload,
+  claimEvidenceUpload,
+  returnInspectionUpload,
+  parseJsonFields,
+  toStoredFile,
+  removeUploadedFiles,
+};
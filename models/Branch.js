@@ -12,6 +12,22 @@ const branchSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   isActive: { type: Boolean, default: true },
+  // إعدادات الإيصال الحراري: أسطر الرأس والتذييل والرقم الضريبي
+  receipt: {
+    header: { type: String, trim: true, maxlength: 500 },
+    headerEn: { type: String, trim: true, maxlength: 500 },
+    footer: { type: String, trim: true, maxlength: 500 },
+    footerEn: { type: String, trim: true, maxlength: 500 },
+    vatNumber: { type: String, trim: true },
+  },
+  // سياسة نقص المخزون عند مزامنة مبيعات نقطة البيع دون اتصال
+  offlineSync: {
+    negativeStockPolicy: { type: String, enum: ['reject', 'allow_flagged'] },
+  },
+  // فرض فتح وردية قبل البيع والاسترداد؛ غير المحدد يتبع REQUIRE_OPEN_SHIFT
+  pos: {
+    requireOpenShift: { type: Boolean },
+  },
 }, { timestamps: true });
 
 branchSchema.virtual('displayName').get(function() {
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// فاتورة المصنع للفرع تصدر تلقائيًا عند تسليم الطلب
+const branchInvoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'الطلب مطلوب'],
+    unique: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'الفرع مطلوب'],
+  },
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    quantity: { type: Number, required: true, min: 0 },
+    price: { type: Number, required: true, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+    taxCategory: { type: String, enum: ['standard', 'zero_rated', 'exempt'], default: 'standard' },
+    taxRate: { type: Number, min: 0 },
+    netAmount: { type: Number, min: 0 },
+    taxAmount: { type: Number, min: 0 },
+  }],
+  pricesIncludeTax: {
+    type: Boolean,
+    default: true,
+  },
+  subtotal: {
+    type: Number,
+    min: 0,
+  },
+  taxAmount: {
+    type: Number,
+    min: 0,
+  },
+  // الإجمالي شامل الضريبة
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, { timestamps: true });
+
+branchInvoiceSchema.index({ branch: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('BranchInvoice', branchInvoiceSchema);
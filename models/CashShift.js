@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const tenderTotalsFields = {
+  cash: { type: Number, default: 0 },
+  card: { type: Number, default: 0 },
+  credit: { type: Number, default: 0 },
+  points: { type: Number, default: 0 },
+};
+
+// وردية الصندوق في الفرع: تُفتح بعهدة نقدية وتُغلق بالنقد المعدود
+const cashShiftSchema = new mongoose.Schema({
+  shiftNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'الفرع مطلوب'],
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open',
+  },
+  openingFloat: {
+    type: Number,
+    required: [true, 'العهدة الافتتاحية مطلوبة'],
+    min: [0, 'العهدة الافتتاحية لا يمكن أن تكون سالبة'],
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // المبالغ المردودة للعملاء من هذه الوردية
+  refunds: [{
+    _id: false,
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+    reference: { type: String, trim: true },
+    tender: { type: String, enum: ['cash', 'card', 'credit', 'points'], required: true },
+    amount: { type: Number, required: true, min: 0 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  // مبيعات صدرت أثناء الوردية دون اتصال ولم تُرفع إلا بعد إغلاقها؛ نقدها يُضاف إلى المتوقع
+  latePostings: [{
+    _id: false,
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+    reference: { type: String, trim: true },
+    amount: { type: Number, required: true, min: 0 },
+    tenders: tenderTotalsFields,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  countedCash: {
+    type: Number,
+    min: [0, 'النقد المعدود لا يمكن أن يكون سالبًا'],
+  },
+  expectedCash: {
+    type: Number,
+  },
+  // الفرق بين المعدود والمتوقع: موجب زيادة، سالب عجز
+  variance: {
+    type: Number,
+  },
+  // تقرير Z المحفوظ عند الإغلاق
+  zReport: {
+    reportNumber: { type: Number },
+    salesCount: { type: Number, default: 0 },
+    grossSales: { type: Number, default: 0 },
+    netSales: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    tenders: tenderTotalsFields,
+    changeGiven: { type: Number, default: 0 },
+    refundsCount: { type: Number, default: 0 },
+    refunds: tenderTotalsFields,
+    // تحصيلات حسابات العملاء الآجلة
+    collectionsCount: { type: Number, default: 0 },
+    collections: {
+      cash: { type: Number, default: 0 },
+      card: { type: Number, default: 0 },
+      bank_transfer: { type: Number, default: 0 },
+    },
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  closedAt: {
+    type: Date,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  closingNotes: {
+    type: String,
+    trim: true,
+  },
+}, { timestamps: true });
+
+// وردية مفتوحة واحدة فقط لكل فرع
+cashShiftSchema.index({ branch: 1, status: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+cashShiftSchema.index({ branch: 1, openedAt: -1 });
+
+module.exports = mongoose.model('CashShift', cashShiftSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const storedFileFields = {
+  path: { type: String, required: true },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+};
+
+const claimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'الطلب مطلوب'],
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'الفرع مطلوب'],
+  },
+  discrepancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryDiscrepancy',
+  },
+  items: {
+    type: [{
+      _id: false,
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'الكمية مطلوبة'],
+        min: [0.01, 'الكمية يجب أن تكون أكبر من صفر'],
+      },
+      price: { type: Number, default: 0, min: 0 },
+      reason: {
+        type: String,
+        enum: {
+          values: ['short', 'damaged', 'wrong_item', 'quality', 'other'],
+          message: '{VALUE} ليس سبب مطالبة صالح',
+        },
+        required: [true, 'سبب المطالبة مطلوب'],
+      },
+      notes: { type: String, trim: true },
+    }],
+    validate: [(items) => items.length > 0, 'يجب أن تحتوي المطالبة على عنصر واحد على الأقل'],
+  },
+  totalValue: { type: Number, default: 0, min: 0 },
+  description: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ['open', 'investigating', 'credited', 'rejected'],
+    default: 'open',
+  },
+  // الجهة المسؤولة عن الفرق كما يحددها الإنتاج بعد التحقيق
+  faultParty: {
+    type: String,
+    enum: ['production', 'driver', 'branch', 'supplier', 'unknown'],
+    default: 'unknown',
+  },
+  evidence: [{
+    ...storedFileFields,
+    notes: { type: String, trim: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now },
+  }],
+  settlement: {
+    method: {
+      type: String,
+      enum: ['reship', 'credit', 'write_off'],
+    },
+    amount: { type: Number, min: 0 },
+    reshipOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    notes: { type: String, trim: true },
+    settledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    settledAt: { type: Date },
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  statusHistory: [{
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    notes: { type: String, trim: true },
+    changedAt: { type: Date, default: Date.now },
+  }],
+}, { timestamps: true });
+
+claimSchema.pre('save', function(next) {
+  this.totalValue = this.items.reduce((sum, item) => sum + item.quantity * (item.price || 0), 0);
+  next();
+});
+
+claimSchema.index({ branch: 1, status: 1, createdAt: -1 });
+claimSchema.index({ order: 1 });
+claimSchema.index({ discrepancy: 1 });
+
+module.exports = mongoose.model('Claim', claimSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// عداد تسلسلي لكل نوع مستند وفرع وفترة؛ يُزاد ذريًا داخل معاملة الإنشاء
+const counterSchema = new mongoose.Schema({
+  // المفتاح المركب: النوع|الفرع|الفترة، ويُضاف رمز المنتج قبل الفترة عند الحاجة
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    required: [true, 'نوع المستند مطلوب'],
+    trim: true,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+  },
+  // رمز المنتج للصيغ المرقمة لكل منتج مثل أرقام الدفعات
+  productCode: {
+    type: String,
+    trim: true,
+  },
+  // فترة إعادة الترقيم مثل 20260101، وفارغة للعداد المستمر
+  period: {
+    type: String,
+    default: '',
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, { timestamps: true });
+
+counterSchema.index({ type: 1, branch: 1, period: -1 });
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// عميل بحساب آجل؛ بدون فرع يكون العميل متاحًا لجميع الفروع
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'اسم العميل مطلوب'],
+    trim: true
+  },
+  nameEn: {
+    type: String,
+    trim: true
+  },
+  // الرقم بعد التوحيد (أرقام فقط) ويُستخدم للبحث
+  phone: {
+    type: String,
+    required: [true, 'رقم الهاتف مطلوب'],
+    trim: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: [0, 'حد الائتمان يجب أن يكون غير سالب']
+  },
+  // الرصيد المستحق على العميل
+  balance: {
+    type: Number,
+    default: 0
+  },
+  // رصيد نقاط الولاء؛ حركاته في LoyaltyTransaction
+  loyaltyPoints: {
+    type: Number,
+    default: 0
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+customerSchema.virtual('displayName').get(function() {
+  const isRtl = this.options?.context?.isRtl ?? true;
+  return isRtl ? this.name : (this.nameEn || this.name);
+});
+
+customerSchema.virtual('availableCredit').get(function() {
+  return Math.round(((this.creditLimit || 0) - (this.balance || 0)) * 100) / 100;
+});
+
+customerSchema.set('toJSON', { virtuals: true });
+customerSchema.set('toObject', { virtuals: true });
+
+// رقم هاتف واحد لكل فرع، وواحد للعملاء العامين
+customerSchema.index({ phone: 1, branch: 1 }, { unique: true });
+customerSchema.index({ branch: 1, name: 1 });
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// حركة في حساب العميل: المدين يزيد المستحق عليه والدائن ينقصه
+const customerTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'العميل مطلوب'],
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+  },
+  transactionType: {
+    type: String,
+    enum: {
+      values: ['sale', 'sale_reversal', 'refund', 'payment'],
+      message: 'نوع الحركة غير صالح',
+    },
+    required: [true, 'نوع الحركة مطلوب'],
+  },
+  debit: { type: Number, default: 0, min: 0 },
+  credit: { type: Number, default: 0, min: 0 },
+  // رصيد العميل بعد الحركة
+  balanceAfter: { type: Number, required: true },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+  },
+  saleRefund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SaleRefund',
+  },
+  // الوردية التي استُلمت فيها الدفعة
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashShift',
+  },
+  referenceNumber: {
+    type: String,
+    trim: true,
+  },
+  payment: {
+    method: {
+      type: String,
+      enum: ['cash', 'card', 'bank_transfer'],
+    },
+    reference: { type: String, trim: true },
+  },
+  description: { type: String, trim: true },
+  descriptionEn: { type: String, trim: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, { timestamps: true });
+
+customerTransactionSchema.pre('validate', function(next) {
+  if ((this.debit > 0) === (this.credit > 0)) {
+    return next(new Error('يجب أن تكون الحركة مدينة أو دائنة فقط'));
+  }
+  next();
+});
+
+customerTransactionSchema.index({ customer: 1, createdAt: -1 });
+customerTransactionSchema.index({ shift: 1, transactionType: 1 });
+
+module.exports = mongoose.model('CustomerTransaction', customerTransactionSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const deliveryDiscrepancySchema = new mongoose.Schema({
+  discrepancyNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'الطلب مطلوب'],
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'الفرع مطلوب'],
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryTrip',
+  },
+  items: [{
+    _id: false,
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    orderedQuantity: { type: Number, required: true, min: 0 },
+    receivedQuantity: { type: Number, required: true, min: 0 },
+    shortQuantity: { type: Number, default: 0, min: 0 },
+    damagedQuantity: { type: Number, default: 0, min: 0 },
+    price: { type: Number, default: 0, min: 0 },
+    notes: { type: String, trim: true },
+  }],
+  totalShort: { type: Number, default: 0, min: 0 },
+  totalDamaged: { type: Number, default: 0, min: 0 },
+  // قيمة الكميات الناقصة والتالفة بسعر الطلب
+  totalValue: { type: Number, default: 0, min: 0 },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open',
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  resolvedAt: { type: Date },
+}, { timestamps: true });
+
+deliveryDiscrepancySchema.index({ branch: 1, createdAt: -1 });
+deliveryDiscrepancySchema.index({ order: 1 });
+deliveryDiscrepancySchema.index({ status: 1 });
+
+module.exports = mongoose.model('DeliveryDiscrepancy', deliveryDiscrepancySchema);
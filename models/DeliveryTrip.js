@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const tripStopSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'الفرع مطلوب'],
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'delivered'],
+    default: 'pending',
+  },
+  deliveredAt: { type: Date },
+  deliveredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+});
+
+const deliveryTripSchema = new mongoose.Schema({
+  tripNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'السائق مطلوب'],
+  },
+  vehicle: {
+    plateNumber: {
+      type: String,
+      required: [true, 'رقم لوحة المركبة مطلوب'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+  },
+  stops: {
+    type: [tripStopSchema],
+    validate: {
+      validator: (stops) => stops.length > 0,
+      message: 'يجب أن تحتوي الرحلة على محطة واحدة على الأقل',
+    },
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'in_progress', 'completed', 'cancelled'],
+    default: 'planned',
+  },
+  scheduledAt: { type: Date },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ['planned', 'in_progress', 'completed', 'cancelled'],
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    notes: String,
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+}, { timestamps: true });
+
+deliveryTripSchema.index({ driver: 1, status: 1 });
+deliveryTripSchema.index({ status: 1, scheduledAt: 1 });
+deliveryTripSchema.index({ 'stops.orders': 1 });
+
+module.exports = mongoose.model('DeliveryTrip', deliveryTripSchema);
@@ -47,6 +47,10 @@ const factoryInventorySchema = new mongoose.Schema({
       message: 'الحد الأقصى يجب أن يكون أكبر من أو يساوي الحد الأدنى',
     },
   },
+  // صلاحية المخزون المسجلة قبل تتبع الدفعات؛ تخص الكمية التي لا تقابلها دفعة نشطة
+  expirationDate: {
+    type: Date,
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
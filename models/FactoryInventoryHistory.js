@@ -10,7 +10,7 @@ const factoryInventoryHistorySchema = new mongoose.Schema({
   action: {
     type: String,
     enum: {
-      values: ['delivery', 'return_pending', 'return_rejected', 'return_approved', 'sale', 'sale_cancelled', 'sale_deleted', 'adjustment', 'reserve', 'produced_reserved', 'produced_stock', 'shipped'],
+      values: ['delivery', 'return_pending', 'return_rejected', 'return_approved', 'sale', 'sale_cancelled', 'sale_deleted', 'adjustment', 'reserve', 'produced_reserved', 'produced_stock', 'shipped', 'expired', 'return_restocked', 'return_reworked', 'return_donated', 'return_destroyed'],
       message: 'الإجراء غير صالح',
     },
     required: [true, 'الإجراء مطلوب'],
@@ -25,7 +25,7 @@ const factoryInventoryHistorySchema = new mongoose.Schema({
   },
   referenceType: {
     type: String,
-    enum: ['order', 'return', 'sale', 'adjustment'],
+    enum: ['order', 'factory_order', 'return', 'sale', 'adjustment'],
   },
   referenceId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -48,6 +48,14 @@ const factoryInventoryHistorySchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductionLot',
+  },
+  lotNumber: {
+    type: String,
+    trim: true,
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -55,4 +63,5 @@ const factoryInventoryHistorySchema = new mongoose.Schema({
 });
 factoryInventoryHistorySchema.index({ product: 1, createdAt: -1 });
 factoryInventoryHistorySchema.index({ referenceType: 1, referenceId: 1 });
+factoryInventoryHistorySchema.index({ lot: 1 });
 module.exports = mongoose.model('FactoryInventoryHistory', factoryInventoryHistorySchema);
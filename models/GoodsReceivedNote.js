@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const goodsReceivedNoteSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    required: [true, 'رقم إذن الاستلام مطلوب'],
+    unique: true,
+    trim: true,
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: [true, 'أمر الشراء مطلوب'],
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'المورد مطلوب'],
+  },
+  items: [{
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'معرف عنصر أمر الشراء مطلوب'],
+    },
+    rawMaterial: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RawMaterial',
+      required: [true, 'المادة الخام مطلوبة'],
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'الكمية مطلوبة'],
+      min: [0.001, 'الكمية يجب أن تكون أكبر من صفر'],
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  }],
+  notes: {
+    type: String,
+    trim: true,
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'معرف المستخدم مطلوب'],
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+goodsReceivedNoteSchema.index({ purchaseOrder: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('GoodsReceivedNote', goodsReceivedNoteSchema);
@@ -83,6 +83,34 @@ const inventorySchema = new mongoose.Schema({
       default: Date.now,
     },
   }],
+  // الدفعات الموجودة في مخزون الفرع للتتبع والاسترجاع
+  lots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductionLot',
+      required: [true, 'معرف الدفعة مطلوب'],
+    },
+    lotNumber: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'الكمية مطلوبة'],
+      min: [0, 'الكمية يجب أن تكون غير سالبة'],
+    },
+    productionDate: {
+      type: Date,
+    },
+    expiryDate: {
+      type: Date,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -90,6 +118,7 @@ const inventorySchema = new mongoose.Schema({
 });
 
 inventorySchema.index({ product: 1, branch: 1 }, { unique: true });
+inventorySchema.index({ 'lots.lot': 1 });
 
 inventorySchema.pre('save', function (next) {
   if (this.currentStock < 0 || this.pendingReturnStock < 0 || this.damagedStock < 0) {
@@ -14,7 +14,7 @@ const inventoryHistorySchema = new mongoose.Schema({
   action: {
     type: String,
     enum: {
-      values: ['delivery', 'return_pending', 'return_rejected', 'return_approved', 'sale', 'sale_cancelled', 'sale_deleted', 'adjustment'],
+      values: ['delivery', 'return_pending', 'return_rejected', 'return_approved', 'sale', 'sale_cancelled', 'sale_deleted', 'sale_update_restore', 'sale_update_deduct', 'sale_exchange', 'adjustment', 'expired'],
       message: 'الإجراء غير صالح',
     },
     required: [true, 'الإجراء مطلوب'],
@@ -52,6 +52,21 @@ const inventoryHistorySchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  lots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductionLot',
+    },
+    lotNumber: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      min: [0, 'الكمية يجب أن تكون غير سالبة'],
+    },
+  }],
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -61,5 +76,6 @@ const inventoryHistorySchema = new mongoose.Schema({
 inventoryHistorySchema.index({ product: 1, branch: 1, createdAt: -1 });
 inventoryHistorySchema.index({ referenceType: 1, referenceId: 1 });
 inventoryHistorySchema.index({ branch: 1, createdAt: -1 });
+inventoryHistorySchema.index({ 'lots.lot': 1, action: 1 });
 
 module.exports = mongoose.model('InventoryHistory', inventoryHistorySchema);
\ No newline at end of file
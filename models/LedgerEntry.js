@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// قيد في حساب الفرع لدى المصنع: المدين يزيد المستحق على الفرع والدائن ينقصه
+const ledgerEntrySchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'الفرع مطلوب'],
+  },
+  entryType: {
+    type: String,
+    enum: {
+      values: ['invoice', 'return_credit', 'claim_credit', 'discrepancy_credit', 'payment'],
+      message: 'نوع القيد غير صالح',
+    },
+    required: [true, 'نوع القيد مطلوب'],
+  },
+  debit: { type: Number, default: 0, min: 0 },
+  credit: { type: Number, default: 0, min: 0 },
+  referenceType: {
+    type: String,
+    enum: ['BranchInvoice', 'Return', 'Claim', 'DeliveryDiscrepancy'],
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceType',
+  },
+  referenceNumber: {
+    type: String,
+    trim: true,
+  },
+  payment: {
+    method: {
+      type: String,
+      enum: ['cash', 'bank_transfer', 'cheque', 'other'],
+    },
+    reference: { type: String, trim: true },
+  },
+  description: { type: String, trim: true },
+  descriptionEn: { type: String, trim: true },
+  entryDate: {
+    type: Date,
+    default: Date.now,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, { timestamps: true });
+
+ledgerEntrySchema.pre('validate', function(next) {
+  if ((this.debit > 0) === (this.credit > 0)) {
+    return next(new Error('يجب أن يكون القيد مدينًا أو دائنًا فقط'));
+  }
+  next();
+});
+
+ledgerEntrySchema.index({ branch: 1, entryDate: 1 });
+// قيد واحد فقط لكل مستند مصدر
+ledgerEntrySchema.index(
+  { entryType: 1, referenceId: 1 },
+  { unique: true, partialFilterExpression: { referenceId: { $exists: true } } }
+);
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// حركة نقاط الولاء للعميل: الموجب اكتساب والسالب استبدال
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'العميل مطلوب'],
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+  },
+  transactionType: {
+    type: String,
+    enum: {
+      values: ['earn', 'redeem', 'reversal'],
+      message: 'نوع حركة النقاط غير صالح',
+    },
+    required: [true, 'نوع حركة النقاط مطلوب'],
+  },
+  points: {
+    type: Number,
+    required: true,
+  },
+  // القيمة النقدية للنقاط المستبدلة
+  value: {
+    type: Number,
+    default: 0,
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+  },
+  saleRefund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SaleRefund',
+  },
+  referenceNumber: {
+    type: String,
+    trim: true,
+  },
+  description: { type: String, trim: true },
+  descriptionEn: { type: String, trim: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, { timestamps: true });
+
+loyaltyTransactionSchema.index({ customer: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ sale: 1 });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -27,6 +27,21 @@ const notificationSchema = new mongoose.Schema({
       'returnCreated',
       'returnStatusUpdated',
       'saleCreated', // Added for sale notifications
+      'purchaseOrderCreated',
+      'purchaseOrderStatusUpdated',
+      'goodsReceived',
+      'recallCreated',
+      'recallClosed',
+      'stockExpired',
+      'restockRequestCreated',
+      'restockRequestStatusUpdated',
+      'tripAssigned',
+      'tripStarted',
+      'tripStopDelivered',
+      'tripCompleted',
+      'deliveryDiscrepancyReported',
+      'claimCreated',
+      'claimStatusUpdated',
     ],
   },
   message: {
@@ -63,6 +63,19 @@ const orderSchema = new mongoose.Schema({
       trim: true,
       required: false,
     },
+    // الدفعات المخصصة لهذا العنصر عند الشحن (FEFO)
+    lots: [{
+      _id: false,
+      lot: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductionLot' },
+      lotNumber: { type: String, trim: true },
+      quantity: { type: Number, min: 0 },
+      productionDate: { type: Date },
+      expiryDate: { type: Date },
+    }],
+    // الكميات المستلمة فعليًا كما أكدها الفرع
+    receivedQuantity: { type: Number, min: 0 },
+    shortQuantity: { type: Number, min: 0 },
+    damagedQuantity: { type: Number, min: 0 },
   }],
   totalAmount: {
     type: Number,
@@ -76,9 +89,19 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'in_production', 'completed', 'in_transit', 'delivered', 'cancelled'],
+    enum: ['draft', 'pending', 'approved', 'in_production', 'completed', 'in_transit', 'delivered', 'cancelled'],
     default: 'pending',
   },
+  // مصدر الطلب: يدوي من الفرع، مقترح تلقائي من إعادة التزويد، أو من موافقة طلب تزويد
+  source: {
+    type: String,
+    enum: ['manual', 'replenishment', 'restock_request', 'claim'],
+    default: 'manual',
+  },
+  // آخر تعديل للفرع على المسودة؛ المسودة المعدلة لا تستبدلها إعادة التزويد الليلية
+  draftEditedAt: {
+    type: Date,
+  },
   notes: {
     type: String,
     trim: true,
@@ -112,10 +135,45 @@ const orderSchema = new mongoose.Schema({
   approvedAt: { type: Date },
   deliveredAt: { type: Date },
   transitStartedAt: { type: Date },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryTrip',
+  },
+  // إثبات التسليم: توقيع المستلم وصور الشحنة
+  deliveryProof: {
+    signature: {
+      path: String,
+      originalName: String,
+      mimeType: String,
+      size: Number,
+    },
+    photos: [{
+      _id: false,
+      path: String,
+      originalName: String,
+      mimeType: String,
+      size: Number,
+    }],
+    recipientName: { type: String, trim: true },
+    notes: { type: String, trim: true },
+  },
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  confirmedAt: { type: Date },
+  discrepancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryDiscrepancy',
+  },
   returns: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Return',
   }],
+  claims: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Claim',
+  }],
   statusHistory: [{
     status: String,
     changedBy: {
@@ -204,8 +262,18 @@ orderSchema.pre('save', async function(next) {
     });
     const returnAdjustments = returns.reduce((sum, ret) => sum + (ret.totalReturnValue || 0), 0);
 
+    // المطالبات المسوّاة بإشعار دائن تخصم من إجمالي الطلب
+    const creditedClaims = this.claims?.length
+      ? await mongoose.model('Claim').find({
+        _id: { $in: this.claims },
+        status: 'credited',
+        'settlement.method': 'credit',
+      }).session(this.$session())
+      : [];
+    const claimCredits = creditedClaims.reduce((sum, claim) => sum + (claim.settlement?.amount || 0), 0);
+
     this.totalAmount = this.items.reduce((sum, item) => sum + (item.quantity * item.price), 0);
-    this.adjustedTotal = this.totalAmount - returnAdjustments;
+    this.adjustedTotal = this.totalAmount - returnAdjustments - claimCredits;
 
     // تحديث حالة الطلب بناءً على العناصر
     if (this.isModified('items')) {
@@ -253,6 +321,7 @@ orderSchema.pre('save', async function(next) {
 
 // الفهرسة
 orderSchema.index({ orderNumber: 1, branch: 1, 'items.returnReasonEn': 1 });
+orderSchema.index({ trip: 1 });
 
 // تفعيل الـ virtuals
 orderSchema.set('toJSON', { virtuals: true });
@@ -27,6 +27,14 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  taxCategory: {
+    type: String,
+    enum: {
+      values: ['standard', 'zero_rated', 'exempt'],
+      message: '{VALUE} ليست فئة ضريبية صالحة'
+    },
+    default: 'standard'
+  },
   unit: {
     type: String,
     required: false,
@@ -58,10 +66,35 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // وصفة الإنتاج: كميات المواد الخام اللازمة لإنتاج دفعة تعطي yield وحدة من المنتج
+  recipe: {
+    yield: {
+      type: Number,
+      default: 1,
+      min: [0.001, 'كمية الإنتاج في الوصفة يجب أن تكون أكبر من صفر']
+    },
+    items: [{
+      rawMaterial: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RawMaterial',
+        required: [true, 'المادة الخام مطلوبة']
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'كمية المادة الخام مطلوبة'],
+        min: [0, 'كمية المادة الخام لا يمكن أن تكون سالبة']
+      }
+    }]
+  },
   preparationTime: {
     type: Number,
     default: 60
   },
+  // مدة الصلاحية بالأيام من تاريخ الإنتاج
+  shelfLife: {
+    type: Number,
+    min: [0, 'مدة الصلاحية لا يمكن أن تكون سالبة']
+  },
   isActive: {
     type: Boolean,
     default: true
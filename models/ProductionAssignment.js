@@ -38,6 +38,9 @@ const productionAssignmentSchema = new mongoose.Schema({
   completedAt: {
     type: Date,
   },
+  materialsConsumedAt: {
+    type: Date,
+  },
   notes: {
     type: String,
     trim: true,
@@ -0,0 +1,65 @@
+// models/ProductionLot.js
+const mongoose = require('mongoose');
+const productionLotSchema = new mongoose.Schema({
+  lotNumber: {
+    type: String,
+    required: [true, 'رقم الدفعة مطلوب'],
+    unique: true,
+    trim: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'معرف المنتج مطلوب'],
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'الكمية المنتجة مطلوبة'],
+    min: [0, 'الكمية يجب أن تكون غير سالبة'],
+  },
+  remainingQuantity: {
+    type: Number,
+    required: [true, 'الكمية المتبقية مطلوبة'],
+    min: [0, 'الكمية المتبقية يجب أن تكون غير سالبة'],
+  },
+  productionDate: {
+    type: Date,
+    required: [true, 'تاريخ الإنتاج مطلوب'],
+    default: Date.now,
+  },
+  expiryDate: {
+    type: Date,
+  },
+  sourceType: {
+    type: String,
+    enum: {
+      values: ['order', 'factory_order', 'adjustment'],
+      message: 'مصدر الدفعة غير صالح',
+    },
+    required: [true, 'مصدر الدفعة مطلوب'],
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'depleted', 'expired', 'recalled'],
+      message: 'حالة الدفعة غير صالحة',
+    },
+    default: 'active',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'معرف المستخدم مطلوب'],
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+productionLotSchema.index({ product: 1, status: 1, expiryDate: 1 });
+productionLotSchema.index({ product: 1, productionDate: 1 });
+productionLotSchema.index({ sourceType: 1, sourceId: 1 });
+module.exports = mongoose.model('ProductionLot', productionLotSchema);
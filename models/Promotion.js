@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// عرض ترويجي على مبيعات الفروع
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'اسم العرض مطلوب'],
+    trim: true
+  },
+  nameEn: {
+    type: String,
+    trim: true
+  },
+  // percentage: نسبة من قيمة السطر، fixed: مبلغ ثابت عن كل وحدة،
+  // bundle: مجموعة منتجات بسعر ثابت، buy_x_get_y: اشترِ X واحصل على Y مجانًا
+  type: {
+    type: String,
+    enum: {
+      values: ['percentage', 'fixed', 'bundle', 'buy_x_get_y'],
+      message: 'نوع العرض غير صالح'
+    },
+    required: [true, 'نوع العرض مطلوب']
+  },
+  value: {
+    type: Number,
+    min: [0, 'قيمة الخصم يجب أن تكون غير سالبة'],
+    default: 0
+  },
+  // بدون فروع يسري العرض على جميع الفروع، وبدون منتجات على جميع المنتجات
+  branches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  buyQuantity: {
+    type: Number,
+    min: [1, 'كمية الشراء يجب أن تكون 1 على الأقل']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'الكمية المجانية يجب أن تكون 1 على الأقل']
+  },
+  bundleItems: [{
+    _id: false,
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  bundlePrice: {
+    type: Number,
+    min: [0, 'سعر الحزمة يجب أن يكون غير سالب']
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  // نافذة زمنية يومية اختيارية بتوقيت النشاط BUSINESS_TIMEZONE (HH:mm) وأيام الأسبوع (0 = الأحد)
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  startTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'وقت البداية غير صالح']
+  },
+  endTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'وقت النهاية غير صالح']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (!this.value || this.value > 100)) {
+    return next(new Error('نسبة الخصم يجب أن تكون بين 0 و 100'));
+  }
+  if (this.type === 'fixed' && !this.value) {
+    return next(new Error('مبلغ الخصم مطلوب'));
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    return next(new Error('كمية الشراء والكمية المجانية مطلوبة'));
+  }
+  if (this.type === 'bundle' && (!this.bundleItems?.length || this.bundlePrice == null)) {
+    return next(new Error('منتجات الحزمة وسعرها مطلوبة'));
+  }
+  if (this.startDate && this.endDate && this.startDate > this.endDate) {
+    return next(new Error('تاريخ البداية يجب أن يسبق تاريخ النهاية'));
+  }
+  next();
+});
+
+promotionSchema.virtual('displayName').get(function() {
+  const isRtl = this.options?.context?.isRtl ?? true;
+  return isRtl ? this.name : (this.nameEn || this.name);
+});
+
+promotionSchema.set('toJSON', { virtuals: true });
+promotionSchema.set('toObject', { virtuals: true });
+
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
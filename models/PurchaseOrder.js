@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: [true, 'رقم أمر الشراء مطلوب'],
+    unique: true,
+    trim: true,
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'المورد مطلوب'],
+  },
+  items: [{
+    rawMaterial: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RawMaterial',
+      required: [true, 'المادة الخام مطلوبة'],
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'الكمية مطلوبة'],
+      min: [0.001, 'الكمية يجب أن تكون أكبر من صفر'],
+    },
+    unitPrice: {
+      type: Number,
+      default: 0,
+      min: [0, 'سعر الوحدة يجب أن يكون غير سالب'],
+    },
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'الكمية المستلمة يجب أن تكون غير سالبة'],
+    },
+  }],
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled'],
+      message: '{VALUE} ليست حالة صالحة',
+    },
+    default: 'draft',
+  },
+  totalAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'الإجمالي يجب أن يكون غير سالب'],
+  },
+  expectedDeliveryDate: {
+    type: Date,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  sentAt: {
+    type: Date,
+  },
+  closedAt: {
+    type: Date,
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled'],
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'معرف المستخدم مطلوب'],
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1 });
+
+purchaseOrderSchema.pre('save', function(next) {
+  this.totalAmount = this.items.reduce((sum, item) => sum + item.quantity * (item.unitPrice || 0), 0);
+  next();
+});
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
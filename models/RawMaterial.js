@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+const rawMaterialSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'اسم المادة الخام مطلوب'],
+    trim: true
+  },
+  nameEn: {
+    type: String,
+    trim: true,
+    required: false
+  },
+  code: {
+    type: String,
+    required: [true, 'رمز المادة الخام مطلوب'],
+    unique: true,
+    trim: true
+  },
+  unit: {
+    type: String,
+    required: [true, 'وحدة القياس مطلوبة'],
+    enum: {
+      values: ['كيلو', 'جرام', 'لتر', 'مل', 'كرتونة', 'قطعة', 'كيس'],
+      message: '{VALUE} ليست وحدة قياس صالحة'
+    },
+    trim: true
+  },
+  unitEn: {
+    type: String,
+    enum: {
+      values: ['Kilo', 'Gram', 'Litre', 'Millilitre', 'Carton', 'Piece', 'Bag'],
+      message: '{VALUE} is not a valid English unit'
+    },
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: {
+      values: ['ingredient', 'packaging'],
+      message: '{VALUE} ليس تصنيفًا صالحًا'
+    },
+    default: 'ingredient'
+  },
+  currentStock: {
+    type: Number,
+    default: 0,
+    min: [0, 'المخزون الحالي لا يمكن أن يكون سالبًا']
+  },
+  damagedStock: {
+    type: Number,
+    default: 0,
+    min: [0, 'الكمية التالفة لا يمكن أن تكون سالبة']
+  },
+  minStockLevel: {
+    type: Number,
+    default: 0,
+    min: [0, 'الحد الأدنى للمخزون يجب أن يكون غير سالب']
+  },
+  maxStockLevel: {
+    type: Number,
+    default: 1000,
+    min: [0, 'الحد الأقصى للمخزون يجب أن يكون غير سالب'],
+    validate: {
+      validator: function (value) {
+        return value >= this.minStockLevel;
+      },
+      message: 'الحد الأقصى يجب أن يكون أكبر من أو يساوي الحد الأدنى'
+    }
+  },
+  supplierName: {
+    type: String,
+    trim: true
+  },
+  supplierPhone: {
+    type: String,
+    trim: true
+  },
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  movements: [{
+    type: {
+      type: String,
+      enum: {
+        values: ['in', 'out'],
+        message: 'نوع الحركة يجب أن يكون إما in أو out'
+      },
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'الكمية مطلوبة'],
+      min: [0, 'الكمية يجب أن تكون غير سالبة']
+    },
+    reference: {
+      type: String,
+      trim: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'معرف المستخدم مطلوب']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// خريطة الوحدات
+const unitMapping = {
+  'كيلو': 'Kilo',
+  'جرام': 'Gram',
+  'لتر': 'Litre',
+  'مل': 'Millilitre',
+  'كرتونة': 'Carton',
+  'قطعة': 'Piece',
+  'كيس': 'Bag'
+};
+
+rawMaterialSchema.index({ category: 1, isActive: 1 });
+
+rawMaterialSchema.pre('save', function(next) {
+  if (this.unit) {
+    this.unitEn = unitMapping[this.unit];
+  }
+  if (this.currentStock < 0 || this.damagedStock < 0) {
+    return next(new Error('الكميات لا يمكن أن تكون سالبة'));
+  }
+  next();
+});
+
+rawMaterialSchema.virtual('displayName').get(function() {
+  const isRtl = this.options?.context?.isRtl ?? true;
+  return isRtl ? this.name : (this.nameEn || this.name);
+});
+
+rawMaterialSchema.virtual('displayUnit').get(function() {
+  const isRtl = this.options?.context?.isRtl ?? true;
+  return isRtl ? this.unit : (this.unitEn || this.unit);
+});
+
+rawMaterialSchema.set('toJSON', { virtuals: true });
+rawMaterialSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('RawMaterial', rawMaterialSchema);
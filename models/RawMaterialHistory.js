@@ -0,0 +1,55 @@
+// models/RawMaterialHistory.js
+const mongoose = require('mongoose');
+const rawMaterialHistorySchema = new mongoose.Schema({
+  rawMaterial: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RawMaterial',
+    required: [true, 'معرف المادة الخام مطلوب'],
+  },
+  action: {
+    type: String,
+    enum: {
+      values: ['restock', 'consumption', 'adjustment', 'damaged', 'received'],
+      message: 'الإجراء غير صالح',
+    },
+    required: [true, 'الإجراء مطلوب'],
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'الكمية مطلوبة'],
+  },
+  balanceAfter: {
+    type: Number,
+  },
+  reference: {
+    type: String,
+    trim: true,
+  },
+  referenceType: {
+    type: String,
+    enum: ['order', 'factory_order', 'production', 'adjustment', 'purchase_order'],
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'معرف المستخدم مطلوب'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+rawMaterialHistorySchema.index({ rawMaterial: 1, createdAt: -1 });
+rawMaterialHistorySchema.index({ referenceType: 1, referenceId: 1 });
+module.exports = mongoose.model('RawMaterialHistory', rawMaterialHistorySchema);
@@ -0,0 +1,139 @@
+// models/Recall.js
+const mongoose = require('mongoose');
+const recallSchema = new mongoose.Schema({
+  recallNumber: {
+    type: String,
+    required: [true, 'رقم الاسترجاع مطلوب'],
+    unique: true,
+    trim: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'معرف المنتج مطلوب'],
+  },
+  // نطاق الاسترجاع: المنتج بالكامل، دفعات محددة، أو نطاق تواريخ إنتاج
+  scope: {
+    type: String,
+    enum: {
+      values: ['product', 'lots', 'date_range'],
+      message: 'نطاق الاسترجاع غير صالح',
+    },
+    required: [true, 'نطاق الاسترجاع مطلوب'],
+  },
+  lots: [{
+    _id: false,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProductionLot',
+    },
+    lotNumber: {
+      type: String,
+      trim: true,
+    },
+  }],
+  productionDateFrom: {
+    type: Date,
+  },
+  productionDateTo: {
+    type: Date,
+  },
+  reason: {
+    type: String,
+    required: [true, 'سبب الاسترجاع مطلوب'],
+    trim: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  affectedBranches: [{
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Branch',
+      required: [true, 'معرف الفرع مطلوب'],
+    },
+    deliveredQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'الكمية يجب أن تكون غير سالبة'],
+    },
+    // الكمية المسترجعة في طلبات شُحنت ولم تُسلّم بعد
+    inTransitQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'الكمية يجب أن تكون غير سالبة'],
+    },
+    frozenQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'الكمية يجب أن تكون غير سالبة'],
+    },
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'الكمية يجب أن تكون غير سالبة'],
+    },
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Return',
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'returned', 'rejected', 'no_stock'],
+        message: 'حالة الفرع في الاسترجاع غير صالحة',
+      },
+      default: 'pending',
+    },
+    resolvedAt: {
+      type: Date,
+    },
+  }],
+  status: {
+    type: String,
+    enum: {
+      values: ['open', 'in_progress', 'closed'],
+      message: 'حالة الاسترجاع غير صالحة',
+    },
+    default: 'open',
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ['open', 'in_progress', 'closed'],
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'معرف المستخدم مطلوب'],
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  closedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+recallSchema.index({ product: 1, status: 1 });
+recallSchema.index({ 'affectedBranches.branch': 1, status: 1 });
+module.exports = mongoose.model('Recall', recallSchema);
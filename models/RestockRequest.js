@@ -19,11 +19,32 @@ const restockRequestSchema = new mongoose.Schema({
   status: { 
     type: String, 
     enum: {
-      values: ['pending', 'approved', 'rejected'],
-      message: 'الحالة يجب أن تكون إما pending أو approved أو rejected'
+      values: ['draft', 'pending', 'approved', 'rejected'],
+      message: 'الحالة يجب أن تكون إما draft أو pending أو approved أو rejected'
     }, 
     default: 'pending' 
   },
+  source: {
+    type: String,
+    enum: {
+      values: ['manual', 'replenishment'],
+      message: 'مصدر الطلب غير صالح'
+    },
+    default: 'manual'
+  },
+  // آخر تعديل للفرع على المسودة؛ المسودة المعدلة لا تستبدلها إعادة التزويد الليلية
+  draftEditedAt: {
+    type: Date,
+  },
+  // بيانات الحساب التي بني عليها الاقتراح التلقائي
+  suggestion: {
+    currentStock: { type: Number },
+    incomingQuantity: { type: Number },
+    averageDailySales: { type: Number },
+    minStockLevel: { type: Number },
+    maxStockLevel: { type: Number },
+    suggestedQuantity: { type: Number }
+  },
   notes: { 
     type: String, 
     trim: true, 
@@ -45,6 +66,34 @@ const restockRequestSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User' 
   },
+  // الطلب الذي أضيفت إليه الكمية عند الموافقة
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reviewNotes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ['draft', 'pending', 'approved', 'rejected']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
 }, { 
   timestamps: true,
   toJSON: { virtuals: true },
@@ -53,5 +102,6 @@ const restockRequestSchema = new mongoose.Schema({
 
 // إضافة فهرس لتحسين الأداء عند البحث
 restockRequestSchema.index({ product: 1, branch: 1, status: 1 });
+restockRequestSchema.index({ branch: 1, createdAt: -1 });
 
 module.exports = mongoose.model('RestockRequest', restockRequestSchema);
\ No newline at end of file
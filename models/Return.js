@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+const storedFileFields = {
+  path: { type: String, required: true },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+};
+
 const returnItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -33,6 +40,43 @@ const returnItemSchema = new mongoose.Schema({
       message: 'سبب الإرجاع بالإنجليزية غير صالح',
     },
   },
+  // دفعات الفرع التي خرجت منها الكمية المرتجعة؛ تعود إليها عند إعادتها لمخزون المصنع
+  lots: [{
+    _id: false,
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductionLot' },
+    lotNumber: { type: String, trim: true },
+    quantity: { type: Number, min: 0 },
+  }],
+  // نتيجة فحص المصنع: توزيع الكمية على طرق التصرف وسبب المشكلة
+  inspection: {
+    rootCause: {
+      type: String,
+      enum: {
+        values: ['production_defect', 'transport', 'branch_storage', 'other'],
+        message: 'سبب المشكلة غير صالح',
+      },
+    },
+    dispositions: [{
+      _id: false,
+      disposition: {
+        type: String,
+        enum: {
+          values: ['restock', 'rework', 'donate', 'destroy'],
+          message: 'طريقة التصرف غير صالحة',
+        },
+        required: true,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'الكمية يجب أن تكون أكبر من 0'],
+      },
+    }],
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
 });
 
 returnItemSchema.pre('save', async function (next) {
@@ -100,6 +144,32 @@ const returnSchema = new mongoose.Schema({
   reviewedAt: {
     type: Date,
   },
+  recall: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recall',
+  },
+  // المرتجع الموافق عليه ينتظر فحص المصنع قبل ترحيل الكميات
+  inspectionStatus: {
+    type: String,
+    enum: {
+      values: ['pending', 'completed'],
+      message: 'حالة الفحص غير صالحة',
+    },
+  },
+  inspection: {
+    inspectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    inspectedAt: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    photos: [storedFileFields],
+  },
   statusHistory: [{
     status: {
       type: String,
@@ -126,5 +196,7 @@ const returnSchema = new mongoose.Schema({
 
 returnSchema.index({ branch: 1, createdAt: -1 });
 returnSchema.index({ returnNumber: 1 }, { unique: true });
+returnSchema.index({ recall: 1 });
+returnSchema.index({ inspectionStatus: 1, reviewedAt: -1 });
 
 module.exports = mongoose.model('Return', returnSchema);
\ No newline at end of file
@@ -4,20 +4,80 @@ const saleSchema = new mongoose.Schema(
   {
     saleNumber: { type: String, required: true, unique: true },
     branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', required: true },
+    shift: { type: mongoose.Schema.Types.ObjectId, ref: 'CashShift' },
     items: [
       {
         product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
         quantity: { type: Number, required: true, min: 1 },
         unitPrice: { type: Number, required: true, min: 0 },
+        taxCategory: { type: String, enum: ['standard', 'zero_rated', 'exempt'], default: 'standard' },
+        taxRate: { type: Number, min: 0 },
+        netAmount: { type: Number, min: 0 },
+        taxAmount: { type: Number, min: 0 },
+        lineTotal: { type: Number, min: 0 },
+        // خصم العروض على السطر قبل الضريبة
+        discountAmount: { type: Number, default: 0, min: 0 },
+        // الكمية المخصومة فعلًا من المخزون؛ أقل من الكمية في البيع الناقص المرفوع دون اتصال
+        deductedQuantity: { type: Number, min: 0 },
       },
     ],
+    // أسطر خصم العروض المطبقة على البيع
+    discounts: [
+      {
+        _id: false,
+        promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+        name: { type: String, trim: true },
+        nameEn: { type: String, trim: true },
+        type: { type: String, enum: ['percentage', 'fixed', 'bundle', 'buy_x_get_y'] },
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        quantity: { type: Number, min: 0 },
+        amount: { type: Number, required: true, min: 0 },
+      },
+    ],
+    discountTotal: { type: Number, default: 0, min: 0 },
+    pricesIncludeTax: { type: Boolean, default: true },
+    subtotal: { type: Number, min: 0 },
+    taxAmount: { type: Number, min: 0 },
+    // الإجمالي شامل الضريبة
     totalAmount: { type: Number, required: true, min: 0 },
+    // بيانات رمز QR للفاتورة الضريبية المبسطة (TLV بترميز base64)
+    zatcaQr: { type: String },
     status: { type: String, enum: ['completed', 'pending', 'canceled'], default: 'completed' },
-    paymentMethod: { type: String, enum: ['cash', 'card', 'credit'], default: 'cash' },
+    // mixed عند الدفع بأكثر من وسيلة؛ التفاصيل في payments
+    paymentMethod: { type: String, enum: ['cash', 'card', 'credit', 'points', 'mixed'], default: 'cash' },
+    payments: [
+      {
+        _id: false,
+        tender: { type: String, enum: ['cash', 'card', 'credit', 'points'], required: true },
+        amount: { type: Number, required: true, min: 0 },
+        reference: { type: String, trim: true },
+        changeGiven: { type: Number, default: 0, min: 0 },
+      },
+    ],
+    // حساب العميل للبيع الآجل
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
     customerName: { type: String, trim: true },
     customerPhone: { type: String, trim: true },
     notes: { type: String, trim: true },
+    // معرف البيع المولد في نقطة البيع دون اتصال، يمنع تكرار رفعه
+    clientId: { type: String, trim: true },
+    offlineCreatedAt: { type: Date },
+    syncedAt: { type: Date },
+    // نقص المخزون وقت المزامنة؛ يُخصم المتاح فقط ويُعلَّم البيع للمراجعة
+    stockConflicts: [
+      {
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        requestedQuantity: { type: Number, required: true, min: 0 },
+        availableQuantity: { type: Number, required: true, min: 0 },
+        shortQuantity: { type: Number, required: true, min: 0 },
+      },
+    ],
+    stockFlagged: { type: Boolean, default: false },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    printCount: { type: Number, default: 0, min: 0 },
+    lastPrintedAt: { type: Date },
+    lastPrintedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   },
   {
     timestamps: true,
@@ -32,5 +92,10 @@ saleSchema.virtual('displayName').get(function () {
 
 saleSchema.index({ branch: 1, createdAt: -1 });
 saleSchema.index({ saleNumber: 1 });
+saleSchema.index({ shift: 1 });
+saleSchema.index({ customer: 1, createdAt: -1 });
+saleSchema.index({ 'discounts.promotion': 1 });
+saleSchema.index({ clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+saleSchema.index({ branch: 1, stockFlagged: 1 });
 
 module.exports = mongoose.model('Sale', saleSchema);
\ No newline at end of file
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const taxedLineFields = {
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  unitPrice: { type: Number, required: true, min: 0 },
+  taxCategory: { type: String, enum: ['standard', 'zero_rated', 'exempt'], default: 'standard' },
+  taxRate: { type: Number, min: 0 },
+  netAmount: { type: Number, min: 0 },
+  taxAmount: { type: Number, min: 0 },
+  lineTotal: { type: Number, min: 0 },
+};
+
+// إشعار دائن لاسترداد أو استبدال أصناف من بيع سابق؛ البيع الأصلي لا يُعدل
+const saleRefundSchema = new mongoose.Schema(
+  {
+    refundNumber: { type: String, required: true, unique: true, trim: true },
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', required: [true, 'البيع الأصلي مطلوب'] },
+    saleNumber: { type: String, trim: true },
+    branch: { type: mongoose.Schema.Types.ObjectId, ref: 'Branch', required: true },
+    shift: { type: mongoose.Schema.Types.ObjectId, ref: 'CashShift' },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    type: { type: String, enum: ['refund', 'exchange'], required: true },
+    // الأصناف المرتجعة بقيمتها من البيع الأصلي؛ damaged تذهب للمخزون التالف
+    items: [
+      {
+        _id: false,
+        ...taxedLineFields,
+        condition: { type: String, enum: ['resellable', 'damaged'], default: 'resellable' },
+      },
+    ],
+    // الأصناف البديلة المسلمة للعميل في الاستبدال
+    exchangeItems: [{ _id: false, ...taxedLineFields }],
+    refundSubtotal: { type: Number, default: 0, min: 0 },
+    refundTax: { type: Number, default: 0, min: 0 },
+    refundTotal: { type: Number, default: 0, min: 0 },
+    exchangeSubtotal: { type: Number, default: 0, min: 0 },
+    exchangeTax: { type: Number, default: 0, min: 0 },
+    exchangeTotal: { type: Number, default: 0, min: 0 },
+    // الموجب مبلغ مردود للعميل، والسالب فرق يدفعه العميل
+    netAmount: { type: Number, required: true },
+    // mixed عند رد المبلغ بأكثر من وسيلة؛ التفاصيل في refundTenders
+    refundMethod: { type: String, enum: ['cash', 'card', 'credit', 'points', 'mixed'] },
+    // توزيع المبلغ المردود: النقد والبطاقة من الصندوق، والآجل على حساب العميل، والنقاط لرصيده
+    refundTenders: [
+      {
+        _id: false,
+        tender: { type: String, enum: ['cash', 'card', 'credit', 'points'], required: true },
+        amount: { type: Number, required: true, min: 0 },
+      },
+    ],
+    // دفعات العميل لفرق الاستبدال
+    payments: [
+      {
+        _id: false,
+        tender: { type: String, enum: ['cash', 'card', 'credit', 'points'], required: true },
+        amount: { type: Number, required: true, min: 0 },
+        reference: { type: String, trim: true },
+        changeGiven: { type: Number, default: 0, min: 0 },
+      },
+    ],
+    reason: { type: String, trim: true },
+    notes: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+saleRefundSchema.index({ sale: 1 });
+saleRefundSchema.index({ branch: 1, createdAt: -1 });
+saleRefundSchema.index({ shift: 1 });
+
+module.exports = mongoose.model('SaleRefund', saleRefundSchema);
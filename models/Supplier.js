@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'اسم المورد مطلوب'],
+    trim: true
+  },
+  nameEn: {
+    type: String,
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'رمز المورد مطلوب'],
+    unique: true,
+    trim: true
+  },
+  contactPerson: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  vatNumber: {
+    type: String,
+    trim: true
+  },
+  paymentTermsDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'مدة السداد يجب أن تكون غير سالبة']
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.virtual('displayName').get(function() {
+  const isRtl = this.options?.context?.isRtl ?? true;
+  return isRtl ? this.name : (this.nameEn || this.name);
+});
+
+supplierSchema.set('toJSON', { virtuals: true });
+supplierSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -4,7 +4,8 @@ const bcrypt = require('bcryptjs');
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true, trim: true },
   password: { type: String, required: true, minlength: 6 },
-  role: { type: String, required: true, enum: ['admin', 'branch', 'chef', 'production'] },
+  // system لمستخدم المهام الدورية فقط؛ لا يسجل الدخول ولا يُنشأ عبر الواجهة
+  role: { type: String, required: true, enum: ['admin', 'branch', 'chef', 'production', 'driver', 'system'] },
   name: { type: String, required: true, trim: true },
   nameEn: { type: String, trim: true, required: false }, // English name, optional
   email: { type: String, trim: true, lowercase: true, sparse: true },
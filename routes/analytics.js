@@ -0,0 +1,25 @@
+// routes/analytics.js
+const express = require('express');
+const { query } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const { getDemandForecast } = require('../controllers/analyticsController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+router.get(
+  '/forecast',
+  auth,
+  authorize('admin', 'production', 'branch'),
+  [
+    query('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    query('product').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المنتج غير صالح'),
+    query('department').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف القسم غير صالح'),
+    query('startDate').optional().isISO8601().withMessage('تاريخ البداية غير صالح'),
+    query('days').optional().isInt({ min: 1, max: 28 }).withMessage('عدد أيام التوقع يجب أن يكون بين 1 و28'),
+    query('lookbackDays').optional().isInt({ min: 14, max: 365 }).withMessage('فترة المراجعة يجب أن تكون بين 14 و365 يومًا'),
+    query('confidence').optional().isIn(['0.8', '0.9', '0.95']).withMessage('مستوى الثقة يجب أن يكون 0.8 أو 0.9 أو 0.95'),
+  ],
+  getDemandForecast
+);
+
+module.exports = router;
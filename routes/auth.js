@@ -74,7 +74,7 @@ router.post(
         .populate('branch', 'name nameEn code address city phone')
         .populate('department', 'name nameEn code description');
 
-      if (!user) {
+      if (!user || user.role === 'system') {
         return res.status(401).json({ success: false, message: 'اسم المستخدم أو كلمة المرور غير صحيحة' });
       }
 
@@ -145,7 +145,7 @@ router.post('/refresh-token', refreshTokenLimiter, async (req, res) => {
     const user = await User.findById(decoded.id)
       .populate('branch', 'name nameEn code address city phone')
       .populate('department', 'name nameEn code description');
-    if (!user) {
+    if (!user || user.role === 'system') {
       return res.status(401).json({ success: false, message: 'المستخدم غير موجود' });
     }
 
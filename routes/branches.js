@@ -1,5 +1,5 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const { auth, authorize } = require('../middleware/auth');
 const Branch = require('../models/Branch');
@@ -291,6 +291,99 @@ router.put('/:id', [
   }
 });
 
+// إعدادات الإيصال الحراري للفرع
+router.patch('/:id/receipt-settings', [
+  auth,
+  authorize('admin'),
+  body('header').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('رأس الإيصال يجب ألا يتجاوز 500 حرف'),
+  body('headerEn').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('رأس الإيصال بالإنجليزية يجب ألا يتجاوز 500 حرف'),
+  body('footer').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('تذييل الإيصال يجب ألا يتجاوز 500 حرف'),
+  body('footerEn').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('تذييل الإيصال بالإنجليزية يجب ألا يتجاوز 500 حرف'),
+  body('vatNumber').optional({ nullable: true }).isString().withMessage('الرقم الضريبي غير صالح'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'خطأ في التحقق من البيانات', errors: errors.array() });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الفرع غير صالح' });
+    }
+    const branch = await Branch.findById(req.params.id);
+    if (!branch) {
+      return res.status(404).json({ message: 'الفرع غير موجود' });
+    }
+    ['header', 'headerEn', 'footer', 'footerEn', 'vatNumber'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        branch.set(`receipt.${field}`, req.body[field] ? req.body[field].trim() : undefined);
+      }
+    });
+    await branch.save();
+    res.status(200).json({ message: 'تم تحديث إعدادات الإيصال', receipt: branch.receipt });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Update receipt settings error:`, err.message, err.stack);
+    res.status(400).json({ message: 'خطأ في تحديث إعدادات الإيصال', error: err.message });
+  }
+});
+
+// سياسة نقص المخزون عند مزامنة مبيعات نقطة البيع؛ null يعيد الفرع للإعداد العام
+router.patch('/:id/offline-sync-settings', [
+  auth,
+  authorize('admin'),
+  body('negativeStockPolicy').optional({ nullable: true }).isIn(['reject', 'allow_flagged']).withMessage('سياسة نقص المخزون غير صالحة'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'خطأ في التحقق من البيانات', errors: errors.array() });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الفرع غير صالح' });
+    }
+    const branch = await Branch.findById(req.params.id);
+    if (!branch) {
+      return res.status(404).json({ message: 'الفرع غير موجود' });
+    }
+    if (req.body.negativeStockPolicy !== undefined) {
+      branch.set('offlineSync.negativeStockPolicy', req.body.negativeStockPolicy || undefined);
+    }
+    await branch.save();
+    res.status(200).json({ message: 'تم تحديث إعدادات المزامنة', offlineSync: branch.offlineSync });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Update offline sync settings error:`, err.message, err.stack);
+    res.status(400).json({ message: 'خطأ في تحديث إعدادات المزامنة', error: err.message });
+  }
+});
+
+// فرض فتح وردية قبل البيع في الفرع؛ null يعيده للإعداد العام REQUIRE_OPEN_SHIFT
+router.patch('/:id/pos-settings', [
+  auth,
+  authorize('admin'),
+  body('requireOpenShift').optional({ nullable: true }).isBoolean().withMessage('قيمة فرض الوردية غير صالحة').toBoolean(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'خطأ في التحقق من البيانات', errors: errors.array() });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'معرف الفرع غير صالح' });
+    }
+    const branch = await Branch.findById(req.params.id);
+    if (!branch) {
+      return res.status(404).json({ message: 'الفرع غير موجود' });
+    }
+    if (req.body.requireOpenShift !== undefined) {
+      branch.set('pos.requireOpenShift', req.body.requireOpenShift ?? undefined);
+    }
+    await branch.save();
+    res.status(200).json({ message: 'تم تحديث إعدادات نقطة البيع', pos: branch.pos });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Update POS settings error:`, err.message, err.stack);
+    res.status(400).json({ message: 'خطأ في تحديث إعدادات نقطة البيع', error: err.message });
+  }
+});
+
 router.delete('/:id', auth, authorize('admin'), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -0,0 +1,76 @@
+// routes/claims.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const { claimEvidenceUpload } = require('../middleware/upload');
+const {
+  createClaim,
+  getClaims,
+  getClaimById,
+  startInvestigation,
+  addClaimEvidence,
+  settleClaim,
+  rejectClaim,
+} = require('../controllers/claimController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const idParam = param('id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المطالبة غير صالح');
+const faultPartyValidator = body('faultParty').optional().isIn(['production', 'driver', 'branch', 'supplier', 'unknown']).withMessage('الجهة المسؤولة غير صالحة');
+
+router.get('/', auth, authorize('admin', 'production', 'branch'), getClaims);
+router.get('/:id', auth, authorize('admin', 'production', 'branch'), getClaimById);
+router.post(
+  '/',
+  auth,
+  authorize('admin', 'production', 'branch'),
+  [
+    body('order').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الطلب غير صالح'),
+    body('discrepancy').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف سجل الفرق غير صالح'),
+    body('items').optional().isArray().withMessage('عناصر المطالبة يجب أن تكون مصفوفة'),
+    body('items.*.itemId').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف عنصر الطلب غير صالح'),
+    body('items.*.quantity').isFloat({ min: 0.01 }).withMessage('الكمية يجب أن تكون أكبر من صفر'),
+    body('items.*.reason').isIn(['short', 'damaged', 'wrong_item', 'quality', 'other']).withMessage('سبب المطالبة غير صالح'),
+    body('items.*.notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+    body('description').optional().isString().withMessage('الوصف يجب أن يكون نصًا'),
+    body().custom((value) => value.items?.length || value.discrepancy).withMessage('يجب تحديد عناصر المطالبة أو سجل الفرق'),
+  ],
+  createClaim
+);
+router.patch(
+  '/:id/investigate',
+  auth,
+  authorize('admin', 'production'),
+  [idParam, faultPartyValidator, body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا')],
+  startInvestigation
+);
+router.post(
+  '/:id/evidence',
+  auth,
+  authorize('admin', 'production'),
+  claimEvidenceUpload,
+  [idParam, body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا')],
+  addClaimEvidence
+);
+router.patch(
+  '/:id/settle',
+  auth,
+  authorize('admin', 'production'),
+  [
+    idParam,
+    body('method').isIn(['reship', 'credit', 'write_off']).withMessage('طريقة التسوية غير صالحة'),
+    body('amount').optional().isFloat({ min: 0 }).withMessage('قيمة التسوية يجب أن تكون رقمًا غير سالب'),
+    faultPartyValidator,
+    body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+  ],
+  settleClaim
+);
+router.patch(
+  '/:id/reject',
+  auth,
+  authorize('admin', 'production'),
+  [idParam, faultPartyValidator, body('reason').trim().notEmpty().withMessage('سبب الرفض مطلوب')],
+  rejectClaim
+);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+// routes/customers.js
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  getCustomers,
+  lookupCustomer,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  getCustomerTransactions,
+  getCustomerLoyalty,
+  createCustomerPayment,
+} = require('../controllers/customerController');
+const { CUSTOMER_PAYMENT_METHODS } = require('../utils/customerUtils');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+router.get('/', auth, authorize('admin', 'branch'), getCustomers);
+router.get(
+  '/lookup',
+  auth,
+  authorize('admin', 'branch'),
+  [
+    query('phone').isString().trim().notEmpty().withMessage('رقم الهاتف مطلوب'),
+    query('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+  ],
+  lookupCustomer
+);
+router.post(
+  '/',
+  auth,
+  authorize('admin', 'branch'),
+  [
+    body('name').isString().trim().notEmpty().withMessage('اسم العميل مطلوب'),
+    body('nameEn').optional().isString().withMessage('الاسم بالإنجليزية يجب أن يكون نصًا'),
+    body('phone').isString().trim().notEmpty().withMessage('رقم الهاتف مطلوب'),
+    body('branch').optional({ nullable: true }).custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    body('creditLimit').optional().isFloat({ min: 0 }).withMessage('حد الائتمان يجب أن يكون رقمًا غير سالب'),
+    body('email').optional().isEmail().withMessage('البريد الإلكتروني غير صالح'),
+    body('address').optional().isString().withMessage('العنوان يجب أن يكون نصًا'),
+    body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+  ],
+  createCustomer
+);
+router.get('/:id', auth, authorize('admin', 'branch'), getCustomerById);
+router.put(
+  '/:id',
+  auth,
+  authorize('admin', 'branch'),
+  [
+    body('name').optional().isString().trim().notEmpty().withMessage('اسم العميل مطلوب'),
+    body('nameEn').optional().isString().withMessage('الاسم بالإنجليزية يجب أن يكون نصًا'),
+    body('phone').optional().isString().trim().notEmpty().withMessage('رقم الهاتف مطلوب'),
+    body('creditLimit').optional().isFloat({ min: 0 }).withMessage('حد الائتمان يجب أن يكون رقمًا غير سالب'),
+    body('email').optional().isEmail().withMessage('البريد الإلكتروني غير صالح'),
+    body('address').optional().isString().withMessage('العنوان يجب أن يكون نصًا'),
+    body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+    body('isActive').optional().isBoolean().withMessage('حالة التفعيل غير صالحة').toBoolean(),
+  ],
+  updateCustomer
+);
+router.get('/:id/transactions', auth, authorize('admin', 'branch'), getCustomerTransactions);
+router.get('/:id/loyalty', auth, authorize('admin', 'branch'), getCustomerLoyalty);
+router.post(
+  '/:id/payments',
+  auth,
+  authorize('admin', 'branch'),
+  [
+    body('amount').isFloat({ gt: 0 }).withMessage('مبلغ التحصيل يجب أن يكون أكبر من صفر'),
+    body('method').isIn(CUSTOMER_PAYMENT_METHODS).withMessage('طريقة الدفع غير صالحة'),
+    body('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    body('reference').optional().isString().withMessage('مرجع الدفعة يجب أن يكون نصًا'),
+    body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+  ],
+  createCustomerPayment
+);
+
+module.exports = router;
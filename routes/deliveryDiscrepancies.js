@@ -0,0 +1,10 @@
+// routes/deliveryDiscrepancies.js
+const express = require('express');
+const { auth, authorize } = require('../middleware/auth');
+const { getDeliveryDiscrepancies, getDeliveryDiscrepancyById } = require('../controllers/deliveryDiscrepancyController');
+const router = express.Router();
+
+router.get('/', auth, authorize('admin', 'production', 'branch'), getDeliveryDiscrepancies);
+router.get('/:id', auth, authorize('admin', 'production', 'branch'), getDeliveryDiscrepancyById);
+
+module.exports = router;
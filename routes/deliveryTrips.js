@@ -0,0 +1,72 @@
+// routes/deliveryTrips.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  createTrip,
+  getTrips,
+  getTripById,
+  updateTrip,
+  startTrip,
+  deliverStop,
+  cancelTrip,
+} = require('../controllers/deliveryTripController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const idParam = param('id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الرحلة غير صالح');
+
+const stopValidators = (optional) => {
+  const stops = body('stops');
+  return [
+    (optional ? stops.optional() : stops).isArray({ min: 1 }).withMessage('يجب أن تحتوي الرحلة على محطة واحدة على الأقل'),
+    body('stops.*.branch').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    body('stops.*.orders').isArray({ min: 1 }).withMessage('يجب أن تحتوي المحطة على طلب واحد على الأقل'),
+    body('stops.*.orders.*').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الطلب غير صالح'),
+    body('stops').optional().custom((stops) => new Set(stops.map(stop => stop.branch)).size === stops.length).withMessage('لا يمكن تكرار الفرع في أكثر من محطة'),
+  ];
+};
+
+router.get('/', auth, authorize('admin', 'production', 'driver', 'branch'), getTrips);
+router.get('/:id', auth, authorize('admin', 'production', 'driver', 'branch'), getTripById);
+router.post(
+  '/',
+  auth,
+  authorize('admin', 'production'),
+  [
+    body('driver').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف السائق غير صالح'),
+    body('vehicle.plateNumber').trim().notEmpty().withMessage('رقم لوحة المركبة مطلوب'),
+    body('vehicle.description').optional().isString().withMessage('وصف المركبة يجب أن يكون نصًا'),
+    body('scheduledAt').optional().isISO8601().withMessage('موعد الرحلة غير صالح'),
+    ...stopValidators(false),
+  ],
+  createTrip
+);
+router.put(
+  '/:id',
+  auth,
+  authorize('admin', 'production'),
+  [
+    idParam,
+    body('driver').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف السائق غير صالح'),
+    body('vehicle.plateNumber').if(body('vehicle').exists()).trim().notEmpty().withMessage('رقم لوحة المركبة مطلوب'),
+    body('scheduledAt').optional({ nullable: true }).isISO8601().withMessage('موعد الرحلة غير صالح'),
+    ...stopValidators(true),
+  ],
+  updateTrip
+);
+router.patch('/:id/start', auth, authorize('admin', 'production', 'driver'), [idParam], startTrip);
+router.patch(
+  '/:id/stops/:stopId/deliver',
+  auth,
+  authorize('admin', 'production', 'driver'),
+  [
+    idParam,
+    param('stopId').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المحطة غير صالح'),
+    body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+  ],
+  deliverStop
+);
+router.patch('/:id/cancel', auth, authorize('admin', 'production'), [idParam], cancelTrip);
+
+module.exports = router;
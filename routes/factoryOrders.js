@@ -22,7 +22,6 @@ router.post(
   [
     auth,
     authorize('chef', 'production', 'admin'),
-    body('orderNumber').trim().notEmpty().withMessage((value, { req }) => req.query.isRtl === 'true' ? 'رقم الطلب مطلوب' : 'Order number is required'),
     body('items').isArray({ min: 1 }).withMessage((value, { req }) => req.query.isRtl === 'true' ? 'العناصر مطلوبة' : 'Items are required'),
     body('items.*.product').isMongoId().withMessage((value, { req }) => req.query.isRtl === 'true' ? 'معرف المنتج غير صالح' : 'Invalid product ID'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage((value, { req }) => req.query.isRtl === 'true' ? 'الكمية يجب أن تكون على الأقل 1' : 'Quantity must be at least 1'),
@@ -0,0 +1,63 @@
+// routes/ledger.js
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  getInvoices,
+  getInvoiceById,
+  createPayment,
+  getBranchStatement,
+  getAgingReport,
+  syncLedger,
+} = require('../controllers/ledgerController');
+const { getInvoicePdf } = require('../controllers/pdfController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+router.get('/invoices', auth, authorize('admin', 'branch'), getInvoices);
+router.get('/invoices/:id', auth, authorize('admin', 'branch'), getInvoiceById);
+router.get('/invoices/:id/pdf', auth, authorize('admin', 'branch'), getInvoicePdf);
+router.post(
+  '/payments',
+  auth,
+  authorize('admin'),
+  [
+    body('branch').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    body('amount').isFloat({ gt: 0 }).withMessage('مبلغ الدفعة يجب أن يكون أكبر من صفر'),
+    body('method').isIn(['cash', 'bank_transfer', 'cheque', 'other']).withMessage('طريقة الدفع غير صالحة'),
+    body('reference').optional().isString().withMessage('مرجع الدفعة يجب أن يكون نصًا'),
+    body('paidAt').optional().isISO8601().withMessage('تاريخ الدفع غير صالح'),
+    body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+  ],
+  createPayment
+);
+router.get(
+  '/branches/:branchId/statement',
+  auth,
+  authorize('admin', 'branch'),
+  [
+    param('branchId').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    query('startDate').optional().isISO8601().withMessage('تاريخ البداية غير صالح'),
+    query('endDate').optional().isISO8601().withMessage('تاريخ النهاية غير صالح'),
+  ],
+  getBranchStatement
+);
+router.get(
+  '/aging',
+  auth,
+  authorize('admin', 'branch'),
+  [
+    query('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    query('asOf').optional().isISO8601().withMessage('التاريخ غير صالح'),
+  ],
+  getAgingReport
+);
+router.post(
+  '/sync',
+  auth,
+  authorize('admin'),
+  [body('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح')],
+  syncLedger
+);
+
+module.exports = router;
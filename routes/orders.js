@@ -3,10 +3,13 @@ const express = require('express');
 const { body, param } = require('express-validator');
 const { 
   createOrder, 
+  updateDraftOrder,
+  submitDraftOrder,
   getOrders, 
   updateOrderStatus, 
   assignChefs,
   confirmDelivery,
+  confirmOrderReceipt,
   getOrderById,
   checkOrderExists
 } = require('../controllers/orderController');
@@ -17,6 +20,8 @@ const {
   updateTaskStatus 
 } = require('../controllers/productionController');
 const { auth, authorize } = require('../middleware/auth');
+const { deliveryProofUpload, parseJsonFields } = require('../middleware/upload');
+const { getOrderPdf } = require('../controllers/pdfController');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
@@ -59,24 +64,71 @@ router.post('/', [
 
 router.get('/', auth, getOrders);
 
+router.patch('/:id/draft', [
+  auth,
+  authorize('branch', 'admin'),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.itemId').optional().isMongoId().withMessage('Invalid itemId'),
+  body('items.*.quantity').optional().isFloat({ min: 0 }).withMessage('Quantity must be a non-negative number'),
+], updateDraftOrder);
+
+router.patch('/:id/submit', [
+  auth,
+  authorize('branch', 'admin'),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.itemId').optional().isMongoId().withMessage('Invalid itemId'),
+  body('items.*.quantity').optional().isFloat({ min: 0 }).withMessage('Quantity must be a non-negative number'),
+], submitDraftOrder);
+
 router.get('/:id', [
   auth,
   param('id').isMongoId().withMessage('Invalid order ID'),
 ], getOrderById);
 
+router.get('/:id/pdf', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid order ID'),
+], getOrderPdf);
+
 router.patch('/:id/status', [
   auth,
   authorize('production', 'admin'),
   body('status').isIn(['pending', 'approved', 'in_production', 'completed', 'in_transit', 'delivered', 'cancelled']).withMessage('Invalid status'),
 ], updateOrderStatus);
 
+const receiptValidators = [
+  body('items').optional().isArray().withMessage('عناصر الاستلام يجب أن تكون مصفوفة'),
+  body('items.*.itemId').isMongoId().withMessage('معرف عنصر الطلب غير صالح'),
+  body('items.*.receivedQuantity').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('الكمية المستلمة يجب أن تكون رقمًا غير سالب'),
+  body('items.*.shortQuantity').optional().isFloat({ min: 0 }).withMessage('الكمية الناقصة يجب أن تكون رقمًا غير سالب'),
+  body('items.*.damagedQuantity').optional().isFloat({ min: 0 }).withMessage('الكمية التالفة يجب أن تكون رقمًا غير سالب'),
+  body('items.*.notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+  body('recipientName').optional().isString().withMessage('اسم المستلم يجب أن يكون نصًا'),
+  body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+];
+
 router.patch('/:id/confirm-delivery', [
   auth,
   authorize('branch'),
   confirmDeliveryLimiter,
+  deliveryProofUpload,
+  parseJsonFields('items'),
   param('id').isMongoId().withMessage('Invalid order ID'),
+  ...receiptValidators,
 ], confirmDelivery);
 
+router.patch('/:id/confirm-receipt', [
+  auth,
+  authorize('branch'),
+  confirmDeliveryLimiter,
+  deliveryProofUpload,
+  parseJsonFields('items'),
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  ...receiptValidators,
+], confirmOrderReceipt);
+
 
 
 router.patch('/:orderId/tasks/:taskId/status', [
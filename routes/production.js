@@ -0,0 +1,32 @@
+// routes/production.js
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const { getProductionPlan, createPlanAssignments } = require('../controllers/productionPlanController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+router.get(
+  '/plan',
+  auth,
+  authorize('admin', 'production'),
+  [
+    query('date').optional().isISO8601().withMessage('تاريخ الخطة غير صالح'),
+    query('department').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف القسم غير صالح'),
+  ],
+  getProductionPlan
+);
+router.post(
+  '/plan/assignments',
+  auth,
+  authorize('admin', 'production'),
+  [
+    body('date').optional().isISO8601().withMessage('تاريخ الخطة غير صالح'),
+    body('assignments').isArray({ min: 1 }).withMessage('يجب تحديد تعيين واحد على الأقل'),
+    body('assignments.*.product').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المنتج غير صالح'),
+    body('assignments.*.chef').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الشيف غير صالح'),
+  ],
+  createPlanAssignments
+);
+
+module.exports = router;
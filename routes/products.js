@@ -1,9 +1,44 @@
 // routes/products.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const Product = require('../models/Product');
 const Department = require('../models/department');
+const RawMaterial = require('../models/RawMaterial');
+const { TAX_CATEGORIES } = require('../utils/taxUtils');
+
+// التحقق من وصفة المنتج وإرجاع نسخة منظفة منها
+const normalizeRecipe = async (recipe) => {
+  if (!recipe) return { recipe: { yield: 1, items: [] } };
+  const recipeYield = recipe.yield !== undefined ? parseFloat(recipe.yield) : 1;
+  if (isNaN(recipeYield) || recipeYield <= 0) {
+    return { error: 'كمية الإنتاج في الوصفة يجب أن تكون أكبر من صفر' };
+  }
+  const items = Array.isArray(recipe.items) ? recipe.items : [];
+  for (const item of items) {
+    if (!mongoose.isValidObjectId(item.rawMaterial)) {
+      return { error: 'معرف المادة الخام غير صالح' };
+    }
+    if (isNaN(item.quantity) || parseFloat(item.quantity) <= 0) {
+      return { error: 'كمية المادة الخام يجب أن تكون أكبر من صفر' };
+    }
+  }
+  const materialIds = [...new Set(items.map(item => item.rawMaterial.toString()))];
+  if (materialIds.length !== items.length) {
+    return { error: 'لا يمكن تكرار المادة الخام في الوصفة' };
+  }
+  const materialsCount = await RawMaterial.countDocuments({ _id: { $in: materialIds }, isActive: true });
+  if (materialsCount !== materialIds.length) {
+    return { error: 'بعض المواد الخام غير موجودة' };
+  }
+  return {
+    recipe: {
+      yield: recipeYield,
+      items: items.map(item => ({ rawMaterial: item.rawMaterial, quantity: parseFloat(item.quantity) })),
+    },
+  };
+};
 
 // GET /products
 router.get('/', authMiddleware.auth, async (req, res) => {
@@ -46,6 +81,7 @@ router.get('/:id', authMiddleware.auth, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id)
       .populate('department', 'name nameEn _id')
+      .populate('recipe.items.rawMaterial', 'name nameEn code unit unitEn')
       .populate('createdBy', 'name _id');
     if (!product) return res.status(404).json({ message: 'المنتج غير موجود' });
     res.status(200).json(product);
@@ -58,7 +94,7 @@ router.get('/:id', authMiddleware.auth, async (req, res) => {
 // POST /products
 router.post('/', authMiddleware.auth, async (req, res) => {
   try {
-    const { name, nameEn, code, department, price, unit, unitEn, description, image } = req.body;
+    const { name, nameEn, code, department, price, unit, unitEn, description, image, recipe, shelfLife, taxCategory } = req.body;
 
     if (!name || !code || !department || !price) {
       return res.status(400).json({ message: 'الاسم، الرمز، القسم، والسعر مطلوبة' });
@@ -75,6 +111,17 @@ router.post('/', authMiddleware.auth, async (req, res) => {
       return res.status(400).json({ message: 'وحدة القياس غير صالحة' });
     }
 
+    if (shelfLife !== undefined && shelfLife !== null && (isNaN(shelfLife) || shelfLife < 0)) {
+      return res.status(400).json({ message: 'مدة الصلاحية يجب أن تكون رقمًا غير سالب' });
+    }
+
+    if (taxCategory !== undefined && !Object.keys(TAX_CATEGORIES).includes(taxCategory)) {
+      return res.status(400).json({ message: 'الفئة الضريبية غير صالحة' });
+    }
+
+    const normalized = await normalizeRecipe(recipe);
+    if (normalized.error) return res.status(400).json({ message: normalized.error });
+
     const product = new Product({
       name: name.trim(),
       nameEn: nameEn?.trim(),
@@ -84,6 +131,9 @@ router.post('/', authMiddleware.auth, async (req, res) => {
       unit: unit || '',
       description: description?.trim(),
       image: image || undefined,
+      recipe: normalized.recipe,
+      shelfLife: shelfLife !== undefined && shelfLife !== null ? parseFloat(shelfLife) : undefined,
+      taxCategory: taxCategory || undefined,
       createdBy: req.user._id,
     });
 
@@ -100,7 +150,7 @@ router.post('/', authMiddleware.auth, async (req, res) => {
 // PUT /products/:id
 router.put('/:id', authMiddleware.auth, async (req, res) => {
   try {
-    const { name, nameEn, code, department, price, unit, description, image } = req.body;
+    const { name, nameEn, code, department, price, unit, description, image, recipe, shelfLife, taxCategory } = req.body;
     const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ message: 'المنتج غير موجود' });
 
@@ -109,6 +159,13 @@ router.put('/:id', authMiddleware.auth, async (req, res) => {
     if (price !== undefined && (isNaN(price) || price < 0)) {
       return res.status(400).json({ message: 'السعر يجب أن يكون رقمًا غير سالب' });
     }
+    if (shelfLife !== undefined && shelfLife !== null && (isNaN(shelfLife) || shelfLife < 0)) {
+      return res.status(400).json({ message: 'مدة الصلاحية يجب أن تكون رقمًا غير سالب' });
+    }
+
+    if (taxCategory !== undefined && !Object.keys(TAX_CATEGORIES).includes(taxCategory)) {
+      return res.status(400).json({ message: 'الفئة الضريبية غير صالحة' });
+    }
 
     if (department && department !== product.department.toString()) {
       const dept = await Department.findById(department);
@@ -125,6 +182,12 @@ router.put('/:id', authMiddleware.auth, async (req, res) => {
       return res.status(400).json({ message: 'وحدة القياس غير صالحة' });
     }
 
+    let normalized;
+    if (recipe !== undefined) {
+      normalized = await normalizeRecipe(recipe);
+      if (normalized.error) return res.status(400).json({ message: normalized.error });
+    }
+
     // تحديث الحقول
     if (name !== undefined) product.name = name.trim();
     if (nameEn !== undefined) product.nameEn = nameEn?.trim();
@@ -134,6 +197,9 @@ router.put('/:id', authMiddleware.auth, async (req, res) => {
     if (unit !== undefined) product.unit = unit || '';
     if (description !== undefined) product.description = description?.trim();
     if (image !== undefined) product.image = image; // حفظ الصورة
+    if (normalized) product.recipe = normalized.recipe;
+    if (shelfLife !== undefined) product.shelfLife = shelfLife === null ? undefined : parseFloat(shelfLife);
+    if (taxCategory !== undefined) product.taxCategory = taxCategory;
 
     await product.save();
     await product.populate('department', 'name nameEn _id');
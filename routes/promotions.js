@@ -0,0 +1,66 @@
+// routes/promotions.js
+const express = require('express');
+const { body } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  getPromotions,
+  getActivePromotions,
+  previewPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} = require('../controllers/promotionController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const promotionValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('اسم العرض مطلوب'),
+    body('nameEn').optional().isString().withMessage('الاسم بالإنجليزية يجب أن يكون نصًا'),
+    field('type').isIn(['percentage', 'fixed', 'bundle', 'buy_x_get_y']).withMessage('نوع العرض غير صالح'),
+    body('value').optional().isFloat({ min: 0 }).withMessage('قيمة الخصم يجب أن تكون رقمًا غير سالب'),
+    body('branches').optional().isArray().withMessage('الفروع يجب أن تكون مصفوفة'),
+    body('branches.*').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    body('products').optional().isArray().withMessage('المنتجات يجب أن تكون مصفوفة'),
+    body('products.*').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المنتج غير صالح'),
+    body('buyQuantity').optional().isInt({ min: 1 }).withMessage('كمية الشراء يجب أن تكون عددًا صحيحًا موجبًا'),
+    body('getQuantity').optional().isInt({ min: 1 }).withMessage('الكمية المجانية يجب أن تكون عددًا صحيحًا موجبًا'),
+    body('bundleItems').optional().isArray().withMessage('منتجات الحزمة يجب أن تكون مصفوفة'),
+    body('bundleItems.*.product').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المنتج غير صالح'),
+    body('bundleItems.*.quantity').isInt({ min: 1 }).withMessage('كمية المنتج في الحزمة يجب أن تكون عددًا صحيحًا موجبًا'),
+    body('bundlePrice').optional().isFloat({ min: 0 }).withMessage('سعر الحزمة يجب أن يكون رقمًا غير سالب'),
+    body('startDate').optional({ nullable: true }).isISO8601().withMessage('تاريخ البداية غير صالح'),
+    body('endDate').optional({ nullable: true }).isISO8601().withMessage('تاريخ النهاية غير صالح'),
+    body('daysOfWeek').optional().isArray().withMessage('أيام الأسبوع يجب أن تكون مصفوفة'),
+    body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('يوم الأسبوع غير صالح'),
+    body('startTime').optional({ nullable: true }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('وقت البداية غير صالح'),
+    body('endTime').optional({ nullable: true }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('وقت النهاية غير صالح'),
+    body('isActive').optional().isBoolean().withMessage('حالة التفعيل غير صالحة').toBoolean(),
+    body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+  ];
+};
+
+router.get('/', auth, authorize('admin', 'branch'), getPromotions);
+router.get('/active', auth, authorize('admin', 'branch'), getActivePromotions);
+router.post(
+  '/preview',
+  auth,
+  authorize('admin', 'branch'),
+  [
+    body('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    body('items').isArray({ min: 1 }).withMessage('يجب أن تحتوي العناصر على عنصر واحد على الأقل'),
+    body('items.*.productId').isMongoId().withMessage('معرف المنتج غير صالح'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('الكمية يجب أن تكون عددًا صحيحًا إيجابيًا'),
+    body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('السعر يجب أن يكون رقمًا غير سالب'),
+    body('pricesIncludeTax').optional().isBoolean().withMessage('نوع التسعير الضريبي غير صالح').toBoolean(),
+  ],
+  previewPromotions
+);
+router.get('/:id', auth, authorize('admin', 'branch'), getPromotionById);
+router.post('/', auth, authorize('admin'), promotionValidators(false), createPromotion);
+router.put('/:id', auth, authorize('admin'), promotionValidators(true), updatePromotion);
+router.delete('/:id', auth, authorize('admin'), deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+// routes/purchaseOrders.js
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receiveGoods,
+} = require('../controllers/purchaseOrderController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const itemValidators = [
+  body('items.*.rawMaterial').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المادة الخام غير صالح'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('الكمية يجب أن تكون أكبر من صفر'),
+  body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('سعر الوحدة يجب أن يكون رقمًا غير سالب'),
+];
+
+router.get(
+  '/',
+  auth,
+  authorize('production', 'admin'),
+  [
+    query('status').optional().isIn(['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled']).withMessage('الحالة غير صالحة'),
+    query('supplier').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المورد غير صالح'),
+  ],
+  getPurchaseOrders
+);
+router.get('/:id', auth, authorize('production', 'admin'), getPurchaseOrderById);
+router.post(
+  '/',
+  auth,
+  authorize('production', 'admin'),
+  [
+    body('supplier').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المورد غير صالح'),
+    body('items').isArray({ min: 1 }).withMessage('يجب أن يحتوي أمر الشراء على عنصر واحد على الأقل'),
+    ...itemValidators,
+    body('expectedDeliveryDate').optional({ checkFalsy: true }).isISO8601().withMessage('تاريخ التسليم المتوقع غير صالح'),
+  ],
+  createPurchaseOrder
+);
+router.put(
+  '/:id',
+  auth,
+  authorize('production', 'admin'),
+  [
+    param('id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف أمر الشراء غير صالح'),
+    body('supplier').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المورد غير صالح'),
+    body('items').optional().isArray({ min: 1 }).withMessage('يجب أن يحتوي أمر الشراء على عنصر واحد على الأقل'),
+    ...itemValidators,
+    body('expectedDeliveryDate').optional({ checkFalsy: true }).isISO8601().withMessage('تاريخ التسليم المتوقع غير صالح'),
+  ],
+  updatePurchaseOrder
+);
+router.patch(
+  '/:id/status',
+  auth,
+  authorize('production', 'admin'),
+  [
+    param('id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف أمر الشراء غير صالح'),
+    body('status').isIn(['sent', 'closed', 'cancelled']).withMessage('الحالة يجب أن تكون sent، closed، أو cancelled'),
+  ],
+  updatePurchaseOrderStatus
+);
+router.post(
+  '/:id/receipts',
+  auth,
+  authorize('production', 'admin'),
+  [
+    param('id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف أمر الشراء غير صالح'),
+    body('items').isArray({ min: 1 }).withMessage('يجب أن يحتوي إذن الاستلام على عنصر واحد على الأقل'),
+    body('items.*.itemId').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف العنصر غير صالح'),
+    body('items.*.quantity').isFloat({ gt: 0 }).withMessage('الكمية المستلمة يجب أن تكون أكبر من صفر'),
+  ],
+  receiveGoods
+);
+module.exports = router;
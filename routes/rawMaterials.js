@@ -0,0 +1,98 @@
+// routes/rawMaterials.js
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  getRawMaterials,
+  getRawMaterialById,
+  createRawMaterial,
+  updateRawMaterial,
+  deleteRawMaterial,
+  adjustRawMaterialStock,
+  getRawMaterialHistory,
+} = require('../controllers/rawMaterialController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const units = ['كيلو', 'جرام', 'لتر', 'مل', 'كرتونة', 'قطعة', 'كيس'];
+
+router.get(
+  '/',
+  auth,
+  authorize('production', 'admin', 'chef'),
+  [
+    query('category').optional().isIn(['ingredient', 'packaging']).withMessage('التصنيف يجب أن يكون ingredient أو packaging'),
+    query('lowStock').optional().isBoolean().withMessage('حالة المخزون المنخفض يجب أن تكون قيمة منطقية'),
+  ],
+  getRawMaterials
+);
+router.get(
+  '/history',
+  auth,
+  authorize('production', 'admin'),
+  [
+    query('rawMaterial').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المادة الخام غير صالح'),
+    query('action').optional().isIn(['restock', 'consumption', 'adjustment', 'damaged', 'received']).withMessage('الإجراء غير صالح'),
+    query('startDate').optional().isISO8601().withMessage('تاريخ البداية غير صالح'),
+    query('endDate').optional().isISO8601().withMessage('تاريخ النهاية غير صالح'),
+  ],
+  getRawMaterialHistory
+);
+router.get(
+  '/:id',
+  auth,
+  authorize('production', 'admin', 'chef'),
+  getRawMaterialById
+);
+router.post(
+  '/',
+  auth,
+  authorize('production', 'admin'),
+  [
+    body('name').trim().notEmpty().withMessage('اسم المادة الخام مطلوب'),
+    body('code').trim().notEmpty().withMessage('رمز المادة الخام مطلوب'),
+    body('unit').isIn(units).withMessage('وحدة القياس غير صالحة'),
+    body('category').optional().isIn(['ingredient', 'packaging']).withMessage('التصنيف يجب أن يكون ingredient أو packaging'),
+    body('currentStock').optional().isFloat({ min: 0 }).withMessage('الكمية الحالية يجب أن تكون رقمًا غير سالب'),
+    body('minStockLevel').optional().isFloat({ min: 0 }).withMessage('الحد الأدنى للمخزون يجب أن يكون رقمًا غير سالب'),
+    body('maxStockLevel').optional().isFloat({ min: 0 }).withMessage('الحد الأقصى للمخزون يجب أن يكون رقمًا غير سالب'),
+    body('preferredSupplier').optional({ checkFalsy: true }).custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المورد غير صالح'),
+  ],
+  createRawMaterial
+);
+router.put(
+  '/:id',
+  auth,
+  authorize('production', 'admin'),
+  [
+    param('id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المادة الخام غير صالح'),
+    body('name').optional().trim().notEmpty().withMessage('اسم المادة الخام مطلوب'),
+    body('code').optional().trim().notEmpty().withMessage('رمز المادة الخام مطلوب'),
+    body('unit').optional().isIn(units).withMessage('وحدة القياس غير صالحة'),
+    body('category').optional().isIn(['ingredient', 'packaging']).withMessage('التصنيف يجب أن يكون ingredient أو packaging'),
+    body('minStockLevel').optional().isFloat({ min: 0 }).withMessage('الحد الأدنى للمخزون يجب أن يكون رقمًا غير سالب'),
+    body('maxStockLevel').optional().isFloat({ min: 0 }).withMessage('الحد الأقصى للمخزون يجب أن يكون رقمًا غير سالب'),
+    body('preferredSupplier').optional({ checkFalsy: true }).custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المورد غير صالح'),
+    body('isActive').optional().isBoolean().withMessage('حالة التفعيل يجب أن تكون قيمة منطقية'),
+  ],
+  updateRawMaterial
+);
+router.post(
+  '/:id/movements',
+  auth,
+  authorize('production', 'admin'),
+  [
+    param('id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المادة الخام غير صالح'),
+    body('type').isIn(['restock', 'adjustment', 'damaged']).withMessage('نوع الحركة يجب أن يكون restock، adjustment، أو damaged'),
+    body('quantity').isFloat().custom((value) => Number(value) !== 0).withMessage('الكمية يجب أن تكون رقمًا غير صفري'),
+    body('notes').optional().trim(),
+  ],
+  adjustRawMaterialStock
+);
+router.delete(
+  '/:id',
+  auth,
+  authorize('admin'),
+  deleteRawMaterial
+);
+module.exports = router;
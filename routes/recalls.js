@@ -0,0 +1,49 @@
+// routes/recalls.js
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  createRecall,
+  getRecalls,
+  getRecallById,
+  closeRecall,
+} = require('../controllers/recallController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+router.get(
+  '/',
+  auth,
+  authorize('branch', 'production', 'admin'),
+  [
+    query('status').optional().isIn(['open', 'in_progress', 'closed']).withMessage('الحالة غير صالحة'),
+    query('product').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المنتج غير صالح'),
+  ],
+  getRecalls
+);
+router.get('/:id', auth, authorize('branch', 'production', 'admin'), getRecallById);
+router.post(
+  '/',
+  auth,
+  authorize('production', 'admin'),
+  [
+    body('product').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المنتج غير صالح'),
+    body('scope').isIn(['product', 'lots', 'date_range']).withMessage('النطاق يجب أن يكون product، lots، أو date_range'),
+    body('lots').if(body('scope').equals('lots')).isArray({ min: 1 }).withMessage('يجب تحديد دفعة واحدة على الأقل'),
+    body('lots.*').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الدفعة غير صالح'),
+    body('productionDateFrom').optional({ checkFalsy: true }).isISO8601().withMessage('تاريخ بداية الإنتاج غير صالح'),
+    body('productionDateTo').optional({ checkFalsy: true }).isISO8601().withMessage('تاريخ نهاية الإنتاج غير صالح'),
+    body('reason').trim().notEmpty().withMessage('سبب الاسترجاع مطلوب'),
+  ],
+  createRecall
+);
+router.patch(
+  '/:id/close',
+  auth,
+  authorize('production', 'admin'),
+  [
+    param('id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الاسترجاع غير صالح'),
+  ],
+  closeRecall
+);
+module.exports = router;
@@ -0,0 +1,49 @@
+// routes/replenishment.js
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  getReplenishmentSuggestions,
+  generateReplenishmentDrafts,
+  getReplenishmentDrafts,
+  submitRestockDrafts,
+} = require('../controllers/replenishmentController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+router.get(
+  '/suggestions',
+  auth,
+  authorize('branch', 'production', 'admin'),
+  [
+    query('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    query('lookbackDays').optional().isInt({ min: 1, max: 365 }).withMessage('فترة المراجعة يجب أن تكون بين 1 و365 يومًا'),
+    query('coverageDays').optional().isInt({ min: 1, max: 60 }).withMessage('فترة التغطية يجب أن تكون بين 1 و60 يومًا'),
+  ],
+  getReplenishmentSuggestions
+);
+router.get('/drafts', auth, authorize('branch', 'production', 'admin'), getReplenishmentDrafts);
+router.post(
+  '/drafts',
+  auth,
+  authorize('branch', 'production', 'admin'),
+  [
+    body('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    body('target').optional().isIn(['restock_request', 'order']).withMessage('نوع المسودة يجب أن يكون restock_request أو order'),
+    body('lookbackDays').optional().isInt({ min: 1, max: 365 }).withMessage('فترة المراجعة يجب أن تكون بين 1 و365 يومًا'),
+    body('coverageDays').optional().isInt({ min: 1, max: 60 }).withMessage('فترة التغطية يجب أن تكون بين 1 و60 يومًا'),
+  ],
+  generateReplenishmentDrafts
+);
+router.post(
+  '/drafts/submit',
+  auth,
+  authorize('branch', 'admin'),
+  [
+    body('items').isArray({ min: 1 }).withMessage('يجب تحديد مسودة واحدة على الأقل'),
+    body('items.*.id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المسودة غير صالح'),
+    body('items.*.quantity').optional().isInt({ min: 0 }).withMessage('الكمية يجب أن تكون عددًا صحيحًا غير سالب'),
+  ],
+  submitRestockDrafts
+);
+module.exports = router;
@@ -0,0 +1,56 @@
+// routes/restockRequests.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  createRestockRequest,
+  getRestockRequests,
+  getRestockRequestById,
+  updateRestockRequest,
+  updateRestockRequestStatus,
+  deleteRestockRequest,
+} = require('../controllers/restockRequestController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const idParam = param('id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف طلب التزويد غير صالح');
+
+router.get('/', auth, authorize('branch', 'production', 'admin'), getRestockRequests);
+router.get('/:id', auth, authorize('branch', 'production', 'admin'), getRestockRequestById);
+router.post(
+  '/',
+  auth,
+  authorize('branch', 'admin'),
+  [
+    body('product').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المنتج غير صالح'),
+    body('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    body('requestedQuantity').isFloat({ min: 1 }).withMessage('الكمية المطلوبة يجب أن تكون أكبر من 0'),
+    body('notes').optional().isString().trim().withMessage('الملاحظات يجب أن تكون نصًا'),
+  ],
+  createRestockRequest
+);
+router.put(
+  '/:id',
+  auth,
+  authorize('branch', 'admin'),
+  [
+    idParam,
+    body('requestedQuantity').optional().isFloat({ min: 1 }).withMessage('الكمية المطلوبة يجب أن تكون أكبر من 0'),
+    body('notes').optional().isString().trim().withMessage('الملاحظات يجب أن تكون نصًا'),
+  ],
+  updateRestockRequest
+);
+router.patch(
+  '/:id/status',
+  auth,
+  authorize('production', 'admin'),
+  [
+    idParam,
+    body('status').isIn(['approved', 'rejected']).withMessage('الحالة يجب أن تكون approved أو rejected'),
+    body('reviewNotes').optional().isString().trim().withMessage('ملاحظات المراجعة يجب أن تكون نصًا'),
+  ],
+  updateRestockRequestStatus
+);
+router.delete('/:id', auth, authorize('branch', 'admin'), [idParam], deleteRestockRequest);
+
+module.exports = router;
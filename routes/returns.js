@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { auth, authorize } = require('../middleware/auth');
 const { body, validationResult, param, query } = require('express-validator');
-const { createReturn, approveReturn, getAll, getById, getBranches, getAvailableStock, getProducts } = require('../controllers/returnController');
+const { createReturn, approveReturn, inspectReturn, getAll, getById, getBranches, getAvailableStock, getProducts } = require('../controllers/returnController');
+const { returnInspectionUpload, parseJsonFields } = require('../middleware/upload');
+const { getReturnPdf } = require('../controllers/pdfController');
 const Return = require('../models/Return');
 const mongoose = require('mongoose');
 
@@ -73,6 +75,27 @@ router.put(
   approveReturn
 );
 
+// فحص المصنع للمرتجع الموافق عليه؛ items ترسل نصًا بصيغة JSON مع الصور
+router.post(
+  '/:id/inspection',
+  [
+    auth,
+    authorize('production', 'admin'),
+    returnInspectionUpload,
+    parseJsonFields('items'),
+    param('id').custom((value) => isValidObjectId(value)).withMessage((_, { req }) => req.query.lang === 'ar' ? 'معرف الإرجاع غير صالح' : 'Invalid return ID'),
+    body('items').isArray({ min: 1 }).withMessage((_, { req }) => req.query.lang === 'ar' ? 'يجب إدخال نتيجة فحص الأصناف' : 'Item inspection results are required'),
+    body('items.*.itemId').custom((value) => isValidObjectId(value)).withMessage((_, { req }) => req.query.lang === 'ar' ? 'معرف صنف المرتجع غير صالح' : 'Invalid return item ID'),
+    body('items.*.rootCause').isIn(['production_defect', 'transport', 'branch_storage', 'other']).withMessage((_, { req }) => req.query.lang === 'ar' ? 'سبب المشكلة غير صالح' : 'Invalid root cause'),
+    body('items.*.dispositions').isArray({ min: 1 }).withMessage((_, { req }) => req.query.lang === 'ar' ? 'يجب تحديد طريقة التصرف' : 'Disposition is required'),
+    body('items.*.dispositions.*.disposition').isIn(['restock', 'rework', 'donate', 'destroy']).withMessage((_, { req }) => req.query.lang === 'ar' ? 'طريقة التصرف غير صالحة' : 'Invalid disposition'),
+    body('items.*.dispositions.*.quantity').isInt({ min: 1 }).withMessage((_, { req }) => req.query.lang === 'ar' ? 'الكمية يجب أن تكون عدد صحيح إيجابي' : 'Quantity must be a positive integer').toInt(),
+    body('items.*.notes').optional().isString().trim(),
+    body('notes').optional().isString().trim(),
+  ],
+  inspectReturn
+);
+
 router.get(
   '/branches',
   [auth, authorize('branch', 'production', 'admin')],
@@ -85,6 +108,12 @@ router.get(
   getProducts
 );
 
+router.get(
+  '/:id/pdf',
+  [auth, authorize('branch', 'production', 'admin')],
+  getReturnPdf
+);
+
 router.get(
   '/:id',
   [auth, authorize('branch', 'production', 'admin')],
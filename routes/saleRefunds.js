@@ -0,0 +1,10 @@
+// routes/saleRefunds.js
+const express = require('express');
+const { auth, authorize } = require('../middleware/auth');
+const { getRefunds, getRefundById } = require('../controllers/saleRefundController');
+const router = express.Router();
+
+router.get('/', auth, authorize('admin', 'branch'), getRefunds);
+router.get('/:id', auth, authorize('admin', 'branch'), getRefundById);
+
+module.exports = router;
@@ -10,9 +10,380 @@ const InventoryHistory = require('../models/InventoryHistory');
 const Product = require('../models/Product');
 const Branch = require('../models/Branch');
 const Return = require('../models/Return');
+const { consumeBranchLots, restoreBranchLots, findSaleLotsToRestore } = require('../utils/lotUtils');
+const { findBlockingRecall } = require('../utils/recallUtils');
+const { applyTax, buildZatcaQr, resolveSeller, PRICES_INCLUDE_TAX } = require('../utils/taxUtils');
+const { TENDER_TYPES, ACCOUNT_TENDERS, TENDER_LABELS, normalizeSalePayments, getSalePayments } = require('../utils/paymentUtils');
+const { findOpenShift, findShiftAt, isShiftRequired, recordShiftRefund, recordShiftLatePosting } = require('../utils/shiftUtils');
+const CashShift = require('../models/CashShift');
+const Customer = require('../models/Customer');
+const SaleRefund = require('../models/SaleRefund');
+const {
+  isCustomerInScope,
+  findCustomerByPhone,
+  getSaleCreditAmount,
+  chargeCustomerSale,
+  reverseCustomerSale,
+} = require('../utils/customerUtils');
+const { findActivePromotions, applyPromotions } = require('../utils/promotionUtils');
+const { pointsForAmount, getSalePointsAmount, postSaleLoyalty, reverseSaleLoyalty } = require('../utils/loyaltyUtils');
+const { getSalePdf } = require('../controllers/pdfController');
+const { printSaleReceipt } = require('../controllers/receiptController');
+const { createSaleRefund, getSaleRefunds } = require('../controllers/saleRefundController');
+const { nextDocumentNumber } = require('../utils/numberingUtils');
+const { runTransaction } = require('../utils/transactionUtils');
 
 const isValidObjectId = (id) => mongoose.isValidObjectId(id);
 
+// صافي المبيعات قبل الضريبة؛ المبيعات السابقة لمحرك الضريبة لا تحمل ضريبة محفوظة
+const SALE_NET_AMOUNT = { $subtract: ['$totalAmount', { $ifNull: ['$taxAmount', 0] }] };
+const ITEM_GROSS_AMOUNT = { $ifNull: ['$items.lineTotal', { $multiply: ['$items.quantity', '$items.unitPrice'] }] };
+const ITEM_NET_AMOUNT = { $ifNull: ['$items.netAmount', { $multiply: ['$items.quantity', '$items.unitPrice'] }] };
+
+// صافي ما رُد للعملاء بإشعارات الاسترداد بعد قيمة أصناف الاستبدال المسلمة، ليُخصم من الإيرادات
+const REFUND_TOTALS = {
+  refundTotal: { $sum: { $subtract: ['$refundTotal', { $ifNull: ['$exchangeTotal', 0] }] } },
+  refundNet: { $sum: { $subtract: ['$refundSubtotal', { $ifNull: ['$exchangeSubtotal', 0] }] } },
+  refundTax: { $sum: { $subtract: ['$refundTax', { $ifNull: ['$exchangeTax', 0] }] } },
+  refundCount: { $sum: 1 },
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// خصم الاستردادات الصادرة في الفترة نفسها من إجمالي المبيعات واتجاهاتها
+const netSaleRefunds = async ({ query, totals, trends, dateFormat }) => {
+  const match = {};
+  if (query.branch) match.branch = query.branch;
+  if (query.createdAt) match.createdAt = query.createdAt;
+  const [refundTotals, refundTrends] = await Promise.all([
+    SaleRefund.aggregate([{ $match: match }, { $group: { _id: null, ...REFUND_TOTALS } }]),
+    SaleRefund.aggregate([
+      { $match: match },
+      { $group: { _id: { $dateToString: { format: dateFormat === 'month' ? '%Y-%m' : '%Y-%m-%d', date: '$createdAt' } }, ...REFUND_TOTALS } },
+    ]),
+  ]).catch(() => [[], []]);
+
+  const subtractRefunds = (entry, refund) => ({
+    ...entry,
+    totalSales: roundAmount((entry.totalSales || 0) - (refund?.refundTotal || 0)),
+    netSales: roundAmount((entry.netSales || 0) - (refund?.refundNet || 0)),
+    totalTax: roundAmount((entry.totalTax || 0) - (refund?.refundTax || 0)),
+    refundTotal: roundAmount(refund?.refundTotal || 0),
+    refundCount: refund?.refundCount || 0,
+  });
+
+  const refundsByPeriod = new Map(refundTrends.map(refund => [refund._id, refund]));
+  const netTrends = trends.map((trend) => {
+    const refund = refundsByPeriod.get(trend.period);
+    refundsByPeriod.delete(trend.period);
+    return subtractRefunds(trend, refund);
+  });
+  refundsByPeriod.forEach((refund, period) => netTrends.push(subtractRefunds({ period, saleCount: 0 }, refund)));
+  netTrends.sort((a, b) => a.period.localeCompare(b.period));
+
+  return { totals: subtractRefunds(totals || {}, refundTotals[0]), trends: netTrends };
+};
+
+const creditLimitError = (customer, amount, isRtl) => {
+  const available = Math.round((customer.creditLimit - customer.balance) * 100) / 100;
+  return {
+    success: false,
+    message: isRtl
+      ? `البيع الآجل بمبلغ ${amount} يتجاوز الرصيد المتاح للعميل ${available}`
+      : `Credit sale of ${amount} exceeds the customer's available credit ${available}`,
+    error: 'credit_limit_exceeded',
+  };
+};
+
+const insufficientPointsError = (customer, amount, isRtl) => ({
+  success: false,
+  message: isRtl
+    ? `رصيد نقاط العميل ${customer.loyaltyPoints || 0} لا يكفي لاستبدال ${pointsForAmount(amount)} نقطة`
+    : `Customer has ${customer.loyaltyPoints || 0} points; ${pointsForAmount(amount)} are needed`,
+  error: 'insufficient_points',
+});
+
+const saleFailure = (status, body) => ({ status, body });
+
+// الافتراضي قبول البيع الناقص مع تعليمه؛ يمكن تخصيصه لكل فرع في offlineSync
+const OFFLINE_NEGATIVE_STOCK_POLICY = process.env.OFFLINE_NEGATIVE_STOCK_POLICY === 'reject' ? 'reject' : 'allow_flagged';
+const MAX_SYNC_BATCH = 100;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * إنشاء البيع داخل معاملة المستدعي: الفرع والوردية والمخزون، ثم العروض والضريبة والدفعات
+ * وحساب العميل، ثم خصم المخزون. يعيد { sale } أو { status, body } عند الرفض، والإلغاء على المستدعي.
+ * offline لمبيعات نقطة البيع المرفوعة بعد انقطاع الاتصال: { clientId, createdAt, allowShortage }.
+ */
+const createSaleInSession = async ({ data, user, io, isRtl, session, offline = null }) => {
+  const { branch, items, paymentMethod, payments, customer, customerName, customerPhone, notes, pricesIncludeTax } = data;
+
+  if (user.role === 'branch' && (!user.branchId || branch !== user.branchId.toString())) {
+    console.error(`[${new Date().toISOString()}] إنشاء بيع - غير مخول أو لا يوجد فرع مخصص:`, {
+      userId: user.id,
+      branch,
+      userBranchId: user.branchId,
+    });
+    return saleFailure(403, { success: false, message: isRtl ? 'غير مخول أو لا يوجد فرع مخصص' : 'Unauthorized or no branch assigned' });
+  }
+
+  const branchDoc = await Branch.findById(branch).session(session);
+  if (!branchDoc) {
+    console.error(`[${new Date().toISOString()}] إنشاء بيع - الفرع غير موجود:`, { branch });
+    return saleFailure(404, { success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
+  }
+
+  // البيع المرفوع بعد انقطاع الاتصال يُنسب إلى الوردية التي صدر أثناءها ولو أُغلقت
+  const shift = (offline && await findShiftAt({ branch, at: offline.createdAt, session }))
+    || await findOpenShift({ branch, session });
+  if (!shift && await isShiftRequired({ branch, session })) {
+    console.error(`[${new Date().toISOString()}] إنشاء بيع - لا توجد وردية مفتوحة:`, { branch });
+    return saleFailure(400, {
+      success: false,
+      message: isRtl ? 'لا توجد وردية مفتوحة للفرع، يجب فتح وردية قبل البيع' : 'No open shift for this branch; open a shift before selling',
+      error: 'no_open_shift',
+    });
+  }
+
+  const taxCategories = {};
+  const availableStock = {};
+  const requestedStock = {};
+  const stockLines = [];
+  const stockConflicts = [];
+  for (const item of items) {
+    const product = await Product.findById(item.productId).session(session);
+    if (!product) {
+      console.error(`[${new Date().toISOString()}] إنشاء بيع - المنتج غير موجود:`, { productId: item.productId });
+      return saleFailure(404, { success: false, message: isRtl ? `المنتج ${item.productId} غير موجود` : `Product ${item.productId} not found` });
+    }
+    // الكمية التراكمية للمنتج في البيع تحدد الدفعات التي سيخرج منها
+    requestedStock[item.productId] = (requestedStock[item.productId] || 0) + item.quantity;
+    const blockingRecall = await findBlockingRecall({ branch, product: item.productId, quantity: requestedStock[item.productId], session });
+    if (blockingRecall) {
+      console.error(`[${new Date().toISOString()}] إنشاء بيع - المنتج خاضع لاسترجاع:`, { productId: item.productId, recallNumber: blockingRecall.recallNumber });
+      return saleFailure(422, {
+        success: false,
+        message: isRtl ? `بيع المنتج ${item.productId} موقوف بسبب الاسترجاع ${blockingRecall.recallNumber}` : `Sales of product ${item.productId} are blocked by recall ${blockingRecall.recallNumber}`,
+        error: 'product_recalled',
+      });
+    }
+    if (availableStock[item.productId] === undefined) {
+      const inventory = await Inventory.findOne({ branch, product: item.productId }).session(session);
+      availableStock[item.productId] = Math.max(inventory?.currentStock || 0, 0);
+    }
+    const available = availableStock[item.productId];
+    if (available < item.quantity) {
+      if (!offline?.allowShortage) {
+        console.error(`[${new Date().toISOString()}] إنشاء بيع - الكمية غير كافية:`, {
+          productId: item.productId,
+          currentStock: available,
+          requestedQuantity: item.quantity,
+        });
+        return saleFailure(400, {
+          success: false,
+          message: isRtl ? `الكمية غير كافية في المخزون للمنتج ${item.productId}` : `Insufficient stock for product ${item.productId}`,
+          error: 'insufficient_stock',
+        });
+      }
+      stockConflicts.push({
+        product: item.productId,
+        requestedQuantity: item.quantity,
+        availableQuantity: available,
+        shortQuantity: item.quantity - available,
+      });
+    }
+    stockLines.push({ item, quantity: Math.min(item.quantity, available) });
+    availableStock[item.productId] = Math.max(available - item.quantity, 0);
+    taxCategories[item.productId] = product.taxCategory;
+  }
+
+  // البيع المرفوع بعد انقطاع الاتصال يحمل وقت إصداره الفعلي في نقطة البيع
+  const issuedAt = offline?.createdAt || new Date();
+  const saleNumber = await nextDocumentNumber({ type: 'SALE', branch, date: issuedAt, session });
+
+  // العروض السارية وقت البيع تُطبق على الأسطر قبل الضريبة
+  const promotions = await findActivePromotions({ branch, at: issuedAt, session });
+  const priced = applyPromotions(
+    items.map((item) => ({
+      product: item.productId,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      taxCategory: taxCategories[item.productId],
+    })),
+    promotions
+  );
+  const taxed = applyTax(priced.items, { pricesIncludeTax: pricesIncludeTax ?? PRICES_INCLUDE_TAX });
+  let paymentDetails;
+  try {
+    paymentDetails = normalizeSalePayments({ payments, paymentMethod, totalAmount: taxed.totalAmount, isRtl });
+  } catch (paymentError) {
+    console.error(`[${new Date().toISOString()}] إنشاء بيع - الدفعات غير صالحة:`, { error: paymentError.message, payments });
+    return saleFailure(400, { success: false, message: paymentError.message, error: 'invalid_payment' });
+  }
+
+  // البيع الآجل والدفع بالنقاط يجب أن يُسجلا على حساب عميل؛ الآجل ضمن حد ائتمانه
+  const creditAmount = getSaleCreditAmount(paymentDetails);
+  const pointsAmount = getSalePointsAmount(paymentDetails);
+  const needsAccount = creditAmount > 0 || pointsAmount > 0;
+  let customerDoc = null;
+  if (customer) {
+    customerDoc = await Customer.findById(customer).session(session);
+  } else if (customerPhone) {
+    customerDoc = await findCustomerByPhone({ phone: customerPhone, branch, session });
+  }
+  if ((customer || needsAccount) && (!customerDoc || !isCustomerInScope(customerDoc, branch))) {
+    return saleFailure(customer ? 404 : 400, {
+      success: false,
+      message: isRtl ? 'الدفع الآجل أو بالنقاط يتطلب عميلًا مسجلًا في الفرع' : 'Credit and points tenders require a customer registered for this branch',
+      error: customer ? 'customer_not_found' : 'customer_required',
+    });
+  }
+  if (needsAccount && !customerDoc.isActive) {
+    return saleFailure(400, { success: false, message: isRtl ? 'حساب العميل موقوف' : 'Customer account is inactive', error: 'customer_inactive' });
+  }
+  if (creditAmount > 0 && customerDoc.balance + creditAmount > customerDoc.creditLimit) {
+    console.error(`[${new Date().toISOString()}] إنشاء بيع - تجاوز حد الائتمان:`, { customer: customerDoc._id, creditAmount, balance: customerDoc.balance, creditLimit: customerDoc.creditLimit });
+    return saleFailure(400, creditLimitError(customerDoc, creditAmount, isRtl));
+  }
+  if (pointsAmount > 0 && (customerDoc.loyaltyPoints || 0) < pointsForAmount(pointsAmount)) {
+    return saleFailure(400, insufficientPointsError(customerDoc, pointsAmount, isRtl));
+  }
+
+  const newSale = new Sale({
+    saleNumber,
+    branch,
+    shift: shift?._id,
+    items: taxed.items.map((item, index) => ({ ...item, deductedQuantity: stockLines[index].quantity })),
+    discounts: priced.discounts,
+    discountTotal: priced.discountTotal,
+    pricesIncludeTax: taxed.pricesIncludeTax,
+    subtotal: taxed.subtotal,
+    taxAmount: taxed.taxAmount,
+    totalAmount: taxed.totalAmount,
+    zatcaQr: buildZatcaQr({
+      ...resolveSeller(branchDoc),
+      timestamp: issuedAt,
+      totalAmount: taxed.totalAmount,
+      taxAmount: taxed.taxAmount,
+    }),
+    createdAt: issuedAt,
+    status: 'completed',
+    paymentMethod: paymentDetails.paymentMethod,
+    payments: paymentDetails.payments,
+    customer: customerDoc?._id,
+    customerName: customerName?.trim() || customerDoc?.name,
+    customerPhone: customerPhone?.trim() || customerDoc?.phone,
+    notes: notes?.trim(),
+    ...(offline && { clientId: offline.clientId, offlineCreatedAt: issuedAt, syncedAt: new Date() }),
+    stockConflicts,
+    stockFlagged: stockConflicts.length > 0,
+    createdBy: user.id,
+  });
+
+  await newSale.save({ session });
+
+  if (creditAmount > 0 && !(await chargeCustomerSale({ customer: customerDoc._id, sale: newSale, amount: creditAmount, userId: user.id, session }))) {
+    return saleFailure(400, creditLimitError(await Customer.findById(customerDoc._id).session(session).lean(), creditAmount, isRtl));
+  }
+  if (customerDoc && !(await postSaleLoyalty({ sale: newSale, userId: user.id, session }))) {
+    return saleFailure(400, insufficientPointsError(await Customer.findById(customerDoc._id).session(session).lean(), pointsAmount, isRtl));
+  }
+  if (shift?.status === 'closed') {
+    await recordShiftLatePosting({ shift, sale: newSale, userId: user.id, session });
+  }
+
+  // الصنف الناقص يُخصم منه المتاح فقط حتى لا يصبح المخزون سالبًا
+  for (const { item, quantity } of stockLines) {
+    if (quantity <= 0) continue;
+    const inventory = await Inventory.findOneAndUpdate(
+      { branch, product: item.productId },
+      {
+        $inc: { currentStock: -quantity },
+        $push: {
+          movements: {
+            type: 'out',
+            quantity,
+            reference: `بيع #${saleNumber}`,
+            createdBy: user.id,
+            createdAt: new Date(),
+          },
+        },
+      },
+      { new: true, session }
+    );
+    const consumedLots = await consumeBranchLots({ branch, product: item.productId, quantity, session });
+
+    const historyEntry = new InventoryHistory({
+      product: item.productId,
+      branch,
+      action: 'sale',
+      quantity: -quantity,
+      reference: `بيع #${saleNumber}`,
+      referenceType: 'sale',
+      referenceId: newSale._id,
+      createdBy: user.id,
+      notes: notes?.trim(),
+      lots: consumedLots,
+    });
+    await historyEntry.save({ session });
+
+    io?.emit('inventoryUpdated', {
+      branchId: branch,
+      productId: item.productId,
+      quantity: inventory.currentStock,
+      type: 'sale',
+    });
+  }
+
+  const populatedSale = await Sale.findById(newSale._id)
+    .populate('branch', 'name nameEn')
+    .populate({
+      path: 'items.product',
+      select: 'name nameEn unit unitEn department price',
+      populate: { path: 'department', select: 'name nameEn' },
+    })
+    .populate('createdBy', 'username')
+    .session(session)
+    .lean();
+
+  populatedSale.branch.displayName = isRtl ? populatedSale.branch.name : (populatedSale.branch.nameEn || populatedSale.branch.name || 'Unknown');
+  populatedSale.items = populatedSale.items.map((item) => ({
+    ...item,
+    productName: item.product?.name || 'منتج محذوف',
+    productNameEn: item.product?.nameEn || null,
+    displayName: isRtl ? (item.product?.name || 'منتج محذوف') : (item.product?.nameEn || item.product?.name || 'Deleted Product'),
+    displayUnit: isRtl ? (item.product?.unit || 'غير محدد') : (item.product?.unitEn || item.product?.unit || 'N/A'),
+    department: item.product?.department
+      ? {
+          ...item.product.department,
+          displayName: isRtl ? item.product.department.name : (item.product.department.nameEn || item.product.department.name || 'Unknown'),
+        }
+      : undefined,
+  }));
+
+  io?.emit('saleCreated', {
+    saleId: newSale._id,
+    branchId: branch,
+    saleNumber,
+    items,
+    totalAmount: newSale.totalAmount,
+    taxAmount: newSale.taxAmount,
+    createdAt: newSale.createdAt.toISOString(),
+  });
+
+  console.log(`[${new Date().toISOString()}] إنشاء بيع - تم بنجاح:`, {
+    saleId: newSale._id,
+    branchId: branch,
+    itemsCount: items.length,
+    clientId: offline?.clientId,
+    stockFlagged: newSale.stockFlagged,
+    latePosting: shift?.status === 'closed',
+  });
+
+  return { sale: populatedSale };
+
+};
+
 // Create a sale
 router.post(
   '/',
@@ -24,171 +395,198 @@ router.post(
     body('items.*.productId').isMongoId().withMessage('معرف المنتج غير صالح'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('الكمية يجب أن تكون عددًا صحيحًا إيجابيًا'),
     body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('السعر يجب أن يكون رقمًا غير سالب'),
+    body('pricesIncludeTax').optional().isBoolean().withMessage('نوع التسعير الضريبي غير صالح').toBoolean(),
+    body('paymentMethod').optional().isIn(TENDER_TYPES).withMessage('طريقة الدفع غير صالحة'),
+    body('payments').optional().isArray({ min: 1 }).withMessage('يجب أن تحتوي الدفعات على دفعة واحدة على الأقل'),
+    body('payments.*.tender').optional().isIn(TENDER_TYPES).withMessage('وسيلة الدفع غير صالحة'),
+    body('payments.*.amount').optional().isFloat({ gt: 0 }).withMessage('مبلغ الدفع يجب أن يكون أكبر من صفر'),
+    body('payments.*.reference').optional().isString().trim(),
+    body('customer').optional().isMongoId().withMessage('معرف العميل غير صالح'),
   ],
   async (req, res) => {
     const session = await mongoose.startSession();
+    const { lang = 'ar' } = req.body;
+    const isRtl = lang === 'ar';
     try {
-      session.startTransaction();
       const errors = validationResult(req);
-      const { branch, items, paymentMethod, customerName, customerPhone, notes, lang = 'ar' } = req.body;
-      const isRtl = lang === 'ar';
 
       if (!errors.isEmpty()) {
         console.error(`[${new Date().toISOString()}] إنشاء بيع - أخطاء التحقق:`, errors.array());
-        await session.abortTransaction();
         return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: errors.array() });
       }
 
-      if (req.user.role === 'branch' && (!req.user.branchId || branch !== req.user.branchId.toString())) {
-        console.error(`[${new Date().toISOString()}] إنشاء بيع - غير مخول أو لا يوجد فرع مخصص:`, {
-          userId: req.user.id,
-          branch,
-          userBranchId: req.user.branchId,
-        });
-        await session.abortTransaction();
-        return res.status(403).json({ success: false, message: isRtl ? 'غير مخول أو لا يوجد فرع مخصص' : 'Unauthorized or no branch assigned' });
-      }
-
-      const branchDoc = await Branch.findById(branch).session(session);
-      if (!branchDoc) {
-        await session.abortTransaction();
-        console.error(`[${new Date().toISOString()}] إنشاء بيع - الفرع غير موجود:`, { branch });
-        return res.status(404).json({ success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
+      // المبيعات المتزامنة في نفس الفرع تتعارض على عداد الترقيم، فتُعاد المعاملة بدل رفض البيع
+      const result = await runTransaction(
+        session,
+        () => createSaleInSession({ data: req.body, user: req.user, io: req.io, isRtl, session }),
+        { commitIf: outcome => Boolean(outcome.sale) }
+      );
+      if (!result.sale) {
+        return res.status(result.status).json(result.body);
       }
 
-      for (const item of items) {
-        const product = await Product.findById(item.productId).session(session);
-        if (!product) {
-          await session.abortTransaction();
-          console.error(`[${new Date().toISOString()}] إنشاء بيع - المنتج غير موجود:`, { productId: item.productId });
-          return res.status(404).json({ success: false, message: isRtl ? `المنتج ${item.productId} غير موجود` : `Product ${item.productId} not found` });
-        }
-        const inventory = await Inventory.findOne({ branch, product: item.productId }).session(session);
-        if (!inventory || inventory.currentStock < item.quantity) {
-          await session.abortTransaction();
-          console.error(`[${new Date().toISOString()}] إنشاء بيع - الكمية غير كافية:`, {
-            productId: item.productId,
-            currentStock: inventory?.currentStock,
-            requestedQuantity: item.quantity,
-          });
-          return res.status(400).json({
-            success: false,
-            message: isRtl ? `الكمية غير كافية في المخزون للمنتج ${item.productId}` : `Insufficient stock for product ${item.productId}`,
-            error: 'insufficient_stock',
-          });
-        }
-      }
+      res.status(201).json(result.sale);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] خطأ في إنشاء المبيعة:`, { error: err.message, stack: err.stack });
+      res.status(500).json({ success: false, message: lang === 'ar' ? 'خطأ في السيرفر' : 'Server error', error: err.message });
+    } finally {
+      session.endSession();
+    }
+  }
+);
 
-      const saleCount = await Sale.countDocuments().session(session);
-      const saleNumber = `SALE-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${saleCount + 1}`;
+// نتيجة مزامنة بيع واحد؛ كل بيع في معاملة مستقلة حتى لا يُسقط فشله بقية الدفعة
+const syncOfflineSale = async ({ saleData, errors, branch, user, io, isRtl, allowShortage }) => {
+  const clientId = saleData?.clientId;
+  if (errors) {
+    return {
+      clientId,
+      status: 'failed',
+      error: 'validation_error',
+      message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error',
+      errors,
+    };
+  }
 
-      const newSale = new Sale({
-        saleNumber,
-        branch,
-        items: items.map((item) => ({
-          product: item.productId,
-          quantity: item.quantity,
-          unitPrice: item.unitPrice,
-        })),
-        totalAmount: items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0),
-        status: 'completed',
-        paymentMethod: paymentMethod || 'cash',
-        customerName: customerName?.trim(),
-        customerPhone: customerPhone?.trim(),
-        notes: notes?.trim(),
-        createdBy: req.user.id,
+  const duplicateResult = (existing) => (existing.branch.toString() === branch
+    ? { clientId, status: 'duplicate', saleId: existing._id, saleNumber: existing.saleNumber, stockFlagged: existing.stockFlagged }
+    : {
+        clientId,
+        status: 'failed',
+        error: 'client_id_conflict',
+        message: isRtl ? 'معرف البيع مستخدم في فرع آخر' : 'Client ID is already used by another branch',
       });
 
-      await newSale.save({ session });
-
-      for (const item of items) {
-        const inventory = await Inventory.findOneAndUpdate(
-          { branch, product: item.productId },
-          {
-            $inc: { currentStock: -item.quantity },
-            $push: {
-              movements: {
-                type: 'out',
-                quantity: item.quantity,
-                reference: `بيع #${saleNumber}`,
-                createdBy: req.user.id,
-                createdAt: new Date(),
-              },
-            },
-          },
-          { new: true, session }
-        );
+  const existing = await Sale.findOne({ clientId }).select('saleNumber branch stockFlagged').lean();
+  if (existing) return duplicateResult(existing);
+
+  const createdAt = new Date(saleData.offlineCreatedAt);
+  if (createdAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return {
+      clientId,
+      status: 'failed',
+      error: 'invalid_offline_timestamp',
+      message: isRtl ? 'وقت البيع دون اتصال في المستقبل' : 'Offline sale timestamp is in the future',
+    };
+  }
 
-        const historyEntry = new InventoryHistory({
-          product: item.productId,
-          branch,
-          action: 'sale',
-          quantity: -item.quantity,
-          reference: `بيع #${saleNumber}`,
-          referenceType: 'sale',
-          referenceId: newSale._id,
-          createdBy: req.user.id,
-          notes: notes?.trim(),
-        });
-        await historyEntry.save({ session });
+  const session = await mongoose.startSession();
+  try {
+    const result = await runTransaction(
+      session,
+      () => createSaleInSession({
+        data: { ...saleData, branch },
+        user,
+        io,
+        isRtl,
+        session,
+        offline: { clientId, createdAt, allowShortage },
+      }),
+      { commitIf: outcome => Boolean(outcome.sale) }
+    );
+    if (!result.sale) {
+      return { clientId, status: 'failed', error: result.body.error || 'rejected', message: result.body.message };
+    }
+    return {
+      clientId,
+      status: 'created',
+      saleId: result.sale._id,
+      saleNumber: result.sale.saleNumber,
+      stockFlagged: result.sale.stockFlagged,
+      stockConflicts: result.sale.stockConflicts,
+    };
+  } catch (err) {
+    // رفع متزامن لنفس البيع من جهازين
+    if (err.code === 11000 && err.keyPattern?.clientId) {
+      const duplicate = await Sale.findOne({ clientId }).select('saleNumber branch stockFlagged').lean();
+      if (duplicate) return duplicateResult(duplicate);
+    }
+    console.error(`[${new Date().toISOString()}] مزامنة بيع - خطأ:`, { clientId, error: err.message, stack: err.stack });
+    return { clientId, status: 'failed', error: 'server_error', message: isRtl ? 'خطأ في السيرفر' : 'Server error' };
+  } finally {
+    session.endSession();
+  }
+};
 
-        req.io?.emit('inventoryUpdated', {
-          branchId: branch,
-          productId: item.productId,
-          quantity: inventory.currentStock,
-          type: 'sale',
-        });
+// Sync sales recorded offline at the POS
+router.post(
+  '/sync',
+  [
+    auth,
+    authorize('branch', 'admin'),
+    body('branch').isMongoId().withMessage('معرف الفرع غير صالح'),
+    body('sales').isArray({ min: 1, max: MAX_SYNC_BATCH }).withMessage(`يجب أن تحتوي الدفعة على 1 إلى ${MAX_SYNC_BATCH} مبيعة`),
+    body('sales.*.clientId').isUUID().withMessage('معرف البيع في نقطة البيع يجب أن يكون UUID'),
+    body('sales.*.offlineCreatedAt').isISO8601().withMessage('وقت البيع دون اتصال غير صالح'),
+    body('sales.*.items').isArray({ min: 1 }).withMessage('يجب أن تحتوي العناصر على عنصر واحد على الأقل'),
+    body('sales.*.items.*.productId').isMongoId().withMessage('معرف المنتج غير صالح'),
+    body('sales.*.items.*.quantity').isInt({ min: 1 }).withMessage('الكمية يجب أن تكون عددًا صحيحًا إيجابيًا').toInt(),
+    body('sales.*.items.*.unitPrice').isFloat({ min: 0 }).withMessage('السعر يجب أن يكون رقمًا غير سالب').toFloat(),
+    body('sales.*.pricesIncludeTax').optional().isBoolean().withMessage('نوع التسعير الضريبي غير صالح').toBoolean(),
+    body('sales.*.paymentMethod').optional().isIn(TENDER_TYPES).withMessage('طريقة الدفع غير صالحة'),
+    body('sales.*.payments').optional().isArray({ min: 1 }).withMessage('يجب أن تحتوي الدفعات على دفعة واحدة على الأقل'),
+    body('sales.*.payments.*.tender').optional().isIn(TENDER_TYPES).withMessage('وسيلة الدفع غير صالحة'),
+    body('sales.*.payments.*.amount').optional().isFloat({ gt: 0 }).withMessage('مبلغ الدفع يجب أن يكون أكبر من صفر'),
+    body('sales.*.payments.*.reference').optional().isString().trim(),
+    body('sales.*.customer').optional().isMongoId().withMessage('معرف العميل غير صالح'),
+  ],
+  async (req, res) => {
+    const { branch, sales, lang = 'ar' } = req.body;
+    const isRtl = lang === 'ar';
+    try {
+      // أخطاء مبيعة بعينها تُرجع في نتيجتها، وأخطاء الدفعة نفسها ترفض الطلب كله
+      const saleErrors = {};
+      const batchErrors = [];
+      validationResult(req).array().forEach((error) => {
+        const match = /^sales\[(\d+)\]/.exec(error.path || '');
+        if (match) {
+          (saleErrors[match[1]] = saleErrors[match[1]] || []).push(error);
+        } else {
+          batchErrors.push(error);
+        }
+      });
+      if (batchErrors.length) {
+        console.error(`[${new Date().toISOString()}] مزامنة المبيعات - أخطاء التحقق:`, batchErrors);
+        return res.status(400).json({ success: false, message: isRtl ? 'خطأ في التحقق من البيانات' : 'Validation error', errors: batchErrors });
       }
 
-      const populatedSale = await Sale.findById(newSale._id)
-        .populate('branch', 'name nameEn')
-        .populate({
-          path: 'items.product',
-          select: 'name nameEn unit unitEn department price',
-          populate: { path: 'department', select: 'name nameEn' },
-        })
-        .populate('createdBy', 'username')
-        .session(session)
-        .lean();
-
-      populatedSale.branch.displayName = isRtl ? populatedSale.branch.name : (populatedSale.branch.nameEn || populatedSale.branch.name || 'Unknown');
-      populatedSale.items = populatedSale.items.map((item) => ({
-        ...item,
-        productName: item.product?.name || 'منتج محذوف',
-        productNameEn: item.product?.nameEn || null,
-        displayName: isRtl ? (item.product?.name || 'منتج محذوف') : (item.product?.nameEn || item.product?.name || 'Deleted Product'),
-        displayUnit: isRtl ? (item.product?.unit || 'غير محدد') : (item.product?.unitEn || item.product?.unit || 'N/A'),
-        department: item.product?.department
-          ? {
-              ...item.product.department,
-              displayName: isRtl ? item.product.department.name : (item.product.department.nameEn || item.product.department.name || 'Unknown'),
-            }
-          : undefined,
-      }));
+      if (req.user.role === 'branch' && (!req.user.branchId || branch !== req.user.branchId.toString())) {
+        return res.status(403).json({ success: false, message: isRtl ? 'غير مخول أو لا يوجد فرع مخصص' : 'Unauthorized or no branch assigned' });
+      }
 
-      req.io?.emit('saleCreated', {
-        saleId: newSale._id,
-        branchId: branch,
-        saleNumber,
-        items,
-        totalAmount: newSale.totalAmount,
-        createdAt: newSale.createdAt.toISOString(),
-      });
+      const branchDoc = await Branch.findById(branch).select('offlineSync').lean();
+      if (!branchDoc) {
+        return res.status(404).json({ success: false, message: isRtl ? 'الفرع غير موجود' : 'Branch not found' });
+      }
+      const negativeStockPolicy = branchDoc.offlineSync?.negativeStockPolicy || OFFLINE_NEGATIVE_STOCK_POLICY;
+
+      // الترتيب محفوظ حتى تُطبق المبيعات بتسلسل حدوثها في نقطة البيع
+      const results = [];
+      for (const [index, saleData] of sales.entries()) {
+        results.push(await syncOfflineSale({
+          saleData,
+          errors: saleErrors[index],
+          branch,
+          user: req.user,
+          io: req.io,
+          isRtl,
+          allowShortage: negativeStockPolicy === 'allow_flagged',
+        }));
+      }
 
-      console.log(`[${new Date().toISOString()}] إنشاء بيع - تم بنجاح:`, {
-        saleId: newSale._id,
-        branchId: branch,
-        itemsCount: items.length,
-      });
+      const summary = {
+        total: results.length,
+        created: results.filter(result => result.status === 'created').length,
+        duplicate: results.filter(result => result.status === 'duplicate').length,
+        failed: results.filter(result => result.status === 'failed').length,
+        flagged: results.filter(result => result.status === 'created' && result.stockFlagged).length,
+      };
+      console.log(`[${new Date().toISOString()}] مزامنة المبيعات - تمت:`, { branch, userId: req.user.id, ...summary });
 
-      await session.commitTransaction();
-      res.status(201).json(populatedSale);
+      res.status(200).json({ success: true, data: { negativeStockPolicy, summary, results } });
     } catch (err) {
-      await session.abortTransaction();
-      console.error(`[${new Date().toISOString()}] خطأ في إنشاء المبيعة:`, { error: err.message, stack: err.stack });
-      res.status(500).json({ success: false, message: lang === 'ar' ? 'خطأ في السيرفر' : 'Server error', error: err.message });
-    } finally {
-      session.endSession();
+      console.error(`[${new Date().toISOString()}] خطأ في مزامنة المبيعات:`, { error: err.message, stack: err.stack });
+      res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error', error: err.message });
     }
   }
 );
@@ -203,7 +601,12 @@ router.put(
     body('items.*.productId').optional().isMongoId().withMessage('معرف المنتج غير صالح'),
     body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('الكمية يجب أن تكون عددًا صحيحًا إيجابيًا'),
     body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('السعر يجب أن يكون رقمًا غير سالب'),
-    body('paymentMethod').optional().isIn(['cash', 'credit_card', 'bank_transfer']).withMessage('طريقة الدفع غير صالحة'),
+    body('paymentMethod').optional().isIn(TENDER_TYPES).withMessage('طريقة الدفع غير صالحة'),
+    body('payments').optional().isArray({ min: 1 }).withMessage('يجب أن تحتوي الدفعات على دفعة واحدة على الأقل'),
+    body('payments.*.tender').optional().isIn(TENDER_TYPES).withMessage('وسيلة الدفع غير صالحة'),
+    body('payments.*.amount').optional().isFloat({ gt: 0 }).withMessage('مبلغ الدفع يجب أن يكون أكبر من صفر'),
+    body('payments.*.reference').optional().isString().trim(),
+    body('customer').optional({ nullable: true }).isMongoId().withMessage('معرف العميل غير صالح'),
     body('customerName').optional().isString().trim(),
     body('customerPhone').optional().isString().trim(),
     body('notes').optional().isString().trim(),
@@ -214,7 +617,7 @@ router.put(
       session.startTransaction();
       const errors = validationResult(req);
       const { id } = req.params;
-      const { items, paymentMethod, customerName, customerPhone, notes, lang = 'ar' } = req.body;
+      const { items, paymentMethod, payments, customer, customerName, customerPhone, notes, lang = 'ar' } = req.body;
       const isRtl = lang === 'ar';
 
       if (!errors.isEmpty()) {
@@ -239,15 +642,26 @@ router.put(
         return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لك بالوصول' : 'Unauthorized access' });
       }
 
+      // البيع المرتبط بإشعارات استرداد لا يُعدل
+      if (await SaleRefund.exists({ sale: sale._id }).session(session)) {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن تعديل بيع صدر له استرداد' : 'Cannot modify a sale that has refunds', error: 'sale_has_refunds' });
+      }
+
+      // يُستعاد ما خُصم فعلًا فقط إلى دفعاته الأصلية؛ البيع الناقص المرفوع دون اتصال خُصم منه المتاح وقتها
       for (const item of sale.items) {
+        const restoredQuantity = item.deductedQuantity ?? item.quantity;
+        if (restoredQuantity <= 0) continue;
+        const restoredLots = await findSaleLotsToRestore({ sale, product: item.product, quantity: restoredQuantity, session });
+        await restoreBranchLots({ branch: sale.branch, product: item.product, allocations: restoredLots, session });
         const inventory = await Inventory.findOneAndUpdate(
           { branch: sale.branch, product: item.product },
           {
-            $inc: { currentStock: item.quantity },
+            $inc: { currentStock: restoredQuantity },
             $push: {
               movements: {
                 type: 'in',
-                quantity: item.quantity,
+                quantity: restoredQuantity,
                 reference: `تحديث بيع #${sale.saleNumber} (استعادة)`,
                 createdBy: req.user.id,
                 createdAt: new Date(),
@@ -261,11 +675,12 @@ router.put(
           product: item.product,
           branch: sale.branch,
           action: 'sale_update_restore',
-          quantity: item.quantity,
+          quantity: restoredQuantity,
           reference: `تحديث بيع #${sale.saleNumber}`,
           referenceType: 'sale',
           referenceId: sale._id,
           createdBy: req.user.id,
+          lots: restoredLots,
         });
         await historyEntry.save({ session });
 
@@ -277,20 +692,32 @@ router.put(
         });
       }
 
-      if (paymentMethod) sale.paymentMethod = paymentMethod;
       if (customerName !== undefined) sale.customerName = customerName?.trim();
       if (customerPhone !== undefined) sale.customerPhone = customerPhone?.trim();
       if (notes !== undefined) sale.notes = notes?.trim();
 
       if (items) {
+        const taxCategories = {};
+        const requestedStock = {};
         for (const item of items) {
           const product = await Product.findById(item.productId).session(session);
           if (!product) {
             await session.abortTransaction();
             return res.status(404).json({ success: false, message: isRtl ? `المنتج ${item.productId} غير موجود` : `Product ${item.productId} not found` });
           }
+          taxCategories[item.productId] = product.taxCategory;
+          requestedStock[item.productId] = (requestedStock[item.productId] || 0) + item.quantity;
+          const blockingRecall = await findBlockingRecall({ branch: sale.branch, product: item.productId, quantity: requestedStock[item.productId], session });
+          if (blockingRecall) {
+            await session.abortTransaction();
+            return res.status(422).json({
+              success: false,
+              message: isRtl ? `بيع المنتج ${item.productId} موقوف بسبب الاسترجاع ${blockingRecall.recallNumber}` : `Sales of product ${item.productId} are blocked by recall ${blockingRecall.recallNumber}`,
+              error: 'product_recalled',
+            });
+          }
           const inventory = await Inventory.findOne({ branch: sale.branch, product: item.productId }).session(session);
-          if (!inventory || inventory.currentStock < item.quantity) {
+          if (!inventory || inventory.currentStock < requestedStock[item.productId]) {
             await session.abortTransaction();
             return res.status(400).json({
               success: false,
@@ -299,12 +726,33 @@ router.put(
           }
         }
 
-        sale.items = items.map((item) => ({
-          product: item.productId,
-          quantity: item.quantity,
-          unitPrice: item.unitPrice,
-        }));
-        sale.totalAmount = items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+        // يبقى نوع التسعير ووقت الإصدار كما في البيع الأصلي، وتُطبق العروض السارية وقت إصداره
+        const priced = applyPromotions(
+          items.map((item) => ({
+            product: item.productId,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            taxCategory: taxCategories[item.productId],
+          })),
+          await findActivePromotions({ branch: sale.branch, at: sale.createdAt, session })
+        );
+        const taxed = applyTax(priced.items, { pricesIncludeTax: sale.pricesIncludeTax ?? true });
+        // الأسطر الجديدة تُخصم كاملة بعد التحقق من توفرها، فيزول تعليم النقص
+        sale.items = taxed.items.map(item => ({ ...item, deductedQuantity: item.quantity }));
+        sale.stockConflicts = [];
+        sale.stockFlagged = false;
+        sale.discounts = priced.discounts;
+        sale.discountTotal = priced.discountTotal;
+        sale.subtotal = taxed.subtotal;
+        sale.taxAmount = taxed.taxAmount;
+        sale.totalAmount = taxed.totalAmount;
+        const branchDoc = await Branch.findById(sale.branch).select('name receipt').session(session);
+        sale.zatcaQr = buildZatcaQr({
+          ...resolveSeller(branchDoc),
+          timestamp: sale.createdAt,
+          totalAmount: taxed.totalAmount,
+          taxAmount: taxed.taxAmount,
+        });
 
         for (const item of items) {
           const inventory = await Inventory.findOneAndUpdate(
@@ -323,6 +771,7 @@ router.put(
             },
             { new: true, session }
           );
+          const consumedLots = await consumeBranchLots({ branch: sale.branch, product: item.productId, quantity: item.quantity, session });
 
           const historyEntry = new InventoryHistory({
             product: item.productId,
@@ -333,6 +782,7 @@ router.put(
             referenceType: 'sale',
             referenceId: sale._id,
             createdBy: req.user.id,
+            lots: consumedLots,
           });
           await historyEntry.save({ session });
 
@@ -345,6 +795,60 @@ router.put(
         }
       }
 
+      // يُعكس القيد الآجل ونقاط الولاء السابقة ثم يُعاد قيدها بعد التعديل
+      const accountChanged = Boolean(items || payments || paymentMethod || customer !== undefined);
+      if (accountChanged) {
+        await reverseCustomerSale({ sale, userId: req.user.id, session });
+        await reverseSaleLoyalty({ sale, userId: req.user.id, session });
+      }
+
+      // إعادة التحقق من تغطية الدفعات عند تغير الإجمالي أو وسيلة الدفع
+      if (items || payments || paymentMethod) {
+        try {
+          const paymentDetails = normalizeSalePayments({
+            payments: payments ?? (paymentMethod ? undefined : sale.payments.map(payment => payment.toObject())),
+            paymentMethod: paymentMethod || sale.paymentMethod,
+            totalAmount: sale.totalAmount,
+            isRtl,
+          });
+          sale.paymentMethod = paymentDetails.paymentMethod;
+          sale.payments = paymentDetails.payments;
+        } catch (paymentError) {
+          await session.abortTransaction();
+          return res.status(400).json({ success: false, message: paymentError.message, error: 'invalid_payment' });
+        }
+      }
+
+      if (customer !== undefined) {
+        const customerDoc = customer ? await Customer.findById(customer).session(session) : null;
+        if (customer && (!customerDoc || !isCustomerInScope(customerDoc, sale.branch))) {
+          await session.abortTransaction();
+          return res.status(404).json({ success: false, message: isRtl ? 'العميل غير موجود' : 'Customer not found', error: 'customer_not_found' });
+        }
+        sale.customer = customerDoc?._id;
+        if (customerDoc && customerName === undefined) sale.customerName = customerDoc.name;
+        if (customerDoc && customerPhone === undefined) sale.customerPhone = customerDoc.phone;
+      }
+
+      const creditAmount = getSaleCreditAmount(sale);
+      const pointsAmount = getSalePointsAmount(sale);
+      if (accountChanged && (creditAmount > 0 || pointsAmount > 0) && !sale.customer) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: isRtl ? 'الدفع الآجل أو بالنقاط يتطلب عميلًا مسجلًا في الفرع' : 'Credit and points tenders require a customer registered for this branch',
+          error: 'customer_required',
+        });
+      }
+      if (accountChanged && creditAmount > 0 && !(await chargeCustomerSale({ customer: sale.customer, sale, amount: creditAmount, userId: req.user.id, session }))) {
+        await session.abortTransaction();
+        return res.status(400).json(creditLimitError(await Customer.findById(sale.customer).session(session).lean(), creditAmount, isRtl));
+      }
+      if (accountChanged && sale.customer && !(await postSaleLoyalty({ sale, userId: req.user.id, session }))) {
+        await session.abortTransaction();
+        return res.status(400).json(insufficientPointsError(await Customer.findById(sale.customer).session(session).lean(), pointsAmount, isRtl));
+      }
+
       await sale.save({ session });
 
       const populatedSale = await Sale.findById(id)
@@ -397,10 +901,12 @@ router.get(
   '/',
   [auth, authorize('branch', 'admin')],
   async (req, res) => {
-    const { branch, startDate, endDate, page = 1, limit = 20, sort = '-createdAt', lang = 'ar' } = req.query;
+    const { branch, startDate, endDate, stockFlagged, page = 1, limit = 20, sort = '-createdAt', lang = 'ar' } = req.query;
     const isRtl = lang === 'ar';
     try {
       const query = {};
+      // مبيعات المزامنة التي تجاوزت المخزون المتاح وتحتاج مراجعة
+      if (stockFlagged === 'true') query.stockFlagged = true;
 
       if (branch && isValidObjectId(branch)) {
         query.branch = branch;
@@ -525,6 +1031,9 @@ router.get(
           $group: {
             _id: null,
             totalSales: { $sum: '$totalAmount' },
+            netSales: { $sum: SALE_NET_AMOUNT },
+            totalTax: { $sum: { $ifNull: ['$taxAmount', 0] } },
+            totalDiscount: { $sum: { $ifNull: ['$discountTotal', 0] } },
             totalCount: { $sum: 1 },
             averageOrderValue: { $avg: '$totalAmount' },
           },
@@ -537,6 +1046,8 @@ router.get(
           $group: {
             _id: '$branch',
             totalSales: { $sum: '$totalAmount' },
+            netSales: { $sum: SALE_NET_AMOUNT },
+            totalTax: { $sum: { $ifNull: ['$taxAmount', 0] } },
             saleCount: { $sum: 1 },
             averageOrderValue: { $avg: '$totalAmount' },
           },
@@ -557,6 +1068,8 @@ router.get(
             branchNameEn: '$branch.nameEn',
             displayName: isRtl ? '$branch.name' : { $ifNull: ['$branch.nameEn', '$branch.name', 'Unknown'] },
             totalSales: 1,
+            netSales: 1,
+            totalTax: 1,
             saleCount: 1,
             averageOrderValue: { $round: ['$averageOrderValue', 2] },
           },
@@ -571,6 +1084,8 @@ router.get(
           $group: {
             _id: '$branch',
             totalSales: { $sum: '$totalAmount' },
+            netSales: { $sum: SALE_NET_AMOUNT },
+            totalTax: { $sum: { $ifNull: ['$taxAmount', 0] } },
             saleCount: { $sum: 1 },
             averageOrderValue: { $avg: '$totalAmount' },
           },
@@ -591,6 +1106,8 @@ router.get(
             branchNameEn: '$branch.nameEn',
             displayName: isRtl ? '$branch.name' : { $ifNull: ['$branch.nameEn', '$branch.name', 'Unknown'] },
             totalSales: 1,
+            netSales: 1,
+            totalTax: 1,
             saleCount: 1,
             averageOrderValue: { $round: ['$averageOrderValue', 2] },
           },
@@ -606,7 +1123,8 @@ router.get(
           $group: {
             _id: '$items.product',
             totalQuantity: { $sum: '$items.quantity' },
-            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.unitPrice'] } },
+            totalRevenue: { $sum: ITEM_GROSS_AMOUNT },
+            netRevenue: { $sum: ITEM_NET_AMOUNT },
           },
         },
         {
@@ -627,6 +1145,7 @@ router.get(
             displayName: isRtl ? { $ifNull: ['$product.name', 'منتج محذوف'] } : { $ifNull: ['$product.nameEn', '$product.name', 'Deleted Product'] },
             totalQuantity: 1,
             totalRevenue: 1,
+            netRevenue: 1,
           },
         },
         { $sort: { totalQuantity: -1 } },
@@ -640,7 +1159,8 @@ router.get(
           $group: {
             _id: '$items.product',
             totalQuantity: { $sum: '$items.quantity' },
-            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.unitPrice'] } },
+            totalRevenue: { $sum: ITEM_GROSS_AMOUNT },
+            netRevenue: { $sum: ITEM_NET_AMOUNT },
           },
         },
         {
@@ -661,6 +1181,7 @@ router.get(
             displayName: isRtl ? { $ifNull: ['$product.name', 'منتج محذوف'] } : { $ifNull: ['$product.nameEn', '$product.name', 'Deleted Product'] },
             totalQuantity: 1,
             totalRevenue: 1,
+            netRevenue: 1,
           },
         },
         { $sort: { totalQuantity: 1 } },
@@ -683,7 +1204,8 @@ router.get(
         {
           $group: {
             _id: '$product.department',
-            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.unitPrice'] } },
+            totalRevenue: { $sum: ITEM_GROSS_AMOUNT },
+            netRevenue: { $sum: ITEM_NET_AMOUNT },
             totalQuantity: { $sum: '$items.quantity' },
           },
         },
@@ -704,6 +1226,7 @@ router.get(
             departmentNameEn: '$department.nameEn',
             displayName: isRtl ? { $ifNull: ['$department.name', 'غير معروف'] } : { $ifNull: ['$department.nameEn', '$department.name', 'Unknown'] },
             totalRevenue: 1,
+            netRevenue: 1,
             totalQuantity: 1,
           },
         },
@@ -727,7 +1250,8 @@ router.get(
         {
           $group: {
             _id: '$product.department',
-            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.unitPrice'] } },
+            totalRevenue: { $sum: ITEM_GROSS_AMOUNT },
+            netRevenue: { $sum: ITEM_NET_AMOUNT },
             totalQuantity: { $sum: '$items.quantity' },
           },
         },
@@ -748,6 +1272,7 @@ router.get(
             departmentNameEn: '$department.nameEn',
             displayName: isRtl ? { $ifNull: ['$department.name', 'غير معروف'] } : { $ifNull: ['$department.nameEn', '$department.name', 'Unknown'] },
             totalRevenue: 1,
+            netRevenue: 1,
             totalQuantity: 1,
           },
         },
@@ -767,6 +1292,8 @@ router.get(
               },
             },
             totalSales: { $sum: '$totalAmount' },
+            netSales: { $sum: SALE_NET_AMOUNT },
+            totalTax: { $sum: { $ifNull: ['$taxAmount', 0] } },
             saleCount: { $sum: 1 },
           },
         },
@@ -774,6 +1301,8 @@ router.get(
           $project: {
             period: '$_id',
             totalSales: 1,
+            netSales: 1,
+            totalTax: 1,
             saleCount: 1,
             _id: 0,
           },
@@ -835,6 +1364,71 @@ router.get(
         },
       ]).catch(() => []);
 
+      // خصومات العروض حسب العرض
+      const promotionSales = await Sale.aggregate([
+        { $match: { ...query, 'discounts.0': { $exists: true } } },
+        { $unwind: '$discounts' },
+        {
+          $group: {
+            _id: '$discounts.promotion',
+            name: { $first: '$discounts.name' },
+            nameEn: { $first: '$discounts.nameEn' },
+            type: { $first: '$discounts.type' },
+            totalDiscount: { $sum: '$discounts.amount' },
+            saleIds: { $addToSet: '$_id' },
+          },
+        },
+        {
+          $project: {
+            promotionId: '$_id',
+            name: 1,
+            nameEn: 1,
+            type: 1,
+            totalDiscount: { $round: ['$totalDiscount', 2] },
+            saleCount: { $size: '$saleIds' },
+            _id: 0,
+          },
+        },
+        { $sort: { totalDiscount: -1 } },
+      ]).catch(() => []);
+
+      // الإيرادات حسب وسيلة الدفع بعد خصم الباقي؛ المبيعات السابقة للدفع المتعدد تُحسب بطريقة دفعها
+      const tenderSales = await Sale.aggregate([
+        { $match: query },
+        {
+          $project: {
+            payments: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+                '$payments',
+                [{ tender: '$paymentMethod', amount: '$totalAmount', changeGiven: 0 }],
+              ],
+            },
+          },
+        },
+        { $unwind: '$payments' },
+        {
+          $group: {
+            _id: '$payments.tender',
+            totalAmount: { $sum: { $subtract: ['$payments.amount', { $ifNull: ['$payments.changeGiven', 0] }] } },
+            paymentCount: { $sum: 1 },
+            saleIds: { $addToSet: '$_id' },
+          },
+        },
+        {
+          $project: {
+            tender: '$_id',
+            totalAmount: { $round: ['$totalAmount', 2] },
+            paymentCount: 1,
+            saleCount: { $size: '$saleIds' },
+            _id: 0,
+          },
+        },
+        { $sort: { totalAmount: -1 } },
+      ]).catch(() => []);
+
+      const refundNetted = await netSaleRefunds({ query, totals: totalSales[0], trends: salesTrends || [], dateFormat });
+
       const topProduct = productSales.length > 0
         ? productSales[0]
         : { productId: null, productName: isRtl ? 'غير معروف' : 'Unknown', displayName: isRtl ? 'غير معروف' : 'Unknown', totalQuantity: 0, totalRevenue: 0 };
@@ -847,14 +1441,27 @@ router.get(
         leastProductSales: leastProductSales || [],
         departmentSales: departmentSales || [],
         leastDepartmentSales: leastDepartmentSales || [],
-        totalSales: totalSales[0]?.totalSales || 0,
+        totalSales: refundNetted.totals.totalSales,
+        netSales: refundNetted.totals.netSales,
+        totalTax: refundNetted.totals.totalTax,
+        refundTotal: refundNetted.totals.refundTotal,
+        refundCount: refundNetted.totals.refundCount,
+        totalDiscount: totalSales[0]?.totalDiscount || 0,
         totalCount: totalSales[0]?.totalCount || 0,
         averageOrderValue: totalSales[0]?.averageOrderValue ? totalSales[0].averageOrderValue.toFixed(2) : '0.00',
         returnRate: totalSales[0]?.totalCount ? ((returnStats.reduce((sum, stat) => sum + stat.count, 0) / totalSales[0].totalCount) * 100).toFixed(2) : '0.00',
         topProduct,
-        salesTrends: salesTrends || [],
+        salesTrends: refundNetted.trends,
         topCustomers: topCustomers || [],
         returnStats: returnStats || [],
+        tenderSales: tenderSales.map(entry => ({
+          ...entry,
+          displayName: TENDER_LABELS[entry.tender]?.[isRtl ? 'ar' : 'en'] || entry.tender,
+        })),
+        promotionSales: promotionSales.map(entry => ({
+          ...entry,
+          displayName: isRtl ? entry.name : entry.nameEn || entry.name,
+        })),
       };
 
       res.json(response);
@@ -914,7 +1521,8 @@ router.get(
 
       // Check for sales
       const saleCount = await Sale.countDocuments(query).catch(() => 0);
-      if (saleCount === 0) {
+      const refundCount = saleCount ? 0 : await SaleRefund.countDocuments(query).catch(() => 0);
+      if (saleCount === 0 && refundCount === 0) {
         console.warn(`[${new Date().toISOString()}] Branch analytics - No sales found:`, { branchId: req.user.branchId });
         return res.json({
           success: true,
@@ -947,6 +1555,8 @@ router.get(
           $group: {
             _id: null,
             totalSales: { $sum: '$totalAmount' },
+            netSales: { $sum: SALE_NET_AMOUNT },
+            totalTax: { $sum: { $ifNull: ['$taxAmount', 0] } },
             totalCount: { $sum: 1 },
             averageOrderValue: { $avg: '$totalAmount' },
           },
@@ -960,7 +1570,8 @@ router.get(
           $group: {
             _id: '$items.product',
             totalQuantity: { $sum: '$items.quantity' },
-            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.unitPrice'] } },
+            totalRevenue: { $sum: ITEM_GROSS_AMOUNT },
+            netRevenue: { $sum: ITEM_NET_AMOUNT },
           },
         },
         {
@@ -981,6 +1592,7 @@ router.get(
             displayName: isRtl ? { $ifNull: ['$product.name', 'منتج محذوف'] } : { $ifNull: ['$product.nameEn', '$product.name', 'Deleted Product'] },
             totalQuantity: 1,
             totalRevenue: 1,
+            netRevenue: 1,
           },
         },
         { $sort: { totalQuantity: -1 } },
@@ -994,7 +1606,8 @@ router.get(
           $group: {
             _id: '$items.product',
             totalQuantity: { $sum: '$items.quantity' },
-            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.unitPrice'] } },
+            totalRevenue: { $sum: ITEM_GROSS_AMOUNT },
+            netRevenue: { $sum: ITEM_NET_AMOUNT },
           },
         },
         {
@@ -1015,6 +1628,7 @@ router.get(
             displayName: isRtl ? { $ifNull: ['$product.name', 'منتج محذوف'] } : { $ifNull: ['$product.nameEn', '$product.name', 'Deleted Product'] },
             totalQuantity: 1,
             totalRevenue: 1,
+            netRevenue: 1,
           },
         },
         { $sort: { totalQuantity: 1 } },
@@ -1037,7 +1651,8 @@ router.get(
         {
           $group: {
             _id: '$product.department',
-            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.unitPrice'] } },
+            totalRevenue: { $sum: ITEM_GROSS_AMOUNT },
+            netRevenue: { $sum: ITEM_NET_AMOUNT },
             totalQuantity: { $sum: '$items.quantity' },
           },
         },
@@ -1058,6 +1673,7 @@ router.get(
             departmentNameEn: '$department.nameEn',
             displayName: isRtl ? { $ifNull: ['$department.name', 'غير معروف'] } : { $ifNull: ['$department.nameEn', '$department.name', 'Unknown'] },
             totalRevenue: 1,
+            netRevenue: 1,
             totalQuantity: 1,
           },
         },
@@ -1081,7 +1697,8 @@ router.get(
         {
           $group: {
             _id: '$product.department',
-            totalRevenue: { $sum: { $multiply: ['$items.quantity', '$items.unitPrice'] } },
+            totalRevenue: { $sum: ITEM_GROSS_AMOUNT },
+            netRevenue: { $sum: ITEM_NET_AMOUNT },
             totalQuantity: { $sum: '$items.quantity' },
           },
         },
@@ -1102,6 +1719,7 @@ router.get(
             departmentNameEn: '$department.nameEn',
             displayName: isRtl ? { $ifNull: ['$department.name', 'غير معروف'] } : { $ifNull: ['$department.nameEn', '$department.name', 'Unknown'] },
             totalRevenue: 1,
+            netRevenue: 1,
             totalQuantity: 1,
           },
         },
@@ -1121,6 +1739,8 @@ router.get(
               },
             },
             totalSales: { $sum: '$totalAmount' },
+            netSales: { $sum: SALE_NET_AMOUNT },
+            totalTax: { $sum: { $ifNull: ['$taxAmount', 0] } },
             saleCount: { $sum: 1 },
           },
         },
@@ -1128,6 +1748,8 @@ router.get(
           $project: {
             period: '$_id',
             totalSales: 1,
+            netSales: 1,
+            totalTax: 1,
             saleCount: 1,
             _id: 0,
           },
@@ -1189,6 +1811,8 @@ router.get(
         },
       ]).catch(() => []);
 
+      const refundNetted = await netSaleRefunds({ query, totals: totalSales[0], trends: salesTrends, dateFormat });
+
       const topProduct = productSales.length > 0
         ? productSales[0]
         : {
@@ -1202,7 +1826,11 @@ router.get(
 
       const response = {
         success: true,
-        totalSales: totalSales[0]?.totalSales || 0,
+        totalSales: refundNetted.totals.totalSales,
+        netSales: refundNetted.totals.netSales,
+        totalTax: refundNetted.totals.totalTax,
+        refundTotal: refundNetted.totals.refundTotal,
+        refundCount: refundNetted.totals.refundCount,
         totalCount: totalSales[0]?.totalCount || 0,
         averageOrderValue: totalSales[0]?.averageOrderValue ? totalSales[0].averageOrderValue.toFixed(2) : '0.00',
         returnRate: totalSales[0]?.totalCount ? ((returnStats.reduce((sum, stat) => sum + stat.count, 0) / totalSales[0].totalCount) * 100).toFixed(2) : '0.00',
@@ -1211,7 +1839,7 @@ router.get(
         leastProductSales,
         departmentSales,
         leastDepartmentSales,
-        salesTrends,
+        salesTrends: refundNetted.trends,
         topCustomers,
         returnStats,
       };
@@ -1232,6 +1860,38 @@ router.get(
   }
 );
 
+// Get sale PDF
+router.get('/:id/pdf', [auth, authorize('branch', 'admin')], getSalePdf);
+
+// استرداد أو استبدال أصناف من البيع بإشعار دائن
+router.post(
+  '/:id/refunds',
+  [
+    auth,
+    authorize('branch', 'admin'),
+    body('items').isArray({ min: 1 }).withMessage('يجب أن تحتوي العناصر المرتجعة على عنصر واحد على الأقل'),
+    body('items.*.productId').isMongoId().withMessage('معرف المنتج غير صالح'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('الكمية يجب أن تكون عددًا صحيحًا إيجابيًا'),
+    body('items.*.condition').optional().isIn(['resellable', 'damaged']).withMessage('حالة الصنف المرتجع غير صالحة'),
+    body('exchangeItems').optional().isArray().withMessage('الأصناف البديلة يجب أن تكون مصفوفة'),
+    body('exchangeItems.*.productId').isMongoId().withMessage('معرف المنتج غير صالح'),
+    body('exchangeItems.*.quantity').isInt({ min: 1 }).withMessage('الكمية يجب أن تكون عددًا صحيحًا إيجابيًا'),
+    body('exchangeItems.*.unitPrice').isFloat({ min: 0 }).withMessage('السعر يجب أن يكون رقمًا غير سالب'),
+    body('refundMethod').optional().isIn(['cash', 'card', 'credit']).withMessage('طريقة الرد غير صالحة'),
+    body('payments').optional().isArray({ min: 1 }).withMessage('يجب أن تحتوي الدفعات على دفعة واحدة على الأقل'),
+    body('payments.*.tender').optional().isIn(['cash', 'card']).withMessage('وسيلة الدفع غير صالحة'),
+    body('payments.*.amount').optional().isFloat({ gt: 0 }).withMessage('مبلغ الدفع يجب أن يكون أكبر من صفر'),
+    body('payments.*.reference').optional().isString().trim(),
+    body('reason').optional().isString().trim(),
+    body('notes').optional().isString().trim(),
+  ],
+  createSaleRefund
+);
+router.get('/:id/refunds', [auth, authorize('branch', 'admin')], getSaleRefunds);
+
+// Print thermal receipt (text, escpos or json)
+router.post('/:id/receipt', [auth, authorize('branch', 'admin')], printSaleReceipt);
+
 // Get sale by ID
 router.get(
   '/:id',
@@ -1359,16 +2019,51 @@ router.delete(
         return res.status(403).json({ success: false, message: isRtl ? 'غير مصرح لك بالوصول' : 'Unauthorized access' });
       }
 
-      // Restore inventory
+      if (await SaleRefund.exists({ sale: sale._id }).session(session)) {
+        await session.abortTransaction();
+        return res.status(400).json({ success: false, message: isRtl ? 'لا يمكن حذف بيع صدر له استرداد' : 'Cannot delete a sale that has refunds', error: 'sale_has_refunds' });
+      }
+
+      // بيع من وردية مغلقة يُرد مبلغه من صندوق الوردية المفتوحة؛ أما بيع الوردية الحالية فيُلغى من إجمالياتها
+      if (sale.shift) {
+        const saleShift = await CashShift.findById(sale.shift).select('status').session(session);
+        if (saleShift?.status === 'closed') {
+          const refundShift = await recordShiftRefund({
+            branch: sale.branch,
+            sale: sale._id,
+            reference: sale.saleNumber,
+            // الآجل والنقاط تُعكس على حساب العميل ولا تخرج من الصندوق
+            refunds: getSalePayments(sale)
+              .filter(payment => !ACCOUNT_TENDERS.includes(payment.tender))
+              .map(payment => ({ tender: payment.tender, amount: payment.amount - (payment.changeGiven || 0) })),
+            userId: req.user.id,
+            session,
+          });
+          if (!refundShift && await isShiftRequired({ branch: sale.branch, session })) {
+            await session.abortTransaction();
+            return res.status(400).json({
+              success: false,
+              message: isRtl ? 'لا توجد وردية مفتوحة لرد مبلغ البيع' : 'No open shift to refund the sale from',
+              error: 'no_open_shift',
+            });
+          }
+        }
+      }
+
+      // Restore inventory (only what was actually deducted) to the lots it left
       for (const item of sale.items) {
+        const restoredQuantity = item.deductedQuantity ?? item.quantity;
+        if (restoredQuantity <= 0) continue;
+        const restoredLots = await findSaleLotsToRestore({ sale, product: item.product, quantity: restoredQuantity, session });
+        await restoreBranchLots({ branch: sale.branch, product: item.product, allocations: restoredLots, session });
         const inventory = await Inventory.findOneAndUpdate(
           { branch: sale.branch, product: item.product },
           {
-            $inc: { currentStock: item.quantity },
+            $inc: { currentStock: restoredQuantity },
             $push: {
               movements: {
                 type: 'in',
-                quantity: item.quantity,
+                quantity: restoredQuantity,
                 reference: `إلغاء بيع #${sale.saleNumber}`,
                 createdBy: req.user.id,
                 createdAt: new Date(),
@@ -1382,11 +2077,12 @@ router.delete(
           product: item.product,
           branch: sale.branch,
           action: 'sale_cancelled',
-          quantity: item.quantity,
+          quantity: restoredQuantity,
           reference: `إلغاء بيع #${sale.saleNumber}`,
           referenceType: 'sale',
           referenceId: sale._id,
           createdBy: req.user.id,
+          lots: restoredLots,
         });
         await historyEntry.save({ session });
 
@@ -1398,6 +2094,9 @@ router.delete(
         });
       }
 
+      await reverseCustomerSale({ sale, userId: req.user.id, session });
+      await reverseSaleLoyalty({ sale, userId: req.user.id, session });
+
       await Sale.deleteOne({ _id: id }).session(session);
       req.io?.emit('saleDeleted', { saleId: id, branchId: sale.branch.toString() });
 
@@ -0,0 +1,52 @@
+// routes/shifts.js
+const express = require('express');
+const { body, query } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  openShift,
+  getCurrentShift,
+  getShifts,
+  getShiftReport,
+  closeShift,
+  getShiftVariances,
+} = require('../controllers/cashShiftController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+router.get('/', auth, authorize('admin', 'branch'), getShifts);
+router.get('/current', auth, authorize('admin', 'branch'), getCurrentShift);
+router.get(
+  '/variances',
+  auth,
+  authorize('admin'),
+  [
+    query('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    query('startDate').optional().isISO8601().withMessage('تاريخ البداية غير صالح'),
+    query('endDate').optional().isISO8601().withMessage('تاريخ النهاية غير صالح'),
+  ],
+  getShiftVariances
+);
+router.post(
+  '/open',
+  auth,
+  authorize('admin', 'branch'),
+  [
+    body('branch').optional().custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف الفرع غير صالح'),
+    body('openingFloat').isFloat({ min: 0 }).withMessage('العهدة الافتتاحية يجب أن تكون رقمًا غير سالب'),
+    body('notes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+  ],
+  openShift
+);
+router.get('/:id/report', auth, authorize('admin', 'branch'), getShiftReport);
+router.post(
+  '/:id/close',
+  auth,
+  authorize('admin', 'branch'),
+  [
+    body('countedCash').isFloat({ min: 0 }).withMessage('النقد المعدود يجب أن يكون رقمًا غير سالب'),
+    body('closingNotes').optional().isString().withMessage('الملاحظات يجب أن تكون نصًا'),
+  ],
+  closeShift
+);
+
+module.exports = router;
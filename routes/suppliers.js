@@ -0,0 +1,44 @@
+// routes/suppliers.js
+const express = require('express');
+const { body, param } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  getSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+} = require('../controllers/supplierController');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+router.get('/', auth, authorize('production', 'admin'), getSuppliers);
+router.get('/:id', auth, authorize('production', 'admin'), getSupplierById);
+router.post(
+  '/',
+  auth,
+  authorize('production', 'admin'),
+  [
+    body('name').trim().notEmpty().withMessage('اسم المورد مطلوب'),
+    body('code').trim().notEmpty().withMessage('رمز المورد مطلوب'),
+    body('email').optional({ checkFalsy: true }).isEmail().withMessage('البريد الإلكتروني غير صالح'),
+    body('paymentTermsDays').optional().isInt({ min: 0 }).withMessage('مدة السداد يجب أن تكون عددًا غير سالب'),
+  ],
+  createSupplier
+);
+router.put(
+  '/:id',
+  auth,
+  authorize('production', 'admin'),
+  [
+    param('id').custom((value) => mongoose.isValidObjectId(value)).withMessage('معرف المورد غير صالح'),
+    body('name').optional().trim().notEmpty().withMessage('اسم المورد مطلوب'),
+    body('code').optional().trim().notEmpty().withMessage('رمز المورد مطلوب'),
+    body('email').optional({ checkFalsy: true }).isEmail().withMessage('البريد الإلكتروني غير صالح'),
+    body('paymentTermsDays').optional().isInt({ min: 0 }).withMessage('مدة السداد يجب أن تكون عددًا غير سالب'),
+    body('isActive').optional().isBoolean().withMessage('حالة التفعيل يجب أن تكون قيمة منطقية'),
+  ],
+  updateSupplier
+);
+router.delete('/:id', auth, authorize('admin'), deleteSupplier);
+module.exports = router;
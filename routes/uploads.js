@@ -0,0 +1,57 @@
+// routes/uploads.js
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { auth } = require('../middleware/auth');
+const { UPLOAD_ROOT, IMAGE_EXTENSIONS } = require('../middleware/upload');
+const Order = require('../models/Order');
+const Claim = require('../models/Claim');
+const Return = require('../models/Return');
+const router = express.Router();
+
+// المستند المالك لكل مجلد رفع؛ منه يُعرف الفرع المسموح له برؤية الملف
+const UPLOAD_OWNERS = {
+  'delivery-proofs': (filePath) => Order.findOne({
+    $or: [{ 'deliveryProof.signature.path': filePath }, { 'deliveryProof.photos.path': filePath }],
+  }).select('branch').lean(),
+  'claim-evidence': (filePath) => Claim.findOne({ 'evidence.path': filePath }).select('branch').lean(),
+  'return-inspections': (filePath) => Return.findOne({ 'inspection.photos.path': filePath }).select('branch').lean(),
+};
+
+const FILE_NAME_PATTERN = /^[\w-]+\.(jpg|png|webp)$/;
+const CONTENT_TYPES = Object.fromEntries(Object.entries(IMAGE_EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+router.get('/:folder/:filename', auth, async (req, res) => {
+  const isRtl = (req.query.lang || 'ar') === 'ar';
+  const { folder, filename } = req.params;
+  try {
+    const findOwner = UPLOAD_OWNERS[folder];
+    if (!findOwner || !FILE_NAME_PATTERN.test(filename)) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الملف غير موجود' : 'File not found' });
+    }
+    const owner = await findOwner(`${folder}/${filename}`);
+    if (!owner) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الملف غير موجود' : 'File not found' });
+    }
+    if (req.user.role === 'branch' && owner.branch?.toString() !== req.user.branchId?.toString()) {
+      return res.status(403).json({ success: false, message: isRtl ? 'غير مخول لعرض هذا الملف' : 'Not authorized to view this file' });
+    }
+    const filePath = path.join(UPLOAD_ROOT, folder, filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ success: false, message: isRtl ? 'الملف غير موجود' : 'File not found' });
+    }
+    res.set({
+      'Content-Type': CONTENT_TYPES[path.extname(filename)],
+      'Content-Disposition': `inline; filename="${filename}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      'Cache-Control': 'private, max-age=3600',
+    });
+    res.sendFile(filePath);
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Error serving upload:`, { error: err.message, stack: err.stack, folder, filename });
+    res.status(500).json({ success: false, message: isRtl ? 'خطأ في السيرفر' : 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -11,7 +11,7 @@ const router = express.Router();
 router.get('/', auth, authorize('admin'), async (req, res) => {
   try {
     const isRtl = req.query.isRtl === 'true' || req.query.isRtl === true;
-    const users = await User.find()
+    const users = await User.find({ role: { $ne: 'system' } })
       .populate('branch', 'name nameEn code')
       .populate('department', 'name nameEn code');
     const transformedUsers = users.map(user => ({
@@ -84,7 +84,7 @@ router.post('/', [
   body('name').notEmpty().withMessage('الاسم مطلوب'),
   body('username').notEmpty().withMessage('اسم المستخدم مطلوب'),
   body('password').isLength({ min: 6 }).withMessage('كلمة المرور يجب أن تكون 6 أحرف على الأقل'),
-  body('role').isIn(['admin', 'branch', 'chef', 'production']).withMessage('الدور غير صالح'),
+  body('role').isIn(['admin', 'branch', 'chef', 'production', 'driver']).withMessage('الدور غير صالح'),
   body('branch').custom((value, { req }) => {
     if (req.body.role === 'branch' && (!value || !mongoose.isValidObjectId(value))) {
       throw new Error('معرف الفرع مطلوب ويجب أن يكون صالحًا لدور الفرع');
@@ -199,7 +199,7 @@ router.put('/:id', [
   authorize('admin'),
   body('name').notEmpty().withMessage('الاسم مطلوب'),
   body('username').notEmpty().withMessage('اسم المستخدم مطلوب'),
-  body('role').isIn(['admin', 'branch', 'chef', 'production']).withMessage('الدور غير صالح'),
+  body('role').isIn(['admin', 'branch', 'chef', 'production', 'driver']).withMessage('الدور غير صالح'),
   body('branch').custom((value, { req }) => {
     if (req.body.role === 'branch' && (!value || !mongoose.isValidObjectId(value))) {
       throw new Error('معرف الفرع مطلوب ويجب أن يكون صالحًا لدور الفرع');
@@ -0,0 +1,139 @@
+const Customer = require('../models/Customer');
+const CustomerTransaction = require('../models/CustomerTransaction');
+const { getSalePayments } = require('./paymentUtils');
+const { nextDocumentNumber } = require('./numberingUtils');
+
+const CUSTOMER_PAYMENT_METHODS = ['cash', 'card', 'bank_transfer'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// توحيد رقم الهاتف للبحث: الأرقام فقط بعد تحويل الأرقام العربية
+const normalizePhone = (phone) => String(phone || '')
+  .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+  .replace(/\D/g, '');
+
+// العميل متاح للفرع إن كان عامًا أو مسجلًا على الفرع نفسه
+const isCustomerInScope = (customer, branch) => !customer.branch || customer.branch.toString() === branch?.toString();
+
+// البحث برقم الهاتف: عميل الفرع أولاً ثم العميل العام
+const findCustomerByPhone = async ({ phone, branch, session }) => {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  const customers = await Customer.find({ phone: normalized, branch: { $in: [branch || null, null] } }).session(session);
+  return customers.find(customer => customer.branch) || customers[0] || null;
+};
+
+// مبلغ البيع المسجل على حساب العميل (دفعات الآجل)
+const getSaleCreditAmount = (sale) => roundAmount(getSalePayments(sale)
+  .filter(payment => payment.tender === 'credit')
+  .reduce((sum, payment) => sum + payment.amount, 0));
+
+/**
+ * قيد البيع الآجل على حساب العميل ضمن حد الائتمان.
+ * التحقق من الحد والزيادة في عملية واحدة؛ تُرجع null إذا تجاوز البيع الحد المتاح.
+ */
+const chargeCustomerSale = async ({ customer, sale, amount, userId, session }) => {
+  const value = roundAmount(amount);
+  const updated = await Customer.findOneAndUpdate(
+    { _id: customer, isActive: true, $expr: { $lte: [{ $add: ['$balance', value] }, '$creditLimit'] } },
+    { $inc: { balance: value } },
+    { new: true, session }
+  );
+  if (!updated) return null;
+  await new CustomerTransaction({
+    customer: updated._id,
+    branch: sale.branch,
+    transactionType: 'sale',
+    debit: value,
+    balanceAfter: roundAmount(updated.balance),
+    sale: sale._id,
+    referenceNumber: sale.saleNumber,
+    description: `بيع آجل #${sale.saleNumber}`,
+    descriptionEn: `Credit sale #${sale.saleNumber}`,
+    createdBy: userId,
+  }).save({ session });
+  return updated;
+};
+
+// عكس قيد البيع الآجل عند إلغاء البيع أو تعديله
+const reverseCustomerSale = async ({ sale, userId, session }) => {
+  const amount = getSaleCreditAmount(sale);
+  if (!sale.customer || amount <= 0) return null;
+  const updated = await Customer.findByIdAndUpdate(sale.customer, { $inc: { balance: -amount } }, { new: true, session });
+  if (!updated) return null;
+  await new CustomerTransaction({
+    customer: updated._id,
+    branch: sale.branch,
+    transactionType: 'sale_reversal',
+    credit: amount,
+    balanceAfter: roundAmount(updated.balance),
+    sale: sale._id,
+    referenceNumber: sale.saleNumber,
+    description: `عكس البيع الآجل #${sale.saleNumber}`,
+    descriptionEn: `Reversal of credit sale #${sale.saleNumber}`,
+    createdBy: userId,
+  }).save({ session });
+  return updated;
+};
+
+// رد مبلغ الاسترداد على حساب العميل؛ قد يصبح الرصيد دائنًا لصالحه
+const creditCustomerRefund = async ({ customer, refund, amount, userId, session }) => {
+  const value = roundAmount(amount);
+  const updated = await Customer.findByIdAndUpdate(customer, { $inc: { balance: -value } }, { new: true, session });
+  if (!updated) return null;
+  await new CustomerTransaction({
+    customer: updated._id,
+    branch: refund.branch,
+    transactionType: 'refund',
+    credit: value,
+    balanceAfter: roundAmount(updated.balance),
+    sale: refund.sale,
+    saleRefund: refund._id,
+    referenceNumber: refund.refundNumber,
+    description: `استرداد #${refund.refundNumber} للبيع #${refund.saleNumber}`,
+    descriptionEn: `Refund #${refund.refundNumber} for sale #${refund.saleNumber}`,
+    createdBy: userId,
+  }).save({ session });
+  return updated;
+};
+
+/**
+ * تحصيل دفعة من العميل وخصمها من رصيده؛ لا يتجاوز التحصيل الرصيد المستحق.
+ * تُرجع null إذا كان المبلغ أكبر من الرصيد.
+ */
+const recordCustomerPayment = async ({ customer, branch, amount, method, reference, shift, notes, userId, session }) => {
+  const value = roundAmount(amount);
+  const updated = await Customer.findOneAndUpdate(
+    { _id: customer, balance: { $gte: value } },
+    { $inc: { balance: -value } },
+    { new: true, session }
+  );
+  if (!updated) return null;
+  const referenceNumber = await nextDocumentNumber({ type: 'CUSTOMER_PAYMENT', branch, session });
+  const transaction = await new CustomerTransaction({
+    customer: updated._id,
+    branch,
+    transactionType: 'payment',
+    credit: value,
+    balanceAfter: roundAmount(updated.balance),
+    shift,
+    referenceNumber,
+    payment: { method, reference },
+    description: notes || `تحصيل من العميل ${referenceNumber}`,
+    descriptionEn: notes || `Customer payment ${referenceNumber}`,
+    createdBy: userId,
+  }).save({ session });
+  return { customer: updated, transaction };
+};
+
+module.exports = {
+  CUSTOMER_PAYMENT_METHODS,
+  normalizePhone,
+  isCustomerInScope,
+  findCustomerByPhone,
+  getSaleCreditAmount,
+  chargeCustomerSale,
+  reverseCustomerSale,
+  creditCustomerRefund,
+  recordCustomerPayment,
+};
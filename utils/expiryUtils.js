@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const ProductionLot = require('../models/ProductionLot');
+const FactoryInventory = require('../models/FactoryInventory');
+const FactoryInventoryHistory = require('../models/FactoryInventoryHistory');
+const Inventory = require('../models/Inventory');
+const InventoryHistory = require('../models/InventoryHistory');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { createNotification } = require('./notifications');
+const { emitSocketEvent } = require('./helpers');
+const { scheduleInterval, getSystemUser } = require('./scheduler');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNLOTTED_LABEL = 'مخزون بدون دفعة';
+
+// صلاحية الكمية بدون دفعة: التاريخ المسجل على المخزون، أو آخر استلام مضافًا إليه عمر المنتج
+const getUnlottedExpiry = (inventory, shelfLife) => {
+  if (inventory.expirationDate) return inventory.expirationDate;
+  if (!shelfLife) return null;
+  const lastReceivedAt = (inventory.movements || [])
+    .filter(movement => movement.type === 'in' && movement.createdAt)
+    .reduce((latest, movement) => (!latest || movement.createdAt > latest ? movement.createdAt : latest), null);
+  return lastReceivedAt ? new Date(lastReceivedAt.getTime() + shelfLife * DAY_MS) : null;
+};
+
+const buildExpiryReference = (lotNumbers, hasUnlotted) => `انتهاء صلاحية ${[
+  lotNumbers.length ? `الدفعات ${lotNumbers.join('، ')}` : null,
+  hasUnlotted ? UNLOTTED_LABEL : null,
+].filter(Boolean).join(' و')}`;
+
+// شطب دفعة منتهية من مخزون المصنع إلى المخزون التالف
+const writeOffFactoryLot = async (lot, systemUserId) => {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const expiredLot = await ProductionLot.findOneAndUpdate(
+      { _id: lot._id, status: 'active' },
+      { $set: { status: 'expired', remainingQuantity: 0 } },
+      { session }
+    );
+    if (!expiredLot) {
+      await session.abortTransaction();
+      return 0;
+    }
+    const inventory = await FactoryInventory.findOne({ product: lot.product }).select('currentStock').session(session);
+    const quantity = Math.min(lot.remainingQuantity, inventory?.currentStock || 0);
+    if (quantity > 0) {
+      await FactoryInventory.updateOne(
+        { _id: inventory._id, currentStock: { $gte: quantity } },
+        {
+          $inc: { currentStock: -quantity, damagedStock: quantity },
+          $push: {
+            movements: {
+              type: 'out',
+              quantity,
+              reference: `انتهاء صلاحية الدفعة ${lot.lotNumber}`,
+              createdBy: systemUserId,
+              createdAt: new Date(),
+            },
+          },
+        },
+        { session }
+      );
+      await new FactoryInventoryHistory({
+        product: lot.product,
+        action: 'expired',
+        quantity,
+        reference: `انتهاء صلاحية الدفعة ${lot.lotNumber}`,
+        referenceType: 'adjustment',
+        createdBy: systemUserId,
+        isDamaged: true,
+        lot: lot._id,
+        lotNumber: lot.lotNumber,
+      }).save({ session });
+    }
+    await session.commitTransaction();
+    return quantity;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+// شطب كمية المصنع التي لا تقابلها دفعة نشطة (مخزون ما قبل تتبع الدفعات) عند انتهاء صلاحيتها
+const writeOffFactoryUnlotted = async (inventoryId, now, systemUserId) => {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const inventory = await FactoryInventory.findById(inventoryId).select('product currentStock expirationDate movements').session(session);
+    if (!inventory || inventory.currentStock <= 0) {
+      await session.abortTransaction();
+      return 0;
+    }
+    const activeLots = await ProductionLot.find({ product: inventory.product, status: 'active' }).select('remainingQuantity').session(session).lean();
+    const lottedQuantity = activeLots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+    const quantity = inventory.currentStock - lottedQuantity;
+    const product = quantity > 0 ? await Product.findById(inventory.product).select('shelfLife').session(session).lean() : null;
+    const expiry = quantity > 0 ? getUnlottedExpiry(inventory, product?.shelfLife) : null;
+    if (!expiry || expiry > now) {
+      await session.abortTransaction();
+      return 0;
+    }
+    const reference = buildExpiryReference([], true);
+    const result = await FactoryInventory.updateOne(
+      { _id: inventory._id, currentStock: { $gte: quantity } },
+      {
+        $inc: { currentStock: -quantity, damagedStock: quantity },
+        $unset: { expirationDate: '' },
+        $push: {
+          movements: {
+            type: 'out',
+            quantity,
+            reference,
+            createdBy: systemUserId,
+            createdAt: new Date(),
+          },
+        },
+      },
+      { session }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error(`فشل تحديث مخزون المصنع ${inventory._id} بسبب تعارض الكمية`);
+    }
+    await new FactoryInventoryHistory({
+      product: inventory.product,
+      action: 'expired',
+      quantity,
+      reference,
+      referenceType: 'adjustment',
+      createdBy: systemUserId,
+      isDamaged: true,
+    }).save({ session });
+    await session.commitTransaction();
+    return quantity;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+// شطب الدفعات المنتهية والكمية المنتهية بدون دفعة من مخزون فرع إلى المخزون التالف
+const writeOffBranchInventory = async (inventoryId, now, systemUserId) => {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const inventory = await Inventory.findById(inventoryId).select('branch product currentStock lots movements').session(session);
+    if (!inventory) {
+      await session.abortTransaction();
+      return null;
+    }
+    const expiredLots = inventory.lots.filter(lot => lot.expiryDate && lot.expiryDate <= now && lot.quantity > 0);
+    const unlottedQuantity = inventory.currentStock - inventory.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    let expiredUnlotted = 0;
+    if (unlottedQuantity > 0) {
+      const product = await Product.findById(inventory.product).select('shelfLife').session(session).lean();
+      const expiry = getUnlottedExpiry(inventory, product?.shelfLife);
+      if (expiry && expiry <= now) expiredUnlotted = unlottedQuantity;
+    }
+    if (!expiredLots.length && !expiredUnlotted) {
+      await session.abortTransaction();
+      return null;
+    }
+    const expiredQuantity = expiredLots.reduce((sum, lot) => sum + lot.quantity, 0) + expiredUnlotted;
+    const quantity = Math.min(expiredQuantity, inventory.currentStock);
+    const reference = buildExpiryReference(expiredLots.map(lot => lot.lotNumber), expiredUnlotted > 0);
+    const update = {};
+    if (expiredLots.length) {
+      update.$pull = { lots: { lot: { $in: expiredLots.map(lot => lot.lot) } } };
+    }
+    if (quantity > 0) {
+      update.$inc = { currentStock: -quantity, damagedStock: quantity };
+      update.$push = {
+        movements: {
+          type: 'out',
+          quantity,
+          reference,
+          createdBy: systemUserId,
+          createdAt: new Date(),
+        },
+      };
+    }
+    const result = await Inventory.updateOne({ _id: inventory._id, currentStock: { $gte: quantity } }, update, { session });
+    if (result.matchedCount === 0) {
+      throw new Error(`فشل تحديث مخزون الفرع ${inventory._id} بسبب تعارض الكمية`);
+    }
+    if (quantity > 0) {
+      await new InventoryHistory({
+        product: inventory.product,
+        branch: inventory.branch,
+        action: 'expired',
+        quantity: -quantity,
+        reference,
+        referenceType: 'adjustment',
+        createdBy: systemUserId,
+        isDamaged: true,
+        lots: expiredLots.map(lot => ({ lot: lot.lot, lotNumber: lot.lotNumber, quantity: lot.quantity })),
+      }).save({ session });
+    }
+    await session.commitTransaction();
+    return { branch: inventory.branch, product: inventory.product, quantity };
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+const notifyExpiry = async (io, users, message, data) => {
+  for (const user of users) {
+    try {
+      await createNotification(user._id, 'stockExpired', message, { ...data, eventId: `${data.eventId}-${user._id}` }, io, true);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Failed to notify user ${user._id} of expired stock:`, { error: err.message });
+    }
+  }
+};
+
+// البحث عن الكميات المنتهية في المصنع والفروع ونقلها إلى المخزون التالف
+const writeOffExpiredStock = async (io) => {
+  const now = new Date();
+  const systemUser = await getSystemUser();
+
+  const factoryWriteOffs = [];
+  const expiredLots = await ProductionLot.find({
+    status: 'active',
+    remainingQuantity: { $gt: 0 },
+    expiryDate: { $lte: now },
+  }).select('product lotNumber remainingQuantity').lean();
+  for (const lot of expiredLots) {
+    try {
+      const quantity = await writeOffFactoryLot(lot, systemUser._id);
+      if (quantity > 0) factoryWriteOffs.push({ product: lot.product, lotNumber: lot.lotNumber, quantity });
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Error writing off expired lot ${lot.lotNumber}:`, { error: err.message, stack: err.stack });
+    }
+  }
+  // بعد شطب الدفعات: الكمية المتبقية بدون دفعة في المصنع
+  const factoryInventories = await FactoryInventory.find({ currentStock: { $gt: 0 } }).select('_id product').lean();
+  for (const inventory of factoryInventories) {
+    try {
+      const quantity = await writeOffFactoryUnlotted(inventory._id, now, systemUser._id);
+      if (quantity > 0) factoryWriteOffs.push({ product: inventory.product, lotNumber: null, quantity });
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Error writing off expired factory stock ${inventory._id}:`, { error: err.message, stack: err.stack });
+    }
+  }
+
+  const branchWriteOffs = [];
+  const inventories = await Inventory.find({
+    $or: [
+      { lots: { $elemMatch: { expiryDate: { $lte: now }, quantity: { $gt: 0 } } } },
+      { $expr: { $gt: ['$currentStock', { $sum: '$lots.quantity' }] } },
+    ],
+  }).select('_id').lean();
+  for (const inventory of inventories) {
+    try {
+      const result = await writeOffBranchInventory(inventory._id, now, systemUser._id);
+      if (result?.quantity > 0) branchWriteOffs.push(result);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Error writing off expired branch stock ${inventory._id}:`, { error: err.message, stack: err.stack });
+    }
+  }
+
+  if (io) {
+    const runId = now.getTime();
+    if (factoryWriteOffs.length) {
+      const productionUsers = await User.find({ role: 'production' }).select('_id').lean();
+      const totalQuantity = factoryWriteOffs.reduce((sum, entry) => sum + entry.quantity, 0);
+      const data = { items: factoryWriteOffs, totalQuantity, eventId: `factory-stockExpired-${runId}` };
+      await notifyExpiry(io, productionUsers, `تم شطب ${totalQuantity} وحدة منتهية الصلاحية من مخزون المصنع`, data);
+      await emitSocketEvent(io, ['admin', 'production'], 'stockExpired', { ...data, scope: 'factory' });
+    }
+    const byBranch = new Map();
+    for (const entry of branchWriteOffs) {
+      const branchId = entry.branch.toString();
+      if (!byBranch.has(branchId)) byBranch.set(branchId, []);
+      byBranch.get(branchId).push({ product: entry.product, quantity: entry.quantity });
+    }
+    for (const [branchId, items] of byBranch) {
+      const branchUsers = await User.find({ role: 'branch', branch: branchId }).select('_id').lean();
+      const totalQuantity = items.reduce((sum, entry) => sum + entry.quantity, 0);
+      const data = { branchId, items, totalQuantity, eventId: `${branchId}-stockExpired-${runId}` };
+      await notifyExpiry(io, branchUsers, `تم شطب ${totalQuantity} وحدة منتهية الصلاحية من مخزون الفرع`, data);
+      await emitSocketEvent(io, [`branch-${branchId}`, 'admin'], 'stockExpired', { ...data, scope: 'branch' });
+    }
+  }
+
+  console.log(`[${new Date().toISOString()}] Expiry write-off completed:`, {
+    factoryLots: factoryWriteOffs.length,
+    branchInventories: branchWriteOffs.length,
+  });
+  return { factory: factoryWriteOffs, branches: branchWriteOffs };
+};
+
+const startExpiryJob = (io) => {
+  const intervalMinutes = parseInt(process.env.EXPIRY_CHECK_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+  return scheduleInterval('expiry-write-off', () => writeOffExpiredStock(io), intervalMinutes * 60 * 1000, { runOnStart: true });
+};
+
+module.exports = { writeOffExpiredStock, startExpiryJob };
@@ -1,8 +1,8 @@
 const mongoose = require('mongoose');
 const FactoryInventory = require('../models/FactoryInventory');
 const FactoryInventoryHistory = require('../models/FactoryInventoryHistory');
-const Product = require('../models/Product');
 const { updateInventoryStock } = require('./inventoryUtils');
+const { createLot } = require('./lotUtils');
 
 const updateFactoryStock = async ({
   product,
@@ -17,6 +17,7 @@ const updateFactoryStock = async ({
   isDamaged = false,
   isPending = false,
   branchId = null,
+  expiryDate = null,
 }) => {
   try {
     if (!mongoose.isValidObjectId(product) || !mongoose.isValidObjectId(createdBy)) {
@@ -37,16 +38,6 @@ const updateFactoryStock = async ({
       await inventory.save({ session });
     }
 
-    // التحقق من تاريخ الصلاحية إذا كان خصم
-    if (quantity < 0 && inventory.expirationDate && new Date() > inventory.expirationDate) {
-      await FactoryInventory.findOneAndUpdate(
-        { product },
-        { $inc: { damagedStock: -quantity, currentStock: -(-quantity) } },
-        { session }
-      );
-      isDamaged = true;
-    }
-
     const updates = {
       $inc: {
         currentStock: isPending ? -quantity : type === 'return_rejected' ? quantity : (quantity > 0 ? quantity : -quantity),
@@ -79,13 +70,18 @@ const updateFactoryStock = async ({
       throw new Error('الكميات لا يمكن أن تكون سالبة');
     }
 
-    // إضافة تاريخ الصلاحية عند الإنتاج
-    if (type === 'produced') {
-      const productData = await Product.findById(product).session(session);
-      if (productData.shelfLife) {
-        updatedInventory.expirationDate = new Date(Date.now() + productData.shelfLife * 24 * 60 * 60 * 1000);
-        await updatedInventory.save({ session });
-      }
+    // كل عملية إنتاج تنشئ دفعة مستقلة بتاريخ إنتاج وصلاحية خاصين بها
+    let lot = null;
+    if ((type === 'produced' || type === 'produced_stock') && quantity > 0) {
+      lot = await createLot({
+        product,
+        quantity,
+        expiryDate,
+        sourceType: referenceType === 'factory_order' ? 'factory_order' : referenceType === 'order' ? 'order' : 'adjustment',
+        sourceId: referenceId,
+        createdBy,
+        session,
+      });
     }
 
     const historyEntry = new FactoryInventoryHistory({
@@ -98,6 +94,8 @@ const updateFactoryStock = async ({
       createdBy,
       notes,
       isDamaged,
+      lot: lot?._id,
+      lotNumber: lot?.lotNumber,
       createdAt: new Date(),
     });
     await historyEntry.save({ session });
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const Order = require('../models/Order');
+const { BUSINESS_TIMEZONE, DATE_KEY_PATTERN, toDateKey, addDays, weekdayOf, startOfDay } = require('./timezoneUtils');
+
+const DEFAULT_LOOKBACK_DAYS = 56;
+const DEFAULT_HORIZON_DAYS = 7;
+const DEFAULT_ALPHA = 0.3;
+
+// قيم z لنطاق الثقة المدعوم
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+const round = (value) => Math.round(value * 100) / 100;
+
+// أيام الفترة التاريخية بالترتيب حتى اليوم السابق لبداية التوقع
+const buildDateKeys = (startKey, lookbackDays) => {
+  const keys = [];
+  for (let i = lookbackDays; i >= 1; i--) {
+    keys.push(addDays(startKey, -i));
+  }
+  return keys;
+};
+
+const groupDailyQuantities = (rows) => {
+  const series = new Map();
+  for (const row of rows) {
+    const key = `${row._id.branch}:${row._id.product}`;
+    if (!series.has(key)) series.set(key, { branch: row._id.branch, product: row._id.product, days: new Map() });
+    series.get(key).days.set(row._id.day, row.quantity);
+  }
+  return series;
+};
+
+// الكميات اليومية المباعة والمسلمة لكل فرع ومنتج خلال الفترة التاريخية
+const getDemandHistory = async ({ branch, products, since, until }) => {
+  const match = {};
+  if (branch) match.branch = toObjectId(branch);
+  const itemMatch = products ? { 'items.product': { $in: products.map(toObjectId) } } : {};
+
+  const sales = await Sale.aggregate([
+    { $match: { ...match, status: 'completed', createdAt: { $gte: since, $lt: until } } },
+    { $unwind: '$items' },
+    { $match: itemMatch },
+    {
+      $group: {
+        _id: {
+          branch: '$branch',
+          product: '$items.product',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: BUSINESS_TIMEZONE } },
+        },
+        quantity: { $sum: '$items.quantity' },
+      },
+    },
+  ]);
+  const deliveries = await Order.aggregate([
+    { $match: { ...match, status: 'delivered', deliveredAt: { $gte: since, $lt: until } } },
+    { $unwind: '$items' },
+    { $match: itemMatch },
+    {
+      $group: {
+        _id: {
+          branch: '$branch',
+          product: '$items.product',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$deliveredAt', timezone: BUSINESS_TIMEZONE } },
+        },
+        quantity: { $sum: { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] } },
+      },
+    },
+  ]);
+  return { sales: groupDailyQuantities(sales), deliveries: groupDailyQuantities(deliveries) };
+};
+
+// نموذج موسمي بسيط: مؤشر لكل يوم من أيام الأسبوع مع تمهيد أسي للمستوى بعد إزالة الموسمية
+const fitSeasonalModel = (values, weekdays, alpha = DEFAULT_ALPHA) => {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const mean = total / values.length;
+  if (mean === 0) return null;
+
+  const weekdayTotals = Array(7).fill(0);
+  const weekdayCounts = Array(7).fill(0);
+  values.forEach((value, i) => {
+    weekdayTotals[weekdays[i]] += value;
+    weekdayCounts[weekdays[i]] += 1;
+  });
+  const weekdayIndex = weekdayTotals.map((sum, day) => (weekdayCounts[day] ? sum / weekdayCounts[day] / mean : 1));
+
+  let level = null;
+  const errors = [];
+  values.forEach((value, i) => {
+    const index = weekdayIndex[weekdays[i]];
+    // يوم لا يباع فيه المنتج عادة لا يغير المستوى
+    if (index === 0) return;
+    const deseasonalized = value / index;
+    if (level === null) {
+      level = deseasonalized;
+      return;
+    }
+    // أخطاء الأسبوع الأول تستبعد لأن المستوى لم يستقر بعد
+    if (i >= 7) errors.push(value - level * index);
+    level = alpha * deseasonalized + (1 - alpha) * level;
+  });
+
+  const sigma = errors.length
+    ? Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length)
+    : Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+
+  return { level: level || 0, weekdayIndex, sigma, mean, alpha };
+};
+
+// توقع الأيام القادمة مع نطاق ثقة يتسع مع بعد الأفق
+const projectModel = (model, dateKeys, z) => dateKeys.map((date, h) => {
+  const weekday = weekdayOf(date);
+  const quantity = model.level * model.weekdayIndex[weekday];
+  const spread = z * model.sigma * Math.sqrt(1 + h * model.alpha * model.alpha);
+  return {
+    date,
+    weekday,
+    quantity: round(quantity),
+    lower: round(Math.max(0, quantity - spread)),
+    upper: round(quantity + spread),
+    sigma: model.sigma * Math.sqrt(1 + h * model.alpha * model.alpha),
+  };
+});
+
+// حساب توقع الطلب لكل فرع ومنتج لعدد من الأيام القادمة
+// المبيعات هي المصدر الأساسي، والتسليمات تستخدم للفروع التي لا تسجل مبيعات المنتج
+const forecastDemand = async ({
+  branch,
+  products,
+  startDate,
+  days = DEFAULT_HORIZON_DAYS,
+  lookbackDays = DEFAULT_LOOKBACK_DAYS,
+  confidence = 0.8,
+}) => {
+  // الأيام تُحسب في منطقة النشاط حتى تطابق مفاتيح التجميع في قاعدة البيانات؛ الافتراضي الغد
+  const startKey = typeof startDate === 'string' && DATE_KEY_PATTERN.test(startDate)
+    ? startDate
+    : startDate ? toDateKey(new Date(startDate)) : addDays(toDateKey(new Date()), 1);
+  const historyKeys = buildDateKeys(startKey, lookbackDays);
+  const historyWeekdays = historyKeys.map(weekdayOf);
+  const horizonKeys = Array.from({ length: days }, (_, i) => addDays(startKey, i));
+  const z = Z_SCORES[confidence] || Z_SCORES[0.8];
+
+  const since = startOfDay(historyKeys[0]);
+  const { sales, deliveries } = await getDemandHistory({ branch, products, since, until: startOfDay(startKey) });
+
+  const forecasts = [];
+  const keys = new Set([...sales.keys(), ...deliveries.keys()]);
+  for (const key of keys) {
+    const basis = sales.has(key) ? 'sales' : 'deliveries';
+    const entry = basis === 'sales' ? sales.get(key) : deliveries.get(key);
+    const values = historyKeys.map(day => entry.days.get(day) || 0);
+    const model = fitSeasonalModel(values, historyWeekdays);
+    if (!model) continue;
+    forecasts.push({
+      branch: entry.branch,
+      product: entry.product,
+      basis,
+      history: {
+        days: lookbackDays,
+        averageDaily: round(model.mean),
+        level: round(model.level),
+        weekdayIndex: model.weekdayIndex.map(round),
+      },
+      daily: projectModel(model, horizonKeys, z),
+    });
+  }
+  const plan = buildProductionPlan(forecasts, horizonKeys, z);
+
+  return {
+    startDate: horizonKeys[0],
+    days,
+    lookbackDays,
+    confidence: Z_SCORES[confidence] ? confidence : 0.8,
+    timezone: BUSINESS_TIMEZONE,
+    forecasts: forecasts.map(forecast => ({
+      ...forecast,
+      daily: forecast.daily.map(({ sigma, ...day }) => day),
+    })),
+    plan,
+  };
+};
+
+// تجميع توقعات الفروع لكل يوم ومنتج بشكل يصلح مباشرة كخطة إنتاج
+const buildProductionPlan = (forecasts, horizonKeys, z) => horizonKeys.map((date, h) => {
+  const byProduct = new Map();
+  for (const forecast of forecasts) {
+    const day = forecast.daily[h];
+    const key = forecast.product.toString();
+    if (!byProduct.has(key)) byProduct.set(key, { product: forecast.product, quantity: 0, variance: 0, branches: [] });
+    const item = byProduct.get(key);
+    item.quantity += day.quantity;
+    item.variance += day.sigma * day.sigma;
+    item.branches.push({ branch: forecast.branch, quantity: day.quantity });
+  }
+  const items = [...byProduct.values()]
+    .map(item => {
+      // الفروع مستقلة لذلك يجمع التباين وليس الانحراف المعياري
+      const spread = z * Math.sqrt(item.variance);
+      return {
+        product: item.product,
+        quantity: round(item.quantity),
+        lower: round(Math.max(0, item.quantity - spread)),
+        upper: round(item.quantity + spread),
+        suggestedQuantity: Math.ceil(item.quantity),
+        branches: item.branches,
+      };
+    })
+    .filter(item => item.suggestedQuantity > 0)
+    .sort((a, b) => b.quantity - a.quantity);
+  return { date, items };
+});
+
+module.exports = { forecastDemand, fitSeasonalModel };
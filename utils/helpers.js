@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { createNotification } = require('./notifications');
 
 // التحقق من صحة ObjectId
 const isValidObjectId = (id) => mongoose.isValidObjectId(id);
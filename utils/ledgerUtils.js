@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const BranchInvoice = require('../models/BranchInvoice');
+const LedgerEntry = require('../models/LedgerEntry');
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const Claim = require('../models/Claim');
+const Product = require('../models/Product');
+const { applyTax } = require('./taxUtils');
+const { nextDocumentNumber } = require('./numberingUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGING_BUCKETS = [
+  { key: '0-30', maxDays: 30 },
+  { key: '31-60', maxDays: 60 },
+  { key: '60+', maxDays: Infinity },
+];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// الكمية المفوترة: المستلمة فعليًا من إيصال الاستلام أو المحفوظة على الطلب، وإلا الكمية المطلوبة
+const getInvoicedQuantity = (item, receipt) => {
+  const line = receipt?.find(entry => entry.item._id.toString() === item._id.toString());
+  if (line) return line.receivedQuantity;
+  return item.receivedQuantity ?? item.quantity;
+};
+
+// إصدار فاتورة الطلب المسلّم بالكميات المستلمة وقيدها مدينًا على الفرع؛ لا يتكرر للطلب نفسه
+const postOrderInvoice = async ({ order, receipt, userId, session }) => {
+  const existing = await BranchInvoice.findOne({ order: order._id }).session(session);
+  if (existing) return existing;
+  const lines = order.items
+    .map(item => ({ item, quantity: getInvoicedQuantity(item, receipt) }))
+    .filter(line => line.quantity > 0);
+  const productIds = lines.map(({ item }) => item.product?._id || item.product);
+  const products = await Product.find({ _id: { $in: productIds } }).select('taxCategory').session(session).lean();
+  const taxed = applyTax(lines.map(({ item, quantity }) => {
+    const productId = item.product?._id || item.product;
+    return {
+      product: productId,
+      quantity,
+      unitPrice: item.price,
+      taxCategory: products.find(product => product._id.toString() === productId.toString())?.taxCategory,
+    };
+  }));
+  const items = taxed.items.map(item => ({
+    product: item.product,
+    quantity: item.quantity,
+    price: item.unitPrice,
+    total: item.lineTotal,
+    taxCategory: item.taxCategory,
+    taxRate: item.taxRate,
+    netAmount: item.netAmount,
+    taxAmount: item.taxAmount,
+  }));
+  const totalAmount = taxed.totalAmount;
+  const issuedAt = order.deliveredAt || new Date();
+  const invoice = new BranchInvoice({
+    invoiceNumber: await nextDocumentNumber({ type: 'INVOICE', branch: order.branch, date: issuedAt, session }),
+    order: order._id,
+    branch: order.branch,
+    items,
+    pricesIncludeTax: taxed.pricesIncludeTax,
+    subtotal: taxed.subtotal,
+    taxAmount: taxed.taxAmount,
+    totalAmount,
+    issuedAt,
+    createdBy: userId,
+  });
+  await invoice.save({ session });
+  // طلبات إعادة الشحن بدون قيمة لا تنشئ قيدًا
+  if (totalAmount > 0) {
+    await new LedgerEntry({
+      branch: order.branch,
+      entryType: 'invoice',
+      debit: totalAmount,
+      referenceType: 'BranchInvoice',
+      referenceId: invoice._id,
+      referenceNumber: invoice.invoiceNumber,
+      description: `فاتورة الطلب #${order.orderNumber}`,
+      descriptionEn: `Invoice for order #${order.orderNumber}`,
+      entryDate: issuedAt,
+      createdBy: userId,
+    }).save({ session });
+  }
+  return invoice;
+};
+
+/**
+ * قيد دائن بقيمة الناقص والتالف عند تأكيد الاستلام بعد فوترة الطلب بكمية أكبر مما استُلم
+ * (تسليم السائق قبل تأكيد الفرع). الفاتورة الصادرة بالكميات المستلمة لا ينشأ لها قيد.
+ */
+const postDiscrepancyCredit = async ({ order, discrepancy, userId, session }) => {
+  const invoice = await BranchInvoice.findOne({ order: order._id }).session(session).lean();
+  if (!invoice) return null;
+  const existing = await LedgerEntry.findOne({ entryType: 'discrepancy_credit', referenceId: discrepancy._id }).session(session);
+  if (existing) return existing;
+  const received = new Map();
+  order.items.forEach((item) => {
+    const key = (item.product?._id || item.product).toString();
+    received.set(key, (received.get(key) || 0) + (item.receivedQuantity ?? item.quantity));
+  });
+  const amount = roundAmount(invoice.items.reduce((sum, line) => {
+    const key = line.product.toString();
+    const receivedQuantity = received.get(key) || 0;
+    const excess = Math.max(line.quantity - receivedQuantity, 0);
+    received.set(key, Math.max(receivedQuantity - line.quantity, 0));
+    return line.quantity > 0 ? sum + (line.total / line.quantity) * excess : sum;
+  }, 0));
+  if (amount <= 0) return null;
+  return new LedgerEntry({
+    branch: order.branch,
+    entryType: 'discrepancy_credit',
+    credit: amount,
+    referenceType: 'DeliveryDiscrepancy',
+    referenceId: discrepancy._id,
+    referenceNumber: discrepancy.discrepancyNumber,
+    description: `فرق استلام #${discrepancy.discrepancyNumber} للطلب #${order.orderNumber}`,
+    descriptionEn: `Receipt discrepancy #${discrepancy.discrepancyNumber} for order #${order.orderNumber}`,
+    entryDate: new Date(),
+    createdBy: userId,
+  }).save({ session });
+};
+
+// قيد دائن بقيمة المرتجع المعتمد شاملة الضريبة، بنفس حساب فواتير الطلبات حتى يقابل المدين
+const postReturnCredit = async ({ returnRequest, userId, session }) => {
+  const existing = await LedgerEntry.findOne({ entryType: 'return_credit', referenceId: returnRequest._id }).session(session);
+  if (existing) return existing;
+  const productIds = returnRequest.items.map(item => item.product?._id || item.product);
+  const products = await Product.find({ _id: { $in: productIds } }).select('taxCategory').session(session).lean();
+  const taxed = applyTax(returnRequest.items.map((item) => {
+    const productId = item.product?._id || item.product;
+    return {
+      product: productId,
+      quantity: item.quantity,
+      unitPrice: item.price || 0,
+      taxCategory: products.find(product => product._id.toString() === productId.toString())?.taxCategory,
+    };
+  }));
+  const amount = roundAmount(taxed.totalAmount);
+  if (amount <= 0) return null;
+  return new LedgerEntry({
+    branch: returnRequest.branch,
+    entryType: 'return_credit',
+    credit: amount,
+    referenceType: 'Return',
+    referenceId: returnRequest._id,
+    referenceNumber: returnRequest.returnNumber,
+    description: `مرتجع معتمد #${returnRequest.returnNumber}`,
+    descriptionEn: `Approved return #${returnRequest.returnNumber}`,
+    entryDate: returnRequest.reviewedAt || new Date(),
+    createdBy: userId,
+  }).save({ session });
+};
+
+// قيد دائن للمطالبة المسوّاة بإشعار دائن
+const postClaimCredit = async ({ claim, userId, session }) => {
+  const amount = roundAmount(claim.settlement?.amount || 0);
+  if (claim.settlement?.method !== 'credit' || amount <= 0) return null;
+  const existing = await LedgerEntry.findOne({ entryType: 'claim_credit', referenceId: claim._id }).session(session);
+  if (existing) return existing;
+  return new LedgerEntry({
+    branch: claim.branch,
+    entryType: 'claim_credit',
+    credit: amount,
+    referenceType: 'Claim',
+    referenceId: claim._id,
+    referenceNumber: claim.claimNumber,
+    description: `إشعار دائن للمطالبة #${claim.claimNumber}`,
+    descriptionEn: `Credit for claim #${claim.claimNumber}`,
+    entryDate: claim.settlement.settledAt || new Date(),
+    createdBy: userId,
+  }).save({ session });
+};
+
+const recordBranchPayment = async ({ branch, amount, method, reference, paidAt, notes, userId, session }) => {
+  const referenceNumber = await nextDocumentNumber({ type: 'BRANCH_PAYMENT', branch, session });
+  return new LedgerEntry({
+    branch,
+    entryType: 'payment',
+    credit: roundAmount(amount),
+    referenceNumber,
+    payment: { method, reference },
+    description: notes || `دفعة من الفرع ${referenceNumber}`,
+    descriptionEn: notes || `Branch payment ${referenceNumber}`,
+    entryDate: paidAt || new Date(),
+    createdBy: userId,
+  }).save({ session });
+};
+
+const getBalanceBefore = async (branch, date) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { branch: new mongoose.Types.ObjectId(branch), entryDate: { $lt: date } } },
+    { $group: { _id: null, debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } },
+  ]);
+  return roundAmount((result?.debit || 0) - (result?.credit || 0));
+};
+
+// كشف حساب الفرع لفترة: الرصيد الافتتاحي والقيود مع الرصيد الجاري والرصيد الختامي
+const buildBranchStatement = async ({ branch, startDate, endDate }) => {
+  const openingBalance = await getBalanceBefore(branch, startDate);
+  const entries = await LedgerEntry.find({ branch, entryDate: { $gte: startDate, $lte: endDate } })
+    .sort({ entryDate: 1, createdAt: 1 })
+    .populate('createdBy', 'username name nameEn')
+    .lean();
+  let balance = openingBalance;
+  const lines = entries.map((entry) => {
+    balance = roundAmount(balance + entry.debit - entry.credit);
+    return { ...entry, balance };
+  });
+  const totalDebit = roundAmount(entries.reduce((sum, entry) => sum + entry.debit, 0));
+  const totalCredit = roundAmount(entries.reduce((sum, entry) => sum + entry.credit, 0));
+  return {
+    branch,
+    startDate,
+    endDate,
+    openingBalance,
+    totalDebit,
+    totalCredit,
+    closingBalance: roundAmount(openingBalance + totalDebit - totalCredit),
+    entries: lines,
+  };
+};
+
+// أعمار الديون: توزيع الدائن على أقدم الفواتير أولاً ثم تصنيف المتبقي حسب عمر الفاتورة
+const buildAgingReport = async ({ branch, asOf = new Date() }) => {
+  const match = { entryDate: { $lte: asOf } };
+  if (branch) match.branch = branch;
+  const entries = await LedgerEntry.find(match).sort({ entryDate: 1, createdAt: 1 }).lean();
+
+  const byBranch = new Map();
+  for (const entry of entries) {
+    const key = entry.branch.toString();
+    if (!byBranch.has(key)) byBranch.set(key, { debits: [], credit: 0 });
+    const account = byBranch.get(key);
+    if (entry.debit > 0) account.debits.push({ ...entry, remaining: entry.debit });
+    account.credit += entry.credit;
+  }
+
+  const branches = [];
+  for (const [branchId, account] of byBranch) {
+    let unapplied = account.credit;
+    for (const debit of account.debits) {
+      const applied = Math.min(unapplied, debit.remaining);
+      debit.remaining -= applied;
+      unapplied -= applied;
+    }
+    const buckets = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    const openInvoices = [];
+    for (const debit of account.debits) {
+      if (debit.remaining <= 0.005) continue;
+      const ageDays = Math.floor((asOf - new Date(debit.entryDate)) / DAY_MS);
+      const bucket = AGING_BUCKETS.find(entry => ageDays <= entry.maxDays);
+      buckets[bucket.key] = roundAmount(buckets[bucket.key] + debit.remaining);
+      openInvoices.push({
+        referenceId: debit.referenceId,
+        referenceNumber: debit.referenceNumber,
+        entryDate: debit.entryDate,
+        amount: debit.debit,
+        outstanding: roundAmount(debit.remaining),
+        ageDays,
+        bucket: bucket.key,
+      });
+    }
+    const totalDebit = account.debits.reduce((sum, debit) => sum + debit.debit, 0);
+    branches.push({
+      branch: branchId,
+      balance: roundAmount(totalDebit - account.credit),
+      buckets,
+      unappliedCredit: roundAmount(unapplied),
+      openInvoices,
+    });
+  }
+
+  const totals = Object.fromEntries(AGING_BUCKETS.map(bucket => [
+    bucket.key,
+    roundAmount(branches.reduce((sum, entry) => sum + entry.buckets[bucket.key], 0)),
+  ]));
+  return { asOf, branches, totals };
+};
+
+// ترحيل المستندات السابقة لتفعيل الحساب: الطلبات المسلمة والمرتجعات المعتمدة والمطالبات الدائنة
+const syncBranchLedger = async ({ branch, userId, session }) => {
+  const filter = branch ? { branch } : {};
+  const result = { invoices: 0, returnCredits: 0, claimCredits: 0 };
+
+  const invoicedOrders = await BranchInvoice.distinct('order', filter).session(session);
+  const orders = await Order.find({ ...filter, status: 'delivered', _id: { $nin: invoicedOrders } }).session(session);
+  for (const order of orders) {
+    await postOrderInvoice({ order, userId, session });
+    result.invoices += 1;
+  }
+
+  const creditedReturns = await LedgerEntry.distinct('referenceId', { ...filter, entryType: 'return_credit' }).session(session);
+  const returns = await Return.find({ ...filter, status: 'approved', _id: { $nin: creditedReturns } }).session(session);
+  for (const returnRequest of returns) {
+    if (await postReturnCredit({ returnRequest, userId, session })) result.returnCredits += 1;
+  }
+
+  const creditedClaims = await LedgerEntry.distinct('referenceId', { ...filter, entryType: 'claim_credit' }).session(session);
+  const claims = await Claim.find({ ...filter, status: 'credited', 'settlement.method': 'credit', _id: { $nin: creditedClaims } }).session(session);
+  for (const claim of claims) {
+    if (await postClaimCredit({ claim, userId, session })) result.claimCredits += 1;
+  }
+  return result;
+};
+
+module.exports = {
+  AGING_BUCKETS,
+  postOrderInvoice,
+  postDiscrepancyCredit,
+  postReturnCredit,
+  postClaimCredit,
+  recordBranchPayment,
+  buildBranchStatement,
+  buildAgingReport,
+  syncBranchLedger,
+};
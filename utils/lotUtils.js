@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const ProductionLot = require('../models/ProductionLot');
+const Inventory = require('../models/Inventory');
+const InventoryHistory = require('../models/InventoryHistory');
+const Product = require('../models/Product');
+const { nextDocumentNumber } = require('./numberingUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ترتيب FEFO: الأقرب انتهاءً أولاً، والدفعات بدون تاريخ صلاحية في النهاية ثم الأقدم إنتاجًا
+const compareFefo = (a, b) => {
+  const aExpiry = a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity;
+  const bExpiry = b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity;
+  if (aExpiry !== bExpiry) return aExpiry - bExpiry;
+  return new Date(a.productionDate || a.receivedAt || 0) - new Date(b.productionDate || b.receivedAt || 0);
+};
+
+// إنشاء دفعة جديدة لكل عملية إنتاج بتاريخ إنتاج وصلاحية خاصين بها
+const createLot = async ({
+  product,
+  quantity,
+  productionDate = new Date(),
+  expiryDate,
+  sourceType,
+  sourceId,
+  createdBy,
+  session,
+}) => {
+  if (!mongoose.isValidObjectId(product) || !mongoose.isValidObjectId(createdBy)) {
+    throw new Error('معرف المنتج أو المستخدم غير صالح');
+  }
+  if (!quantity || quantity <= 0) {
+    throw new Error('كمية الدفعة غير صالحة');
+  }
+  const productData = await Product.findById(product).select('code shelfLife').session(session).lean();
+  if (!productData) {
+    throw new Error(`المنتج ${product} غير موجود`);
+  }
+  const producedAt = new Date(productionDate);
+  let lotExpiry = expiryDate ? new Date(expiryDate) : null;
+  if (!lotExpiry && productData.shelfLife) {
+    lotExpiry = new Date(producedAt.getTime() + productData.shelfLife * DAY_MS);
+  }
+  const lotNumber = await nextDocumentNumber({ type: 'LOT', productCode: productData.code, date: producedAt, session });
+  const lot = new ProductionLot({
+    lotNumber,
+    product,
+    quantity,
+    remainingQuantity: quantity,
+    productionDate: producedAt,
+    expiryDate: lotExpiry || undefined,
+    sourceType,
+    sourceId,
+    createdBy,
+  });
+  await lot.save({ session });
+  return lot;
+};
+
+// حجز كمية من دفعات المصنع النشطة بترتيب FEFO؛ قد تكون الكمية المحجوزة أقل من المطلوب للمخزون القديم غير المرتبط بدفعات
+const allocateLotsFEFO = async ({ product, quantity, session }) => {
+  const lots = await ProductionLot.find({
+    product,
+    status: 'active',
+    remainingQuantity: { $gt: 0 },
+    $or: [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }],
+  })
+    .session(session)
+    .lean();
+  lots.sort(compareFefo);
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const take = Math.min(lot.remainingQuantity, remaining);
+    const updatedLot = await ProductionLot.findOneAndUpdate(
+      { _id: lot._id, remainingQuantity: { $gte: take } },
+      { $inc: { remainingQuantity: -take } },
+      { new: true, session }
+    );
+    if (!updatedLot) continue;
+    if (updatedLot.remainingQuantity === 0) {
+      updatedLot.status = 'depleted';
+      await updatedLot.save({ session });
+    }
+    allocations.push({
+      lot: lot._id,
+      lotNumber: lot.lotNumber,
+      quantity: take,
+      productionDate: lot.productionDate,
+      expiryDate: lot.expiryDate,
+    });
+    remaining -= take;
+  }
+  if (remaining > 0) {
+    console.warn(`[${new Date().toISOString()}] Lot allocation short for product ${product}:`, { requested: quantity, unallocated: remaining });
+  }
+  return allocations;
+};
+
+// تخصيص دفعات لكل عناصر الطلب عند شحنه إلى الفرع
+const allocateOrderLots = async (order, session) => {
+  for (const item of order.items) {
+    if (item.lots?.length) continue;
+    const productId = item.product?._id || item.product;
+    item.lots = await allocateLotsFEFO({ product: productId, quantity: item.quantity, session });
+  }
+  order.markModified('items');
+  return order;
+};
+
+// إنتاج عنصر طلب فرع ينشئ دفعة مخصصة بالكامل لهذا العنصر
+const createOrderItemLot = async ({ order, item, createdBy, session }) => {
+  const lot = await createLot({
+    product: item.product?._id || item.product,
+    quantity: item.quantity,
+    sourceType: 'order',
+    sourceId: order._id,
+    createdBy,
+    session,
+  });
+  lot.remainingQuantity = 0;
+  lot.status = 'depleted';
+  await lot.save({ session });
+  item.lots = [{
+    lot: lot._id,
+    lotNumber: lot.lotNumber,
+    quantity: lot.quantity,
+    productionDate: lot.productionDate,
+    expiryDate: lot.expiryDate,
+  }];
+  return lot;
+};
+
+// إضافة الدفعات المستلمة إلى مخزون الفرع مع الاحتفاظ بهوية كل دفعة
+const addLotsToBranchInventory = async ({ branch, product, allocations, session }) => {
+  for (const allocation of allocations) {
+    const result = await Inventory.updateOne(
+      { branch, product, 'lots.lot': allocation.lot },
+      { $inc: { 'lots.$.quantity': allocation.quantity } },
+      { session }
+    );
+    if (result.matchedCount === 0) {
+      await Inventory.updateOne(
+        { branch, product },
+        {
+          $push: {
+            lots: {
+              lot: allocation.lot,
+              lotNumber: allocation.lotNumber,
+              quantity: allocation.quantity,
+              productionDate: allocation.productionDate,
+              expiryDate: allocation.expiryDate,
+              receivedAt: new Date(),
+            },
+          },
+        },
+        { session }
+      );
+    }
+  }
+};
+
+// إعادة كميات دفعات إلى مخزون الفرع؛ الدفعة التي نفدت وحُذفت تُعاد بتواريخها من دفعة الإنتاج
+const restoreBranchLots = async ({ branch, product, allocations, session }) => {
+  if (!allocations.length) return;
+  const lots = await ProductionLot.find({ _id: { $in: allocations.map(allocation => allocation.lot) } })
+    .select('productionDate expiryDate')
+    .session(session)
+    .lean();
+  const lotDates = new Map(lots.map(lot => [lot._id.toString(), lot]));
+  await addLotsToBranchInventory({
+    branch,
+    product,
+    allocations: allocations.map(allocation => ({
+      ...allocation,
+      productionDate: lotDates.get(allocation.lot.toString())?.productionDate,
+      expiryDate: lotDates.get(allocation.lot.toString())?.expiryDate,
+    })),
+    session,
+  });
+};
+
+// إعادة كميات مرتجعة إلى دفعات المصنع الأصلية بتواريخ صلاحيتها؛ الدفعة المنتهية أو المسترجعة تبقى خارج التخصيص
+const restoreFactoryLots = async ({ allocations, session }) => {
+  for (const allocation of allocations) {
+    const lot = await ProductionLot.findByIdAndUpdate(
+      allocation.lot,
+      { $inc: { remainingQuantity: allocation.quantity } },
+      { new: true, session }
+    );
+    if (lot?.status === 'depleted' && (!lot.expiryDate || lot.expiryDate > new Date())) {
+      lot.status = 'active';
+      await lot.save({ session });
+    }
+  }
+};
+
+// خصم كمية من دفعات مخزون الفرع بترتيب FEFO وإرجاع الدفعات المستهلكة
+const consumeBranchLots = async ({ branch, product, quantity, session }) => {
+  const inventory = await Inventory.findOne({ branch, product }).select('lots').session(session);
+  if (!inventory?.lots?.length) return [];
+
+  const sortedLots = [...inventory.lots].sort(compareFefo);
+  const consumed = [];
+  let remaining = quantity;
+  for (const lot of sortedLots) {
+    if (remaining <= 0) break;
+    if (lot.quantity <= 0) continue;
+    const take = Math.min(lot.quantity, remaining);
+    lot.quantity -= take;
+    consumed.push({ lot: lot.lot, lotNumber: lot.lotNumber, quantity: take });
+    remaining -= take;
+  }
+  const remainingLots = inventory.lots.filter(lot => lot.quantity > 0);
+  await Inventory.updateOne({ _id: inventory._id }, { $set: { lots: remainingLots } }, { session });
+  return consumed;
+};
+
+// أول دفعات التخصيص حتى الكمية المطلوبة، لتسجيل ما وصل فعليًا من الدفعات عند النقص أو التلف
+const splitLotAllocations = (allocations, quantity) => {
+  const kept = [];
+  const removed = [];
+  let remaining = quantity;
+  for (const allocation of allocations) {
+    const plain = allocation.toObject ? allocation.toObject() : { ...allocation };
+    const take = Math.min(remaining, plain.quantity);
+    if (take > 0) kept.push({ ...plain, quantity: take });
+    if (plain.quantity - take > 0) removed.push({ ...plain, quantity: plain.quantity - take });
+    remaining -= take;
+  }
+  return { kept, removed };
+};
+
+// إزالة كميات دفعات محددة من مخزون الفرع وحذف الدفعات التي نفدت
+const removeLotsFromBranchInventory = async ({ branch, product, allocations, session }) => {
+  for (const allocation of allocations) {
+    await Inventory.updateOne(
+      { branch, product, 'lots.lot': allocation.lot },
+      { $inc: { 'lots.$.quantity': -allocation.quantity } },
+      { session }
+    );
+  }
+  if (allocations.length) {
+    await Inventory.updateOne({ branch, product }, { $pull: { lots: { quantity: { $lte: 0 } } } }, { session });
+  }
+};
+
+// حركات البيع التي تخرج الدفعات من مخزون الفرع والتي تعيدها إليه
+const SALE_LOT_OUT_ACTIONS = ['sale', 'sale_update_deduct'];
+const SALE_LOT_IN_ACTIONS = ['sale_cancelled', 'sale_update_restore'];
+
+// دفعات الفرع التي خرج منها المنتج في البيع ولم تُستعد بعد (تعديل أو إلغاء أو استرداد سابق)، حتى الكمية المطلوبة
+const findSaleLotsToRestore = async ({ sale, product, quantity, session }) => {
+  const histories = await InventoryHistory.find({
+    referenceType: 'sale',
+    referenceId: sale._id,
+    product,
+    action: { $in: [...SALE_LOT_OUT_ACTIONS, ...SALE_LOT_IN_ACTIONS] },
+    'lots.0': { $exists: true },
+  })
+    .select('action lots')
+    .sort({ createdAt: 1 })
+    .session(session)
+    .lean();
+  const lots = new Map();
+  histories.forEach(history => history.lots.forEach((lot) => {
+    const key = lot.lot.toString();
+    const entry = lots.get(key) || { lot: lot.lot, lotNumber: lot.lotNumber, quantity: 0 };
+    entry.quantity += SALE_LOT_OUT_ACTIONS.includes(history.action) ? lot.quantity : -lot.quantity;
+    lots.set(key, entry);
+  }));
+  return splitLotAllocations([...lots.values()].filter(lot => lot.quantity > 0), quantity).kept;
+};
+
+module.exports = {
+  compareFefo,
+  createLot,
+  allocateLotsFEFO,
+  allocateOrderLots,
+  createOrderItemLot,
+  addLotsToBranchInventory,
+  restoreBranchLots,
+  restoreFactoryLots,
+  consumeBranchLots,
+  splitLotAllocations,
+  removeLotsFromBranchInventory,
+  findSaleLotsToRestore,
+};
@@ -0,0 +1,123 @@
+const Customer = require('../models/Customer');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const { getSalePayments } = require('./paymentUtils');
+
+// النقاط المكتسبة لكل وحدة عملة مدفوعة، والقيمة النقدية للنقطة عند الاستبدال
+const LOYALTY_POINTS_PER_UNIT = Number(process.env.LOYALTY_POINTS_PER_UNIT ?? 1);
+const LOYALTY_POINT_VALUE = Number(process.env.LOYALTY_POINT_VALUE ?? 0.05);
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// عدد النقاط اللازمة لتغطية مبلغ الاستبدال
+const pointsForAmount = (amount) => Math.ceil(roundAmount(amount / LOYALTY_POINT_VALUE * 100) / 100);
+
+const getSalePointsAmount = (sale) => roundAmount(getSalePayments(sale)
+  .filter(payment => payment.tender === 'points')
+  .reduce((sum, payment) => sum + payment.amount, 0));
+
+// النقاط تُكتسب على المبلغ المدفوع بغير النقاط
+const calculateEarnedPoints = (sale) => Math.floor((sale.totalAmount - getSalePointsAmount(sale)) * LOYALTY_POINTS_PER_UNIT);
+
+const saveTransaction = (customer, sale, fields, userId, session) => new LoyaltyTransaction({
+  customer: customer._id,
+  branch: sale.branch,
+  sale: sale._id,
+  referenceNumber: sale.saleNumber,
+  balanceAfter: customer.loyaltyPoints,
+  createdBy: userId,
+  ...fields,
+}).save({ session });
+
+/**
+ * استبدال النقاط المدفوعة في البيع ثم إضافة النقاط المكتسبة عليه.
+ * تُرجع null إذا لم يكن رصيد نقاط العميل كافيًا للاستبدال.
+ */
+const postSaleLoyalty = async ({ sale, userId, session }) => {
+  if (!sale.customer) return null;
+  const redeemValue = getSalePointsAmount(sale);
+  let customer = null;
+  if (redeemValue > 0) {
+    const points = pointsForAmount(redeemValue);
+    customer = await Customer.findOneAndUpdate(
+      { _id: sale.customer, loyaltyPoints: { $gte: points } },
+      { $inc: { loyaltyPoints: -points } },
+      { new: true, session }
+    );
+    if (!customer) return null;
+    await saveTransaction(customer, sale, {
+      transactionType: 'redeem',
+      points: -points,
+      value: redeemValue,
+      description: `استبدال نقاط في البيع #${sale.saleNumber}`,
+      descriptionEn: `Points redeemed on sale #${sale.saleNumber}`,
+    }, userId, session);
+  }
+  const earned = calculateEarnedPoints(sale);
+  if (earned > 0) {
+    customer = await Customer.findByIdAndUpdate(sale.customer, { $inc: { loyaltyPoints: earned } }, { new: true, session });
+    await saveTransaction(customer, sale, {
+      transactionType: 'earn',
+      points: earned,
+      description: `نقاط مكتسبة من البيع #${sale.saleNumber}`,
+      descriptionEn: `Points earned on sale #${sale.saleNumber}`,
+    }, userId, session);
+  }
+  return customer || Customer.findById(sale.customer).session(session);
+};
+
+// عكس صافي حركات النقاط للبيع عند إلغائه أو تعديله
+const reverseSaleLoyalty = async ({ sale, userId, session }) => {
+  const transactions = await LoyaltyTransaction.find({ sale: sale._id }).select('customer points').session(session).lean();
+  const byCustomer = new Map();
+  transactions.forEach((transaction) => {
+    const key = transaction.customer.toString();
+    byCustomer.set(key, (byCustomer.get(key) || 0) + transaction.points);
+  });
+  for (const [customerId, net] of byCustomer) {
+    if (!net) continue;
+    const customer = await Customer.findByIdAndUpdate(customerId, { $inc: { loyaltyPoints: -net } }, { new: true, session });
+    if (!customer) continue;
+    await saveTransaction(customer, sale, {
+      transactionType: 'reversal',
+      points: -net,
+      description: `عكس نقاط البيع #${sale.saleNumber}`,
+      descriptionEn: `Points reversal for sale #${sale.saleNumber}`,
+    }, userId, session);
+  }
+};
+
+/**
+ * عكس نقاط البيع بنسبة القيمة المردودة للعميل: تُخصم حصتها من النقاط المكتسبة وتُعاد حصتها من المستبدلة.
+ * refundedBefore ما رُد من قيمة البيع في استردادات سابقة، فتُحسب الحصص تراكميًا دون فروق تقريب.
+ */
+const reverseRefundLoyalty = async ({ sale, refund, refundedBefore, amount, userId, session }) => {
+  if (!sale.customer || !sale.totalAmount || amount <= 0) return null;
+  const share = (points) => Math.round((points * (refundedBefore + amount)) / sale.totalAmount)
+    - Math.round((points * refundedBefore) / sale.totalAmount);
+  const redeemValue = getSalePointsAmount(sale);
+  const redeemed = redeemValue > 0 ? pointsForAmount(redeemValue) : 0;
+  const net = share(redeemed) - share(Math.max(calculateEarnedPoints(sale), 0));
+  if (!net) return null;
+  const customer = await Customer.findByIdAndUpdate(sale.customer, { $inc: { loyaltyPoints: net } }, { new: true, session });
+  if (!customer) return null;
+  await saveTransaction(customer, sale, {
+    transactionType: 'reversal',
+    points: net,
+    saleRefund: refund._id,
+    referenceNumber: refund.refundNumber,
+    description: `عكس نقاط الاسترداد #${refund.refundNumber} للبيع #${sale.saleNumber}`,
+    descriptionEn: `Points reversal for refund #${refund.refundNumber} of sale #${sale.saleNumber}`,
+  }, userId, session);
+  return customer;
+};
+
+module.exports = {
+  LOYALTY_POINTS_PER_UNIT,
+  LOYALTY_POINT_VALUE,
+  pointsForAmount,
+  getSalePointsAmount,
+  calculateEarnedPoints,
+  postSaleLoyalty,
+  reverseSaleLoyalty,
+  reverseRefundLoyalty,
+};
@@ -21,6 +21,11 @@ const createNotification = async (userId, type, message, data = {}, io, saveToDb
       'orderInTransit', 'orderDelivered', 'branchConfirmedReceipt',
       'taskStarted', 'taskCompleted', 'returnCreated', 'returnStatusUpdated',
       'saleCreated', 'factoryOrderCreated', 'factoryTaskAssigned', 'factoryOrderCompleted',
+      'purchaseOrderCreated', 'purchaseOrderStatusUpdated', 'goodsReceived',
+      'recallCreated', 'recallClosed', 'stockExpired',
+      'restockRequestCreated', 'restockRequestStatusUpdated',
+      'tripAssigned', 'tripStarted', 'tripStopDelivered', 'tripCompleted',
+      'deliveryDiscrepancyReported', 'claimCreated', 'claimStatusUpdated',
     ];
     if (!validTypes.includes(type)) {
       throw new Error(isRtl ? `نوع الإشعار غير صالح: ${type}` : `Invalid notification type: ${type}`);
@@ -30,7 +35,7 @@ const createNotification = async (userId, type, message, data = {}, io, saveToDb
       throw new Error(isRtl ? 'خطأ في تهيئة Socket.IO' : 'Socket.IO not initialized');
     }
 
-    const eventId = data.eventId || `${data.orderId || data.factoryOrderId || data.returnId || data.saleId || data.taskId || 'generic'}-${type}-${userId}`;
+    const eventId = data.eventId || `${data.orderId || data.factoryOrderId || data.purchaseOrderId || data.recallId || data.restockRequestId || data.tripId || data.claimId || data.returnId || data.saleId || data.taskId || 'generic'}-${type}-${userId}`;
     if (saveToDb) {
       const existingNotification = await Notification.findOne({ 'data.eventId': eventId }).lean();
       if (existingNotification) {
@@ -111,6 +116,21 @@ const createNotification = async (userId, type, message, data = {}, io, saveToDb
       factoryOrderCreated: ['admin', 'production'],
       factoryTaskAssigned: ['admin', 'production', 'chef'],
       factoryOrderCompleted: ['admin', 'production', 'chef'],
+      purchaseOrderCreated: ['admin', 'production'],
+      purchaseOrderStatusUpdated: ['admin', 'production'],
+      goodsReceived: ['admin', 'production'],
+      recallCreated: ['admin', 'production', 'branch'],
+      recallClosed: ['admin', 'production', 'branch'],
+      stockExpired: ['admin', 'production', 'branch'],
+      restockRequestCreated: ['admin', 'production', 'branch'],
+      restockRequestStatusUpdated: ['admin', 'production', 'branch'],
+      tripAssigned: ['admin', 'production', 'driver'],
+      tripStarted: ['admin', 'production', 'branch', 'driver'],
+      tripStopDelivered: ['admin', 'production', 'branch', 'driver'],
+      tripCompleted: ['admin', 'production', 'driver'],
+      deliveryDiscrepancyReported: ['admin', 'production', 'branch'],
+      claimCreated: ['admin', 'production', 'branch'],
+      claimStatusUpdated: ['admin', 'production', 'branch'],
     }[type] || [];
 
     const rooms = new Set([`user-${userId}`]);
@@ -118,6 +138,7 @@ const createNotification = async (userId, type, message, data = {}, io, saveToDb
     if (roles.includes('production')) rooms.add('production');
     if (roles.includes('branch') && (data.branchId || targetUser.branch?._id)) rooms.add(`branch-${data.branchId || targetUser.branch._id}`);
     if (roles.includes('chef') && data.chefId) rooms.add(`chef-${data.chefId}`);
+    if (roles.includes('driver') && data.driverId) rooms.add(`driver-${data.driverId}`);
 
     rooms.forEach(room => {
       io.to(room).emit('newNotification', eventData);
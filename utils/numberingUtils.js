@@ -0,0 +1,150 @@
+const Counter = require('../models/Counter');
+const Branch = require('../models/Branch');
+const Sale = require('../models/Sale');
+const Order = require('../models/Order');
+const FactoryOrder = require('../models/FactoryOrder');
+const Return = require('../models/Return');
+const BranchInvoice = require('../models/BranchInvoice');
+const LedgerEntry = require('../models/LedgerEntry');
+const CustomerTransaction = require('../models/CustomerTransaction');
+const SaleRefund = require('../models/SaleRefund');
+const CashShift = require('../models/CashShift');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceivedNote = require('../models/GoodsReceivedNote');
+const Claim = require('../models/Claim');
+const Recall = require('../models/Recall');
+const DeliveryTrip = require('../models/DeliveryTrip');
+const DeliveryDiscrepancy = require('../models/DeliveryDiscrepancy');
+const ProductionLot = require('../models/ProductionLot');
+const { toDateKey } = require('./timezoneUtils');
+
+// أنواع المستندات وصيغها الافتراضية؛ الحقل يُستخدم لاستكمال الترقيم من المستندات السابقة
+// الصيغ التي لا تحمل {BRANCH} تستخدم عدادًا واحدًا لكل الفروع، فتسلسلها عام حتى لو مُرر الفرع
+const DOCUMENT_TYPES = {
+  SALE: { format: 'SALE-{BRANCH}-{YYYYMMDD}-{SEQ}', model: Sale, field: 'saleNumber' },
+  ORDER: { format: 'ORD-{BRANCH}-{YYYYMMDD}-{SEQ}', model: Order, field: 'orderNumber' },
+  STOCK_ORDER: { format: 'STOCK-{YYYYMMDD}-{SEQ}', model: Order, field: 'orderNumber' },
+  RESTOCK_ORDER: { format: 'RST-{YYYYMMDD}-{SEQ}', model: Order, field: 'orderNumber' },
+  REPLENISHMENT_ORDER: { format: 'REP-{YYYYMMDD}-{SEQ}', model: Order, field: 'orderNumber' },
+  RESHIP_ORDER: { format: 'RSH-{YYYYMMDD}-{SEQ}', model: Order, field: 'orderNumber' },
+  FACTORY_ORDER: { format: 'FO-{YYYYMMDD}-{SEQ}', model: FactoryOrder, field: 'orderNumber' },
+  RETURN: { format: 'RET-{BRANCH}-{YYYYMMDD}-{SEQ}', model: Return, field: 'returnNumber' },
+  INVOICE: { format: 'INV-{BRANCH}-{YYYYMMDD}-{SEQ}', model: BranchInvoice, field: 'invoiceNumber' },
+  BRANCH_PAYMENT: { format: 'PAY-{YYYYMMDD}-{SEQ}', model: LedgerEntry, field: 'referenceNumber' },
+  CUSTOMER_PAYMENT: { format: 'CPY-{YYYYMMDD}-{SEQ}', model: CustomerTransaction, field: 'referenceNumber' },
+  CREDIT_NOTE: { format: 'CRN-{YYYYMMDD}-{SEQ}', model: SaleRefund, field: 'refundNumber' },
+  SHIFT: { format: 'SHF-{YYYYMMDD}-{SEQ}', model: CashShift, field: 'shiftNumber' },
+  PURCHASE_ORDER: { format: 'PO-{YYYYMMDD}-{SEQ}', model: PurchaseOrder, field: 'orderNumber' },
+  GOODS_RECEIPT: { format: 'GRN-{YYYYMMDD}-{SEQ}', model: GoodsReceivedNote, field: 'grnNumber' },
+  CLAIM: { format: 'CLM-{YYYYMMDD}-{SEQ}', model: Claim, field: 'claimNumber' },
+  RECALL: { format: 'REC-{YYYYMMDD}-{SEQ}', model: Recall, field: 'recallNumber' },
+  DELIVERY_TRIP: { format: 'TRP-{YYYYMMDD}-{SEQ}', model: DeliveryTrip, field: 'tripNumber' },
+  DISCREPANCY: { format: 'DSC-{YYYYMMDD}-{SEQ}', model: DeliveryDiscrepancy, field: 'discrepancyNumber' },
+  LOT: { format: 'LOT-{PRODUCT}-{YYYYMMDD}-{SEQ:3}', model: ProductionLot, field: 'lotNumber' },
+};
+
+const DEFAULT_SEQ_LENGTH = 4;
+const TOKEN_PATTERN = /\{(BRANCH|PRODUCT|YYYYMMDD|YYYY|YY|MM|DD|SEQ)(?::(\d+))?\}/g;
+const HEAD_OFFICE_CODE = 'HQ';
+
+const parseFormatOverrides = () => {
+  if (!process.env.DOCUMENT_NUMBER_FORMATS) return {};
+  try {
+    return JSON.parse(process.env.DOCUMENT_NUMBER_FORMATS);
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] Invalid DOCUMENT_NUMBER_FORMATS, using defaults:`, { error: err.message });
+    return {};
+  }
+};
+
+// الصيغ قابلة للتخصيص عبر DOCUMENT_NUMBER_FORMATS مثل {"SALE":"S-{BRANCH}-{YYMMDD}-{SEQ:5}"}
+const FORMAT_OVERRIDES = parseFormatOverrides();
+
+const getNumberFormat = (type) => {
+  const override = FORMAT_OVERRIDES[type];
+  if (typeof override === 'string' && /\{SEQ(?::\d+)?\}/.test(override)) return override;
+  return DOCUMENT_TYPES[type].format;
+};
+
+// فترة إعادة الترقيم تُستنتج من أصغر وحدة تاريخ في الصيغة
+const getPeriod = (format, parts) => {
+  if (/\{(YYYYMMDD|DD)\}/.test(format)) return `${parts.YYYY}${parts.MM}${parts.DD}`;
+  if (/\{MM\}/.test(format)) return `${parts.YYYY}${parts.MM}`;
+  if (/\{(YYYY|YY)\}/.test(format)) return parts.YYYY;
+  return '';
+};
+
+// اليوم بتوقيت النشاط، فيبدأ التسلسل اليومي عند منتصف ليل الفرع لا منتصف ليل UTC
+const getDateParts = (date) => {
+  const [YYYY, MM, DD] = toDateKey(date).split('-');
+  return { YYYY, YY: YYYY.slice(2), MM, DD, YYYYMMDD: `${YYYY}${MM}${DD}` };
+};
+
+const renderFormat = (format, values, seq) => format.replace(TOKEN_PATTERN, (match, token, length) => {
+  if (token === 'SEQ') return seq.toString().padStart(Number(length || DEFAULT_SEQ_LENGTH), '0');
+  return values[token];
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// أكبر تسلسل صادر بنفس الصيغة قبل إنشاء العداد، حتى لا يتكرر رقم موجود
+const findLastSequence = async ({ model, field }, format, values, session) => {
+  let pattern = '';
+  let lastIndex = 0;
+  format.replace(TOKEN_PATTERN, (match, token, length, offset) => {
+    pattern += escapeRegex(format.slice(lastIndex, offset));
+    pattern += token === 'SEQ' ? '(\\d+)' : escapeRegex(values[token]);
+    lastIndex = offset + match.length;
+    return match;
+  });
+  pattern += escapeRegex(format.slice(lastIndex));
+  const regex = new RegExp(`^${pattern}$`);
+  const docs = await model.find({ [field]: { $regex: regex } }).select(field).session(session).lean();
+  return docs.reduce((max, doc) => Math.max(max, Number(doc[field]?.match(regex)?.[1]) || 0), 0);
+};
+
+/**
+ * يصدر الرقم التالي لنوع المستند من عداد ذري لكل نوع وفرع وفترة، ولكل منتج في الصيغ التي تحمل {PRODUCT}.
+ * يجب استدعاؤه داخل معاملة الإنشاء حتى يُلغى التسلسل مع إلغائها فلا تظهر فجوات.
+ * الإنشاء المتزامن لنفس العداد يرمي TransientTransactionError، فتُشغل المعاملة عبر runTransaction لإعادتها.
+ */
+const nextDocumentNumber = async ({ type, branch, productCode, date = new Date(), session }) => {
+  const config = DOCUMENT_TYPES[type];
+  if (!config) {
+    throw new Error(`Unknown document type: ${type}`);
+  }
+  const format = getNumberFormat(type);
+  const values = getDateParts(date);
+  const branchScoped = format.includes('{BRANCH}');
+  const counterBranch = branchScoped && branch ? branch._id || branch : null;
+  if (branchScoped) {
+    const branchDoc = counterBranch
+      ? await Branch.findById(counterBranch).select('code').session(session).lean()
+      : null;
+    values.BRANCH = branchDoc?.code?.toUpperCase() || HEAD_OFFICE_CODE;
+  }
+  const productScoped = format.includes('{PRODUCT}');
+  if (productScoped) {
+    values.PRODUCT = productCode ? String(productCode) : 'NA';
+  }
+  const period = getPeriod(format, values);
+  const key = [type, counterBranch ? counterBranch.toString() : 'all', ...(productScoped ? [values.PRODUCT] : []), period].join('|');
+
+  let counter = await Counter.findOneAndUpdate({ key }, { $inc: { seq: 1 } }, { new: true, session });
+  if (!counter) {
+    const lastSeq = await findLastSequence(config, format, values, session);
+    await Counter.updateOne(
+      { key },
+      { $setOnInsert: { type, branch: counterBranch, productCode: productScoped ? values.PRODUCT : undefined, period }, $max: { seq: lastSeq } },
+      { upsert: true, session }
+    );
+    counter = await Counter.findOneAndUpdate({ key }, { $inc: { seq: 1 } }, { new: true, session });
+  }
+  return renderFormat(format, values, counter.seq);
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getNumberFormat,
+  nextDocumentNumber,
+};
@@ -0,0 +1,374 @@
+const Inventory = require('../models/Inventory');
+const InventoryHistory = require('../models/InventoryHistory');
+const DeliveryDiscrepancy = require('../models/DeliveryDiscrepancy');
+const User = require('../models/User');
+const {
+  allocateOrderLots,
+  addLotsToBranchInventory,
+  splitLotAllocations,
+  removeLotsFromBranchInventory,
+} = require('./lotUtils');
+const { emitSocketEvent, notifyUsers } = require('./helpers');
+const { createNotification } = require('./notifications');
+const { postOrderInvoice, postDiscrepancyCredit } = require('./ledgerUtils');
+const { nextDocumentNumber } = require('./numberingUtils');
+const { toStoredFile } = require('../middleware/upload');
+
+const getOrderAudience = (order) => User.find({
+  $or: [
+    { role: { $in: ['admin', 'production'] } },
+    { role: 'branch', branch: order.branch },
+  ],
+}).select('_id role').lean();
+
+const branchDisplayName = (branch, isRtl) => (isRtl
+  ? branch?.name || 'غير معروف'
+  : branch?.nameEn || branch?.name || 'Unknown');
+
+// شحن طلب مكتمل: تخصيص الدفعات ونقله إلى "في الطريق"
+const dispatchOrder = async ({ order, userId, notes, notesEn, isRtl, session }) => {
+  await allocateOrderLots(order, session);
+  order.status = 'in_transit';
+  order.transitStartedAt = new Date();
+  order.statusHistory.push({
+    status: 'in_transit',
+    changedBy: userId,
+    notes,
+    notesEn,
+    changedAt: new Date(),
+  });
+  await order.save({ session, context: { isRtl } });
+  return order;
+};
+
+const announceOrderInTransit = async ({ io, order, populatedOrder, user, isRtl }) => {
+  const id = order._id;
+  const usersToNotify = await getOrderAudience(order);
+  const eventId = `${id}-order_in_transit`;
+  const eventData = {
+    orderId: id,
+    orderNumber: order.orderNumber,
+    branchId: order.branch,
+    branchName: branchDisplayName(populatedOrder.branch, isRtl),
+    status: 'in_transit',
+    eventId,
+    isRtl,
+  };
+  await notifyUsers(
+    io,
+    usersToNotify,
+    'orderInTransit',
+    isRtl ? `الطلب ${order.orderNumber} في طريقه إلى الفرع ${populatedOrder.branch?.name || 'غير معروف'}` : `Order ${order.orderNumber} is on its way to branch ${populatedOrder.branch?.nameEn || populatedOrder.branch?.name || 'Unknown'}`,
+    eventData,
+    true
+  );
+  const orderData = {
+    orderId: id,
+    status: 'in_transit',
+    user,
+    orderNumber: order.orderNumber,
+    branchId: order.branch,
+    branchName: branchDisplayName(populatedOrder.branch, isRtl),
+    displayNotes: populatedOrder.displayNotes,
+    adjustedTotal: populatedOrder.adjustedTotal,
+    createdAt: new Date(populatedOrder.createdAt).toISOString(),
+    eventId,
+    sound: 'https://eljoodia-client.vercel.app/sounds/notification.mp3',
+    vibrate: [200, 100, 200],
+    isRtl,
+  };
+  await emitSocketEvent(io, ['admin', 'production', `branch-${order.branch}`], 'orderInTransit', orderData);
+  return orderData;
+};
+
+const getItemProductId = (item) => item.product?._id || item.product;
+
+// بناء إيصال الاستلام لكل عناصر الطلب؛ العنصر غير المذكور يعتبر مستلمًا بالكامل
+const buildReceipt = (order, items = [], isRtl = true) => {
+  const entries = new Map();
+  for (const entry of items) {
+    const itemId = entry.itemId?.toString();
+    if (!order.items.some(item => item._id.toString() === itemId)) {
+      throw new Error(isRtl ? `عنصر الطلب ${itemId} غير صالح` : `Invalid order item ${itemId}`);
+    }
+    if (entries.has(itemId)) {
+      throw new Error(isRtl ? `عنصر الطلب ${itemId} مكرر في الإيصال` : `Order item ${itemId} appears more than once in the receipt`);
+    }
+    entries.set(itemId, entry);
+  }
+  return order.items.map((item) => {
+    const entry = entries.get(item._id.toString()) || {};
+    const damagedQuantity = Number(entry.damagedQuantity) || 0;
+    let receivedQuantity;
+    let shortQuantity;
+    if (entry.receivedQuantity !== undefined && entry.receivedQuantity !== null) {
+      receivedQuantity = Number(entry.receivedQuantity);
+      shortQuantity = item.quantity - receivedQuantity - damagedQuantity;
+    } else {
+      shortQuantity = Number(entry.shortQuantity) || 0;
+      receivedQuantity = item.quantity - shortQuantity - damagedQuantity;
+    }
+    if ([receivedQuantity, shortQuantity, damagedQuantity].some(qty => !Number.isFinite(qty) || qty < 0)) {
+      throw new Error(isRtl
+        ? `الكميات المستلمة والناقصة والتالفة للعنصر ${item._id} غير صالحة، مجموعها يجب أن يساوي ${item.quantity}`
+        : `Invalid received, short and damaged quantities for item ${item._id}, they must add up to ${item.quantity}`);
+    }
+    return {
+      item,
+      receivedQuantity,
+      shortQuantity,
+      damagedQuantity,
+      notes: entry.notes?.trim() || undefined,
+    };
+  });
+};
+
+// إثبات التسليم اختياري: توقيع أو صور مرفوعة واسم المستلم والملاحظات إن وجدت
+const buildDeliveryProof = ({ files, recipientName, notes }) => {
+  const signature = files?.signature?.[0];
+  const photos = files?.photos || [];
+  if (!signature && !photos.length && !recipientName?.trim() && !notes?.trim()) return null;
+  return {
+    signature: signature ? toStoredFile(signature) : undefined,
+    photos: photos.map(toStoredFile),
+    recipientName: recipientName?.trim() || undefined,
+    notes: notes?.trim() || undefined,
+  };
+};
+
+const hasDiscrepancy = (receipt) => receipt.some(line => line.shortQuantity > 0 || line.damagedQuantity > 0);
+
+const findReceiptLine = (receipt, item) => receipt?.find(line => line.item._id.toString() === item._id.toString());
+
+// تسليم طلب للفرع: إضافة الكميات والدفعات لمخزون الفرع وتسجيل الحركة ثم تحويله إلى "تم التسليم"
+// عند تمرير إيصال استلام تضاف الكمية المستلمة فقط، والتالف يسجل في المخزون التالف
+const deliverOrder = async ({ order, userId, notes, notesEn, receipt, session }) => {
+  for (const item of order.items) {
+    const line = findReceiptLine(receipt, item);
+    const receivedQuantity = line ? line.receivedQuantity : item.quantity;
+    const damagedQuantity = line ? line.damagedQuantity : 0;
+    const productId = getItemProductId(item);
+    await Inventory.findOneAndUpdate(
+      { branch: order.branch, product: productId },
+      {
+        $inc: { currentStock: receivedQuantity, damagedStock: damagedQuantity },
+        $push: {
+          movements: {
+            type: 'in',
+            quantity: receivedQuantity,
+            reference: `تسليم طلب #${order.orderNumber}`,
+            createdBy: userId,
+            createdAt: new Date(),
+          },
+        },
+      },
+      { new: true, upsert: true, session }
+    );
+    const itemLots = line ? splitLotAllocations(item.lots || [], receivedQuantity).kept : item.lots || [];
+    await addLotsToBranchInventory({ branch: order.branch, product: productId, allocations: itemLots, session });
+    const historyEntry = new InventoryHistory({
+      product: productId,
+      branch: order.branch,
+      action: 'delivery',
+      quantity: receivedQuantity,
+      reference: `تسليم طلب #${order.orderNumber}`,
+      referenceType: 'order',
+      referenceId: order._id,
+      createdBy: userId,
+      lots: itemLots.map(lot => ({ lot: lot.lot, lotNumber: lot.lotNumber, quantity: lot.quantity })),
+    });
+    await historyEntry.save({ session });
+    if (damagedQuantity > 0) {
+      await new InventoryHistory({
+        product: productId,
+        branch: order.branch,
+        action: 'delivery',
+        quantity: damagedQuantity,
+        reference: `تسليم طلب #${order.orderNumber}`,
+        referenceType: 'order',
+        referenceId: order._id,
+        createdBy: userId,
+        notes: line.notes || 'وصل تالفًا',
+        isDamaged: true,
+      }).save({ session });
+    }
+  }
+  order.status = 'delivered';
+  order.deliveredAt = new Date();
+  order.statusHistory.push({
+    status: 'delivered',
+    changedBy: userId,
+    notes,
+    notesEn,
+    changedAt: new Date(),
+  });
+  await order.save({ session });
+  await postOrderInvoice({ order, receipt, userId, session });
+  return order;
+};
+
+const announceOrderDelivered = async ({ io, order, populatedOrder, isRtl }) => {
+  const id = order._id;
+  const usersToNotify = await getOrderAudience(order);
+  await notifyUsers(
+    io,
+    usersToNotify,
+    'order_status_updated',
+    'notifications.order_status_updated',
+    { orderId: id, orderNumber: order.orderNumber, branchId: order.branch, status: 'delivered', eventId: `${id}-order_status_updated`, isRtl }
+  );
+  const orderData = {
+    orderId: id,
+    orderNumber: order.orderNumber,
+    status: 'delivered',
+    branchId: order.branch,
+    branchName: isRtl ? populatedOrder.branch?.name : populatedOrder.branch?.nameEn || 'Unknown',
+    items: populatedOrder.items,
+    deliveredAt: new Date(order.deliveredAt).toISOString(),
+    eventId: `${id}-order_status_updated`,
+    isRtl,
+  };
+  await emitSocketEvent(io, ['admin', 'production', `branch-${order.branch}`], 'orderStatusUpdated', orderData);
+  return orderData;
+};
+
+// رمز خطأ عدم كفاية مخزون الفرع لخصم فرق الاستلام
+const INSUFFICIENT_BRANCH_STOCK = 'INSUFFICIENT_BRANCH_STOCK';
+
+// تصحيح ترحيل التسليم لطلب سلّمه السائق مسبقًا: خصم الناقص والتالف من المخزون الحالي ودفعاته
+const adjustDeliveredOrder = async ({ order, receipt, userId, isRtl, session }) => {
+  for (const line of receipt) {
+    const missingQuantity = line.shortQuantity + line.damagedQuantity;
+    if (missingQuantity <= 0) continue;
+    const { item } = line;
+    const productId = getItemProductId(item);
+    const result = await Inventory.updateOne(
+      { branch: order.branch, product: productId, currentStock: { $gte: missingQuantity } },
+      {
+        $inc: { currentStock: -missingQuantity, damagedStock: line.damagedQuantity },
+        $push: {
+          movements: {
+            type: 'out',
+            quantity: missingQuantity,
+            reference: `فرق استلام طلب #${order.orderNumber}`,
+            createdBy: userId,
+            createdAt: new Date(),
+          },
+        },
+      },
+      { session }
+    );
+    if (result.matchedCount === 0) {
+      throw Object.assign(
+        new Error(isRtl
+          ? `المخزون الحالي للمنتج ${item.product?.name || productId} غير كافٍ لتسجيل فرق الاستلام`
+          : `Insufficient current stock for product ${item.product?.nameEn || item.product?.name || productId} to record the receipt discrepancy`),
+        { code: INSUFFICIENT_BRANCH_STOCK, status: 422 }
+      );
+    }
+    const { removed } = splitLotAllocations(item.lots || [], line.receivedQuantity);
+    await removeLotsFromBranchInventory({ branch: order.branch, product: productId, allocations: removed, session });
+    await new InventoryHistory({
+      product: productId,
+      branch: order.branch,
+      action: 'adjustment',
+      quantity: -missingQuantity,
+      reference: `فرق استلام طلب #${order.orderNumber}`,
+      referenceType: 'order',
+      referenceId: order._id,
+      createdBy: userId,
+      notes: line.notes,
+      isDamaged: line.damagedQuantity > 0,
+      lots: removed.map(lot => ({ lot: lot.lot, lotNumber: lot.lotNumber, quantity: lot.quantity })),
+    }).save({ session });
+  }
+};
+
+// حفظ إيصال الاستلام وإثبات التسليم على الطلب وإنشاء سجل فرق عند وجود نقص أو تلف
+const recordReceipt = async ({ order, receipt, proof, userId, isRtl, session }) => {
+  for (const line of receipt) {
+    line.item.receivedQuantity = line.receivedQuantity;
+    line.item.shortQuantity = line.shortQuantity;
+    line.item.damagedQuantity = line.damagedQuantity;
+  }
+  order.markModified('items');
+  order.deliveryProof = proof;
+  order.confirmedBy = userId;
+  order.confirmedAt = new Date();
+
+  let discrepancy = null;
+  if (hasDiscrepancy(receipt)) {
+    const items = receipt
+      .filter(line => line.shortQuantity > 0 || line.damagedQuantity > 0)
+      .map(line => ({
+        itemId: line.item._id,
+        product: getItemProductId(line.item),
+        orderedQuantity: line.item.quantity,
+        receivedQuantity: line.receivedQuantity,
+        shortQuantity: line.shortQuantity,
+        damagedQuantity: line.damagedQuantity,
+        price: line.item.price,
+        notes: line.notes,
+      }));
+    discrepancy = new DeliveryDiscrepancy({
+      discrepancyNumber: await nextDocumentNumber({ type: 'DISCREPANCY', branch: order.branch, session }),
+      order: order._id,
+      branch: order.branch,
+      trip: order.trip,
+      items,
+      totalShort: items.reduce((sum, item) => sum + item.shortQuantity, 0),
+      totalDamaged: items.reduce((sum, item) => sum + item.damagedQuantity, 0),
+      totalValue: items.reduce((sum, item) => sum + (item.shortQuantity + item.damagedQuantity) * item.price, 0),
+      notes: proof?.notes,
+      reportedBy: userId,
+    });
+    await discrepancy.save({ session });
+    order.discrepancy = discrepancy._id;
+  }
+  await order.save({ session, context: { isRtl } });
+  if (discrepancy) {
+    await postDiscrepancyCredit({ order, discrepancy, userId, session });
+  }
+  return discrepancy;
+};
+
+const announceDeliveryDiscrepancy = async ({ io, order, discrepancy, branchName, isRtl }) => {
+  const usersToNotify = await getOrderAudience(order);
+  const baseEventId = `${discrepancy._id}-deliveryDiscrepancyReported`;
+  const eventData = {
+    discrepancyId: discrepancy._id,
+    discrepancyNumber: discrepancy.discrepancyNumber,
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    branchId: order.branch,
+    branchName,
+    totalShort: discrepancy.totalShort,
+    totalDamaged: discrepancy.totalDamaged,
+    totalValue: discrepancy.totalValue,
+    isRtl,
+  };
+  const message = isRtl
+    ? `تم تسجيل فرق استلام ${discrepancy.discrepancyNumber} للطلب ${order.orderNumber} في الفرع ${branchName}`
+    : `Delivery discrepancy ${discrepancy.discrepancyNumber} reported for order ${order.orderNumber} at branch ${branchName}`;
+  for (const user of usersToNotify) {
+    try {
+      await createNotification(user._id, 'deliveryDiscrepancyReported', message, { ...eventData, eventId: `${baseEventId}-${user._id}` }, io, true);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Failed to notify user ${user._id} for deliveryDiscrepancyReported:`, { error: err.message });
+    }
+  }
+  await emitSocketEvent(io, ['admin', 'production', `branch-${order.branch}`], 'deliveryDiscrepancyReported', { ...eventData, eventId: baseEventId });
+};
+
+module.exports = {
+  dispatchOrder,
+  announceOrderInTransit,
+  buildReceipt,
+  buildDeliveryProof,
+  deliverOrder,
+  announceOrderDelivered,
+  adjustDeliveredOrder,
+  recordReceipt,
+  announceDeliveryDiscrepancy,
+  INSUFFICIENT_BRANCH_STOCK,
+};
@@ -0,0 +1,74 @@
+const TENDER_TYPES = ['cash', 'card', 'credit', 'points'];
+// وسائل تُسوّى على حساب العميل ولا تمر بصندوق الوردية
+const ACCOUNT_TENDERS = ['credit', 'points'];
+
+const TENDER_LABELS = {
+  cash: { ar: 'نقدًا', en: 'Cash' },
+  card: { ar: 'بطاقة', en: 'Card' },
+  credit: { ar: 'آجل', en: 'Credit' },
+  points: { ar: 'نقاط الولاء', en: 'Loyalty points' },
+  mixed: { ar: 'دفع متعدد', en: 'Split payment' },
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * التحقق من وسائل الدفع للبيع وحساب الباقي.
+ * بدون payments يُعتبر البيع مدفوعًا بالكامل بطريقة paymentMethod.
+ * الزيادة عن الإجمالي مسموحة للنقد فقط وتُرد كباقٍ من الدفعة النقدية.
+ */
+const normalizeSalePayments = ({ payments, paymentMethod, totalAmount, isRtl }) => {
+  const total = roundAmount(totalAmount);
+  if (!Array.isArray(payments) || payments.length === 0) {
+    const tender = paymentMethod || 'cash';
+    if (!TENDER_TYPES.includes(tender)) {
+      throw new Error(isRtl ? 'طريقة الدفع غير صالحة' : 'Invalid payment method');
+    }
+    return { paymentMethod: tender, payments: [{ tender, amount: total, changeGiven: 0 }] };
+  }
+
+  const normalized = payments.map((payment) => {
+    const amount = roundAmount(Number(payment.amount));
+    if (!TENDER_TYPES.includes(payment.tender)) {
+      throw new Error(isRtl ? `وسيلة الدفع ${payment.tender} غير صالحة` : `Invalid tender type ${payment.tender}`);
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error(isRtl ? 'مبلغ الدفع غير صالح' : 'Invalid payment amount');
+    }
+    return { tender: payment.tender, amount, reference: payment.reference?.trim() || undefined, changeGiven: 0 };
+  });
+
+  const paid = roundAmount(normalized.reduce((sum, payment) => sum + payment.amount, 0));
+  if (paid < total) {
+    throw new Error(isRtl ? `المدفوع ${paid} غير كافٍ لتغطية الإجمالي ${total}` : `Tendered ${paid} is insufficient to cover total ${total}`);
+  }
+  const nonCash = roundAmount(normalized.filter(payment => payment.tender !== 'cash').reduce((sum, payment) => sum + payment.amount, 0));
+  if (nonCash > total) {
+    throw new Error(isRtl ? 'مبالغ الدفع غير النقدي تتجاوز الإجمالي' : 'Non-cash tenders exceed the total');
+  }
+
+  // الباقي يُسجل على الدفعات النقدية بدءًا من الأخيرة
+  let change = roundAmount(paid - total);
+  for (let i = normalized.length - 1; i >= 0 && change > 0; i--) {
+    if (normalized[i].tender !== 'cash') continue;
+    const given = Math.min(change, normalized[i].amount);
+    normalized[i].changeGiven = roundAmount(given);
+    change = roundAmount(change - given);
+  }
+
+  const tenders = [...new Set(normalized.map(payment => payment.tender))];
+  return { paymentMethod: tenders.length === 1 ? tenders[0] : 'mixed', payments: normalized };
+};
+
+// دفعات البيع؛ المبيعات السابقة للدفع المتعدد تُعرض كدفعة واحدة
+const getSalePayments = (sale) => (sale.payments?.length
+  ? sale.payments
+  : [{ tender: sale.paymentMethod || 'cash', amount: sale.totalAmount, changeGiven: 0 }]);
+
+module.exports = {
+  TENDER_TYPES,
+  ACCOUNT_TENDERS,
+  TENDER_LABELS,
+  normalizeSalePayments,
+  getSalePayments,
+};
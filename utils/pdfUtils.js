@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const dayjs = require('dayjs');
+const bidiFactory = require('bidi-js');
+
+const bidi = bidiFactory();
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const DEFAULT_LOGO = process.env.PDF_LOGO_PATH || path.join(PUBLIC_DIR, 'logo (3).png');
+// خط يدعم العربية مع التشكيل الصحيح للحروف المتصلة؛ يمكن استبداله عبر متغيرات البيئة
+const FONT_REGULAR = process.env.PDF_FONT_PATH || require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+const FONT_BOLD = process.env.PDF_FONT_BOLD_PATH || require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+
+const RTL_CHARS = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 20;
+const HEADER_FILL = '#f0f0f0';
+
+// تقسيم النص إلى مقاطع بالترتيب المرئي وفق خوارزمية Unicode Bidi؛
+// المقاطع العربية تبقى بترتيبها المنطقي لأن محرك الخط يشكّلها ويعكسها
+const toVisualRuns = (value, rtl) => {
+  const text = String(value ?? '');
+  if (!text) return [];
+  if (!RTL_CHARS.test(text) && !rtl) return [{ text, rtl: false }];
+  const { levels } = bidi.getEmbeddingLevels(text, rtl ? 'rtl' : 'ltr');
+  const runs = [];
+  for (let i = 0; i < text.length; i++) {
+    const last = runs[runs.length - 1];
+    if (last && last.level === levels[i]) {
+      last.text += text[i];
+    } else {
+      runs.push({ text: text[i], level: levels[i] });
+    }
+  }
+  const maxLevel = Math.max(...runs.map(run => run.level));
+  const minOddLevel = Math.min(...runs.map(run => (run.level % 2 ? run.level : run.level + 1)));
+  for (let level = maxLevel; level >= minOddLevel; level--) {
+    for (let start = 0; start < runs.length; start++) {
+      if (runs[start].level < level) continue;
+      let end = start;
+      while (end + 1 < runs.length && runs[end + 1].level >= level) end++;
+      runs.splice(start, end - start + 1, ...runs.slice(start, end + 1).reverse());
+      start = end;
+    }
+  }
+  return runs.map((run) => {
+    const isRtl = run.level % 2 === 1;
+    let runText = run.text;
+    if (isRtl) {
+      runText = Array.from(runText).map(char => bidi.getMirroredCharacter(char) || char).join('');
+      // المقاطع المحايدة بدون حروف عربية لا يعكسها محرك الخط
+      if (!RTL_CHARS.test(runText)) runText = Array.from(runText).reverse().join('');
+    }
+    return { text: runText, rtl: isRtl };
+  });
+};
+
+// كتابة سطر واحد ثنائي الاتجاه داخل عرض محدد مع تصغير الخط إذا تجاوز العرض
+const drawText = (doc, value, x, y, { width, align, rtl = false, font = 'regular', size = 10, color = '#000000' } = {}) => {
+  const runs = toVisualRuns(value, rtl);
+  if (!runs.length) return;
+  doc.font(font).fillColor(color);
+  let fontSize = size;
+  doc.fontSize(fontSize);
+  let widths = runs.map(run => doc.widthOfString(run.text));
+  let total = widths.reduce((sum, w) => sum + w, 0);
+  while (width && total > width && fontSize > 6) {
+    fontSize -= 0.5;
+    doc.fontSize(fontSize);
+    widths = runs.map(run => doc.widthOfString(run.text));
+    total = widths.reduce((sum, w) => sum + w, 0);
+  }
+  const effectiveAlign = align || (rtl ? 'right' : 'left');
+  let cursor = x;
+  if (width && effectiveAlign === 'right') cursor = x + width - total;
+  if (width && effectiveAlign === 'center') cursor = x + (width - total) / 2;
+  runs.forEach((run, index) => {
+    doc.text(run.text, cursor, y, { lineBreak: false });
+    cursor += widths[index];
+  });
+  doc.fontSize(size);
+};
+
+// تقسيم فقرة طويلة إلى أسطر حسب العرض ثم كتابتها؛ تعيد موضع السطر التالي
+const drawParagraph = (doc, value, x, y, { width, rtl = false, size = 10, font = 'regular', lineGap = 4 } = {}) => {
+  const words = String(value ?? '').split(/\s+/).filter(Boolean);
+  doc.font(font).fontSize(size);
+  const lines = [];
+  let current = '';
+  for (const word of words) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && doc.widthOfString(candidate) > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) lines.push(current);
+  let cursorY = y;
+  for (const line of lines) {
+    drawText(doc, line, x, cursorY, { width, rtl, size, font });
+    cursorY += size + lineGap;
+  }
+  return cursorY;
+};
+
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (value) => (value ? dayjs(value).format('YYYY-MM-DD HH:mm') : '-');
+
+// شعار الفرع من public/branches/<كود الفرع>.png إن وجد وإلا الشعار العام
+const resolveLogo = (branch) => {
+  const candidates = branch?.code
+    ? ['png', 'jpg', 'jpeg'].map(ext => path.join(PUBLIC_DIR, 'branches', `${branch.code}.${ext}`))
+    : [];
+  candidates.push(DEFAULT_LOGO);
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+};
+
+const drawHeader = async (doc, { title, number, qrData, date, branch, rtl }) => {
+  const pageWidth = doc.page.width;
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  const logo = resolveLogo(branch);
+  const qr = await QRCode.toBuffer(qrData || number, { margin: 1, width: 200 });
+  const logoX = rtl ? pageWidth - PAGE_MARGIN - 70 : PAGE_MARGIN;
+  const qrX = rtl ? PAGE_MARGIN : pageWidth - PAGE_MARGIN - 70;
+  if (logo) doc.image(logo, logoX, PAGE_MARGIN, { fit: [70, 70] });
+  doc.image(qr, qrX, PAGE_MARGIN, { width: 70 });
+  drawText(doc, title, PAGE_MARGIN + 80, PAGE_MARGIN + 8, { width: contentWidth - 160, align: 'center', rtl, font: 'bold', size: 16 });
+  drawText(doc, number, PAGE_MARGIN + 80, PAGE_MARGIN + 32, { width: contentWidth - 160, align: 'center', rtl, size: 11 });
+  drawText(doc, formatDate(date), PAGE_MARGIN + 80, PAGE_MARGIN + 50, { width: contentWidth - 160, align: 'center', rtl, size: 9, color: '#555555' });
+  const bottom = PAGE_MARGIN + 80;
+  doc.moveTo(PAGE_MARGIN, bottom).lineTo(pageWidth - PAGE_MARGIN, bottom).strokeColor('#cccccc').stroke();
+  return bottom + 10;
+};
+
+// بيانات المستند كأزواج عنوان وقيمة في عمودين
+const drawMeta = (doc, meta, y, rtl) => {
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const columnWidth = contentWidth / 2;
+  const labelWidth = 90;
+  let cursorY = y;
+  for (let i = 0; i < meta.length; i += 2) {
+    [meta[i], meta[i + 1]].forEach((entry, column) => {
+      if (!entry) return;
+      const visualColumn = rtl ? 1 - column : column;
+      const columnX = PAGE_MARGIN + visualColumn * columnWidth;
+      const labelX = rtl ? columnX + columnWidth - labelWidth : columnX;
+      const valueX = rtl ? columnX : columnX + labelWidth;
+      drawText(doc, `${entry.label}:`, labelX, cursorY, { width: labelWidth, rtl, font: 'bold', size: 9 });
+      drawText(doc, entry.value ?? '-', valueX, cursorY, { width: columnWidth - labelWidth - 8, rtl, size: 9 });
+    });
+    cursorY += 16;
+  }
+  return cursorY + 8;
+};
+
+// جدول العناصر؛ ترتيب الأعمدة ينعكس في المستندات العربية ويعاد رسم الرأس في كل صفحة جديدة
+const drawTable = (doc, columns, rows, y, rtl) => {
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const totalWeight = columns.reduce((sum, column) => sum + (column.weight || 1), 0);
+  const visualColumns = rtl ? [...columns].reverse() : columns;
+  let offset = PAGE_MARGIN;
+  const layout = visualColumns.map((column) => {
+    const width = (contentWidth * (column.weight || 1)) / totalWeight;
+    const entry = { ...column, x: offset, width };
+    offset += width;
+    return entry;
+  });
+
+  const drawHeaderRow = (rowY) => {
+    doc.rect(PAGE_MARGIN, rowY, contentWidth, ROW_HEIGHT).fill(HEADER_FILL);
+    for (const column of layout) {
+      drawText(doc, column.label, column.x + 4, rowY + 5, { width: column.width - 8, align: column.align, rtl, font: 'bold', size: 9 });
+    }
+    return rowY + ROW_HEIGHT;
+  };
+
+  let cursorY = drawHeaderRow(y);
+  for (const row of rows) {
+    if (cursorY + ROW_HEIGHT > doc.page.height - PAGE_MARGIN - 30) {
+      doc.addPage();
+      cursorY = drawHeaderRow(PAGE_MARGIN);
+    }
+    for (const column of layout) {
+      drawText(doc, row[column.key], column.x + 4, cursorY + 5, { width: column.width - 8, align: column.align, rtl, size: 9 });
+    }
+    doc.moveTo(PAGE_MARGIN, cursorY + ROW_HEIGHT).lineTo(PAGE_MARGIN + contentWidth, cursorY + ROW_HEIGHT).strokeColor('#e0e0e0').stroke();
+    cursorY += ROW_HEIGHT;
+  }
+  return cursorY + 10;
+};
+
+const drawTotals = (doc, totals, y, rtl) => {
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const blockWidth = 220;
+  const blockX = rtl ? PAGE_MARGIN : PAGE_MARGIN + contentWidth - blockWidth;
+  let cursorY = y;
+  for (const total of totals) {
+    if (cursorY + 16 > doc.page.height - PAGE_MARGIN - 30) {
+      doc.addPage();
+      cursorY = PAGE_MARGIN;
+    }
+    const font = total.bold ? 'bold' : 'regular';
+    const labelX = rtl ? blockX + blockWidth / 2 : blockX;
+    const valueX = rtl ? blockX : blockX + blockWidth / 2;
+    drawText(doc, total.label, labelX, cursorY, { width: blockWidth / 2, rtl, font, size: 10 });
+    drawText(doc, total.value, valueX, cursorY, { width: blockWidth / 2, align: rtl ? 'left' : 'right', rtl, font, size: 10 });
+    cursorY += 16;
+  }
+  return cursorY + 8;
+};
+
+/**
+ * إنشاء مستند PDF كامل (رأس مع الشعار ورمز QR، بيانات، جدول، إجماليات، ملاحظات) وإرساله في الاستجابة.
+ */
+const renderDocumentPdf = async (res, {
+  filename,
+  lang = 'ar',
+  title,
+  number,
+  qrData,
+  date,
+  branch,
+  meta = [],
+  columns,
+  rows,
+  totals = [],
+  notes,
+  notesLabel,
+}) => {
+  const rtl = lang === 'ar';
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: true, info: { Title: `${title} ${number}` } });
+  doc.registerFont('regular', FONT_REGULAR);
+  doc.registerFont('bold', FONT_BOLD);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+  doc.pipe(res);
+
+  let y = await drawHeader(doc, { title, number, qrData, date, branch, rtl });
+  y = drawMeta(doc, meta, y, rtl);
+  y = drawTable(doc, columns, rows, y, rtl);
+  y = drawTotals(doc, totals, y, rtl);
+  if (notes) {
+    const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+    drawText(doc, notesLabel, PAGE_MARGIN, y, { width: contentWidth, rtl, font: 'bold', size: 10 });
+    drawParagraph(doc, notes, PAGE_MARGIN, y + 16, { width: contentWidth, rtl, size: 9 });
+  }
+
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // الكتابة في الهامش السفلي دون أن تضيف PDFKit صفحة جديدة
+    doc.page.margins.bottom = 0;
+    const pageLabel = rtl ? `صفحة ${i + 1} من ${range.count}` : `Page ${i + 1} of ${range.count}`;
+    drawText(doc, pageLabel, PAGE_MARGIN, doc.page.height - PAGE_MARGIN, {
+      width: doc.page.width - PAGE_MARGIN * 2,
+      align: 'center',
+      rtl,
+      size: 8,
+      color: '#777777',
+    });
+  }
+  doc.end();
+};
+
+module.exports = {
+  toVisualRuns,
+  drawText,
+  formatAmount,
+  formatDate,
+  renderDocumentPdf,
+};
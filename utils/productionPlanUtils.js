@@ -0,0 +1,156 @@
+const Order = require('../models/Order');
+const FactoryOrder = require('../models/FactoryOrder');
+const FactoryInventory = require('../models/FactoryInventory');
+const ProductionAssignment = require('../models/ProductionAssignment');
+const Product = require('../models/Product');
+const { DATE_KEY_PATTERN, toDateKey, addDays, startOfDay } = require('./timezoneUtils');
+
+// حالات الطلبات التي تدخل في خطة الإنتاج
+const PLAN_ORDER_STATUSES = ['pending', 'approved'];
+const PLAN_FACTORY_ORDER_STATUSES = ['requested', 'pending', 'approved', 'in_production'];
+
+// بداية ونهاية يوم الخطة بتوقيت النشاط؛ التاريخ بصيغة YYYY-MM-DD والافتراضي اليوم الحالي
+const getPlanDayRange = (date) => {
+  const dateKey = typeof date === 'string' && DATE_KEY_PATTERN.test(date)
+    ? date
+    : toDateKey(date ? new Date(date) : new Date());
+  return { dateKey, start: startOfDay(dateKey), end: startOfDay(addDays(dateKey, 1)) };
+};
+
+// الطلبات المستحقة في يوم الخطة أو قبله ولم تنتج بعد؛ الطلب بدون تاريخ تسليم يعتبر مستحقًا من يوم إنشائه
+const getDueOrders = ({ end, session }) => Order.find({
+  status: { $in: PLAN_ORDER_STATUSES },
+  $or: [
+    { requestedDeliveryDate: { $lt: end } },
+    { requestedDeliveryDate: null, createdAt: { $lt: end } },
+  ],
+})
+  .select('orderNumber branch status priority requestedDeliveryDate createdAt items')
+  .populate('branch', 'name nameEn')
+  .session(session || null)
+  .lean();
+
+const getOpenFactoryOrders = ({ end, session }) => FactoryOrder.find({
+  status: { $in: PLAN_FACTORY_ORDER_STATUSES },
+  createdAt: { $lt: end },
+})
+  .select('orderNumber status priority createdAt items')
+  .session(session || null)
+  .lean();
+
+// تجميع عناصر الطلبات وطلبات المصنع غير المكتملة حسب المنتج مع طرح مخزون المصنع المتاح
+const buildProductionPlan = async ({ date, department, session }) => {
+  const { dateKey, start, end } = getPlanDayRange(date);
+  const orders = await getDueOrders({ end, session });
+  const factoryOrders = await getOpenFactoryOrders({ end, session });
+
+  const byProduct = new Map();
+  const addSource = (productId, source) => {
+    const key = productId.toString();
+    if (!byProduct.has(key)) {
+      byProduct.set(key, { product: productId, orderQuantity: 0, factoryOrderQuantity: 0, sources: [] });
+    }
+    const entry = byProduct.get(key);
+    if (source.type === 'order') entry.orderQuantity += source.quantity;
+    else entry.factoryOrderQuantity += source.quantity;
+    entry.sources.push(source);
+  };
+
+  for (const order of orders) {
+    for (const item of order.items) {
+      if (item.status === 'completed') continue;
+      addSource(item.product, {
+        type: 'order',
+        id: order._id,
+        number: order.orderNumber,
+        itemId: item._id,
+        quantity: item.quantity,
+        itemStatus: item.status,
+        orderStatus: order.status,
+        priority: order.priority,
+        branch: order.branch,
+        dueDate: order.requestedDeliveryDate || order.createdAt,
+        overdue: (order.requestedDeliveryDate || order.createdAt) < start,
+        assignedTo: item.assignedTo,
+      });
+    }
+  }
+  for (const order of factoryOrders) {
+    for (const item of order.items) {
+      if (item.status === 'completed') continue;
+      addSource(item.product, {
+        type: 'factory_order',
+        id: order._id,
+        number: order.orderNumber,
+        itemId: item._id,
+        quantity: item.quantity,
+        itemStatus: item.status,
+        orderStatus: order.status,
+        priority: order.priority,
+        dueDate: order.createdAt,
+        overdue: false,
+        assignedTo: item.assignedTo,
+      });
+    }
+  }
+
+  const productIds = [...byProduct.values()].map(entry => entry.product);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name nameEn code unit unitEn department')
+    .populate('department', 'name nameEn code')
+    .session(session || null)
+    .lean();
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const inventories = await FactoryInventory.find({ product: { $in: productIds } })
+    .select('product currentStock')
+    .session(session || null)
+    .lean();
+  const stockMap = new Map(inventories.map(inventory => [inventory.product.toString(), inventory.currentStock]));
+
+  const departments = new Map();
+  for (const entry of byProduct.values()) {
+    const product = productMap.get(entry.product.toString());
+    if (!product) continue;
+    const departmentId = product.department?._id?.toString() || 'none';
+    if (department && departmentId !== department.toString()) continue;
+    const grossQuantity = entry.orderQuantity + entry.factoryOrderQuantity;
+    const availableStock = stockMap.get(entry.product.toString()) || 0;
+    if (!departments.has(departmentId)) departments.set(departmentId, { department: product.department || null, items: [] });
+    departments.get(departmentId).items.push({
+      ...entry,
+      product,
+      grossQuantity,
+      availableStock,
+      netQuantity: Math.max(0, grossQuantity - availableStock),
+      unassignedQuantity: entry.sources
+        .filter(source => source.itemStatus === 'pending')
+        .reduce((sum, source) => sum + source.quantity, 0),
+    });
+  }
+
+  return {
+    date: dateKey,
+    departments: [...departments.values()].map(group => ({
+      ...group,
+      items: group.items.sort((a, b) => b.netQuantity - a.netQuantity),
+    })),
+  };
+};
+
+// عناصر المنتج القابلة للتعيين في يوم الخطة: غير معينة ولا توجد لها مهمة
+// طلبات الفروع يجب أن تكون معتمدة، وطلبات المصنع معتمدة أو قيد الإنتاج
+const getAssignableSources = async ({ planItem, session }) => {
+  const candidates = planItem.sources.filter(source => source.itemStatus === 'pending' && (
+    source.type === 'order' ? source.orderStatus === 'approved' : ['approved', 'in_production'].includes(source.orderStatus)
+  ));
+  const assignable = [];
+  for (const source of candidates) {
+    const existing = await ProductionAssignment.findOne(
+      source.type === 'order' ? { order: source.id, itemId: source.itemId } : { factoryOrder: source.id, itemId: source.itemId }
+    ).select('_id').session(session).lean();
+    if (!existing) assignable.push(source);
+  }
+  return assignable;
+};
+
+module.exports = { buildProductionPlan, getAssignableSources, getPlanDayRange };
@@ -0,0 +1,132 @@
+const Promotion = require('../models/Promotion');
+const { getZonedParts } = require('./timezoneUtils');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// العرض ساري في الوقت المحدد: الفترة، وأيام الأسبوع، والنافذة اليومية (قد تمتد بعد منتصف الليل)
+// اليوم والساعة يُقرآن في المنطقة الزمنية للنشاط لا في منطقة الخادم
+const isPromotionActive = (promotion, at = new Date()) => {
+  if (!promotion.isActive) return false;
+  if (promotion.startDate && new Date(promotion.startDate) > at) return false;
+  if (promotion.endDate && new Date(promotion.endDate) < at) return false;
+  const local = getZonedParts(at);
+  if (promotion.daysOfWeek?.length && !promotion.daysOfWeek.includes(local.weekday)) return false;
+  if (promotion.startTime && promotion.endTime) {
+    const now = local.hour * 60 + local.minute;
+    const start = toMinutes(promotion.startTime);
+    const end = toMinutes(promotion.endTime);
+    const inWindow = start <= end ? now >= start && now < end : now >= start || now < end;
+    if (!inWindow) return false;
+  }
+  return true;
+};
+
+const findActivePromotions = async ({ branch, at = new Date(), session }) => {
+  const promotions = await Promotion.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: at } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: at } }] },
+      { $or: [{ branches: { $size: 0 } }, { branches: branch }] },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .session(session)
+    .lean();
+  return promotions.filter(promotion => isPromotionActive(promotion, at));
+};
+
+const appliesToProduct = (promotion, product) => !promotion.products?.length
+  || promotion.products.some(id => id.toString() === product.toString());
+
+const discountLine = (promotion, product, quantity, amount) => ({
+  promotion: promotion._id,
+  name: promotion.name,
+  nameEn: promotion.nameEn,
+  type: promotion.type,
+  product,
+  quantity,
+  amount: roundAmount(amount),
+});
+
+/**
+ * تطبيق العروض على أسطر البيع قبل الضريبة.
+ * الحزم تُطبق أولاً على الكميات المتاحة، ثم يحصل كل سطر على أفضل عرض منفرد لبقية كميته.
+ * كل سطر يحتاج product و quantity و unitPrice؛ تُرجع الأسطر مع discountAmount وأسطر الخصم وإجماليها.
+ */
+const applyPromotions = (items, promotions = []) => {
+  const lines = items.map(item => ({ ...item, discountAmount: 0, remaining: item.quantity }));
+  const discounts = [];
+
+  promotions.filter(promotion => promotion.type === 'bundle').forEach((promotion) => {
+    const available = (product) => lines
+      .filter(line => line.product.toString() === product.toString())
+      .reduce((sum, line) => sum + line.remaining, 0);
+    const times = Math.min(...promotion.bundleItems.map(entry => Math.floor(available(entry.product) / entry.quantity)));
+    if (!times) return;
+    const consumed = [];
+    promotion.bundleItems.forEach((entry) => {
+      let needed = entry.quantity * times;
+      lines.forEach((line) => {
+        if (needed <= 0 || line.product.toString() !== entry.product.toString() || line.remaining <= 0) return;
+        const take = Math.min(needed, line.remaining);
+        line.remaining -= take;
+        needed -= take;
+        consumed.push({ line, quantity: take, value: take * line.unitPrice });
+      });
+    });
+    const regular = consumed.reduce((sum, entry) => sum + entry.value, 0);
+    const saving = roundAmount(regular - promotion.bundlePrice * times);
+    if (saving <= 0) {
+      consumed.forEach((entry) => { entry.line.remaining += entry.quantity; });
+      return;
+    }
+    // توزيع خصم الحزمة على أسطرها بنسبة قيمتها
+    let allocated = 0;
+    consumed.forEach((entry, index) => {
+      const share = index === consumed.length - 1 ? roundAmount(saving - allocated) : roundAmount((saving * entry.value) / regular);
+      allocated = roundAmount(allocated + share);
+      entry.line.discountAmount = roundAmount(entry.line.discountAmount + share);
+    });
+    discounts.push(discountLine(promotion, null, times, saving));
+  });
+
+  lines.forEach((line) => {
+    if (line.remaining <= 0) return;
+    let best = null;
+    promotions.filter(promotion => promotion.type !== 'bundle' && appliesToProduct(promotion, line.product)).forEach((promotion) => {
+      let amount = 0;
+      let quantity = line.remaining;
+      if (promotion.type === 'percentage') {
+        amount = (line.remaining * line.unitPrice * promotion.value) / 100;
+      } else if (promotion.type === 'fixed') {
+        amount = line.remaining * Math.min(promotion.value, line.unitPrice);
+      } else if (promotion.type === 'buy_x_get_y') {
+        quantity = Math.floor(line.remaining / (promotion.buyQuantity + promotion.getQuantity)) * promotion.getQuantity;
+        amount = quantity * line.unitPrice;
+      }
+      amount = roundAmount(amount);
+      if (amount > 0 && (!best || amount > best.amount)) best = { promotion, amount, quantity };
+    });
+    if (!best) return;
+    line.discountAmount = roundAmount(line.discountAmount + best.amount);
+    discounts.push(discountLine(best.promotion, line.product, best.quantity, best.amount));
+  });
+
+  return {
+    items: lines.map(({ remaining, ...line }) => line),
+    discounts,
+    discountTotal: roundAmount(discounts.reduce((sum, discount) => sum + discount.amount, 0)),
+  };
+};
+
+module.exports = {
+  isPromotionActive,
+  findActivePromotions,
+  applyPromotions,
+};
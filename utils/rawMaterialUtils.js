@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const RawMaterial = require('../models/RawMaterial');
+const RawMaterialHistory = require('../models/RawMaterialHistory');
+
+// رمز خطأ نقص المواد الخام؛ يتحقق منه المستدعي بدل مطابقة نص الرسالة
+const INSUFFICIENT_RAW_MATERIAL = 'INSUFFICIENT_RAW_MATERIAL';
+
+// تحديث مخزون مادة خام مع تسجيل الحركة والتاريخ
+// quantity موجبة للإضافة وسالبة للخصم، وisDamaged ينقل الكمية المخصومة إلى المخزون التالف
+const updateRawMaterialStock = async ({
+  rawMaterial,
+  quantity,
+  action,
+  reference,
+  referenceType,
+  referenceId,
+  createdBy,
+  session,
+  notes = '',
+  isDamaged = false,
+}) => {
+  if (!mongoose.isValidObjectId(rawMaterial) || !mongoose.isValidObjectId(createdBy)) {
+    throw new Error('معرف المادة الخام أو المستخدم غير صالح');
+  }
+  if (!quantity || isNaN(quantity)) {
+    throw new Error('الكمية غير صالحة');
+  }
+
+  const filter = { _id: rawMaterial };
+  if (quantity < 0) filter.currentStock = { $gte: -quantity };
+
+  const updatedMaterial = await RawMaterial.findOneAndUpdate(
+    filter,
+    {
+      $inc: {
+        currentStock: quantity,
+        damagedStock: isDamaged && quantity < 0 ? -quantity : 0,
+      },
+      $push: {
+        movements: {
+          type: quantity > 0 ? 'in' : 'out',
+          quantity: Math.abs(quantity),
+          reference,
+          createdBy,
+          createdAt: new Date(),
+        },
+      },
+      $set: { updatedBy: createdBy },
+    },
+    { new: true, session }
+  );
+
+  if (!updatedMaterial) {
+    const material = await RawMaterial.findById(rawMaterial).select('name currentStock unit').session(session).lean();
+    if (!material) {
+      throw new Error(`المادة الخام ${rawMaterial} غير موجودة`);
+    }
+    throw Object.assign(
+      new Error(`الكمية غير كافية من المادة الخام ${material.name}: المطلوب ${-quantity} ${material.unit}، المتوفر ${material.currentStock}`),
+      {
+        code: INSUFFICIENT_RAW_MATERIAL,
+        status: 422,
+        details: { rawMaterial: material._id, required: -quantity, available: material.currentStock, unit: material.unit },
+      }
+    );
+  }
+
+  const historyEntry = new RawMaterialHistory({
+    rawMaterial,
+    action,
+    quantity,
+    balanceAfter: updatedMaterial.currentStock,
+    reference,
+    referenceType,
+    referenceId,
+    createdBy,
+    notes,
+    createdAt: new Date(),
+  });
+  await historyEntry.save({ session });
+
+  return updatedMaterial;
+};
+
+module.exports = { updateRawMaterialStock, INSUFFICIENT_RAW_MATERIAL };
@@ -0,0 +1,64 @@
+const Recall = require('../models/Recall');
+const Inventory = require('../models/Inventory');
+const { compareFefo } = require('./lotUtils');
+
+// دفعات مخزون الفرع التي سيخرج منها البيع بترتيب FEFO؛ دون كمية تُعد كل الدفعات المتاحة
+const findLotsToConsume = async ({ branch, product, quantity, session }) => {
+  const inventory = await Inventory.findOne({ branch, product }).select('lots').session(session).lean();
+  const lots = (inventory?.lots || []).filter(lot => lot.quantity > 0).sort(compareFefo);
+  if (quantity === undefined) return lots;
+  const consumed = [];
+  let remaining = quantity;
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    consumed.push(lot);
+    remaining -= lot.quantity;
+  }
+  return consumed;
+};
+
+/**
+ * البحث عن استرجاع مفتوح يمنع بيع الكمية من المنتج في هذا الفرع.
+ * استرجاع المنتج يمنع البيع كليًا، واسترجاع الدفعات يمنعه فقط إذا كان البيع سيخرج من دفعة مسترجعة.
+ */
+const findBlockingRecall = async ({ branch, product, quantity, session }) => {
+  const recalls = await Recall.find({ product, status: { $in: ['open', 'in_progress'] } })
+    .select('recallNumber scope lots')
+    .session(session)
+    .lean();
+  const productRecall = recalls.find(recall => recall.scope === 'product');
+  if (productRecall || !recalls.length) return productRecall || null;
+  const consumedLots = new Set((await findLotsToConsume({ branch, product, quantity, session })).map(lot => lot.lot?.toString()));
+  return recalls.find(recall => recall.lots.some(lot => consumedLots.has(lot.lot?.toString()))) || null;
+};
+
+// تحديث تقدم الاسترجاع عند مراجعة مرتجع تم إنشاؤه تلقائيًا
+const syncRecallFromReturn = async ({ returnRequest, userId, session }) => {
+  if (!returnRequest.recall) return null;
+  const recall = await Recall.findById(returnRequest.recall).session(session);
+  if (!recall) return null;
+
+  const entry = recall.affectedBranches.find(
+    branchEntry => branchEntry.returnRequest?.toString() === returnRequest._id.toString()
+  );
+  if (!entry) return recall;
+
+  entry.status = returnRequest.status === 'approved' ? 'returned' : 'rejected';
+  entry.returnedQuantity = returnRequest.status === 'approved'
+    ? returnRequest.items.reduce((sum, item) => sum + item.quantity, 0)
+    : 0;
+  entry.resolvedAt = new Date();
+  if (recall.status === 'open') {
+    recall.status = 'in_progress';
+    recall.statusHistory.push({
+      status: 'in_progress',
+      changedBy: userId,
+      notes: `بدء معالجة المرتجعات بالمرتجع #${returnRequest.returnNumber}`,
+      changedAt: new Date(),
+    });
+  }
+  await recall.save({ session });
+  return recall;
+};
+
+module.exports = { findBlockingRecall, syncRecallFromReturn };
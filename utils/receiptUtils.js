@@ -0,0 +1,350 @@
+const iconv = require('iconv-lite');
+const bidiFactory = require('bidi-js');
+const { formatAmount, formatDate } = require('./pdfUtils');
+const { getSaleTaxSummary } = require('./taxUtils');
+const { TENDER_LABELS, getSalePayments } = require('./paymentUtils');
+
+const bidi = bidiFactory();
+
+// 48 حرفًا بالخط A على طابعة 80 مم
+const RECEIPT_WIDTH = Number(process.env.RECEIPT_WIDTH) || 48;
+const RECEIPT_ENCODING = process.env.RECEIPT_ENCODING || 'cp864';
+// رقم جدول المحارف في أمر ESC t، ويختلف حسب الطابعة (37 = PC864 في طابعات Epson)
+const RECEIPT_CODE_TABLE = Number(process.env.RECEIPT_CODE_TABLE ?? 37);
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// الحرف: [الشكل المنفرد في Presentation Forms-B، نوع الاتصال]
+// U: لا يتصل، R: يتصل بما قبله فقط، D: يتصل من الجهتين
+const ARABIC_FORMS = {
+  'ء': [0xfe80, 'U'],
+  'آ': [0xfe81, 'R'],
+  'أ': [0xfe83, 'R'],
+  'ؤ': [0xfe85, 'R'],
+  'إ': [0xfe87, 'R'],
+  'ئ': [0xfe89, 'D'],
+  'ا': [0xfe8d, 'R'],
+  'ب': [0xfe8f, 'D'],
+  'ة': [0xfe93, 'R'],
+  'ت': [0xfe95, 'D'],
+  'ث': [0xfe99, 'D'],
+  'ج': [0xfe9d, 'D'],
+  'ح': [0xfea1, 'D'],
+  'خ': [0xfea5, 'D'],
+  'د': [0xfea9, 'R'],
+  'ذ': [0xfeab, 'R'],
+  'ر': [0xfead, 'R'],
+  'ز': [0xfeaf, 'R'],
+  'س': [0xfeb1, 'D'],
+  'ش': [0xfeb5, 'D'],
+  'ص': [0xfeb9, 'D'],
+  'ض': [0xfebd, 'D'],
+  'ط': [0xfec1, 'D'],
+  'ظ': [0xfec5, 'D'],
+  'ع': [0xfec9, 'D'],
+  'غ': [0xfecd, 'D'],
+  'ف': [0xfed1, 'D'],
+  'ق': [0xfed5, 'D'],
+  'ك': [0xfed9, 'D'],
+  'ل': [0xfedd, 'D'],
+  'م': [0xfee1, 'D'],
+  'ن': [0xfee5, 'D'],
+  'ه': [0xfee9, 'D'],
+  'و': [0xfeed, 'R'],
+  'ى': [0xfeef, 'R'],
+  'ي': [0xfef1, 'D'],
+};
+
+// لام ألف: الشكل المنفرد، والمتصل بما قبله هو التالي له
+const LAM_ALEF = { 'آ': 0xfef5, 'أ': 0xfef7, 'إ': 0xfef9, 'ا': 0xfefb };
+
+// بدائل الحروف التي لا يوجد شكلها في جدول محارف الطابعة
+const LETTER_FALLBACK = { 'آ': 'ا', 'أ': 'ا', 'إ': 'ا', 'ى': 'ي' };
+
+const joiningType = (char) => (char === '\u0640' ? 'D' : ARABIC_FORMS[char]?.[1] || 'U');
+
+/**
+ * تحويل النص العربي إلى أشكال الحروف المتصلة؛ الطابعات الحرارية لا تشكّل الحروف بنفسها.
+ * تُحذف الحركات لأن جداول محارف الطابعات لا تدعمها.
+ */
+const shapeArabic = (value) => {
+  const chars = String(value ?? '').replace(/[\u064B-\u0652\u0670]/g, '').split('');
+  let result = '';
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const forms = ARABIC_FORMS[char];
+    if (!forms) {
+      result += char;
+      continue;
+    }
+    const prevType = i > 0 ? joiningType(chars[i - 1]) : 'U';
+    const joinsPrev = prevType === 'D' && forms[1] !== 'U';
+    if (char === 'ل' && LAM_ALEF[chars[i + 1]]) {
+      result += String.fromCharCode(LAM_ALEF[chars[i + 1]] + (joinsPrev ? 1 : 0));
+      i += 1;
+      continue;
+    }
+    const nextType = i + 1 < chars.length ? joiningType(chars[i + 1]) : 'U';
+    const joinsNext = forms[1] === 'D' && nextType !== 'U';
+    const offset = joinsPrev && joinsNext ? 3 : joinsPrev ? 1 : joinsNext ? 2 : 0;
+    result += String.fromCharCode(forms[0] + offset);
+  }
+  return result;
+};
+
+/**
+ * تشكيل النص ثم ترتيبه بصريًا من اليسار لليمين كما ستطبعه الطابعة.
+ */
+const toVisualText = (value, rtl) => {
+  const shaped = shapeArabic(value);
+  const levels = bidi.getEmbeddingLevels(shaped, rtl ? 'rtl' : 'ltr');
+  const chars = shaped.split('');
+  bidi.getMirroredCharactersMap(shaped, levels.levels).forEach((char, index) => {
+    chars[index] = char;
+  });
+  bidi.getReorderSegments(shaped, levels).forEach(([start, end]) => {
+    const segment = chars.slice(start, end + 1).reverse();
+    chars.splice(start, segment.length, ...segment);
+  });
+  return chars.join('');
+};
+
+// الأحرف التي يدعمها جدول المحارف المضبوط
+const ENCODABLE = new Set(
+  iconv.decode(Buffer.from(Array.from({ length: 256 }, (_, i) => i)), RECEIPT_ENCODING)
+    .split('')
+    .filter(char => char !== '\uFFFD')
+);
+
+const PRESENTATION_FALLBACK = (() => {
+  const map = {};
+  const lowerOffsets = { 1: [0], 2: [0], 3: [2, 0] };
+  const candidatesFor = (letter, offset) => {
+    const [isolated] = ARABIC_FORMS[letter];
+    return [offset, ...(lowerOffsets[offset] || [])].map(value => String.fromCharCode(isolated + value));
+  };
+  Object.entries(ARABIC_FORMS).forEach(([letter, [isolated, type]]) => {
+    const offsets = type === 'D' ? [0, 1, 2, 3] : type === 'R' ? [0, 1] : [0];
+    offsets.forEach((offset) => {
+      const fallback = LETTER_FALLBACK[letter];
+      const candidates = candidatesFor(letter, offset);
+      if (fallback) candidates.push(...candidatesFor(fallback, Math.min(offset, ARABIC_FORMS[fallback][1] === 'R' ? 1 : 3)));
+      map[String.fromCharCode(isolated + offset)] = candidates;
+    });
+  });
+  Object.values(LAM_ALEF).forEach((code) => {
+    const plain = LAM_ALEF['ا'];
+    map[String.fromCharCode(code)] = [code, plain].map(value => String.fromCharCode(value));
+    map[String.fromCharCode(code + 1)] = [code + 1, code, plain + 1, plain].map(value => String.fromCharCode(value));
+  });
+  // جدول 864 يضع علامة النسبة العربية مكان %
+  map['%'] = ['\u066A'];
+  return map;
+})();
+
+const toEncodable = (char) => {
+  if (ENCODABLE.has(char)) return char;
+  return (PRESENTATION_FALLBACK[char] || []).find(candidate => ENCODABLE.has(candidate)) || '?';
+};
+
+const encodeText = (text) => iconv.encode(text.split('').map(toEncodable).join(''), RECEIPT_ENCODING);
+
+const wrapText = (value, width, measure) => {
+  const lines = [];
+  String(value ?? '').split('\n').forEach((paragraph) => {
+    let current = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      const candidate = current ? `${current} ${word}` : word;
+      if (measure(candidate) <= width || !current) {
+        current = candidate;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    });
+    if (current) lines.push(current);
+  });
+  return lines;
+};
+
+const fit = (text, width) => (text.length > width ? text.slice(0, width) : text);
+
+/**
+ * توزيع أسطر الإيصال على عرض الورق.
+ * النص العادي يبقى بترتيبه المنطقي ليعرضه المتصفح، ونسخة ESC/POS تُشكَّل وتُرتَّب بصريًا.
+ */
+const layoutReceipt = (lines, { rtl, visual }) => {
+  const measure = visual ? text => shapeArabic(text).length : text => String(text).length;
+  const display = visual ? text => toVisualText(text, rtl) : text => String(text ?? '');
+  const padStartSide = (text, width) => (visual && rtl ? text.padStart(width) : text.padEnd(width));
+  const output = [];
+  lines.forEach((line) => {
+    const width = line.large ? Math.floor(RECEIPT_WIDTH / 2) : RECEIPT_WIDTH;
+    if (line.divider) {
+      output.push({ text: (line.char || '-').repeat(RECEIPT_WIDTH) });
+      return;
+    }
+    if (line.qr) {
+      output.push({ qr: line.qr });
+      return;
+    }
+    if (line.value !== undefined) {
+      const value = fit(display(line.value), width);
+      const label = fit(display(line.label), Math.max(width - value.length - 1, 0));
+      const gap = ' '.repeat(Math.max(width - value.length - label.length, 1));
+      const text = visual && rtl ? `${value}${gap}${label}` : `${label}${gap}${value}`;
+      output.push({ text, bold: line.bold, large: line.large });
+      return;
+    }
+    wrapText(line.text, width, measure).forEach((part) => {
+      const text = fit(display(part), width);
+      let padded;
+      if (line.align === 'center') {
+        const left = Math.floor((width - text.length) / 2);
+        padded = `${' '.repeat(left)}${text}`.padEnd(width);
+      } else {
+        padded = padStartSide(text, width);
+      }
+      output.push({ text: padded, bold: line.bold, large: line.large });
+    });
+  });
+  return output;
+};
+
+const renderPlainText = (lines, { rtl }) => layoutReceipt(lines, { rtl, visual: false })
+  .filter(line => !line.qr)
+  // علامة الاتجاه تجعل المتصفح يعرض السطر من اليمين
+  .map(line => `${rtl ? '\u200F' : ''}${line.text.replace(/\s+$/, '')}`)
+  .join('\n');
+
+// طباعة رمز QR بأوامر GS ( k في منتصف السطر
+const encodeQr = (data) => {
+  const payload = Buffer.from(data, 'utf8');
+  const storeLength = payload.length + 3;
+  return Buffer.concat([
+    Buffer.from([ESC, 0x61, 1]),
+    Buffer.from([GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00]),
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, 6]),
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31]),
+    Buffer.from([GS, 0x28, 0x6b, storeLength % 256, Math.floor(storeLength / 256), 0x31, 0x50, 0x30]),
+    payload,
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30]),
+    Buffer.from([LF, ESC, 0x61, 0]),
+  ]);
+};
+
+const renderEscPos = (lines, { rtl }) => {
+  const chunks = [
+    Buffer.from([ESC, 0x40]),
+    Buffer.from([ESC, 0x74, RECEIPT_CODE_TABLE]),
+  ];
+  layoutReceipt(lines, { rtl, visual: true }).forEach((line) => {
+    if (line.qr) {
+      chunks.push(encodeQr(line.qr));
+      return;
+    }
+    chunks.push(Buffer.from([ESC, 0x45, line.bold ? 1 : 0]));
+    chunks.push(Buffer.from([GS, 0x21, line.large ? 0x11 : 0x00]));
+    chunks.push(encodeText(line.text.replace(/\s+$/, '')));
+    chunks.push(Buffer.from([LF]));
+  });
+  chunks.push(Buffer.from([ESC, 0x45, 0, GS, 0x21, 0x00]));
+  // تغذية الورق ثم قص جزئي
+  chunks.push(Buffer.from([ESC, 0x64, 4, GS, 0x56, 0x42, 0x00]));
+  return Buffer.concat(chunks);
+};
+
+const RECEIPT_LABELS = {
+  title: { ar: 'فاتورة ضريبية مبسطة', en: 'Simplified Tax Invoice' },
+  reprint: { ar: 'نسخة مكررة', en: 'REPRINT' },
+  canceled: { ar: 'ملغاة', en: 'CANCELED' },
+  saleNumber: { ar: 'رقم الفاتورة', en: 'Invoice no.' },
+  date: { ar: 'التاريخ', en: 'Date' },
+  cashier: { ar: 'الكاشير', en: 'Cashier' },
+  customer: { ar: 'العميل', en: 'Customer' },
+  payment: { ar: 'طريقة الدفع', en: 'Payment' },
+  vatNumber: { ar: 'الرقم الضريبي', en: 'VAT no.' },
+  discount: { ar: 'خصم', en: 'Discount' },
+  subtotal: { ar: 'الإجمالي قبل الضريبة', en: 'Subtotal excl. VAT' },
+  vat: { ar: 'ضريبة القيمة المضافة', en: 'VAT' },
+  total: { ar: 'الإجمالي شامل الضريبة', en: 'Total incl. VAT' },
+  printedAt: { ar: 'طُبع في', en: 'Printed at' },
+  change: { ar: 'الباقي', en: 'Change' },
+};
+
+const pick = (item, field, lang) => (lang === 'ar' ? item?.[field] || item?.[`${field}En`] : item?.[`${field}En`] || item?.[field]);
+
+/**
+ * بناء أسطر إيصال البيع بصيغة وصفية تشترك فيها مخرجات النص و ESC/POS.
+ * sale يجب أن يكون محمّلاً بالفرع والمنتجات ومنشئ البيع.
+ */
+const buildSaleReceiptLines = ({ sale, lang = 'ar', printCount = 1, printedAt = new Date() }) => {
+  const l = key => RECEIPT_LABELS[key][lang === 'ar' ? 'ar' : 'en'];
+  const branch = sale.branch || {};
+  const settings = branch.receipt || {};
+  const lines = [];
+
+  lines.push({ text: pick(branch, 'name', lang), align: 'center', bold: true, large: true });
+  const header = pick(settings, 'header', lang);
+  if (header) lines.push({ text: header, align: 'center' });
+  const address = [pick(branch, 'address', lang), pick(branch, 'city', lang)].filter(Boolean).join(' - ');
+  if (address) lines.push({ text: address, align: 'center' });
+  if (branch.phone) lines.push({ text: branch.phone, align: 'center' });
+  if (settings.vatNumber) lines.push({ text: `${l('vatNumber')}: ${settings.vatNumber}`, align: 'center' });
+  lines.push({ divider: true, char: '=' });
+
+  if (printCount > 1) {
+    lines.push({ text: `*** ${l('reprint')} (${printCount}) ***`, align: 'center', bold: true });
+  }
+  if (sale.status === 'canceled') {
+    lines.push({ text: `*** ${l('canceled')} ***`, align: 'center', bold: true });
+  }
+  lines.push({ text: l('title'), align: 'center', bold: true });
+  lines.push({ label: l('saleNumber'), value: sale.saleNumber });
+  lines.push({ label: l('date'), value: formatDate(sale.createdAt) });
+  if (sale.createdBy) lines.push({ label: l('cashier'), value: pick(sale.createdBy, 'name', lang) || sale.createdBy.username });
+  if (sale.customerName) lines.push({ label: l('customer'), value: sale.customerName });
+  lines.push({ label: l('payment'), value: TENDER_LABELS[sale.paymentMethod]?.[lang === 'ar' ? 'ar' : 'en'] || sale.paymentMethod });
+  lines.push({ divider: true });
+
+  sale.items.forEach((item) => {
+    lines.push({ text: pick(item.product, 'name', lang) || '-', align: 'start', bold: true });
+    lines.push({ label: `${item.quantity} x ${formatAmount(item.unitPrice)}`, value: formatAmount(item.quantity * item.unitPrice) });
+  });
+  lines.push({ divider: true });
+
+  (sale.discounts || []).forEach((discount) => {
+    lines.push({ label: `${l('discount')}: ${pick(discount, 'name', lang)}`, value: `-${formatAmount(discount.amount)}` });
+  });
+  const tax = getSaleTaxSummary(sale);
+  lines.push({ label: l('subtotal'), value: formatAmount(tax.subtotal) });
+  tax.breakdown.forEach((entry) => {
+    lines.push({ label: `${l('vat')} ${entry.taxRate}%`, value: formatAmount(entry.taxAmount) });
+  });
+  lines.push({ label: l('total'), value: formatAmount(tax.totalAmount), bold: true });
+  const payments = getSalePayments(sale);
+  payments.forEach((payment) => {
+    const tender = TENDER_LABELS[payment.tender]?.[lang === 'ar' ? 'ar' : 'en'] || payment.tender;
+    lines.push({ label: [tender, payment.reference].filter(Boolean).join(' - '), value: formatAmount(payment.amount) });
+  });
+  const change = payments.reduce((sum, payment) => sum + (payment.changeGiven || 0), 0);
+  if (change > 0) lines.push({ label: l('change'), value: formatAmount(change), bold: true });
+  lines.push({ divider: true });
+  if (sale.zatcaQr) lines.push({ qr: sale.zatcaQr });
+
+  const footer = pick(settings, 'footer', lang);
+  if (footer) lines.push({ text: footer, align: 'center' });
+  lines.push({ text: `${l('printedAt')}: ${formatDate(printedAt)}`, align: 'center' });
+  return lines;
+};
+
+module.exports = {
+  RECEIPT_WIDTH,
+  shapeArabic,
+  toVisualText,
+  buildSaleReceiptLines,
+  renderPlainText,
+  renderEscPos,
+};
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { updateRawMaterialStock, INSUFFICIENT_RAW_MATERIAL } = require('./rawMaterialUtils');
+
+// تقريب الكميات لتجنب كسور الفاصلة العائمة
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// حساب المواد الخام اللازمة لإنتاج كمية معينة من المنتج حسب وصفته
+const calculateRecipeRequirements = (recipe, quantity) => {
+  if (!recipe?.items?.length) return [];
+  const batchYield = recipe.yield > 0 ? recipe.yield : 1;
+  return recipe.items
+    .map(item => ({
+      rawMaterial: item.rawMaterial?._id || item.rawMaterial,
+      quantity: roundQuantity((item.quantity * quantity) / batchYield),
+    }))
+    .filter(item => item.quantity > 0);
+};
+
+// خصم المواد الخام المستهلكة عند إنتاج كمية من المنتج؛ نقص أي مادة يرمي خطأ برمز INSUFFICIENT_RAW_MATERIAL
+const consumeRecipeMaterials = async ({ product, quantity, reference, referenceType, referenceId, createdBy, session }) => {
+  if (!mongoose.isValidObjectId(product) || !mongoose.isValidObjectId(createdBy)) {
+    throw new Error('معرف المنتج أو المستخدم غير صالح');
+  }
+
+  const productData = await Product.findById(product).select('name nameEn recipe').session(session).lean();
+  if (!productData) {
+    throw new Error(`المنتج ${product} غير موجود`);
+  }
+
+  const requirements = calculateRecipeRequirements(productData.recipe, quantity);
+  const consumed = [];
+  for (const requirement of requirements) {
+    const updatedMaterial = await updateRawMaterialStock({
+      rawMaterial: requirement.rawMaterial,
+      quantity: -requirement.quantity,
+      action: 'consumption',
+      reference: reference || `إنتاج ${quantity} من ${productData.name}`,
+      referenceType,
+      referenceId,
+      createdBy,
+      session,
+    });
+    consumed.push({
+      rawMaterial: updatedMaterial._id,
+      quantity: requirement.quantity,
+      remainingStock: updatedMaterial.currentStock,
+    });
+  }
+
+  return consumed;
+};
+
+module.exports = { calculateRecipeRequirements, consumeRecipeMaterials, INSUFFICIENT_RAW_MATERIAL };
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Sale = require('../models/Sale');
+const Order = require('../models/Order');
+const RestockRequest = require('../models/RestockRequest');
+const Branch = require('../models/Branch');
+const { emitSocketEvent } = require('./helpers');
+const { scheduleDaily, getSystemUser } = require('./scheduler');
+const { nextDocumentNumber } = require('./numberingUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 28;
+const DEFAULT_COVERAGE_DAYS = 3;
+
+// حالات الطلبات التي لم تصل للفرع بعد وتعتبر كمية قادمة
+const INCOMING_ORDER_STATUSES = ['pending', 'approved', 'in_production', 'completed', 'in_transit'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// متوسط المبيعات اليومية لكل منتج في الفرع خلال فترة المراجعة
+const getAverageDailySales = async ({ branch, lookbackDays, session }) => {
+  const since = new Date(Date.now() - lookbackDays * DAY_MS);
+  const sales = await Sale.aggregate([
+    { $match: { branch: toObjectId(branch), status: 'completed', createdAt: { $gte: since } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.product', quantity: { $sum: '$items.quantity' } } },
+  ]).session(session || null);
+  return new Map(sales.map(entry => [entry._id.toString(), entry.quantity / lookbackDays]));
+};
+
+// الكميات المطلوبة التي لم تسلم للفرع بعد
+const getIncomingQuantities = async ({ branch, session }) => {
+  const orders = await Order.aggregate([
+    { $match: { branch: toObjectId(branch), status: { $in: INCOMING_ORDER_STATUSES } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.product', quantity: { $sum: '$items.quantity' } } },
+  ]).session(session || null);
+  const restocks = await RestockRequest.aggregate([
+    { $match: { branch: toObjectId(branch), status: 'pending' } },
+    { $group: { _id: '$product', quantity: { $sum: '$requestedQuantity' } } },
+  ]).session(session || null);
+  const incoming = new Map();
+  for (const entry of [...orders, ...restocks]) {
+    const key = entry._id.toString();
+    incoming.set(key, (incoming.get(key) || 0) + entry.quantity);
+  }
+  return incoming;
+};
+
+// حساب الكمية المقترحة لكل منتج: إذا كان المخزون المتوقع أقل من الحد الأدنى مضافًا إليه طلب فترة التغطية
+// يتم الطلب حتى الوصول للحد الأقصى أو لنقطة إعادة الطلب أيهما أكبر
+const computeReplenishmentSuggestions = async ({
+  branch,
+  lookbackDays = DEFAULT_LOOKBACK_DAYS,
+  coverageDays = DEFAULT_COVERAGE_DAYS,
+  session,
+}) => {
+  const inventories = await Inventory.find({ branch })
+    .populate('product', 'name nameEn code price unit unitEn isActive')
+    .session(session || null)
+    .lean();
+  const averageDailySales = await getAverageDailySales({ branch, lookbackDays, session });
+  const incomingQuantities = await getIncomingQuantities({ branch, session });
+
+  const suggestions = [];
+  for (const inventory of inventories) {
+    if (!inventory.product || inventory.product.isActive === false) continue;
+    const productId = inventory.product._id.toString();
+    const averageDaily = averageDailySales.get(productId) || 0;
+    const incomingQuantity = incomingQuantities.get(productId) || 0;
+    const projectedStock = inventory.currentStock + incomingQuantity;
+    const reorderPoint = (inventory.minStockLevel || 0) + averageDaily * coverageDays;
+    if (projectedStock > reorderPoint) continue;
+    const targetLevel = Math.max(inventory.maxStockLevel || 0, reorderPoint);
+    const suggestedQuantity = Math.ceil(targetLevel - projectedStock);
+    if (suggestedQuantity <= 0) continue;
+    suggestions.push({
+      product: inventory.product,
+      currentStock: inventory.currentStock,
+      incomingQuantity,
+      averageDailySales: Math.round(averageDaily * 100) / 100,
+      minStockLevel: inventory.minStockLevel,
+      maxStockLevel: inventory.maxStockLevel,
+      suggestedQuantity,
+    });
+  }
+  return suggestions.sort((a, b) => b.suggestedQuantity - a.suggestedQuantity);
+};
+
+// المنتجات التي عدّلها الفرع في مسودات سابقة؛ تبقى مسوداتها ولا يتكرر اقتراحها
+const findEditedDraftProducts = async ({ branch, target, session }) => {
+  const filter = { branch, status: 'draft', source: 'replenishment', draftEditedAt: { $ne: null } };
+  const products = target === 'order'
+    ? await Order.distinct('items.product', filter).session(session)
+    : await RestockRequest.distinct('product', filter).session(session);
+  return new Set(products.map(product => product.toString()));
+};
+
+// إنشاء مسودات للفرع لمراجعتها وإرسالها؛ المسودات السابقة التي لم يعدلها الفرع تستبدل بالاقتراح الجديد
+const createReplenishmentDrafts = async ({ branch, suggestions: allSuggestions, target = 'restock_request', createdBy, session }) => {
+  const editedProducts = await findEditedDraftProducts({ branch, target, session });
+  const suggestions = allSuggestions.filter(suggestion => !editedProducts.has(suggestion.product._id.toString()));
+  const untouchedDrafts = { branch, status: 'draft', source: 'replenishment', draftEditedAt: null };
+  if (target === 'order') {
+    await Order.deleteMany(untouchedDrafts).session(session);
+    if (!suggestions.length) return { target, orders: [] };
+    const items = suggestions.map(suggestion => ({
+      product: suggestion.product._id,
+      quantity: suggestion.suggestedQuantity,
+      price: suggestion.product.price,
+      status: 'pending',
+    }));
+    const order = new Order({
+      orderNumber: await nextDocumentNumber({ type: 'REPLENISHMENT_ORDER', branch, session }),
+      branch,
+      items,
+      status: 'draft',
+      source: 'replenishment',
+      notes: 'طلب مقترح تلقائيًا لإعادة التزويد',
+      notesEn: 'Automatically suggested replenishment order',
+      createdBy,
+      totalAmount: items.reduce((sum, item) => sum + item.quantity * item.price, 0),
+      statusHistory: [{
+        status: 'draft',
+        changedBy: createdBy,
+        notes: 'تم إنشاء مسودة الطلب من اقتراحات إعادة التزويد',
+        notesEn: 'Draft created from replenishment suggestions',
+        changedAt: new Date(),
+      }],
+    });
+    await order.save({ session });
+    return { target, orders: [order] };
+  }
+
+  await RestockRequest.deleteMany(untouchedDrafts).session(session);
+  const requests = await RestockRequest.insertMany(suggestions.map(suggestion => ({
+    product: suggestion.product._id,
+    branch,
+    requestedQuantity: suggestion.suggestedQuantity,
+    status: 'draft',
+    source: 'replenishment',
+    notes: 'اقتراح تلقائي لإعادة التزويد',
+    createdBy,
+    suggestion: {
+      currentStock: suggestion.currentStock,
+      incomingQuantity: suggestion.incomingQuantity,
+      averageDailySales: suggestion.averageDailySales,
+      minStockLevel: suggestion.minStockLevel,
+      maxStockLevel: suggestion.maxStockLevel,
+      suggestedQuantity: suggestion.suggestedQuantity,
+    },
+    statusHistory: [{
+      status: 'draft',
+      changedBy: createdBy,
+      notes: 'تم إنشاء المسودة من اقتراحات إعادة التزويد',
+      changedAt: new Date(),
+    }],
+  })), { session });
+  return { target, restockRequests: requests };
+};
+
+// المهمة الليلية: إنشاء مسودات إعادة التزويد لكل الفروع النشطة
+const runReplenishmentJob = async (io) => {
+  const systemUser = await getSystemUser();
+  const target = process.env.REPLENISHMENT_TARGET === 'order' ? 'order' : 'restock_request';
+  const branches = await Branch.find({ isActive: true }).select('_id').lean();
+  for (const branch of branches) {
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      const suggestions = await computeReplenishmentSuggestions({ branch: branch._id, session });
+      const drafts = await createReplenishmentDrafts({ branch: branch._id, suggestions, target, createdBy: systemUser._id, session });
+      await session.commitTransaction();
+      if (io && suggestions.length) {
+        await emitSocketEvent(io, [`branch-${branch._id}`], 'replenishmentDraftsCreated', {
+          branchId: branch._id,
+          target,
+          itemsCount: suggestions.length,
+          draftIds: (drafts.orders || drafts.restockRequests).map(draft => draft._id),
+          eventId: `${branch._id}-replenishmentDraftsCreated-${Date.now()}`,
+        });
+      }
+    } catch (err) {
+      await session.abortTransaction();
+      console.error(`[${new Date().toISOString()}] Error generating replenishment drafts for branch ${branch._id}:`, { error: err.message, stack: err.stack });
+    } finally {
+      session.endSession();
+    }
+  }
+};
+
+const startReplenishmentJob = (io) => {
+  const hour = parseInt(process.env.REPLENISHMENT_JOB_HOUR, 10);
+  return scheduleDaily('replenishment-drafts', () => runReplenishmentJob(io), { hour: isNaN(hour) ? 2 : hour });
+};
+
+module.exports = {
+  computeReplenishmentSuggestions,
+  createReplenishmentDrafts,
+  runReplenishmentJob,
+  startReplenishmentJob,
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+// جدولة المهام الدورية داخل عملية الخادم
+const scheduledJobs = new Map();
+
+// مستخدم النظام الذي تُسجل باسمه حركات المهام الدورية: دور system مستقل فلا يستلم إشعارات الإدارة ولا يسجل الدخول
+const SYSTEM_USERNAME = '__system__';
+
+const getSystemUser = async () => {
+  const existing = await User.findOne({ role: 'system' }).select('_id').lean();
+  if (existing) return existing;
+  try {
+    const user = await new User({
+      username: SYSTEM_USERNAME,
+      password: crypto.randomBytes(32).toString('hex'),
+      role: 'system',
+      name: 'النظام',
+      nameEn: 'System',
+      isActive: false,
+    }).save();
+    return { _id: user._id };
+  } catch (err) {
+    // أنشأته عملية أخرى في نفس اللحظة
+    if (err.code === 11000) return User.findOne({ role: 'system' }).select('_id').lean();
+    throw err;
+  }
+};
+
+// تغليف المهمة لمنع التداخل إذا استغرق التشغيل السابق وقتًا أطول وتسجيل الأخطاء
+const createRunner = (name, task) => {
+  let running = false;
+  return async () => {
+    if (running) {
+      console.warn(`[${new Date().toISOString()}] Job ${name} skipped: previous run still in progress`);
+      return;
+    }
+    running = true;
+    const startedAt = Date.now();
+    try {
+      await task();
+      console.log(`[${new Date().toISOString()}] Job ${name} finished in ${Date.now() - startedAt}ms`);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Job ${name} failed:`, { error: err.message, stack: err.stack });
+    } finally {
+      running = false;
+    }
+  };
+};
+
+// تشغيل مهمة كل intervalMs
+const scheduleInterval = (name, task, intervalMs, { runOnStart = false } = {}) => {
+  if (scheduledJobs.has(name)) {
+    console.warn(`[${new Date().toISOString()}] Job ${name} already scheduled`);
+    return scheduledJobs.get(name);
+  }
+  const run = createRunner(name, task);
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  scheduledJobs.set(name, timer);
+  if (runOnStart) run();
+  return timer;
+};
+
+// تشغيل مهمة مرة يوميًا في الساعة والدقيقة المحددتين بتوقيت الخادم
+const scheduleDaily = (name, task, { hour = 0, minute = 0 } = {}) => {
+  if (scheduledJobs.has(name)) {
+    console.warn(`[${new Date().toISOString()}] Job ${name} already scheduled`);
+    return scheduledJobs.get(name);
+  }
+  const run = createRunner(name, task);
+  const scheduleNext = () => {
+    const now = new Date();
+    const next = new Date(now);
+    next.setHours(hour, minute, 0, 0);
+    if (next <= now) next.setDate(next.getDate() + 1);
+    const timer = setTimeout(async () => {
+      await run();
+      scheduleNext();
+    }, next - now);
+    timer.unref();
+    scheduledJobs.set(name, timer);
+    console.log(`[${new Date().toISOString()}] Job ${name} scheduled for ${next.toISOString()}`);
+  };
+  scheduleNext();
+  return scheduledJobs.get(name);
+};
+
+const stopAllJobs = () => {
+  scheduledJobs.forEach(timer => clearTimeout(timer));
+  scheduledJobs.clear();
+};
+
+module.exports = { scheduleInterval, scheduleDaily, stopAllJobs, getSystemUser };
@@ -0,0 +1,140 @@
+const CashShift = require('../models/CashShift');
+const Branch = require('../models/Branch');
+const Sale = require('../models/Sale');
+const CustomerTransaction = require('../models/CustomerTransaction');
+const SaleRefund = require('../models/SaleRefund');
+const { TENDER_TYPES, getSalePayments } = require('./paymentUtils');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// فرض الوردية معطل افتراضيًا حتى لا تتوقف نقاط البيع الحالية عند الترقية؛ يُفعّل لكل فرع
+// من PATCH /api/branches/:id/pos-settings بعد تدريب الكاشير، أو لكل الفروع بـ REQUIRE_OPEN_SHIFT=true
+const REQUIRE_OPEN_SHIFT = process.env.REQUIRE_OPEN_SHIFT === 'true';
+
+const emptyTenders = () => Object.fromEntries(TENDER_TYPES.map(tender => [tender, 0]));
+
+const findOpenShift = ({ branch, session }) => CashShift.findOne({ branch, status: 'open' }).session(session);
+
+const isShiftRequired = async ({ branch, session }) => {
+  const branchDoc = await Branch.findById(branch).select('pos').session(session).lean();
+  return branchDoc?.pos?.requireOpenShift ?? REQUIRE_OPEN_SHIFT;
+};
+
+// الوردية التي كانت مفتوحة في الفرع وقت at، سواء ما زالت مفتوحة أو أُغلقت بعده
+const findShiftAt = ({ branch, at, session }) => CashShift.findOne({
+  branch,
+  openedAt: { $lte: at },
+  $or: [{ status: 'open' }, { closedAt: { $gte: at } }],
+}).sort({ openedAt: -1 }).session(session);
+
+/**
+ * ملخص الوردية (تقرير X أثناء فتحها): المبيعات حسب وسيلة الدفع بعد الباقي، والمردودات،
+ * وتحصيلات العملاء، والنقد المتوقع في الصندوق.
+ */
+const buildShiftSummary = async ({ shift, session }) => {
+  const sales = await Sale.find({ shift: shift._id, status: { $ne: 'canceled' } })
+    .select('totalAmount subtotal taxAmount paymentMethod payments')
+    .session(session)
+    .lean();
+  const tenders = emptyTenders();
+  let changeGiven = 0;
+  sales.forEach((sale) => {
+    getSalePayments(sale).forEach((payment) => {
+      tenders[payment.tender] = roundAmount(tenders[payment.tender] + payment.amount - (payment.changeGiven || 0));
+      changeGiven += payment.changeGiven || 0;
+    });
+  });
+  // فرق الاستبدال المدفوع من العميل يدخل الصندوق كمبيعات
+  const exchanges = await SaleRefund.find({ shift: shift._id, 'payments.0': { $exists: true } })
+    .select('payments')
+    .session(session)
+    .lean();
+  exchanges.forEach((exchange) => {
+    exchange.payments.forEach((payment) => {
+      tenders[payment.tender] = roundAmount(tenders[payment.tender] + payment.amount - (payment.changeGiven || 0));
+      changeGiven += payment.changeGiven || 0;
+    });
+  });
+  const refunds = emptyTenders();
+  (shift.refunds || []).forEach((refund) => {
+    refunds[refund.tender] = roundAmount(refunds[refund.tender] + refund.amount);
+  });
+  const payments = await CustomerTransaction.find({ shift: shift._id, transactionType: 'payment' })
+    .select('credit payment')
+    .session(session)
+    .lean();
+  const collections = { cash: 0, card: 0, bank_transfer: 0 };
+  payments.forEach((payment) => {
+    collections[payment.payment.method] = roundAmount(collections[payment.payment.method] + payment.credit);
+  });
+  const grossSales = roundAmount(sales.reduce((sum, sale) => sum + sale.totalAmount, 0));
+  const taxAmount = roundAmount(sales.reduce((sum, sale) => sum + (sale.taxAmount || 0), 0));
+  return {
+    salesCount: sales.length,
+    grossSales,
+    netSales: roundAmount(grossSales - taxAmount),
+    taxAmount,
+    tenders,
+    changeGiven: roundAmount(changeGiven),
+    refundsCount: (shift.refunds || []).length,
+    refunds,
+    collectionsCount: payments.length,
+    collections,
+    openingFloat: shift.openingFloat,
+    expectedCash: roundAmount(shift.openingFloat + tenders.cash + collections.cash - refunds.cash),
+  };
+};
+
+/**
+ * تسجيل مبلغ مردود للعميل على الوردية المفتوحة في الفرع.
+ * refunds مصفوفة من { tender, amount }؛ تُرجع الوردية أو null إن لم توجد وردية مفتوحة.
+ */
+const recordShiftRefund = async ({ branch, sale, reference, refunds, userId, session }) => {
+  const shift = await findOpenShift({ branch, session });
+  if (!shift) return null;
+  refunds.filter(refund => refund.amount > 0).forEach((refund) => {
+    shift.refunds.push({
+      sale,
+      reference,
+      tender: refund.tender,
+      amount: roundAmount(refund.amount),
+      createdBy: userId,
+    });
+  });
+  await shift.save({ session });
+  return shift;
+};
+
+/**
+ * ترحيل متأخر لبيع صدر أثناء وردية أُغلقت قبل رفعه: يُضاف نقده إلى النقد المتوقع
+ * ويُعاد حساب الفرق، ويبقى تقرير Z المحفوظ عند الإغلاق كما هو.
+ */
+const recordShiftLatePosting = async ({ shift, sale, userId, session }) => {
+  const tenders = emptyTenders();
+  getSalePayments(sale).forEach((payment) => {
+    tenders[payment.tender] = roundAmount(tenders[payment.tender] + payment.amount - (payment.changeGiven || 0));
+  });
+  shift.latePostings.push({
+    sale: sale._id,
+    reference: sale.saleNumber,
+    amount: sale.totalAmount,
+    tenders,
+    createdBy: userId,
+  });
+  shift.expectedCash = roundAmount((shift.expectedCash || 0) + tenders.cash);
+  if (shift.countedCash != null) {
+    shift.variance = roundAmount(shift.countedCash - shift.expectedCash);
+  }
+  await shift.save({ session });
+  return shift;
+};
+
+module.exports = {
+  REQUIRE_OPEN_SHIFT,
+  findOpenShift,
+  isShiftRequired,
+  findShiftAt,
+  buildShiftSummary,
+  recordShiftRefund,
+  recordShiftLatePosting,
+};
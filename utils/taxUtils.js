@@ -0,0 +1,111 @@
+const VAT_RATE = Number(process.env.VAT_RATE ?? 15);
+// الأسعار المدخلة شاملة الضريبة ما لم يُضبط غير ذلك
+const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX !== 'false';
+
+// فئات الضريبة للمنتجات ونسبها
+const TAX_CATEGORIES = {
+  standard: { rate: VAT_RATE, name: 'خاضع للنسبة الأساسية', nameEn: 'Standard rated' },
+  zero_rated: { rate: 0, name: 'خاضع للنسبة الصفرية', nameEn: 'Zero rated' },
+  exempt: { rate: 0, name: 'معفى', nameEn: 'Exempt' },
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const getTaxRate = (taxCategory) => (TAX_CATEGORIES[taxCategory] || TAX_CATEGORIES.standard).rate;
+
+/**
+ * حساب ضريبة سطر واحد؛ السعر الشامل تُستخرج منه الضريبة، وغير الشامل تضاف إليه.
+ * خصم السطر (discountAmount) يُطرح قبل حساب الضريبة.
+ */
+const calculateLineTax = ({ quantity, unitPrice, discountAmount = 0, taxCategory = 'standard', pricesIncludeTax = PRICES_INCLUDE_TAX }) => {
+  const category = TAX_CATEGORIES[taxCategory] ? taxCategory : 'standard';
+  const taxRate = getTaxRate(category);
+  const amount = roundAmount(Math.max(quantity * unitPrice - discountAmount, 0));
+  if (pricesIncludeTax) {
+    const taxAmount = roundAmount((amount * taxRate) / (100 + taxRate));
+    return { taxCategory: category, taxRate, netAmount: roundAmount(amount - taxAmount), taxAmount, lineTotal: amount };
+  }
+  const taxAmount = roundAmount((amount * taxRate) / 100);
+  return { taxCategory: category, taxRate, netAmount: amount, taxAmount, lineTotal: roundAmount(amount + taxAmount) };
+};
+
+/**
+ * حساب الضريبة لجميع الأسطر وإرجاع الأسطر مع الإجماليات.
+ * كل عنصر يحتاج quantity و unitPrice و taxCategory، و discountAmount اختياريًا.
+ */
+const applyTax = (items, { pricesIncludeTax = PRICES_INCLUDE_TAX } = {}) => {
+  const lines = items.map(item => ({ ...item, ...calculateLineTax({ ...item, pricesIncludeTax }) }));
+  return {
+    items: lines,
+    pricesIncludeTax,
+    subtotal: roundAmount(lines.reduce((sum, line) => sum + line.netAmount, 0)),
+    taxAmount: roundAmount(lines.reduce((sum, line) => sum + line.taxAmount, 0)),
+    totalAmount: roundAmount(lines.reduce((sum, line) => sum + line.lineTotal, 0)),
+  };
+};
+
+// تجميع الضريبة حسب النسبة لعرضها في الإيصالات والفواتير
+const summarizeTaxByRate = (lines) => {
+  const byRate = new Map();
+  lines.forEach((line) => {
+    const entry = byRate.get(line.taxRate) || { taxRate: line.taxRate, netAmount: 0, taxAmount: 0 };
+    entry.netAmount = roundAmount(entry.netAmount + line.netAmount);
+    entry.taxAmount = roundAmount(entry.taxAmount + line.taxAmount);
+    byRate.set(line.taxRate, entry);
+  });
+  return [...byRate.values()].sort((a, b) => b.taxRate - a.taxRate);
+};
+
+/**
+ * ملخص ضريبة البيع المحفوظ؛ المبيعات السابقة لمحرك الضريبة تُعامل كأسعار شاملة بالنسبة الأساسية.
+ */
+const getSaleTaxSummary = (sale) => {
+  const stored = sale.taxAmount != null && sale.items.every(item => item.taxRate != null);
+  const lines = stored
+    ? sale.items
+    : applyTax(sale.items.map(item => ({ quantity: item.quantity, unitPrice: item.unitPrice, taxCategory: 'standard' })), { pricesIncludeTax: true }).items;
+  const taxAmount = stored ? sale.taxAmount : roundAmount(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+  return {
+    subtotal: stored ? sale.subtotal : roundAmount(sale.totalAmount - taxAmount),
+    taxAmount,
+    totalAmount: sale.totalAmount,
+    breakdown: summarizeTaxByRate(lines),
+  };
+};
+
+// حقل TLV: رقم الحقل ثم الطول بالبايت ثم القيمة بترميز UTF-8
+const encodeTlv = (tag, value) => {
+  const bytes = Buffer.from(String(value), 'utf8');
+  return Buffer.concat([Buffer.from([tag, bytes.length]), bytes]);
+};
+
+/**
+ * بيانات رمز QR للفاتورة الضريبية المبسطة وفق متطلبات هيئة الزكاة والضريبة والجمارك:
+ * اسم البائع، الرقم الضريبي، وقت الإصدار، الإجمالي شامل الضريبة، ومبلغ الضريبة، بترميز TLV ثم base64.
+ */
+const buildZatcaQr = ({ sellerName, vatNumber, timestamp, totalAmount, taxAmount }) => Buffer.concat([
+  encodeTlv(1, sellerName),
+  encodeTlv(2, vatNumber),
+  encodeTlv(3, new Date(timestamp).toISOString().replace(/\.\d{3}Z$/, 'Z')),
+  encodeTlv(4, roundAmount(totalAmount).toFixed(2)),
+  encodeTlv(5, roundAmount(taxAmount).toFixed(2)),
+]).toString('base64');
+
+// البائع في رمز QR: اسم المنشأة ورقمها الضريبي من الإعدادات، أو بيانات الفرع
+const resolveSeller = (branch) => ({
+  sellerName: process.env.ZATCA_SELLER_NAME || branch?.name || '',
+  vatNumber: branch?.receipt?.vatNumber || process.env.ZATCA_VAT_NUMBER || '',
+});
+
+module.exports = {
+  VAT_RATE,
+  PRICES_INCLUDE_TAX,
+  TAX_CATEGORIES,
+  getTaxRate,
+  calculateLineTax,
+  applyTax,
+  summarizeTaxByRate,
+  getSaleTaxSummary,
+  buildZatcaQr,
+  resolveSeller,
+};
@@ -0,0 +1,68 @@
+// المنطقة الزمنية للنشاط؛ منها تُحسب حدود اليوم وأيام الأسبوع والساعات مهما كانت منطقة الخادم
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || process.env.FORECAST_TIMEZONE || 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// مكونات التاريخ والوقت كما تظهر في المنطقة الزمنية للنشاط
+const getZonedParts = (date, timeZone = BUSINESS_TIMEZONE) => {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(date).map(({ type, value }) => [type, value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+};
+
+const toDateKey = (date, timeZone = BUSINESS_TIMEZONE) => getZonedParts(date, timeZone).dateKey;
+
+// عمليات التقويم على مفاتيح الأيام لا تتأثر بالتوقيت الصيفي
+const addDays = (dateKey, days) => new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+const getOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// لحظة بداية اليوم في المنطقة الزمنية للنشاط؛ يعاد حساب الإزاحة مرة ثانية لأيام تغيير التوقيت
+const startOfDay = (dateKey, timeZone = BUSINESS_TIMEZONE) => {
+  const midnight = Date.parse(`${dateKey}T00:00:00Z`);
+  const guess = midnight - getOffset(new Date(midnight), timeZone);
+  return new Date(midnight - getOffset(new Date(guess), timeZone));
+};
+
+module.exports = {
+  BUSINESS_TIMEZONE,
+  DATE_KEY_PATTERN,
+  getZonedParts,
+  toDateKey,
+  addDays,
+  weekdayOf,
+  startOfDay,
+};
@@ -0,0 +1,41 @@
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+const hasLabel = (err, label) => typeof err?.hasErrorLabel === 'function' && err.hasErrorLabel(label);
+
+// تأكيد المعاملة مع إعادة المحاولة إذا لم تُعرف نتيجة التأكيد (انقطاع أو تبديل العقدة الرئيسية)
+const commitWithRetry = async (session, maxAttempts) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (err) {
+      if (!hasLabel(err, 'UnknownTransactionCommitResult') || attempt >= maxAttempts) throw err;
+    }
+  }
+};
+
+/**
+ * تشغيل work داخل معاملة على الجلسة وإعادة تشغيلها كاملة عند خطأ عابر مثل تعارض الكتابة
+ * على عداد الترقيم بين مستندين متزامنين. commitIf يحدد من نتيجة work هل تُؤكد المعاملة أم تُلغى.
+ * work قد يُشغّل أكثر من مرة، فلا يرسل الاستجابة ولا يعتمد على حالة خارج المعاملة.
+ */
+const runTransaction = async (session, work, { commitIf = () => true, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    session.startTransaction();
+    try {
+      const result = await work(session);
+      if (!commitIf(result)) {
+        await session.abortTransaction();
+        return result;
+      }
+      await commitWithRetry(session, maxAttempts);
+      return result;
+    } catch (err) {
+      if (session.inTransaction()) await session.abortTransaction();
+      if (!hasLabel(err, 'TransientTransactionError') || attempt >= maxAttempts) throw err;
+      console.warn(`[${new Date().toISOString()}] Retrying transaction after transient error:`, { attempt, error: err.message });
+    }
+  }
+};
+
+module.exports = { runTransaction };